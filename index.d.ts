@@ -0,0 +1,3346 @@
+// Generated from the JSDoc comments in lib/ by scripts/build-types.js, do not edit by hand
+
+interface AbortSignal {
+  readonly aborted: boolean
+  addEventListener (type: 'abort', listener: () => void): void
+  removeEventListener (type: 'abort', listener: () => void): void
+}
+
+declare class EventEmitter {
+  on (event: string | symbol, listener: (...args: any[]) => void): this
+  once (event: string | symbol, listener: (...args: any[]) => void): this
+  addListener (event: string | symbol, listener: (...args: any[]) => void): this
+  removeListener (event: string | symbol, listener: (...args: any[]) => void): this
+  off (event: string | symbol, listener: (...args: any[]) => void): this
+  removeAllListeners (event?: string | symbol): this
+  emit (event: string | symbol, ...args: any[]): boolean
+  listenerCount (event: string | symbol): number
+}
+
+/** Error Details */
+export interface ErrorDetails {
+  /** the client method that was called */
+  method?: string
+  /** the endpoint (path) that was requested */
+  endpoint?: string
+  /** the original error, if any */
+  cause?: Error
+  /** the decoded response body, if any */
+  body?: any
+}
+
+/** The base class of every error raised by the RPC clients */
+export declare class RPCClientError extends Error {
+  name: any
+  method: string
+  endpoint: string
+  cause: Error
+  body: any
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails)
+}
+
+/** The daemon answered a JSON-RPC call with an error object */
+export declare class RpcError extends RPCClientError {
+  code: number
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails & { code?: number })
+}
+
+/** The server answered with a HTTP status code outside of 2xx */
+export declare class HttpStatusError extends RPCClientError {
+  statusCode: number
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails & { statusCode?: number })
+}
+
+/** The API key is missing or invalid (HTTP 401) */
+export declare class UnauthorizedError extends HttpStatusError {
+}
+
+/** The operation requires a wallet to be open and one is not (HTTP 403) */
+export declare class WalletNotOpenError extends HttpStatusError {
+}
+
+/** The item requested does not exist (HTTP 404) */
+export declare class NotFoundError extends HttpStatusError {
+}
+
+/** The request did not complete within the configured timeout */
+export declare class TimeoutError extends RPCClientError {
+  code: any
+  timeout: number
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails & { timeout?: number })
+}
+
+/** The connection to the server could not be made or was lost */
+export declare class ConnectionError extends RPCClientError {
+  code: any
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails)
+}
+
+/**
+ * The daemon answered but reported a status other than OK, or left out
+ * the status entirely
+ */
+export declare class DaemonStatusError extends RPCClientError {
+  status: string
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails & { status?: string })
+}
+
+/** The call was cancelled through its AbortSignal */
+export declare class AbortError extends RPCClientError {
+  code: any
+  /**
+   * @param message - the error message
+   * @param details - information about the cancelled call
+   */
+  constructor (message?: string, details?: ErrorDetails)
+}
+
+/** The request could not be queued because the limiter queue is full */
+export declare class QueueFullError extends RPCClientError {
+}
+
+/**
+ * The response did not match the documented shape of the method result,
+ * raised in strict mode only
+ */
+export declare class ResponseValidationError extends RPCClientError {
+  path: string
+  expected: string
+  actual: string
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails & { path?: string; expected?: string; actual?: string })
+}
+
+/** The request has no recorded exchange in the cassette being replayed */
+export declare class UnmatchedRequestError extends RPCClientError {
+  cassette: string
+  request: { [key: string]: any }
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails & { cassette?: string; request?: { [key: string]: any } })
+}
+
+/** The transaction waited for was unknown to the daemon for longer than the timeout */
+export declare class TransactionDroppedError extends RPCClientError {
+  hash: string
+  /**
+   * @param message - the error message
+   * @param details - information about the failed call
+   */
+  constructor (message: string, details?: ErrorDetails & { hash?: string })
+}
+
+/**
+ * A transport built on the Node http/https modules that reuses sockets
+ * between requests via pooled keep-alive agents. Any object providing a
+ * compatible request() method may be supplied in its place.
+ */
+export declare class HttpTransport {
+  httpAgent: any
+  httpsAgent: any
+  /**
+   * Initializes a new HttpTransport object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: HttpTransport.Options)
+  /**
+   * Performs a single HTTP request
+   * @param req - the request to perform
+   * @returns resolves with the response or rejects with error
+   */
+  request (req: HttpTransport.TransportRequest): Promise<HttpTransport.TransportResponse>
+  /** Closes any sockets held open by the keep-alive agents */
+  destroy (): void
+}
+
+export declare namespace HttpTransport {
+  interface Options {
+    /** whether sockets are kept open between requests */
+    keepAlive?: boolean
+    /** the initial delay of TCP keep-alive packets */
+    keepAliveMsecs?: number
+    /** the maximum number of sockets per host */
+    maxSockets?: number
+    /** the maximum number of idle sockets per host */
+    maxFreeSockets?: number
+    /** a custom agent to use for HTTP requests */
+    httpAgent?: any
+    /** a custom agent to use for HTTPS requests */
+    httpsAgent?: any
+  }
+
+  /** Transport Request */
+  interface TransportRequest {
+    /** whether the request should be made using SSL (HTTPS) */
+    ssl: boolean
+    /** the address of the remote host */
+    host: string
+    /** the port of the remote host */
+    port: number
+    /** the HTTP verb to use */
+    method: string
+    /** the path of the request including the leading slash */
+    path: string
+    /** the full URL of the request */
+    url: string
+    /** the request headers */
+    headers: { [key: string]: any }
+    /** the serialized request body */
+    body?: string
+    /** the timeout to use for the request */
+    timeout: number
+    /** the signal that cancels the request */
+    signal?: AbortSignal
+  }
+
+  /** Transport Response */
+  interface TransportResponse {
+    /** the HTTP status code of the response */
+    statusCode: number
+    /** the response headers */
+    headers: { [key: string]: any }
+    /** the raw response body */
+    body: string
+  }
+}
+
+/**
+ * A transport built on the Fetch API for use in browsers, or any other
+ * runtime that provides fetch() and AbortController. The browser build
+ * uses it in place of HttpTransport.
+ */
+export declare class FetchTransport {
+  fetch: (...args: any[]) => any
+  mode: string
+  credentials: string
+  /**
+   * Initializes a new FetchTransport object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: FetchTransport.Options)
+  /**
+   * Performs a single HTTP request. The timeout is enforced with an
+   * AbortController, which also cancels the request if the signal of the
+   * call is aborted.
+   * @param req - the request to perform
+   * @returns resolves with the response or rejects with error
+   */
+  request (req: HttpTransport.TransportRequest): Promise<HttpTransport.TransportResponse>
+  /** Does nothing, the browser manages its own connections */
+  destroy (): void
+}
+
+export declare namespace FetchTransport {
+  interface Options {
+    /** the fetch implementation to use, defaults to the global fetch */
+    fetch?: (...args: any[]) => any
+    /** the request mode passed to fetch */
+    mode?: string
+    /** whether cookies are sent with requests, passed to fetch */
+    credentials?: string
+  }
+}
+
+/** Decides whether, and after how long, a failed request is attempted again */
+export declare class RetryPolicy {
+  maxAttempts: number
+  minDelay: number
+  maxDelay: number
+  factor: number
+  jitter: number
+  errorCodes: string[]
+  statusCodes: number[]
+  methods: string[]
+  retryOn: (...args: any[]) => any
+  /**
+   * Initializes a new RetryPolicy object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: RetryPolicy.Options)
+  /**
+   * Whether calls to the given client method are retried by default
+   * @param method - the client method name
+   * @returns whether the method is retried
+   */
+  appliesTo (method: string): boolean
+  /**
+   * Whether the error received on the given attempt should be retried
+   * @param err - the error the attempt failed with
+   * @param attempt - the number of the attempt that failed, starting at 1
+   * @returns whether another attempt should be made
+   */
+  shouldRetry (err: Error, attempt: number): boolean
+  /**
+   * Calculates the delay before the next attempt
+   * @param attempt - the number of the attempt that failed, starting at 1
+   * @returns the delay in milliseconds
+   */
+  delay (attempt: number): number
+  /**
+   * Creates a copy of this policy with the supplied options applied on top
+   * @param opts - the options to override
+   * @returns the new policy
+   */
+  extend (opts?: { [key: string]: any }): RetryPolicy
+}
+
+export declare namespace RetryPolicy {
+  interface Options {
+    /** the maximum number of attempts including the first */
+    maxAttempts?: number
+    /** the delay in milliseconds before the first retry */
+    minDelay?: number
+    /** the maximum delay in milliseconds between attempts */
+    maxDelay?: number
+    /** the multiplier applied to the delay after every attempt */
+    factor?: number
+    /** the fraction (0 - 1) of the delay that is randomized */
+    jitter?: number
+    /** the network error codes that are retried */
+    errorCodes?: string[]
+    /** the HTTP status codes that are retried */
+    statusCodes?: number[]
+    /** the client methods that are retried without opting in per call */
+    methods?: string[]
+    /** a function receiving (error, attempt) that overrides the error and status checks */
+    retryOn?: (...args: any[]) => any
+  }
+}
+
+/**
+ * Caps the number of requests in flight and the number of requests started
+ * per second (via a token bucket). Requests that cannot start yet wait in
+ * FIFO order, with high priority requests always starting before the rest.
+ * A single Limiter may be shared by several clients.
+ */
+export declare class Limiter {
+  concurrency: number
+  rate: number
+  burst: number
+  maxQueue: number
+  running: any
+  tokens: any
+  lastRefill: any
+  queues: any
+  /**
+   * Initializes a new Limiter object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: Limiter.Options)
+  /** The number of requests waiting to start */
+  readonly pending: number
+  /**
+   * Runs the function once the limits allow it
+   * @param fn - the function to run, returning a Promise
+   * @param opts - the scheduling options
+   * @returns resolves or rejects with the outcome of the function
+   */
+  schedule (fn: (...args: any[]) => any, opts?: { priority?: string; signal?: AbortSignal; details?: ErrorDetails }): Promise<any>
+}
+
+export declare namespace Limiter {
+  interface Options {
+    /** the maximum number of requests in flight */
+    concurrency?: number
+    /** the maximum number of requests started per second */
+    rate?: number
+    /** how many requests may start at once after an idle period, defaults to the rate */
+    burst?: number
+    /** the maximum number of requests waiting to start */
+    maxQueue?: number
+  }
+}
+
+/**
+ * An in-memory store that evicts the least recently used entries once it
+ * holds more than maxEntries entries or maxBytes bytes. Any object providing
+ * the same get(), set(), delete(), keys() and clear() methods, synchronous or
+ * returning Promises, may be supplied to a ResponseCache in its place.
+ */
+export declare class LRUStore {
+  maxEntries: number
+  maxBytes: number
+  bytes: any
+  evictions: any
+  /**
+   * Initializes a new LRUStore object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: LRUStore.Options)
+  /** The number of entries held */
+  readonly size: number
+  /**
+   * Retrieves an entry and marks it as the most recently used
+   * @param key - the key of the entry
+   * @returns the entry, if held
+   */
+  get (key: string): LRUStore.CacheEntry | undefined
+  /**
+   * Stores an entry, evicting the least recently used entries to make room
+   * @param key - the key of the entry
+   * @param entry - the entry
+   */
+  set (key: string, entry: LRUStore.CacheEntry): void
+  /**
+   * Removes an entry
+   * @param key - the key of the entry
+   * @returns whether the entry was held
+   */
+  delete (key: string): boolean
+  /**
+   * Lists the keys of every entry held, least recently used first
+   * @returns the keys
+   */
+  keys (): string[]
+  /** Removes every entry */
+  clear (): void
+}
+
+export declare namespace LRUStore {
+  interface Options {
+    /** the maximum number of entries held */
+    maxEntries?: number
+    /** the maximum number of bytes held, counting keys and values */
+    maxBytes?: number
+  }
+
+  /** Cache Entry */
+  interface CacheEntry {
+    /** the serialized response */
+    value: string
+    /** the highest block height the response depends on, if known */
+    height?: number
+  }
+}
+
+/**
+ * Caches the responses of XTCASHnetwork calls that return immutable chain
+ * data. Responses about a block are only kept once that block is buried
+ * under the configured number of confirmations.
+ */
+export declare class ResponseCache {
+  static readonly METHODS: string[]
+  store: LRUStore
+  confirmations: number
+  methods: string[]
+  tip: any
+  hits: any
+  misses: any
+  /**
+   * Initializes a new ResponseCache object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: ResponseCache.Options)
+  /**
+   * Returns the hit and miss counts of the cache
+   * @returns the stats
+   */
+  stats (): ResponseCache.CacheStats
+  /**
+   * Removes the entries that depend on blocks at or above the given height,
+   * along with any entries whose height is not known. Call this after a
+   * reorg with the height of the first block that changed.
+   * @param height - the lowest height that changed, removes every entry if not supplied
+   * @returns resolves with the number of entries removed
+   */
+  invalidate (height?: number): Promise<number>
+  /**
+   * Builds the middleware that answers calls from the cache
+   * @returns the middleware
+   */
+  middleware (): (...args: any[]) => any
+}
+
+export declare namespace ResponseCache {
+  interface Options {
+    /** the store holding the entries, defaults to a LRUStore */
+    store?: { [key: string]: any }
+    /** the maximum number of entries held by the default store */
+    maxEntries?: number
+    /** the maximum number of bytes held by the default store */
+    maxBytes?: number
+    /** how many blocks must be built on top of a block before responses about it are cached */
+    confirmations?: number
+    /** the methods to cache, defaults to ResponseCache.METHODS */
+    methods?: string[]
+  }
+
+  /** Cache Stats */
+  interface CacheStats {
+    /** how many calls were answered from the cache */
+    hits: number
+    /** how many calls to cacheable methods were sent to the daemon */
+    misses: number
+    /** the fraction (0 - 1) of calls to cacheable methods answered from the cache */
+    hitRate: number
+    /** the number of entries held, if the store reports it */
+    entries?: number
+    /** the number of bytes held, if the store reports it */
+    bytes?: number
+    /** how many entries the store has evicted, if it reports it */
+    evictions?: number
+    /** the last chain height seen */
+    tip?: number
+  }
+}
+
+/**
+ * Collects the latency, call, error, retry and byte counts of RPC calls
+ * along with the last heights reported by the daemons, and renders them in
+ * the Prometheus text exposition format. A single MetricsRegistry may be
+ * shared by several clients.
+ */
+export declare class MetricsRegistry {
+  static readonly DEFAULT_BUCKETS: number[]
+  static readonly CONTENT_TYPE: string
+  prefix: string
+  buckets: number[]
+  /**
+   * Initializes a new MetricsRegistry object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: MetricsRegistry.Options)
+  /** Removes every value collected so far */
+  reset (): void
+  /**
+   * Records a settled call
+   * @param method - the client method that was called
+   * @param endpoint - the path that was requested
+   * @param duration - how long the call took in milliseconds
+   * @param err - the error the call failed with, if any
+   */
+  observeCall (method: string, endpoint: string, duration: number, err?: Error): void
+  /**
+   * Records a failed call, for errors raised after the response was received
+   * @param method - the client method that was called
+   * @param endpoint - the path that was requested
+   * @param err - the error the call failed with
+   */
+  observeError (method: string, endpoint: string, err: Error): void
+  /**
+   * Records an attempt that is about to be retried
+   * @param method - the client method that was called
+   * @param endpoint - the path that was requested
+   */
+  observeRetry (method: string, endpoint: string): void
+  /**
+   * Records the size of a request and its response
+   * @param method - the client method that was called
+   * @param endpoint - the path that was requested
+   * @param requestBody - the serialized request body
+   * @param responseBody - the raw response body
+   */
+  observeBytes (method: string, endpoint: string, requestBody?: string, responseBody?: string): void
+  /**
+   * Records the heights reported by a daemon
+   * @param daemon - the host:port of the daemon
+   * @param height - the height of the daemon
+   * @param networkHeight - the network height seen by the daemon
+   */
+  observeHeight (daemon: string, height?: number, networkHeight?: number): void
+  /**
+   * Renders every collected value in the Prometheus text exposition format
+   * @returns the metrics
+   */
+  render (): string
+  /**
+   * Builds a request handler that serves the metrics, usable with
+   * http.createServer() or as an express route
+   * @returns the handler, receiving (request, response)
+   */
+  handler (): (...args: any[]) => any
+}
+
+export declare namespace MetricsRegistry {
+  interface Options {
+    /** the prefix of every metric name */
+    prefix?: string
+    /** the upper bounds in seconds of the latency histogram buckets, defaults to MetricsRegistry.DEFAULT_BUCKETS */
+    buckets?: number[]
+  }
+}
+
+/** Base class of the RPC clients that handles the HTTP exchange */
+declare class RPCClient extends EventEmitter {
+  transport: { [key: string]: any }
+  limiter: any
+  metricsRegistry: any
+  strict: boolean
+  /**
+   * Initializes a new RPCClient object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: RPCClient.Options)
+  /**
+   * Renders the metrics collected for the calls of this client, and of any
+   * other client sharing its MetricsRegistry, in the Prometheus text exposition format
+   * @returns the metrics, empty when metrics are disabled
+   */
+  metrics (): string
+  /**
+   * Builds a request handler that serves the metrics, ie.
+   * http.createServer(daemon.metricsHandler()).listen(9100)
+   * @returns the handler, receiving (request, response)
+   */
+  metricsHandler (): (...args: any[]) => any
+  /**
+   * Adds a middleware to the request pipeline. Middleware are called in the
+   * order they were added with the request context and a next() function
+   * that continues the pipeline and resolves with the response. A middleware
+   * may change the context before calling next(), change the value that
+   * next() resolves with, or skip next() entirely and return a response of its own.
+   * @param fn - the middleware, receiving (context, next) and returning the response or a Promise of it
+   * @returns the client
+   */
+  use (fn: (...args: any[]) => any): RPCClient
+  /**
+   * Adds a hook that is called before each request is sent. The hook may
+   * change the context, or return a value (or a Promise of one) other than
+   * undefined which is used as the response without sending the request.
+   * @param fn - the hook, receiving the request context
+   * @returns the client
+   */
+  onRequest (fn: (...args: any[]) => any): RPCClient
+  /**
+   * Adds a hook that is called after each successful request with
+   * context.result set. Returning a value other than undefined replaces the response.
+   * @param fn - the hook, receiving the request context
+   * @returns the client
+   */
+  onResponse (fn: (...args: any[]) => any): RPCClient
+  /**
+   * Adds a hook that is called after each failed request with context.error
+   * set. Returning a value other than undefined recovers the call with that
+   * value as the response, otherwise the error is passed on.
+   * @param fn - the hook, receiving the request context
+   * @returns the client
+   */
+  onError (fn: (...args: any[]) => any): RPCClient
+}
+
+declare namespace RPCClient {
+  interface Options {
+    /** the transport to use for requests, must provide a request() method compatible with HttpTransport */
+    transport?: { [key: string]: any }
+    /** the Limiter options, or a Limiter shared with other clients, that caps the requests in flight and per second */
+    limit?: ({ [key: string]: any }) | Limiter
+    /** whether to check every result against its documented type and reject with a ResponseValidationError when it does not match */
+    strict?: boolean
+    /** the MetricsRegistry options, or a MetricsRegistry shared with other clients, that collects the call metrics, or false to collect none */
+    metrics?: ({ [key: string]: any }) | MetricsRegistry | boolean
+  }
+
+  /** Request Context */
+  interface RequestContext {
+    /** the client making the call */
+    client: RPCClient
+    /** the name of the public method being called */
+    method: string
+    /** the path being requested */
+    endpoint: string
+    /** the HTTP verb being used */
+    verb: string
+    /** the body of the request, may be changed before the request is sent */
+    body?: { [key: string]: any }
+    /** the headers of the request, may be changed before the request is sent */
+    headers: { [key: string]: any }
+    /** the per-call options */
+    call: { [key: string]: any }
+    /** the timestamp at which the call started */
+    startTime: number
+    /** how long the call took in milliseconds, once settled */
+    duration?: number
+    /** how many attempts were made, once settled */
+    attempts?: number
+    /** the decoded response, in onResponse hooks */
+    result?: any
+    /** the error the call failed with, in onError hooks */
+    error?: Error
+  }
+
+  /** Call Options */
+  interface CallOptions {
+    /** false to never retry this call, true to retry it using the client policy, or RetryPolicy options to retry it using those */
+    retry?: boolean | ({ [key: string]: any })
+    /** a signal that cancels the call, tearing down its socket and rejecting with an AbortError */
+    signal?: AbortSignal
+    /** high to skip ahead of queued calls when a limit is set, defaults to high for the methods in priorityMethods */
+    priority?: string
+    /** false to skip the response cache for this call */
+    cache?: boolean
+  }
+}
+
+/**
+ * Collects json_rpc calls and sends them to the daemon as JSON-RPC 2.0
+ * batches. Every call method returns the batch so that calls can be chained.
+ */
+declare class Batch {
+  static readonly METHODS: string[]
+  client: any
+  batchSize: any
+  calls: any
+  /**
+   * Initializes a new Batch object, use XTCASHnetwork.batch() instead
+   * @param client - the client to send the batch with
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, opts?: Batch.Options)
+  /**
+   * Queues XTCASHnetwork.block()
+   * @param hash - the hash of the block to retrieve
+   * @returns the batch
+   */
+  block (hash: string): Batch
+  /**
+   * Queues XTCASHnetwork.blockCount()
+   * @returns the batch
+   */
+  blockCount (): Batch
+  /**
+   * Queues XTCASHnetwork.blockHeaderByHash()
+   * @param hash - the hash of the block to retrieve
+   * @returns the batch
+   */
+  blockHeaderByHash (hash: string): Batch
+  /**
+   * Queues XTCASHnetwork.blockHeaderByHeight()
+   * @param height - the height of the block to retrieve
+   * @returns the batch
+   */
+  blockHeaderByHeight (height: number): Batch
+  /**
+   * Queues XTCASHnetwork.blockShortHeaders()
+   * @param height - the height of the block to retrieve
+   * @returns the batch
+   */
+  blockShortHeaders (height: number): Batch
+  /**
+   * Queues XTCASHnetwork.blockTemplate()
+   * @param walletAddress - the wallet address for the block template
+   * @param reserveSize - the amount of block template reserve space to generate
+   * @returns the batch
+   */
+  blockTemplate (walletAddress: string, reserveSize: number): Batch
+  /**
+   * Queues XTCASHnetwork.lastBlockHeader()
+   * @returns the batch
+   */
+  lastBlockHeader (): Batch
+  /**
+   * Queues XTCASHnetwork.submitBlock()
+   * @param blockBlob - the raw block blob
+   * @returns the batch
+   */
+  submitBlock (blockBlob: string): Batch
+  /**
+   * Queues XTCASHnetwork.transaction()
+   * @param hash - the transaction hash
+   * @returns the batch
+   */
+  transaction (hash: string): Batch
+  /**
+   * Queues XTCASHnetwork.transactionPool()
+   * @returns the batch
+   */
+  transactionPool (): Batch
+  /**
+   * Sends the queued calls to the daemon in chunks of batchSize. If the
+   * daemon does not accept batches, the calls are sent one at a time instead.
+   * @param callOpts - per-call options applied to every request
+   * @returns resolves with the result of every call in the order they were queued, or rejects with an AbortError if cancelled
+   */
+  execute (callOpts?: RPCClient.CallOptions): Promise<Batch.BatchResult[]>
+}
+
+declare namespace Batch {
+  interface Options {
+    /** the maximum number of calls sent in a single request, defaults to the client batchSize */
+    batchSize?: number
+  }
+
+  /** Batch Result */
+  interface BatchResult {
+    /** the XTCASHnetwork method name */
+    method: string
+    /** the arguments the call was queued with */
+    args: any[]
+    /** whether the call succeeded */
+    success: boolean
+    /** the result of the call, as the XTCASHnetwork method would resolve it */
+    result?: any
+    /** the error the call failed with */
+    error?: Error
+  }
+}
+
+/**
+ * Keeps the hashes of the blocks by height, checks that every header added
+ * links to the one below it and builds the sparse block hash checkpoints
+ * expected by blocksDetailed, blocksLite, rawBlocks and walletSyncData.
+ * The chain may start at any height, ie. a height trusted by the caller.
+ */
+export declare class HeaderChain {
+  genesisHash: string
+  maxHeaders: number
+  store: { [key: string]: any }
+  /**
+   * Initializes a new HeaderChain object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: HeaderChain.Options)
+  /** The height of the highest header held, -1 when empty */
+  readonly height: number
+  /** The highest header held */
+  readonly tip: HeaderChain.Checkpoint | undefined
+  /** The number of headers held */
+  readonly size: number
+  /**
+   * The hash of the block at a height
+   * @param height - the height
+   * @returns the hash, if held
+   */
+  hashAt (height: number): string | undefined
+  /**
+   * Adds headers on top of the chain, in height order. A header that is
+   * already held is skipped, the others must be above the top of the chain
+   * and, when they carry the previous hash and the header below is held,
+   * link to it. Heights may be skipped, ie. the blocks walletSyncData leaves
+   * out. Adding stops at the first header that does not link.
+   * @param headers - the headers to add
+   * @returns how many headers were added and where the chain forked, if it did
+   */
+  add (headers: HeaderChain.Header | HeaderChain.Header[]): HeaderChain.AddResult
+  /**
+   * Removes the headers above a height, ie. to go back to the common
+   * ancestor after a fork
+   * @param height - the height of the highest header kept, -1 to remove every header
+   * @returns how many headers were removed
+   */
+  rewind (height: number): number
+  /**
+   * The heights of the sparse checkpoints for a chain topped at a height:
+   * the 11 highest in sequence, then at offsets that double every time
+   * (2, 4, 8, 16, ...), then the genesis block
+   * @param height - the height of the top of the chain
+   * @returns the heights, highest first
+   */
+  static checkpointHeights (height: number): number[]
+  /**
+   * Builds the block hash checkpoints of the chain, highest first. Heights
+   * that were pruned or lie below the start of the chain use the closest
+   * lower header held, and the genesis block ends the list when its hash is known.
+   * @returns the block hashes
+   */
+  checkpoints (): string[]
+  /**
+   * Finds the highest block held that is also on the chain of the daemon,
+   * checking the checkpoints first and then narrowing down between them
+   * @param client - the daemon to compare with
+   * @param callOpts - per-call options used for every request
+   * @returns resolves with the common ancestor, undefined if none of the headers held is on the chain of the daemon, or rejects with error
+   */
+  commonAncestor (client: XTCASHnetwork, callOpts?: RPCClient.CallOptions): Promise<HeaderChain.Checkpoint | undefined>
+  /**
+   * Loads the chain from the store, replacing the headers held
+   * @returns resolves with the chain or rejects with error
+   */
+  load (): Promise<HeaderChain>
+  /**
+   * Saves the chain to the store
+   * @returns resolves once saved or rejects with error
+   */
+  save (): Promise<any>
+  /**
+   * Replaces the headers held with a state built by toJSON()
+   * @param state - the state
+   */
+  restore (state: { [key: string]: any }): void
+  /**
+   * The state of the chain as a plain object that can be serialized
+   * @returns the state
+   */
+  toJSON (): { [key: string]: any }
+}
+
+export declare namespace HeaderChain {
+  interface Options {
+    /** the hash of the genesis block, which ends every list of checkpoints, learnt when the header at height 0 is added */
+    genesisHash?: string
+    /** how many of the most recent headers are kept, older headers are only kept as far as they are needed as checkpoints */
+    maxHeaders?: number
+    /** the store persisting the chain, ie. a JsonFileStore, providing load() and save(state) methods that may return Promises */
+    store?: { [key: string]: any }
+  }
+
+  /** Checkpoint */
+  interface Checkpoint {
+    /** the height of the block */
+    height: number
+    /** the hash of the block */
+    hash: string
+  }
+
+  /** Header, any of XTCASHnetwork.BlockHeader, XTCASHnetwork.BlockDetails or a plain object */
+  interface Header {
+    /** the height of the block, index is used when missing */
+    height?: number
+    /** the height of the block, as found in XTCASHnetwork.BlockDetails */
+    index?: number
+    /** the hash of the block */
+    hash: string
+    /** the hash of the previous block, prev_hash and prevBlockHash are used when missing */
+    prevHash?: string
+  }
+
+  /** Fork */
+  interface Fork {
+    /** the height of the header that did not link to the chain */
+    height: number
+    /** the hash of that header */
+    hash: string
+    /** the highest block both chains share, when the headers show it */
+    ancestor?: HeaderChain.Checkpoint
+  }
+
+  /** Add Result */
+  interface AddResult {
+    /** how many headers were added */
+    added: number
+    /** where the headers stopped linking to the chain, if they did */
+    fork?: HeaderChain.Fork
+  }
+}
+
+/**
+ * Persists a single JSON document to a file, ie. the state of a
+ * HeaderChain. The file is replaced in one step when saving so that a
+ * crash never leaves half a document behind. NodeJS only.
+ */
+export declare class JsonFileStore {
+  path: string
+  pretty: boolean
+  /**
+   * Initializes a new JsonFileStore object
+   * @param opts - Configuration options
+   */
+  constructor (opts: JsonFileStore.Options)
+  /**
+   * Reads the document
+   * @returns resolves with the document, undefined if the file does not exist yet, or rejects with error
+   */
+  load (): Promise<({ [key: string]: any }) | undefined>
+  /**
+   * Writes the document, replacing the previous one
+   * @param document - the document to write
+   * @returns resolves once written or rejects with error
+   */
+  save (document: { [key: string]: any }): Promise<any>
+}
+
+export declare namespace JsonFileStore {
+  interface Options {
+    /** the path of the file */
+    path: string
+    /** whether to indent the JSON written */
+    pretty?: boolean
+  }
+}
+
+/**
+ * Keeps a single JSON document in memory, ie. the state of a HeaderChain.
+ * The document is copied in and out so that it cannot be changed behind
+ * the store's back. Nothing survives the process, use JsonFileStore for that.
+ */
+export declare class MemoryStore {
+  /**
+   * Initializes a new MemoryStore object
+   * @param document - the document the store starts with
+   */
+  constructor (document?: { [key: string]: any })
+  /**
+   * Reads the document
+   * @returns resolves with the document, undefined if nothing was saved yet
+   */
+  load (): Promise<({ [key: string]: any }) | undefined>
+  /**
+   * Replaces the document
+   * @param document - the document to keep
+   * @returns resolves once kept
+   */
+  save (document: { [key: string]: any }): Promise<any>
+}
+
+/**
+ * Walks the chain through queryblocksdetailed or queryblockslite, keeping
+ * track of the block hash checkpoints and the 100 block page limit. Blocks
+ * are yielded in height order and the next page is only requested once
+ * the blocks of the previous one have been consumed.
+ * When the daemon switches to another chain, the blocks of the new chain
+ * are yielded from the last checkpoint both chains share, so a height may
+ * be yielded again, and a reorg event is emitted first.
+ */
+declare class BlockStream extends EventEmitter implements AsyncIterableIterator<XTCASHnetwork.BlockDetails | BlockStream.LiteBlock> {
+  client: any
+  fromHeight: number
+  fromTimestamp: number
+  toHeight: number
+  detailed: boolean
+  wait: boolean
+  pollInterval: number
+  blockCount: number
+  signal: AbortSignal
+  height: any
+  /**
+   * Initializes a new BlockStream object, use XTCASHnetwork.streamBlocks() instead
+   * @param client - the client to query
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, opts?: BlockStream.Options)
+  /**
+   * Resolves with the next block
+   * @returns resolves with { value, done } or rejects with error
+   */
+  next (): Promise<IteratorResult<XTCASHnetwork.BlockDetails | BlockStream.LiteBlock>>
+  /**
+   * Stops the stream, the pending and later calls to next() resolve with done
+   * @returns resolves with { value: undefined, done: true }
+   */
+  return (): Promise<IteratorResult<XTCASHnetwork.BlockDetails | BlockStream.LiteBlock>>
+  /**
+   * The block hashes sent to the daemon to find where the next page starts:
+   * see HeaderChain.checkpoints()
+   * @returns the hashes, highest first
+   */
+  checkpoints (): string[]
+  [Symbol.asyncIterator] (): this
+}
+
+declare namespace BlockStream {
+  interface Options {
+    /** the height of the first block to yield */
+    fromHeight?: number
+    /** skip the blocks older than this timestamp */
+    fromTimestamp?: number
+    /** the height of the last block to yield, defaults to the top of the chain */
+    toHeight?: number
+    /** whether to yield XTCASHnetwork.BlockDetails, or BlockStream.LiteBlock when false */
+    detailed?: boolean
+    /** whether to wait for new blocks once the top of the chain is reached instead of ending */
+    wait?: boolean
+    /** how often to check for new blocks when waiting, in milliseconds */
+    pollInterval?: number
+    /** the number of blocks requested per page, detailed blocks only */
+    blockCount?: number
+    /** a signal that stops the stream, rejecting the pending next() with an AbortError */
+    signal?: AbortSignal
+  }
+
+  /** Lite Block, a XTCASHnetwork.BlockLite along with its height */
+  interface LiteBlock {
+    /** the height of the block */
+    height: number
+    /** the hexadecimcal representation of the block */
+    block: string
+    /** the block hash */
+    hash: string
+    /** the transactions in the block */
+    transactions: XTCASHnetwork.BlockLiteTransaction[]
+  }
+
+  /** Reorganization */
+  interface Reorganization {
+    /** the height from which blocks of the new chain are yielded */
+    height: number
+    /** the height of the last block yielded before the reorganization was found */
+    previousHeight: number
+  }
+}
+
+/**
+ * Syncs through getwalletsyncdata, keeping the block hash checkpoints up
+ * to date and persisting them through the state store once every block of
+ * a page has been consumed. After a restart the stream resumes from the
+ * stored checkpoints, so at most the blocks of the page being consumed are
+ * yielded again.
+ * When the daemon switches to another chain, the blocks are yielded again
+ * from the last checkpoint both chains share, and a reorg event is emitted
+ * first.
+ */
+declare class WalletSyncStream extends EventEmitter implements AsyncIterableIterator<XTCASHnetwork.WalletSyncDataBlock> {
+  client: any
+  startHeight: number
+  startTimestamp: number
+  skipCoinbaseTransactions: boolean
+  stateStore: { [key: string]: any }
+  wait: boolean
+  pollInterval: number
+  signal: AbortSignal
+  height: any
+  synced: any
+  /**
+   * Initializes a new WalletSyncStream object, use XTCASHnetwork.syncWalletData() instead
+   * @param client - the client to query
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, opts?: WalletSyncStream.Options)
+  /**
+   * Resolves with the next block
+   * @returns resolves with { value, done } or rejects with error
+   */
+  next (): Promise<IteratorResult<XTCASHnetwork.WalletSyncDataBlock>>
+  /**
+   * Stops the stream and saves the progress, the pending and later calls to next() resolve with done
+   * @returns resolves with { value: undefined, done: true } or rejects with error
+   */
+  return (): Promise<IteratorResult<XTCASHnetwork.WalletSyncDataBlock>>
+  /**
+   * The block hash checkpoints of the blocks yielded so far, as sent to
+   * the daemon: see HeaderChain.checkpoints()
+   * @returns the hashes, highest first
+   */
+  checkpoints (): string[]
+  [Symbol.asyncIterator] (): this
+}
+
+declare namespace WalletSyncStream {
+  interface Options {
+    /** the height to start from when nothing was stored yet */
+    startHeight?: number
+    /** the timestamp to start from when nothing was stored yet */
+    startTimestamp?: number
+    /** whether to skip the blocks with just a coinbase transaction */
+    skipCoinbaseTransactions?: boolean
+    /** the store persisting the progress, ie. a MemoryStore or a JsonFileStore, providing load() and save(state) methods that may return Promises */
+    stateStore?: { [key: string]: any }
+    /** whether to keep waiting for new blocks once synced instead of ending */
+    wait?: boolean
+    /** how often to check for new blocks when waiting, in milliseconds */
+    pollInterval?: number
+    /** a signal that stops the stream, rejecting the pending next() with an AbortError */
+    signal?: AbortSignal
+  }
+
+  /** Reorganization */
+  interface Reorganization {
+    /** the height from which blocks of the new chain are yielded */
+    height: number
+    /** the height of the last block yielded before the reorganization was found */
+    previousHeight: number
+  }
+}
+
+/**
+ * Fetches a range of heights with a bounded number of calls in flight and
+ * yields the results in height order, lowest first. Calls are only made
+ * ahead of the results consumed as far as the concurrency allows.
+ * Block hashes and short headers are read from the f_blocks_list_json
+ * window covering each part of the range, one call per 30 heights. Full
+ * block headers and block summaries carry more than the short headers,
+ * so they are then looked up one by one by the hashes found.
+ */
+declare class RangeFetcher implements AsyncIterableIterator<XTCASHnetwork.BlockHeader | XTCASHnetwork.BlockShortHeader | XTCASHnetwork.BlockSummary> {
+  client: any
+  start: any
+  end: any
+  blocks: boolean
+  short: boolean
+  concurrency: number
+  onProgress: (...args: any[]) => any
+  signal: AbortSignal
+  completed: any
+  /**
+   * Initializes a new RangeFetcher object, use XTCASHnetwork.blockHeadersRange() or XTCASHnetwork.blocksRange() instead
+   * @param client - the client to query
+   * @param start - the first height
+   * @param end - the last height, inclusive
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, start: number, end: number, opts?: RangeFetcher.Options)
+  /** The number of heights in the range */
+  readonly total: number
+  /**
+   * Resolves with the result for the next height
+   * @returns resolves with { value, done } or rejects with error
+   */
+  next (): Promise<IteratorResult<XTCASHnetwork.BlockHeader | XTCASHnetwork.BlockShortHeader | XTCASHnetwork.BlockSummary>>
+  /**
+   * Stops the fetcher, the calls in flight are left to finish and their results dropped
+   * @returns resolves with { value: undefined, done: true }
+   */
+  return (): Promise<IteratorResult<XTCASHnetwork.BlockHeader | XTCASHnetwork.BlockShortHeader | XTCASHnetwork.BlockSummary>>
+  /**
+   * Fetches the whole range
+   * @returns resolves with the results in height order or rejects with error
+   */
+  toArray (): Promise<(XTCASHnetwork.BlockHeader | XTCASHnetwork.BlockShortHeader | XTCASHnetwork.BlockSummary)[]>
+  [Symbol.asyncIterator] (): this
+}
+
+declare namespace RangeFetcher {
+  interface Options {
+    /** whether to fetch XTCASHnetwork.BlockSummary through block(), by the hashes found in the windows */
+    blocks?: boolean
+    /** whether to fetch XTCASHnetwork.BlockShortHeader from the windows rather than XTCASHnetwork.BlockHeader through blockHeaderByHash() */
+    short?: boolean
+    /** the maximum number of calls in flight */
+    concurrency?: number
+    /** called with (completed, total) every time a height has been fetched */
+    onProgress?: (...args: any[]) => any
+    /** a signal that stops the fetcher, rejecting the pending next() with an AbortError */
+    signal?: AbortSignal
+  }
+}
+
+/**
+ * Computes statistics over ranges of blocks: block time, difficulty and
+ * its trend, hashrate, orphan rate, transactions, sizes and fees. Blocks are
+ * kept in memory by height and only the heights missing are fetched, so
+ * overlapping queries and growing ranges cost little. New blocks are
+ * fetched by update(), or fed through add() and remove(), ie. from the
+ * events of XTCASHnetwork.watchChain().
+ */
+export declare class ChainStats {
+  client: any
+  fees: boolean
+  concurrency: number
+  maxBlocks: number
+  /**
+   * Initializes a new ChainStats object
+   * @param client - the client to query
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, opts?: ChainStats.Options)
+  /** The height of the highest block held, -1 when empty */
+  readonly height: number
+  /** The number of blocks held */
+  readonly size: number
+  /**
+   * Adds blocks, replacing those held at the same heights
+   * @param blocks - the block headers or block summaries
+   */
+  add (blocks: XTCASHnetwork.BlockHeader | XTCASHnetwork.BlockSummary | ((XTCASHnetwork.BlockHeader | XTCASHnetwork.BlockSummary)[])): void
+  /**
+   * Removes the blocks at and above a height, ie. those detached by a reorganization
+   * @param height - the height of the lowest block removed
+   */
+  remove (height: number): void
+  /**
+   * Computes the statistics of a range of heights, fetching the blocks missing
+   * @param fromHeight - the height of the first block
+   * @param toHeight - the height of the last block, inclusive
+   * @returns resolves with the statistics or rejects with error
+   */
+  range (fromHeight: number, toHeight: number): Promise<ChainStats.Stats>
+  /**
+   * Computes the statistics of the blocks mined during a time window,
+   * fetching the blocks missing
+   * @param fromTimestamp - the start of the window
+   * @param toTimestamp - the end of the window, defaults to the top of the chain
+   * @returns resolves with the statistics or rejects with error
+   */
+  window (fromTimestamp: number, toTimestamp?: number): Promise<ChainStats.Stats>
+  /**
+   * Computes the statistics of every window of a number of blocks ending
+   * within a range of heights, fetching the blocks missing
+   * @param fromHeight - the height at which the first window ends
+   * @param toHeight - the height at which the last window ends
+   * @param size - the number of blocks in each window
+   * @param step - the number of blocks between the ends of two windows
+   * @returns resolves with the statistics of each window, lowest first, or rejects with error
+   */
+  rolling (fromHeight: number, toHeight: number, size: number, step?: number): Promise<ChainStats.Stats[]>
+  /**
+   * Computes the statistics of the blocks of a range of heights grouped by
+   * the UTC day they were mined, fetching the blocks missing
+   * @param fromHeight - the height of the first block
+   * @param toHeight - the height of the last block, inclusive
+   * @returns resolves with the statistics of each day, oldest first, or rejects with error
+   */
+  daily (fromHeight: number, toHeight: number): Promise<ChainStats.Stats[]>
+  /**
+   * Fetches the blocks mined above the highest block held, first dropping
+   * the blocks held that are no longer on the chain of the daemon
+   * @returns resolves with the number of blocks added or rejects with error
+   */
+  update (): Promise<number>
+}
+
+export declare namespace ChainStats {
+  interface Options {
+    /** whether to fetch block summaries, which carry the fees, rather than block headers */
+    fees?: boolean
+    /** the maximum number of calls in flight when fetching blocks */
+    concurrency?: number
+    /** how many blocks are kept in memory, the lowest are dropped first so ranges should stay below it */
+    maxBlocks?: number
+  }
+
+  /** Summary */
+  interface Summary {
+    /** the number of values */
+    count: number
+    /** the mean of the values */
+    mean: number
+    /** the median of the values */
+    median: number
+    /** the 95th percentile of the values */
+    p95: number
+    /** the smallest value */
+    min: number
+    /** the largest value */
+    max: number
+  }
+
+  /** Stats */
+  interface Stats {
+    /** the UTC day (YYYY-MM-DD) of the blocks, for daily buckets */
+    day?: string
+    /** the height of the first block */
+    fromHeight: number
+    /** the height of the last block */
+    toHeight: number
+    /** the timestamp of the first block */
+    fromTimestamp: number
+    /** the timestamp of the last block */
+    toTimestamp: number
+    /** the number of blocks */
+    blocks: number
+    /** the seconds between each block and the previous one */
+    blockTime: ChainStats.Summary
+    /** the block difficulties */
+    difficulty: ChainStats.Summary
+    /** the change in difficulty per block, as the slope of a least squares fit */
+    difficultyTrend: number
+    /** the estimated network hashrate, as the work done divided by the time taken, in hashes per second */
+    hashrate: number
+    /** the share of the blocks found while the range was mined that ended up as alternative blocks, from the alt_blocks_count reported by info() when blocks were fetched before and after the range. Undefined when no such counts were recorded, ie. for blocks that were mined before the first fetch */
+    orphanRate?: number
+    /** the number of transactions per block */
+    transactions: ChainStats.Summary
+    /** the block sizes in bytes */
+    size: ChainStats.Summary
+    /** the fees per block, only for blocks fetched with the fees option */
+    fees: ChainStats.Summary
+  }
+}
+
+/**
+ * Turns the block summaries into supply figures: the supply at any height,
+ * the coins emitted, the fees paid and the rewards withheld (burned) over a
+ * range, the actual versus the expected emission per day and a projection
+ * of the supply. The projection follows the CryptoNote base reward formula,
+ * (moneySupply - alreadyGeneratedCoins) >> emissionSpeedFactor, with both
+ * parameters inferred from the blocks observed.
+ * Amounts are computed in atomic units and returned as set by amountMode.
+ * The string and bigint modes compute them exactly with BigInt. Where
+ * BigInt is missing, string mode computes them with Numbers and rejects
+ * with an error rather than return an amount above Number.MAX_SAFE_INTEGER,
+ * which a Number cannot hold exactly. Number mode computes with Numbers.
+ */
+export declare class SupplyCalculator {
+  client: any
+  decimalDivisor: number
+  decimals: any
+  amountMode: string
+  targetBlockTime: number
+  concurrency: number
+  /**
+   * Initializes a new SupplyCalculator object
+   * @param client - the client to query
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, opts?: SupplyCalculator.Options)
+  /**
+   * Reports the supply at a height
+   * @param height - the height, defaults to the top of the chain
+   * @returns resolves with the supply or rejects with error
+   */
+  supplyAt (height?: number): Promise<SupplyCalculator.Supply>
+  /**
+   * Reports the coins emitted, the rewards and fees paid and the rewards
+   * withheld over a range of heights
+   * @param fromHeight - the height of the first block
+   * @param toHeight - the height of the last block, inclusive
+   * @returns resolves with the emission or rejects with error
+   */
+  emission (fromHeight: number, toHeight: number): Promise<SupplyCalculator.Emission>
+  /**
+   * Reports the emission of a range of heights per UTC day, along with the
+   * emission expected from a full day of blocks at the target block time.
+   * The first and last days are usually only partly covered by the range.
+   * @param fromHeight - the height of the first block
+   * @param toHeight - the height of the last block, inclusive
+   * @returns resolves with the emission of each day, oldest first, or rejects with error
+   */
+  daily (fromHeight: number, toHeight: number): Promise<SupplyCalculator.Emission[]>
+  /**
+   * Infers the parameters of the base reward formula from two blocks
+   * @param opts - the options
+   * @returns resolves with the model or rejects with error
+   */
+  model (opts?: { span?: number; height?: number }): Promise<SupplyCalculator.EmissionModel>
+  /**
+   * Projects the supply day by day from the top of the chain, one block
+   * every target block time, with the inferred base reward formula
+   * @param opts - the options
+   * @returns resolves with the supply at the end of each day or rejects with error
+   */
+  project (opts?: { days?: number; span?: number }): Promise<SupplyCalculator.ProjectionPoint[]>
+}
+
+export declare namespace SupplyCalculator {
+  interface Options {
+    /** the decimal divisor of atomic amounts, must be a power of 10 */
+    decimalDivisor?: number
+    /** how amounts are returned: number (floats), string (exact decimal strings) or bigint (exact atomic units) */
+    amountMode?: string
+    /** the number of seconds the chain aims for between blocks */
+    targetBlockTime?: number
+    /** the maximum number of calls in flight when fetching blocks */
+    concurrency?: number
+  }
+
+  /** Supply */
+  interface Supply {
+    /** the height of the block */
+    height: number
+    /** the timestamp of the block */
+    timestamp: number
+    /** the coins generated up to and including the block, as set by amountMode */
+    supply: number | string | bigint
+    /** the base reward of the block, as set by amountMode */
+    baseReward: number | string | bigint
+    /** the reward paid to the miner, fees included, as set by amountMode */
+    reward: number | string | bigint
+    /** the fees paid in the block, as set by amountMode */
+    fees: number | string | bigint
+    /** the share of the base reward withheld for the size of the block */
+    penalty: number
+  }
+
+  /** Emission */
+  interface Emission {
+    /** the UTC day (YYYY-MM-DD) of the blocks, for daily buckets */
+    day?: string
+    /** the height of the first block */
+    fromHeight: number
+    /** the height of the last block */
+    toHeight: number
+    /** the number of blocks */
+    blocks: number
+    /** the coins generated by the blocks, as set by amountMode */
+    emitted: number | string | bigint
+    /** the rewards paid to the miners, fees included, as set by amountMode */
+    rewards: number | string | bigint
+    /** the fees paid in the blocks, as set by amountMode */
+    fees: number | string | bigint
+    /** the base rewards withheld for the size of the blocks, as set by amountMode */
+    burned: number | string | bigint
+    /** the coins generated up to and including the last block, as set by amountMode */
+    supply: number | string | bigint
+    /** the number of blocks a day at the target block time, for daily buckets */
+    expectedBlocks?: number
+    /** the coins those blocks would generate at the base reward of the first block of the day, for daily buckets, as set by amountMode */
+    expected?: number | string | bigint
+  }
+
+  /** Emission Model */
+  interface EmissionModel {
+    /** the height of the last block observed */
+    height: number
+    /** the timestamp of that block */
+    timestamp: number
+    /** the coins generated up to and including that block, as set by amountMode */
+    supply: number | string | bigint
+    /** the base reward of that block, as set by amountMode */
+    baseReward: number | string | bigint
+    /** the total supply the base reward converges to, missing when the base reward does not decrease, as set by amountMode */
+    moneySupply?: number | string | bigint
+    /** the base reward is the coins left to generate shifted right by this many bits, missing when the base reward does not decrease */
+    emissionSpeedFactor?: number
+  }
+
+  /** Projection Point */
+  interface ProjectionPoint {
+    /** the UTC day (YYYY-MM-DD) */
+    day: string
+    /** the projected height at the end of the day */
+    height: number
+    /** the timestamp of the end of the day */
+    timestamp: number
+    /** the projected supply at that height, as set by amountMode */
+    supply: number | string | bigint
+    /** the projected base reward at that height, as set by amountMode */
+    baseReward: number | string | bigint
+  }
+}
+
+/**
+ * Polls the top of the chain and emits every new block header in height
+ * order. Blocks mined between two polls are looked up one by one, so no
+ * height is ever skipped, and a poll that fails is picked up again by the
+ * next one from the last block emitted.
+ * Each header must link to the previous one. When it does not, the last
+ * block both chains share is looked up and a reorg event lists the blocks
+ * that left the chain and the ones that replaced them, followed by a block
+ * event for each of the latter.
+ * Errors are emitted as error events only when there is a listener for
+ * them. Either way polling carries on, and a daemon that stays unreachable
+ * is reported by the stalled event, which carries the last error.
+ */
+declare class ChainWatcher extends EventEmitter {
+  client: any
+  interval: number
+  stallTimeout: number
+  fromHeight: number
+  maxDepth: number
+  height: any
+  /**
+   * Initializes a new ChainWatcher object, use XTCASHnetwork.watchChain() instead
+   * @param client - the client to poll
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, opts?: ChainWatcher.Options)
+  /** Whether the watcher is polling */
+  readonly running: boolean
+  /** Starts polling the top of the chain */
+  start (): void
+  /** Stops polling, a poll in progress stops before emitting anything else */
+  stop (): void
+  /**
+   * Polls the top of the chain once. Errors are emitted as error events
+   * when there is a listener for them and polling carries on either way,
+   * the stalled event reports the last one.
+   * @returns resolves once the blocks found have been emitted
+   */
+  poll (): Promise<any>
+}
+
+declare namespace ChainWatcher {
+  interface Options {
+    /** how often the top of the chain is polled, in milliseconds */
+    interval?: number
+    /** how long the height may stay the same before a stalled event is emitted, in milliseconds */
+    stallTimeout?: number
+    /** the height of the first block emitted, defaults to the block after the top of the chain when the watcher starts */
+    fromHeight?: number
+    /** how many of the most recent blocks are kept to be reported as detached */
+    maxDepth?: number
+    /** whether polling starts immediately */
+    autoStart?: boolean
+  }
+
+  /** Reorganization */
+  interface Reorganization {
+    /** the height of the last block both chains share */
+    height: number
+    /** the blocks that left the chain, lowest first */
+    detached: XTCASHnetwork.BlockHeader[]
+    /** the blocks that replaced them, lowest first */
+    attached: XTCASHnetwork.BlockHeader[]
+  }
+
+  /** Stall */
+  interface Stall {
+    /** the height of the last block seen */
+    height: number
+    /** the timestamp at which that block was seen, in milliseconds */
+    since: number
+    /** how long the height has not moved, in milliseconds */
+    duration: number
+    /** the error of the last poll, when it failed, ie. the daemon cannot be reached */
+    error?: Error
+  }
+}
+
+/**
+ * Polls poolChanges and keeps a copy of the mempool, emitting an added
+ * event for every transaction that enters it and a removed event for every
+ * transaction that leaves it. The removed transactions are then looked up
+ * with transactionsStatus and a confirmed event is emitted for those that
+ * made it into a block. When the tail block is no longer the top of the
+ * chain the whole pool is requested again and compared with the copy.
+ */
+declare class MempoolWatcher extends EventEmitter {
+  client: any
+  interval: number
+  tailBlockHash: any
+  /**
+   * Initializes a new MempoolWatcher object, use XTCASHnetwork.watchMempool() instead
+   * @param client - the client to poll
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, opts?: MempoolWatcher.Options)
+  /** Whether the watcher is polling */
+  readonly running: boolean
+  /** The number of transactions in the copy of the pool */
+  readonly size: number
+  /**
+   * Returns the transactions in the copy of the pool
+   * @returns the transactions, in the order they were added
+   */
+  snapshot (): XTCASHnetwork.PoolChangesAdded[]
+  /** Starts polling the mempool */
+  start (): void
+  /** Stops polling, a poll in progress stops before emitting anything else */
+  stop (): void
+  /**
+   * Polls the mempool once. Errors are emitted as error events when there
+   * is a listener for them and polling carries on either way.
+   * @returns resolves once the changes found have been emitted
+   */
+  poll (): Promise<any>
+}
+
+declare namespace MempoolWatcher {
+  interface Options {
+    /** how often the mempool is polled, in milliseconds */
+    interval?: number
+    /** whether polling starts immediately */
+    autoStart?: boolean
+  }
+}
+
+/**
+ * Polls transactionsStatus for many transactions at once, with a single
+ * call per poll, and follows each one through its states: unknown, pool,
+ * block, confirmed once deep enough, or dropped when the daemon does not
+ * know it for longer than the timeout. A transaction back in the pool
+ * after a reorganization goes back to the pool state. Confirmed and dropped
+ * transactions are no longer polled. The block heights are looked up
+ * again whenever the top of the chain changes, so the confirmations follow
+ * the transactions into another block after a reorganization.
+ * Every change, including the number of confirmations, emits a change
+ * event, and every change of state also emits an event named after the
+ * new state.
+ */
+declare class TransactionTracker extends EventEmitter {
+  client: any
+  confirmations: number
+  timeout: number
+  interval: number
+  maxFailures: number
+  /**
+   * Initializes a new TransactionTracker object, use XTCASHnetwork.trackTransactions() instead
+   * @param client - the client to poll
+   * @param hashes - the hashes of the transactions to track
+   * @param opts - Configuration options
+   */
+  constructor (client: XTCASHnetwork, hashes?: string[], opts?: TransactionTracker.Options)
+  /** Whether the tracker is polling */
+  readonly running: boolean
+  /**
+   * Starts tracking more transactions, the ones already tracked are left as they are
+   * @param hashes - the transaction hashes
+   */
+  track (hashes: string | string[]): void
+  /**
+   * Returns the state of a transaction
+   * @param hash - the transaction hash
+   * @returns the state, if the transaction is tracked
+   */
+  status (hash: string): TransactionTracker.TransactionState | undefined
+  /**
+   * Returns the state of every transaction tracked
+   * @returns the states
+   */
+  statuses (): TransactionTracker.TransactionState[]
+  /**
+   * Waits for a transaction to reach a number of confirmations, tracking it if it is not yet
+   * @param hash - the transaction hash
+   * @param confirmations - the number of confirmations, defaults to the confirmations option
+   * @param opts - Options
+   * @returns resolves with the state of the transaction or rejects with a TransactionDroppedError, an AbortError or the error of the last poll once maxFailures polls in a row failed
+   */
+  waitForConfirmations (hash: string, confirmations?: number, opts?: { signal?: AbortSignal }): Promise<TransactionTracker.TransactionState>
+  /** Starts polling the transactions */
+  start (): void
+  /**
+   * Stops polling, a poll in progress stops before emitting anything else.
+   * Pending waitForConfirmations() calls stay pending until polling starts again.
+   */
+  stop (): void
+  /**
+   * Polls the transactions still tracked once. Errors are emitted as error
+   * events when there is a listener for them and polling carries on either
+   * way. Once maxFailures polls in a row failed, the pending
+   * waitForConfirmations() calls reject with the last error.
+   * @returns resolves once the changes found have been emitted
+   */
+  poll (): Promise<any>
+}
+
+declare namespace TransactionTracker {
+  interface Options {
+    /** the number of confirmations after which a transaction is confirmed */
+    confirmations?: number
+    /** how long a transaction may stay unknown to the daemon before it is dropped, in milliseconds */
+    timeout?: number
+    /** how often the transactions are polled, in milliseconds */
+    interval?: number
+    /** how many polls in a row may fail before the pending waitForConfirmations() calls reject with the last error, polling carries on */
+    maxFailures?: number
+    /** whether polling starts immediately */
+    autoStart?: boolean
+  }
+
+  /** Transaction State */
+  interface TransactionState {
+    /** the transaction hash */
+    hash: string
+    /** unknown, pool, block, confirmed or dropped */
+    state: string
+    /** the state before the last change */
+    previousState?: string
+    /** the height of the block holding the transaction */
+    height?: number
+    /** the number of blocks on top of and including that block, 0 until mined */
+    confirmations: number
+    /** the timestamp at which the transaction entered its state, in milliseconds */
+    since: number
+  }
+}
+
+export declare class XTCASHnetwork extends RPCClient {
+  static readonly READ_ONLY_METHODS: string[]
+  static readonly HIGH_PRIORITY_METHODS: string[]
+  host: string
+  port: number
+  timeout: number
+  ssl: boolean
+  userAgent: string
+  retry: RetryPolicy | boolean
+  priorityMethods: string[]
+  batchSize: number
+  cache: ResponseCache
+  /**
+   * Initializes a new XTCASHnetwork object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: XTCASHnetwork.Options)
+  /**
+   * Starts a new JSON-RPC batch. Calls queued on the batch are sent together
+   * when execute() is called, ie. daemon.batch().blockHeaderByHeight(1).blockHeaderByHeight(2).execute()
+   * @param opts - the batch options
+   * @returns a new batch
+   */
+  batch (opts?: { batchSize?: number }): Batch
+  /**
+   * Walks the chain block by block, paging through queryblocksdetailed (or
+   * queryblockslite) and keeping track of the block hash checkpoints, ie.
+   * for await (const block of daemon.streamBlocks({ fromHeight: 1000 })) { ... }
+   * @param opts - the stream options
+   * @returns an async iterator of the blocks
+   */
+  streamBlocks (opts?: { fromHeight?: number; fromTimestamp?: number; toHeight?: number; detailed?: boolean; wait?: boolean; pollInterval?: number; blockCount?: number; signal?: AbortSignal }): BlockStream
+  /**
+   * Syncs through walletSyncData block by block, keeping the block hash
+   * checkpoints up to date and persisting them in the state store so that
+   * a restart resumes where it left off, ie.
+   * for await (const block of daemon.syncWalletData({ stateStore: new JsonFileStore({ path: 'sync.json' }) })) { ... }
+   * @param opts - the sync options
+   * @returns an async iterator of the blocks
+   */
+  syncWalletData (opts?: { startHeight?: number; startTimestamp?: number; skipCoinbaseTransactions?: boolean; stateStore?: { [key: string]: any }; wait?: boolean; pollInterval?: number; signal?: AbortSignal }): WalletSyncStream
+  /**
+   * Fetches the block headers of a range of heights with a bounded number
+   * of calls in flight, in height order, either as an async iterator or as
+   * an array. The block hashes are read from the blockShortHeaders windows,
+   * one call per 30 heights, and the headers looked up by those hashes,
+   * ie. daemon.blockHeadersRange(1, 10000, { concurrency: 8 }).toArray()
+   * @param start - the first height
+   * @param end - the last height, inclusive
+   * @param opts - the fetch options
+   * @returns an async iterator of the headers
+   */
+  blockHeadersRange (start: number, end: number, opts?: { concurrency?: number; short?: boolean; onProgress?: (...args: any[]) => any; signal?: AbortSignal }): RangeFetcher
+  /**
+   * Fetches the block summaries of a range of heights with a bounded number
+   * of calls in flight, in height order, either as an async iterator or as
+   * an array. The block hashes are read from the blockShortHeaders windows,
+   * one call per 30 heights, ie. daemon.blocksRange(1, 100).toArray()
+   * @param start - the first height
+   * @param end - the last height, inclusive
+   * @param opts - the fetch options
+   * @returns an async iterator of the block summaries
+   */
+  blocksRange (start: number, end: number, opts?: { concurrency?: number; onProgress?: (...args: any[]) => any; signal?: AbortSignal }): RangeFetcher
+  /**
+   * Polls the top of the chain and emits a block event for every new block
+   * header, a reorg event when the chain switches to a fork and a stalled
+   * event when the height stops moving, ie.
+   * daemon.watchChain({ interval: 5000 }).on('block', (header) => { ... })
+   * @param opts - the watcher options
+   * @returns the watcher
+   */
+  watchChain (opts?: { interval?: number; stallTimeout?: number; fromHeight?: number; maxDepth?: number; autoStart?: boolean }): ChainWatcher
+  /**
+   * Polls poolChanges and keeps a copy of the mempool, emitting added,
+   * removed and confirmed events for its transactions, ie.
+   * daemon.watchMempool().on('added', (tx) => { ... })
+   * @param opts - the watcher options
+   * @returns the watcher
+   */
+  watchMempool (opts?: { interval?: number; autoStart?: boolean }): MempoolWatcher
+  /**
+   * Follows transactions through transactionsStatus, with a single call per
+   * poll for all of them, emitting their state changes, ie.
+   * daemon.trackTransactions([hash]).on('change', (status) => { ... })
+   * @param hashes - the hashes of the transactions to track
+   * @param opts - the tracker options
+   * @returns the tracker
+   */
+  trackTransactions (hashes: string[], opts?: { confirmations?: number; timeout?: number; interval?: number; maxFailures?: number; autoStart?: boolean }): TransactionTracker
+  /**
+   * Waits for a transaction to reach a number of confirmations
+   * @param hash - the transaction hash
+   * @param confirmations - the number of confirmations
+   * @param opts - the tracker options
+   * @returns resolves with the state of the transaction or rejects with a TransactionDroppedError, an AbortError or the error of the last poll
+   */
+  waitForConfirmations (hash: string, confirmations?: number, opts?: { timeout?: number; interval?: number; maxFailures?: number; signal?: AbortSignal }): Promise<TransactionTracker.TransactionState>
+  /**
+   * Returns information on a single block by hash
+   * @param hash - the hash of the block to retrieve
+   * @param callOpts - per-call options
+   * @returns resolves with block summary or rejects with error
+   */
+  block (hash: string, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.BlockSummary>
+  /**
+   * Gets the current block count
+   * @param callOpts - per-call options
+   * @returns resolves with the current block count or rejects with error
+   */
+  blockCount (callOpts?: RPCClient.CallOptions): Promise<number>
+  /**
+   * Gets the block header
+   * @param hash - the hash of the block to retrieve
+   * @param callOpts - per-call options
+   * @returns resolves with block header or rejects with error
+   */
+  blockHeaderByHash (hash: string, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.BlockHeader>
+  /**
+   * Gets the block header
+   * @param height - the height of the block to retrieve
+   * @param callOpts - per-call options
+   * @returns resolves with block header or rejects with error
+   */
+  blockHeaderByHeight (height: number, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.BlockHeader>
+  /**
+   * Gets the summary block information for the last 30 blocks before height (inclusive)
+   * @param height - the height of the block to retrieve
+   * @param callOpts - per-call options
+   * @returns resolves with block short headers or rejects with error
+   */
+  blockShortHeaders (height: number, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.BlockShortHeader[]>
+  /**
+   * Returns up to 100 blocks. If blockHashes are given, it will return beginning from the height of the first hash it finds, plus one.
+   * However, if timestamp is given, and this value is higher than the blockHashes, it will start returning from that height instead.
+   * The blockHashes should be given with the highest block height hashes first.
+   * First 10 blocks hashes go sequential, next in pow(2,n) offset, like 2, 4, 8, 16, 32, 64 and so on, and the last one is always genesis block
+   * Typical usage: specify a start timestamp initially, and from then on, also provide the returned block hashes.
+   * @param opts - the options to use when syncing
+   * @param callOpts - per-call options
+   * @returns resolves with blocks detail information or rejects with error
+   */
+  blocksDetailed (opts?: { timestamp?: number; blockHashes?: string[]; blockCount?: number }, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.BlocksDetailedResponse>
+  /**
+   * Returns up to 100 blocks. If blockHashes are given, it will return beginning from the height of the first hash it finds, plus one.
+   * However, if timestamp is given, and this value is higher than the blockHashes, it will start returning from that height instead.
+   * The blockHashes should be given with the highest block height hashes first.
+   * First 10 blocks hashes go sequential, next in pow(2,n) offset, like 2, 4, 8, 16, 32, 64 and so on, and the last one is always genesis block
+   * Typical usage: specify a start timestamp initially, and from then on, also provide the returned block hashes.
+   * @param opts - the options to use when syncing
+   * @param callOpts - per-call options
+   * @returns resolves with block information or rejects with error
+   */
+  blocksLite (opts?: { timestamp?: number; blockHashes?: string[] }, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.BlocksLiteResponse>
+  /**
+   * Gets the block template using the supplied parameters
+   * @param walletAddress - the wallet address for the block template
+   * @param reserveSize - the amount of block template reserve space to generate
+   * @param callOpts - per-call options
+   * @returns resolves with block template response or rejects with error
+   */
+  blockTemplate (walletAddress: string, reserveSize: number, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.BlockTemplateResponse>
+  /**
+   * Retrieves the node fee in atomic units
+   * @param callOpts - per-call options
+   * @returns resolves with node fee information or rejects with error
+   */
+  fee (callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.NodeFee>
+  /**
+   * Returns the global output indexes of the transaction
+   * @param transactionHash - the hash of the transaction to retrieve
+   * @param callOpts - per-call options
+   * @returns resolves with indexes global output indexes or rejects with error
+   */
+  globalIndexes (transactionHash: string, callOpts?: RPCClient.CallOptions): Promise<number[]>
+  /**
+   * Returns the global indexes for any transactions in the range [startHeight .. endHeight]. Generally, you only want the global index for a specific transaction, however, this reveals that you probably are the recipient of this transaction. By supplying a range of blocks, you can obfusticate which transaction you are enquiring about.
+   * @param startHeight - The height to begin returning indices from
+   * @param endHeight - The height to end returning indices from
+   * @param callOpts - per-call options
+   * @returns resolves with global indexes information or rejects with error
+   */
+  globalIndexesForRange (startHeight: number, endHeight: number, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.GlobalIndexesResponse[]>
+  /**
+   * Returns the current daemon height statistics
+   * @param callOpts - per-call options
+   * @returns resolves with node height information or rejects with error
+   */
+  height (callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.NodeHeight>
+  /**
+   * Returns the current daemon information
+   * @param callOpts - per-call options
+   * @returns resolves with node information or rejects with error
+   */
+  info (callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.NodeInfo>
+  /**
+   * Retrieves the last block header
+   * @param callOpts - per-call options
+   * @returns resolves with block header or rejects with error
+   */
+  lastBlockHeader (callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.BlockHeader>
+  /**
+   * Returns the current daemon peers
+   * @param callOpts - per-call options
+   * @returns resolves with node peer information or rejects with error
+   */
+  peers (callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.NodePeers>
+  /**
+   * Returns updates regarding the transaction mempool
+   * @param tailBlockHash - the last known block hash
+   * @param knownTransactionHashes - the transaction hashes that we know of
+   * @param callOpts - per-call options
+   * @returns resolves with pool change information or rejects with error
+   */
+  poolChanges (tailBlockHash: string, knownTransactionHashes: string[], callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.PoolChanges>
+  /**
+   * Retrieves random outputs for mixing
+   * @param opts - the options to use when retrieving outputs
+   * @param callOpts - per-call options
+   * @returns resolves with random outputs information or rejects with error
+   */
+  randomOutputs (opts: { amounts: number[]; mixin: number }, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.RandomOutputsResponse>
+  /**
+   * Get raw blocks
+   * @param blockHashes - first 10 blocks id goes sequential, next goes in pow(2,n) offset, like 2, 4, 8, 16, 32, 64 and so on, and the last one is always genesis block
+   * @param blockCount - the number of blocks to retrieve
+   * @param callOpts - per-call options
+   * @returns resolves with raw blocks information or rejects with error
+   */
+  rawBlocks (blockHashes: string[], blockCount?: number, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.RawBlocksResponse>
+  /**
+   * Sends a raw transaction to the daemon
+   * @param transaction - the raw transaction
+   * @param callOpts - per-call options
+   * @returns resolves with send raw transaction information or rejects with error
+   */
+  sendRawTransaction (transaction: string, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.SendRawTransactionResponse>
+  /**
+   * Sends a new block for the chain to the daemon
+   * @param blockBlob - the raw block blob
+   * @param callOpts - per-call options
+   * @returns resolves with submit block response or rejects with error
+   */
+  submitBlock (blockBlob: string, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.SubmitBlockResponse>
+  /**
+   * Retrieves a single transaction's information
+   * @param hash - the transaction hash
+   * @param callOpts - per-call options
+   * @returns resolves with transaction response or rejects with error
+   */
+  transaction (hash: string, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.TransactionResponse>
+  /**
+   * Retrieves the summary information of the transactions in the mempool
+   * @param callOpts - per-call options
+   * @returns resolves with the transaction summaries or rejects with error
+   */
+  transactionPool (callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.TransactionSummary[]>
+  /**
+   * Returns the status of the transaction hashes provided
+   * @param opts - the options to use when checking
+   * @param callOpts - per-call options
+   * @returns resolves with the transactions statuses or rejects with error
+   */
+  transactionsStatus (opts: { transactionHashes: string[] }, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.TransactionsStatusResponse>
+  /**
+   * Returns up to 100 blocks. If block hash checkpoints are given, it will return beginning from the height of the first hash it finds, plus one.
+   * However, if startHeight or startTimestamp is given, and this value is higher than the block hash checkpoints, it will start returning from that height instead.
+   * The block hash checkpoints should be given with the highest block height hashes first.
+   * Typical usage: specify a start height/timestamp initially, and from then on, also provide the returned block hashes.
+   * @param opts - the options to use when syncing
+   * @param callOpts - per-call options
+   * @returns resolves with sync data response or rejects with error
+   */
+  walletSyncData (opts?: { startHeight?: number; startTimestamp?: number; blockHashCheckpoints?: string[]; skipCoinbaseTransactions?: boolean }, callOpts?: RPCClient.CallOptions): Promise<XTCASHnetwork.WalletSyncDataResponse>
+}
+
+export declare namespace XTCASHnetwork {
+  interface Options extends RPCClient.Options {
+    /** the address of the daemon */
+    host?: string
+    /** the RPC port number of the daemon */
+    port?: number
+    /** the timeout to use during RPC calls */
+    timeout?: number
+    /** whether the daemon uses SSL (HTTPS) or not */
+    ssl?: boolean
+    /** the user agent string to use with requests */
+    userAgent?: string
+    /** the transport to use for requests, defaults to a keep-alive HttpTransport shared by all clients */
+    transport?: { [key: string]: any }
+    /** the RetryPolicy options to use, or false to disable retries. By default only the methods in XTCASHnetwork.READ_ONLY_METHODS are retried */
+    retry?: ({ [key: string]: any }) | boolean
+    /** the maximum number of calls sent in a single JSON-RPC batch request */
+    batchSize?: number
+    /** the ResponseCache options, or a ResponseCache shared with other clients of the same chain, to cache immutable chain data */
+    cache?: ({ [key: string]: any }) | ResponseCache
+    /** the Limiter options, or a Limiter shared with other clients, that caps the requests in flight and per second */
+    limit?: ({ [key: string]: any }) | Limiter
+    /** the methods that skip ahead of queued calls, defaults to XTCASHnetwork.HIGH_PRIORITY_METHODS */
+    priorityMethods?: string[]
+    /** whether to check every result against its documented type and reject with a ResponseValidationError when it does not match */
+    strict?: boolean
+    /** the MetricsRegistry options, or a MetricsRegistry shared with other clients, that collects the call metrics, or false to collect none */
+    metrics?: ({ [key: string]: any }) | MetricsRegistry | boolean
+  }
+
+  /** Transaction Summary */
+  interface TransactionSummary {
+    /** the amount of the transaction */
+    amount_out: number
+    /** the fee of the transaction */
+    fee: number
+    /** the hash of the transaction */
+    hash: string
+    /** the size of the transaction */
+    size: number
+  }
+
+  /** Block Summary */
+  interface BlockSummary {
+    /** the number of already generated coins */
+    alreadyGeneratedCoins: number
+    /** the number of already generated transactions */
+    alreadyGeneratedTransactions: number
+    /** the block base reward */
+    baseReward: number
+    /** the block size */
+    blockSize: number
+    /** the depth of the block in the chain (aka. confirmations) */
+    depth: number
+    /** the block difficulty */
+    difficulty: number
+    /** the effective median size of the blocks */
+    effectiveSizeMedian: number
+    /** the block hash */
+    hash: string
+    /** the block height */
+    height: number
+    /** the block major version */
+    major_version: number
+    /** the block minor version */
+    minor_version: number
+    /** the block nonce */
+    nonce: number
+    /** whether the block is an orphan */
+    orphan_status: boolean
+    /** the block penalty */
+    penalty: number
+    /** the previous block hash */
+    prev_hash: string
+    /** the block reward */
+    reward: number
+    /** the median block size */
+    sizeMedian: number
+    /** the block timestamp */
+    timestamp: number
+    /** the total amount of fees in the block */
+    totalFeeAmount: number
+    transactions: XTCASHnetwork.TransactionSummary[]
+    /** the total size of the transactions in the block */
+    transactionsCumulativeSize: number
+  }
+
+  /** The body of the f_block_json response */
+  interface BlockSummaryBody {
+    /** the JSON-RPC result */
+    result: {
+      /** the block summary */
+      block: XTCASHnetwork.BlockSummary
+    }
+  }
+
+  /** The body of the getblockcount response */
+  interface BlockCountBody {
+    /** the JSON-RPC result */
+    result: {
+      /** the current block count */
+      count: number
+    }
+  }
+
+  /** Block Header */
+  interface BlockHeader {
+    /** the block size */
+    block_size: number
+    /** the depth of the block in the chain (aka. confirmations) */
+    depth: number
+    /** the block difficulty */
+    difficulty: number
+    /** the block hash */
+    hash: string
+    /** the block height */
+    height: number
+    /** the block major version */
+    major_version: number
+    /** the block minor version */
+    minor_version: number
+    /** the block nonce */
+    nonce: number
+    /** the number of transactions in the block */
+    num_txes: number
+    /** whether the block is an orphan */
+    orphan_status: boolean
+    /** the previous block hash */
+    prev_hash: string
+    /** the block reward */
+    reward: number
+    /** the block timestampe total size of the transactions in the block */
+    timestamp: number
+  }
+
+  /** The body of the getblockheaderbyhash, getblockheaderbyheight and getlastblockheader responses */
+  interface BlockHeaderBody {
+    /** the JSON-RPC result */
+    result: {
+      /** the block header */
+      block_header: XTCASHnetwork.BlockHeader
+    }
+  }
+
+  /** Block Short Summary */
+  interface BlockShortHeader {
+    /** the total size of the block */
+    cumul_size: number
+    /** the difficulty of the block */
+    difficulty: number
+    /** the block hash */
+    hash: string
+    /** the height of the block */
+    height: number
+    /** the timestamp of the block */
+    timestamp: number
+    /** the number of transactions in the block */
+    tx_count: number
+  }
+
+  /** The body of the f_blocks_list_json response */
+  interface BlockShortHeadersBody {
+    /** the JSON-RPC result */
+    result: {
+      /** the block short headers */
+      blocks: XTCASHnetwork.BlockShortHeader[]
+    }
+  }
+
+  /** Transaction Extra Detail */
+  interface TransactionExtraDetail {
+    /** the nonce */
+    nonce?: number[]
+    /** the public key */
+    publicKey: string
+    /** the raw transaction extra */
+    raw: string
+  }
+
+  interface TransactionDetailInputCoinbaseInput {
+    /** the height of the block */
+    height: number
+  }
+
+  interface TransactionDetailInputCoinbase {
+    /** the amount of the input */
+    amount: number
+    /** the input */
+    input: XTCASHnetwork.TransactionDetailInputCoinbaseInput
+  }
+
+  interface TransactionDetailInputKeyOutput {
+    /** the output index of the output used */
+    number: number
+    /** the transaction hash of the output */
+    transactionHash: string
+  }
+
+  interface TransactionDetailInputKeyInput {
+    /** the amount of the input */
+    amount: number
+    /** the key image of the input */
+    k_image: string
+    /** the key offsets of the input */
+    key_offsets: number[]
+  }
+
+  interface TransactionDetailInputKey {
+    /** the input */
+    input: XTCASHnetwork.TransactionDetailInputKeyInput
+    /** the ring size */
+    mixin: number
+    /** the related output information */
+    output: XTCASHnetwork.TransactionDetailInputKeyOutput
+  }
+
+  /** Transaction Detail Input */
+  interface TransactionDetailInput {
+    /** the input data */
+    data: XTCASHnetwork.TransactionDetailInputCoinbase | XTCASHnetwork.TransactionDetailInputKey
+    /** the input type */
+    type: string
+  }
+
+  /** Transaction Output Target Data */
+  interface TransactionOutputTargetData {
+    /** the output key */
+    key: string
+  }
+
+  /** Transaction Output Target */
+  interface TransactionOutputTarget {
+    /** output data structure */
+    data: XTCASHnetwork.TransactionOutputTargetData
+    /** the output type */
+    type: string
+  }
+
+  /** Transaction Output */
+  interface TransactionOutput {
+    /** the amount of the output */
+    amount: number
+    /** the output target */
+    target: XTCASHnetwork.TransactionOutputTarget
+  }
+
+  /** Transaction Detail Output */
+  interface TransactionDetailOutput {
+    /** the global index of the output */
+    globalIndex: number
+    /** The transaction output */
+    output: XTCASHnetwork.TransactionOutput
+  }
+
+  /** Transaction Details */
+  interface TransactionDetail {
+    /** the block hash */
+    blockHash: string
+    /** the block index (aka. height) */
+    blockIndex: number
+    /** the transaction extra */
+    extra: XTCASHnetwork.TransactionExtraDetail
+    /** the transaction fee */
+    fee: number
+    /** the transaction hash */
+    hash: string
+    /** whether the transaction is in the blockchain */
+    inBlockchain: boolean
+    /** the inputs of the transaction */
+    inputs: XTCASHnetwork.TransactionDetailInput[]
+    /** the number of transaction mixins */
+    mixin: number
+    /** the outputs of the transaction */
+    outputs: XTCASHnetwork.TransactionDetailOutput[]
+    /** the payment ID of the transaction */
+    paymentId: string
+    /** the signatures of the transaction */
+    signatures: string[]
+    /** the size of the signatures */
+    signaturesSize: number
+    /** the transaction size */
+    size: number
+    /** the transaction timestamp */
+    timestamp: number
+    /** the total amount of the transaction's inputs */
+    totalInputsAmount: number
+    /** the total amount of the transaction's outputs */
+    totalOutputsAmount: number
+    /** the unlock time/block of the transaction */
+    unlockTime: number
+  }
+
+  /** Block Details */
+  interface BlockDetails {
+    /** the number of already generated coins */
+    alreadyGeneratedCoins: number
+    /** the number of already generated transactions */
+    alreadyGeneratedTransactions: number
+    /** the block base reward */
+    baseReward: number
+    /** the block size */
+    blockSize: number
+    /** the depth of the block in the chain (aka. confirmations) */
+    depth: number
+    /** the block difficulty */
+    difficulty: number
+    /** the block hash */
+    hash: string
+    /** the block index (aka. height) */
+    index: number
+    /** the block major version */
+    majorVersion: number
+    /** the block minor version */
+    minorVersion: number
+    /** the block nonce */
+    nonce: number
+    /** the previous block hash */
+    prevBlockHash: string
+    /** the block reward */
+    reward: number
+    /** the median block size */
+    sizeMedian: number
+    /** the block timestamp */
+    timestamp: number
+    /** the total amount of fees in the block */
+    totalFeeAmount: number
+    transactions: XTCASHnetwork.TransactionDetail[]
+    /** the total size of the transactions in the block */
+    transactionsCumulativeSize: number
+  }
+
+  /** Query Blocks Detailed Response */
+  interface BlocksDetailedResponse {
+    /** the blocks */
+    blocks: XTCASHnetwork.BlockDetails[]
+    /** the current height of the blockchain */
+    currentHeight: number
+    fullOffset: number
+    /** the height at which this response starts */
+    startHeight: number
+    /** the response status */
+    status: string
+  }
+
+  interface BlockLiteTransaction {
+    /** the transaction hash */
+    hash: string
+    /** the transaction prefix */
+    prefix: XTCASHnetwork.TransactionPrefix
+  }
+
+  interface BlockLite {
+    /** the hexadecimcal representation of the block */
+    block: string
+    /** the block hash */
+    hash: string
+    /** the transactions in the block */
+    transactions: XTCASHnetwork.BlockLiteTransaction[]
+  }
+
+  interface BlocksLiteResponse {
+    /** the current height */
+    currentHeight: number
+    /** the full offset height */
+    fullOffset: number
+    /** the block data */
+    items: XTCASHnetwork.BlockLite[]
+    /** the height the response starts from */
+    startHeight: number
+    /** the status of the request */
+    status: string
+  }
+
+  /** A transaction as the daemon sends it in the queryblockslite and get_pool_changes_lite responses */
+  interface TransactionPrefixInfo {
+    /** the transaction hash */
+    'transactionPrefixInfo.txHash': string
+    /** the transaction prefix */
+    'transactionPrefixInfo.txPrefix': XTCASHnetwork.TransactionPrefix
+  }
+
+  /** A block as the daemon sends it in the queryblockslite response */
+  interface BlockShortInfo {
+    /** the bytes of the block */
+    'blockShortInfo.block': number[]
+    /** the block hash */
+    'blockShortInfo.blockId': string
+    /** the transactions in the block */
+    'blockShortInfo.txPrefixes': XTCASHnetwork.TransactionPrefixInfo[]
+  }
+
+  /** The body of the queryblockslite response */
+  interface BlocksLiteBody {
+    /** the current height */
+    currentHeight: number
+    /** the full offset height */
+    fullOffset: number
+    /** the block data */
+    items: XTCASHnetwork.BlockShortInfo[]
+    /** the height the response starts from */
+    startHeight: number
+    /** the status of the request */
+    status: string
+  }
+
+  /** Block Template Response */
+  interface BlockTemplateResponse {
+    /** the raw block template */
+    blocktemplate_blob: string
+    /** the target difficulty */
+    difficulty: number
+    /** the block height */
+    height: number
+    /** the reserved offset location in the raw block template */
+    reserved_offset: number
+    /** the response status */
+    status: string
+  }
+
+  /** Node Fee Response */
+  interface NodeFee {
+    /** the node fee address */
+    address: string
+    /** the node fee amount */
+    amount: number
+    /** the response status */
+    status: string
+  }
+
+  /** Global Indexes Range Response */
+  interface GlobalIndexesResponse {
+    /** the transaction hash */
+    key: string
+    /** the global output indexes */
+    value: number[]
+  }
+
+  /** Node Height Response */
+  interface NodeHeight {
+    /** the current height of the node */
+    height: number
+    /** the observed network height */
+    network_height: number
+    /** the response status */
+    status: string
+  }
+
+  /** Node Info Response */
+  interface NodeInfo {
+    /** the number of alternate blocks the node knows about */
+    alt_blocks_count: number
+    /** the current network difficulty */
+    difficulty: number
+    /** the number of currently gray listed peers */
+    grey_peerlist_size: number
+    /** the network hash rate */
+    hashrate: number
+    /** the current height of the node */
+    height: number
+    /** the number of incoming connections to the node */
+    incoming_connections_count: number
+    /** the last known block index */
+    last_known_block_index: number
+    /** the current block major version */
+    major_version: number
+    /** the current block minor version */
+    minor_version: number
+    /** the observed network height */
+    network_height: number
+    /** the number of outgoing connections from the node */
+    outgoing_connections_count: number
+    /** the timestamp of when the node was started */
+    start_time: number
+    /** the response status */
+    status: string
+    /** the height as which the code the node is running is supported until */
+    supported_height: number
+    /** whether the node is fully synced with the network or not */
+    synced: boolean
+    /** the number of transactions the node knows of */
+    tx_count: number
+    /** the number of transactions in the node's mempool */
+    tx_pool_size: number
+    /** the list of upgrade heights the node is aware of */
+    upgrade_heights: number[]
+    /** the version number of the node software */
+    version: string
+    /** the number of currently whitelisted peers */
+    white_peerlist_size: number
+  }
+
+  /** Node Peers Response */
+  interface NodePeers {
+    /** graylisted peers */
+    gray_peers: string[]
+    /** peers */
+    peers: string[]
+    /** the response status */
+    status: string
+  }
+
+  interface PoolChangesAdded {
+    /** the transaction hash */
+    hash: string
+    /** the transaction prefix */
+    prefix: XTCASHnetwork.TransactionPrefix
+  }
+
+  interface PoolChanges {
+    /** the recently added pool transactions */
+    addedTxs: XTCASHnetwork.PoolChangesAdded[]
+    /** the transaction hashes of transactions removed from the pool */
+    deletedTxsIds: string[]
+    /** whether the tail block hash supplied is really the top */
+    isTailBlockActual: boolean
+    /** the status of the request */
+    status: string
+  }
+
+  /** The body of the get_pool_changes_lite response */
+  interface PoolChangesBody {
+    /** the recently added pool transactions */
+    addedTxs: XTCASHnetwork.TransactionPrefixInfo[]
+    /** the transaction hashes of transactions removed from the pool */
+    deletedTxsIds: string[]
+    /** whether the tail block hash supplied is really the top */
+    isTailBlockActual: boolean
+    /** the status of the request */
+    status: string
+  }
+
+  /** A Random Output */
+  interface RandomOutput {
+    /** the output global index */
+    global_amount_index: number
+    /** the output key */
+    out_key: string
+  }
+
+  /** A Random Outs object */
+  interface RandomOuts {
+    /** the amount of the output */
+    amount: number
+    /** a list of random outputs */
+    outs: XTCASHnetwork.RandomOutput[]
+  }
+
+  /** Random Outputs Response */
+  interface RandomOutputsResponse {
+    /** a list of random outs */
+    outs: XTCASHnetwork.RandomOuts[]
+    /** the response status */
+    status: string
+  }
+
+  /** A Raw Transaction */
+  interface RawTransaction {
+    /** the raw transaction hex */
+    transaction: string
+    /** the size of the transaction */
+    tx_size: number
+  }
+
+  /** A Raw Block */
+  interface RawBlock {
+    /** the raw block hex */
+    block: string
+    /** the size of the block */
+    block_size: number
+    /** a list of raw transactions */
+    transactions: XTCASHnetwork.RawTransaction[]
+    /** the number of transactions in the block */
+    tx_count: number
+  }
+
+  /** Get Blocks Fast Response */
+  interface RawBlocksResponse {
+    /** the raw blocks */
+    blocks: XTCASHnetwork.RawBlock[]
+    /** the current height of the blockchain */
+    current_height: number
+    /** the starting height of the blocks in the response */
+    start_height: number
+    /** the response status */
+    status: string
+  }
+
+  /** The body of the getblocks response */
+  interface RawBlocksBody {
+    /** the raw blocks */
+    'response.blocks': XTCASHnetwork.RawBlock[]
+    /** the current height of the blockchain */
+    'response.current_height': number
+    /** the starting height of the blocks in the response */
+    'response.start_height': number
+    /** the response status */
+    'response.status': string
+  }
+
+  /** Send Raw Transaction Response */
+  interface SendRawTransactionResponse {
+    /** the response status */
+    status: string
+    /** the error message if failed */
+    error?: string
+  }
+
+  /** Submit Block Response */
+  interface SubmitBlockResponse {
+    /** the response status */
+    status: string
+  }
+
+  interface VOUTTargetData {
+    /** the output target key */
+    key: string
+  }
+
+  interface VOUTTarget {
+    /** output target data */
+    data: XTCASHnetwork.VOUTTargetData
+    /** the output target type in hexadecimcal */
+    type: string
+  }
+
+  interface VOUT {
+    /** the amount of the output */
+    amount: number
+    /** the output target */
+    target: XTCASHnetwork.VOUTTarget
+  }
+
+  interface VIN {
+    /** the type of the input in hexadecimcal */
+    type: string
+    /** the input data */
+    value: {
+      /** the input amount */
+      amount: number
+      /** the input key image */
+      k_image: string
+      /** the input key offsets */
+      key_offsets: number[]
+    }
+  }
+
+  interface VINCoinbase {
+    /** the input type in hexadecimcal */
+    type: string
+    /** the input value */
+    value: {
+      /** the input height */
+      height: number
+    }
+  }
+
+  interface TransactionPrefix {
+    /** the transaction extra information as hexadecimcal */
+    extra: string
+    /** the transaction unlock time */
+    unlock_time: number
+    /** the transaction version number */
+    version: number
+    /** the transaction inputs */
+    vin: (XTCASHnetwork.VINCoinbase | XTCASHnetwork.VIN)[]
+    /** the transaction outputs */
+    vout: XTCASHnetwork.VOUT[]
+  }
+
+  interface TransactionMetadata {
+    /** the sum of the transaction outputs */
+    amount_out: number
+    /** the network fee of the transaction */
+    fee: number
+    /** the transaction hash */
+    hash: string
+    /** the transaction ring size */
+    mixin: number
+    /** the payment ID of the transaction if any */
+    paymentId: string
+    /** the size of the transaction in bytes */
+    size: number
+  }
+
+  interface TransactionResponse {
+    /** the header of the block containing the transaction */
+    block: XTCASHnetwork.BlockShortHeader
+    /** the status of the request */
+    status: string
+    /** the transaction structured information */
+    tx: XTCASHnetwork.TransactionPrefix
+    /** the transaction meta information */
+    txDetails: XTCASHnetwork.TransactionMetadata
+  }
+
+  /** The body of the f_transaction_json response */
+  interface TransactionBody {
+    /** the JSON-RPC result */
+    result: XTCASHnetwork.TransactionResponse
+  }
+
+  /** The body of the f_on_transactions_pool_json response */
+  interface TransactionPoolBody {
+    /** the JSON-RPC result */
+    result: {
+      /** the transactions in the mempool */
+      transactions: XTCASHnetwork.TransactionSummary[]
+    }
+  }
+
+  /** Transactions Status Response */
+  interface TransactionsStatusResponse {
+    /** transaction hashes that are in blocks */
+    transactionsInBlock: string[]
+    /** transaction hashes that are in the mempool */
+    transactionsInPool: string[]
+    /** unknown transaction hashes */
+    transactionsUnknown: string[]
+  }
+
+  interface WalletSyncTransactionOutput {
+    /** the output amount */
+    amount: number
+    /** the output key */
+    key: string
+  }
+
+  interface WalletSyncTransaction {
+    /** the transaction hash */
+    hash: string
+    /** the transaction inputs */
+    inputs?: XTCASHnetwork.TransactionDetailInputKeyInput[]
+    /** the transaction outputs */
+    outputs: XTCASHnetwork.WalletSyncTransactionOutput[]
+    /** the one-time public key of the transaction */
+    txPublicKey: string
+    /** the unlock time (or block) of the transaction */
+    unlockTime: number
+  }
+
+  interface WalletSyncDataBlock {
+    /** the block hash */
+    blockHash: string
+    /** the block height */
+    blockHeight: number
+    /** the block timestamp */
+    blockTimestamp: number
+    /** the block coinbase transaction */
+    coinbaseTX?: XTCASHnetwork.WalletSyncTransaction
+    /** the transactions in the block */
+    transactions: XTCASHnetwork.WalletSyncTransaction[]
+  }
+
+  interface WalletSyncDataTopBlock {
+    /** the top block hash */
+    hash: string
+    /** the top block height */
+    height: number
+  }
+
+  interface WalletSyncDataResponse {
+    /** block data array */
+    items: XTCASHnetwork.WalletSyncDataBlock[]
+    /** the reponse status message */
+    status: string
+    /** whether the request is fully synched */
+    synced: boolean
+    /** the top block information */
+    topBlock?: XTCASHnetwork.WalletSyncDataTopBlock
+  }
+}
+
+/**
+ * Spreads XTCASHnetwork calls over several daemons, sending each call to
+ * the healthiest node and failing read-only calls over to the next one
+ */
+export declare class XTCASHnetworkPool extends XTCASHnetwork {
+  probeInterval: number
+  maxHeightLag: number
+  maxLatency: number
+  requireSynced: boolean
+  ejectTime: number
+  failoverMethods: string[]
+  nodes: ({ [key: string]: any })[]
+  /**
+   * Initializes a new XTCASHnetworkPool object
+   * @param opts - Configuration options, also accepts every XTCASHnetwork option
+   */
+  constructor (opts: XTCASHnetworkPool.Options)
+  /**
+   * Returns a snapshot of the health of every node in the pool
+   * @returns the status of every node
+   */
+  status (): XTCASHnetworkPool.NodeStatus[]
+  /** Starts probing the health of the nodes periodically */
+  start (): void
+  /** Stops probing the health of the nodes */
+  stop (): void
+  /**
+   * Probes the health of every node once
+   * @returns resolves with the status of every node
+   */
+  probe (): Promise<XTCASHnetworkPool.NodeStatus[]>
+}
+
+export declare namespace XTCASHnetworkPool {
+  interface Options extends XTCASHnetwork.Options {
+    /** the daemons to use, each accepting the host, port, ssl and timeout XTCASHnetwork options */
+    nodes: ({ [key: string]: any })[]
+    /** how often the health of every node is checked */
+    probeInterval?: number
+    /** how many blocks a node may be behind the network height before it is ejected */
+    maxHeightLag?: number
+    /** how long a health probe may take before the node is ejected */
+    maxLatency?: number
+    /** whether nodes reporting that they are not synced are ejected */
+    requireSynced?: boolean
+    /** how long an ejected node sits out before it is tried again */
+    ejectTime?: number
+    /** the methods that fail over to the next node, defaults to XTCASHnetwork.READ_ONLY_METHODS */
+    failoverMethods?: string[]
+    /** whether the health probes start immediately */
+    autoStart?: boolean
+  }
+
+  /** Node Status */
+  interface NodeStatus {
+    /** the host:port of the node */
+    id: string
+    /** whether the node is currently receiving calls */
+    healthy: boolean
+    /** why the node was last ejected */
+    reason?: string
+    /** the timestamp until which the node sits out */
+    ejectedUntil: number
+    /** the height reported by the last probe */
+    height?: number
+    /** the network height reported by the last probe */
+    networkHeight?: number
+    /** whether the node reported itself synced in the last probe */
+    synced?: boolean
+    /** how long the last probe took in milliseconds */
+    latency?: number
+    /** the timestamp of the last probe */
+    lastProbe?: number
+    /** how many calls the node has served */
+    served: number
+    /** how many calls or probes to the node have failed */
+    failures: number
+  }
+}
+
+export declare class WalletAPI extends RPCClient {
+  static readonly READ_ONLY_METHODS: string[]
+  static readonly HIGH_PRIORITY_METHODS: string[]
+  host: string
+  port: number
+  timeout: number
+  ssl: boolean
+  password: string
+  defaultMixin: number
+  defaultFee: number
+  decimalDivisor: number
+  decimals: any
+  amountMode: string
+  defaultUnlockTime: number
+  userAgent: string
+  retry: RetryPolicy | boolean
+  priorityMethods: string[]
+  /**
+   * Initializes a new WalletAPI object
+   * @param opts - Configuration options
+   */
+  constructor (opts?: WalletAPI.Options)
+  /**
+   * Gets a list of all addresses in the wallet container
+   * @param callOpts - per-call options
+   * @returns resolves if success else rejects with error
+   */
+  addresses (callOpts?: RPCClient.CallOptions): Promise<WalletAPI.Addresses>
+  /**
+   * Get the balance for the entire wallet container or the specified address
+   * @param address - the wallet address to check or false for the entire container
+   * @param callOpts - per-call options
+   * @returns resolves if success else rejects with error
+   */
+  balance (address?: string, callOpts?: RPCClient.CallOptions): Promise<WalletAPI.Balance>
+  /**
+   * Get the balance for every address in the container
+   * @param callOpts - per-call options
+   * @returns resolves if success else rejects with error
+   */
+  balances (callOpts?: RPCClient.CallOptions): Promise<WalletAPI.Balance[]>
+  /**
+   * Closes the wallet container that is currently open
+   * @param callOpts - per-call options
+   * @returns resolves if success else rejects with error
+   */
+  close (callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Creates a new wallet container
+   * @param filename - the filename for the new wallet container
+   * @param password - the password for the wallet container
+   * @param host - the node to use for the wallet container
+   * @param port - the node port to use for the wallet container
+   * @param ssl - if the node uses SSL
+   * @param callOpts - per-call options
+   * @returns resolves if success else rejects with error
+   */
+  create (filename: string, password: string, host?: string, port?: number, ssl?: boolean, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Creates a new, random address in the wallet container
+   * @param callOpts - per-call options
+   * @returns resolves if success else rejects with error
+   */
+  createAddress (callOpts?: RPCClient.CallOptions): Promise<WalletAPI.Wallet>
+  /**
+   * Creates an integrated address from an address and payment ID
+   * @param address - the address to use to generate the integrated address
+   * @param paymentId - the payment ID to use to generate the integrated address
+   * @param callOpts - per-call options
+   * @returns resolves with the integrated address if success else rejects with error
+   */
+  createIntegratedAddress (address: string, paymentId: string, callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Deletes the given subwallet from the container
+   * @param address - the address to use to generate the integrated address
+   * @param callOpts - per-call options
+   * @returns resolves if success else rejects with error
+   */
+  deleteAddress (address: string, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Converts atomic units amounts to human readable amounts. Depending on
+   * amountMode the result is a number, an exact decimal string, or a bigint
+   * that stays in atomic units. Amounts that are not a whole number of
+   * atomic units are rejected in every mode.
+   * @param amount - the amount in atomic units
+   * @returns the amount in human readable form
+   */
+  fromAtomicUnits (amount: number | string | bigint): number | string | bigint
+  /**
+   * Gets the node address, port, fee, and fee address
+   * @param callOpts - per-call options
+   * @returns resolves if success else rejects with error
+   */
+  getNode (callOpts?: RPCClient.CallOptions): Promise<WalletAPI.NodeInfo>
+  /**
+   * Imports a subwallet with the given private spend key
+   * @param privateSpendKey - the private spend key of the wallet to import
+   * @param scanHeight - the height to start scanning from upon import
+   * @param callOpts - per-call options
+   * @returns results with the wallet address if success else rejects with error
+   */
+  importAddress (privateSpendKey: string, scanHeight?: number, callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Imports a new wallet container using the specified keys and optional params
+   * @param filename - the filename of the new wallet container
+   * @param password - the password of the new wallet container
+   * @param privateViewKey - the private view key to import
+   * @param privateSpendKey - the private spend key to import
+   * @param scanHeight - the height to import the wallet from
+   * @param host - the host of the node to use
+   * @param port - the port of the node to use
+   * @param ssl - whether the node uses SSL
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  importKey (filename: string, password: string, privateViewKey: string, privateSpendKey: string, scanHeight?: number, host?: string, port?: number, ssl?: boolean, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Imports a new wallet container using the specified keys and optional params
+   * @param filename - the filename of the new wallet container
+   * @param password - the password of the new wallet container
+   * @param mnemonicSeed - the mnemonic seed of the wallet to import
+   * @param scanHeight - the height to import the wallet from
+   * @param host - the host of the node to use
+   * @param port - the port of the node to use
+   * @param ssl - whether the node uses SSL
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  importSeed (filename: string, password: string, mnemonicSeed: string, scanHeight?: number, host?: string, port?: number, ssl?: boolean, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Imports a view only subwallet with the given publicSpendKey
+   * @param publicSpendKey - the public spend key of the subwallet to import
+   * @param scanHeight - the height to import the wallet from
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  importViewAddress (publicSpendKey: string, scanHeight?: number, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Imports a new view-only wallet container using the specified key and optional params
+   * @param filename - the filename of the new wallet container
+   * @param password - the password of the new wallet container
+   * @param privateViewKey - the private view key to import
+   * @param address - the wallet address
+   * @param scanHeight - the height to import the wallet from
+   * @param host - the host of the node to use
+   * @param port - the port of the node to use
+   * @param ssl - whether the node uses SSL
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  importViewOnly (filename: string, password: string, privateViewKey: string, address: string, scanHeight?: number, host?: string, port?: number, ssl?: boolean, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Gets the wallet containers shared private view key, or if the address is specified, returns the public and private spend keys for the given address
+   * @param address - the wallet address
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  keys (address?: string, callOpts?: RPCClient.CallOptions): Promise<string | WalletAPI.Wallet>
+  /**
+   * Gets the mnemonic seed for the given address, if possible
+   * @param address - the wallet address
+   * @param callOpts - per-call options
+   * @returns resolves with the mnemonic seed upon success else rejects with error
+   */
+  keysMnemonic (address: string, callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Creates a new output destination object
+   * @param address - the address of the recipient
+   * @param amount - the human readable amount to send to the recipient, or a bigint in atomic units
+   * @returns a transfer destination object
+   */
+  newDestination (address: string, amount: number | string | bigint): WalletAPI.TransferDestination
+  /**
+   * Open an already existing wallet
+   * @param filename - the filename of the wallet container
+   * @param password - the password of the wallet container
+   * @param host - the host of the node to use
+   * @param port - the port of the node to use
+   * @param ssl - whether the node uses SSL
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  open (filename: string, password: string, host?: string, port?: number, ssl?: boolean, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Gets the primary address of the wallet container
+   * @param callOpts - per-call options
+   * @returns resolves with the wallet address or rejects with error
+   */
+  primaryAddress (callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Resets and saves the wallet, beginning scanning from the height given, if any
+   * @param scanHeight - the scan height at which to beging scanning
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  reset (scanHeight?: number, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Saves the wallet container currently open to disk
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  save (callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Sends a transaction
+   * @param destinations - the destinations of the transaction
+   * @param mixin - the number of mixins to use
+   * @param fee - the transaction fee to pay, in human readable units or a bigint in atomic units
+   * @param sourceAddresses - the source addresses, if any, of the funds for the transaction
+   * @param paymentId - the payment ID to include with the transaction
+   * @param changeAddress - the address to send transaction change to
+   * @param unlockTime - the unlock time of the new transaction
+   * @param callOpts - per-call options
+   * @returns resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
+   */
+  sendAdvanced (destinations: WalletAPI.TransferDestination[], mixin?: number, fee?: number | string | bigint, sourceAddresses?: string[], paymentId?: string, changeAddress?: string, unlockTime?: number, callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Sends a transaction
+   * @param address - the address to send funds to
+   * @param amount - the amount to send in the transaction, in human readable units or a bigint in atomic units
+   * @param paymentId - the payment ID to include with the transaction
+   * @param callOpts - per-call options
+   * @returns resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
+   */
+  sendBasic (address: string, amount: number | string | bigint, paymentId?: string, callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Sends a fusion ransaction
+   * @param address - the address to send funds to
+   * @param mixin - the number of mixins to use in the fusion transaction
+   * @param sourceAddresses - the source addresses, if any, of the funds for the fusion transaction
+   * @param callOpts - per-call options
+   * @returns resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
+   */
+  sendFusionAdvanced (address: string, mixin?: number, sourceAddresses?: string[], callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Sends a fusion ransaction
+   * @param callOpts - per-call options
+   * @returns resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
+   */
+  sendFusionBasic (callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Sets the node to connect use in syncing operations
+   * @param host - the host of the node to use
+   * @param port - the port of the node to use
+   * @param ssl - whether the node uses SSL
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  setNode (host: string, port: number, ssl?: boolean, callOpts?: RPCClient.CallOptions): Promise<any>
+  /**
+   * Get the wallet sync status, peer count, and hashrate
+   * @param callOpts - per-call options
+   * @returns resolves upon success else rejects with error
+   */
+  status (callOpts?: RPCClient.CallOptions): Promise<WalletAPI.StatusInfo>
+  /**
+   * Converts human readable units to atomic units exactly. Numbers and
+   * decimal strings are taken to be human readable, bigints are taken to
+   * already be in atomic units. Negative amounts and amounts with more
+   * decimal places than the currency has are rejected.
+   * @param amount - the amount in human readable units
+   * @returns the amount in atomic units form
+   */
+  toAtomicUnits (amount: number | string | bigint): number
+  /**
+   * Gets details on the given transaction, if found
+   * @param hash - the transaction hash
+   * @param callOpts - per-call options
+   * @returns resolves with transaction info else rejects with error
+   */
+  transactionByHash (hash: string, callOpts?: RPCClient.CallOptions): Promise<WalletAPI.TransactionInfo>
+  /**
+   * Gets the transaction private key of the given transaction. This can be used to audit a transaction.
+   * @param hash - the transaction hash
+   * @param callOpts - per-call options
+   * @returns resolves with the transaction private key else rejects with error
+   */
+  transactionPrivateKey (hash: string, callOpts?: RPCClient.CallOptions): Promise<string>
+  /**
+   * Gets a list of all transactions in the wallet container and/or within the supplied constraints
+   * @param startHeight - the height to return transactions from
+   * @param endHeight - the height to return transactions until
+   * @param callOpts - per-call options
+   * @returns resolves with array of transaction info or rejects with error
+   */
+  transactions (startHeight?: number, endHeight?: number, callOpts?: RPCClient.CallOptions): Promise<WalletAPI.TransactionInfo[]>
+  /**
+   * Gets a list of transactions in the wallet container by address and/or within the supplied constraints
+   * @param address - the wallet address
+   * @param startHeight - the height to return transactions from
+   * @param endHeight - the height to return transactions until
+   * @param callOpts - per-call options
+   * @returns resolves with array of transaction info or rejects with error
+   */
+  transactionsByAddress (address: string, startHeight?: number, endHeight?: number, callOpts?: RPCClient.CallOptions): Promise<WalletAPI.TransactionInfo[]>
+  /**
+   * Gets a list of all unconfirmed, outgoing transactions in the wallet container
+   * @param address - the wallet address
+   * @param callOpts - per-call options
+   * @returns resolves with array of transaction info or rejects with error
+   */
+  unconfirmedTransactions (address?: string, callOpts?: RPCClient.CallOptions): Promise<WalletAPI.TransactionInfo[]>
+  /**
+   * Validates a given address
+   * @param address - the wallet address
+   * @param callOpts - per-call options
+   * @returns resolves with validation information or rejects with error
+   */
+  validateAddress (address: string, callOpts?: RPCClient.CallOptions): Promise<WalletAPI.ValidationInfo>
+}
+
+export declare namespace WalletAPI {
+  interface Options extends RPCClient.Options {
+    /** the address of the daemon */
+    host?: string
+    /** the RPC port number of the daemon */
+    port?: number
+    /** the timeout to use during RPC calls */
+    timeout?: number
+    /** whether the daemon uses SSL (HTTPS) or not */
+    ssl?: boolean
+    /** the password for the RPC interface */
+    password: string
+    /** the default mixin count to use */
+    defaultMixin?: number
+    /** the default transaction fee to use */
+    defaultFee?: number
+    /** the decimal divisor of atomic amounts, must be a power of 10 */
+    decimalDivisor?: number
+    /** how human readable amounts are returned: number (floats), string (exact decimal strings) or bigint (exact atomic units) */
+    amountMode?: string
+    /** the default unlock time for new transactions */
+    defaultUnlockTime?: number
+    /** the user agent string to use with requests */
+    userAgent?: string
+    /** the transport to use for requests, defaults to a keep-alive HttpTransport shared by all clients */
+    transport?: { [key: string]: any }
+    /** the RetryPolicy options to use, or false to disable retries. By default only the methods in WalletAPI.READ_ONLY_METHODS are retried */
+    retry?: ({ [key: string]: any }) | boolean
+    /** the Limiter options, or a Limiter shared with other clients, that caps the requests in flight and per second */
+    limit?: ({ [key: string]: any }) | Limiter
+    /** the methods that skip ahead of queued calls, defaults to WalletAPI.HIGH_PRIORITY_METHODS */
+    priorityMethods?: string[]
+    /** whether to check every result against its documented type and reject with a ResponseValidationError when it does not match */
+    strict?: boolean
+    /** the MetricsRegistry options, or a MetricsRegistry shared with other clients, that collects the call metrics, or false to collect none */
+    metrics?: ({ [key: string]: any }) | MetricsRegistry | boolean
+  }
+
+  /** A list of wallet addresses */
+  type Addresses = string[]
+
+  interface Balance {
+    /** the wallet address */
+    address?: string
+    /** the locked balance amount, as set by amountMode */
+    locked: number | string | bigint
+    /** the unlocked balance amount, as set by amountMode */
+    unlocked: number | string | bigint
+  }
+
+  interface BalanceBody {
+    /** the wallet address */
+    address?: string
+    /** the locked balance amount in atomic units */
+    locked: number
+    /** the unlocked balance amount in atomic units */
+    unlocked: number
+  }
+
+  interface Wallet {
+    /** the wallet address */
+    address?: string
+    /** the wallet private spend key */
+    privateSpendKey: string
+    /** the wallet public spend key */
+    publicSpendKey: string
+  }
+
+  interface NodeInfo {
+    /** the host of the connected node */
+    daemonHost: string
+    /** the port of the connected node */
+    daemonPort: number
+    /** if the connected node uses SSL */
+    daemonSSL: boolean
+    /** the node fee address */
+    nodeAddress: string
+    /** the node fee amount */
+    nodeFee: number
+  }
+
+  interface TransferDestination {
+    /** the address of the recipient */
+    address: string
+    /** the atomic amount to send to the recipient, or the human readable amount as set by amountMode in transaction results */
+    amount: number | string | bigint
+  }
+
+  interface StatusInfo {
+    /** how many blocks the wallet has synced */
+    walletBlockCount: number
+    /** how many blocks the node has synced */
+    localDaemonBlockCount: number
+    /** how many blocks the network has synced */
+    networkBlockCount: number
+    /** the number of peers the node is connected to */
+    peerCount: number
+    /** the current estimated network hashrate */
+    hashrate: number
+    /** whether the current wallet container is a view-only wallet */
+    isViewWallet: boolean
+    /** how many subwallets exist in the wallet container */
+    subWalletCount: number
+  }
+
+  interface TransactionInfo {
+    /** the block height of the block containing the transaction */
+    blockHeight?: number
+    /** the network fee of the transaction, as set by amountMode */
+    fee: number | string | bigint
+    /** the transaction hash */
+    hash: string
+    /** whether the transaction is a coinbase transaction */
+    isCoinbaseTransaction: boolean
+    /** the payment ID of the transaction if any */
+    paymentID: string
+    /** the timestamp of the transaction */
+    timestamp?: number
+    /** the unlock time (or block height) of the transaction */
+    unlockTime: number
+    /** a transfer destination object descripting where the funds went */
+    transfers: WalletAPI.TransferDestination[]
+  }
+
+  interface TransferBody {
+    /** the address of the recipient */
+    address: string
+    /** the amount sent to the recipient in atomic units */
+    amount: number
+  }
+
+  interface TransactionInfoBody {
+    /** the block height of the block containing the transaction */
+    blockHeight?: number
+    /** the network fee of the transaction in atomic units */
+    fee: number
+    /** the transaction hash */
+    hash: string
+    /** whether the transaction is a coinbase transaction */
+    isCoinbaseTransaction: boolean
+    /** the payment ID of the transaction if any */
+    paymentID: string
+    /** the timestamp of the transaction */
+    timestamp?: number
+    /** the unlock time (or block height) of the transaction */
+    unlockTime: number
+    /** where the funds went */
+    transfers: WalletAPI.TransferBody[]
+  }
+
+  interface TransactionBody {
+    /** the transaction */
+    transaction: WalletAPI.TransactionInfoBody
+  }
+
+  interface TransactionsBody {
+    /** the transactions */
+    transactions: WalletAPI.TransactionInfoBody[]
+  }
+
+  interface ValidationInfo {
+    /** whether the address is an integrated address */
+    isIntegrated: boolean
+    /** the payment ID if the address is an integrated address */
+    paymentID: string
+    /** the wallet address supplied */
+    actualAddress: string
+    /** the public spend key of the address */
+    publicSpendKey: string
+    /** the public view key of the address */
+    publicViewKey: string
+  }
+}
+
+export {}
@@ -4,10 +4,51 @@
 
 'use strict'
 
+const ChainStats = require('./lib/chain-stats')
+const Errors = require('./lib/errors')
+const FetchTransport = require('./lib/fetch-transport')
+const HeaderChain = require('./lib/header-chain')
+const HttpTransport = require('./lib/transport')
+const JsonFileStore = require('./lib/json-file-store')
+const Limiter = require('./lib/limiter')
+const LRUStore = require('./lib/lru-store')
+const MemoryStore = require('./lib/memory-store')
+const MetricsRegistry = require('./lib/metrics-registry')
+const ResponseCache = require('./lib/response-cache')
+const RetryPolicy = require('./lib/retry')
+const SupplyCalculator = require('./lib/supply-calculator')
 const XTCASHnetwork = require('./lib/xtcashnetwork-rpc')
+const XTCASHnetworkPool = require('./lib/xtcashnetwork-pool')
 const WalletAPI = require('./lib/walletapi-rpc')
 
 module.exports = {
+  ChainStats,
+  FetchTransport,
+  HeaderChain,
+  HttpTransport,
+  JsonFileStore,
+  Limiter,
+  LRUStore,
+  MemoryStore,
+  MetricsRegistry,
+  ResponseCache,
+  RetryPolicy,
+  SupplyCalculator,
   XTCASHnetwork,
-  WalletAPI
+  XTCASHnetworkPool,
+  WalletAPI,
+  RPCClientError: Errors.RPCClientError,
+  RpcError: Errors.RpcError,
+  HttpStatusError: Errors.HttpStatusError,
+  UnauthorizedError: Errors.UnauthorizedError,
+  WalletNotOpenError: Errors.WalletNotOpenError,
+  NotFoundError: Errors.NotFoundError,
+  TimeoutError: Errors.TimeoutError,
+  ConnectionError: Errors.ConnectionError,
+  DaemonStatusError: Errors.DaemonStatusError,
+  AbortError: Errors.AbortError,
+  QueueFullError: Errors.QueueFullError,
+  ResponseValidationError: Errors.ResponseValidationError,
+  UnmatchedRequestError: Errors.UnmatchedRequestError,
+  TransactionDroppedError: Errors.TransactionDroppedError
 }
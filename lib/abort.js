@@ -0,0 +1,78 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Errors = require('./errors')
+
+/* Helpers shared by everything that honours an AbortSignal. Any object
+   with an aborted flag and addEventListener()/removeEventListener() is
+   accepted, so polyfills work as well as the native AbortController */
+
+/**
+ * Builds the error used when a signal has been aborted
+ * @private
+ * @param {AbortSignal} signal - the signal that was aborted
+ * @param {ErrorDetails} [details] - information about the cancelled call
+ * @returns {AbortError} the error
+ */
+function abortError (signal, details) {
+  details = Object.assign({ cause: (signal && signal.reason instanceof Error) ? signal.reason : undefined }, details)
+  return new Errors.AbortError(undefined, details)
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted
+ * @private
+ * @param {AbortSignal} [signal] - the signal to check
+ * @param {ErrorDetails} [details] - information about the cancelled call
+ */
+function throwIfAborted (signal, details) {
+  if (signal && signal.aborted) throw abortError(signal, details)
+}
+
+/**
+ * Calls the listener once when the signal is aborted
+ * @private
+ * @param {AbortSignal} [signal] - the signal to listen to
+ * @param {function} listener - the function to call
+ * @returns {function} removes the listener again
+ */
+function onAbort (signal, listener) {
+  if (!signal || typeof signal.addEventListener !== 'function') return () => {}
+
+  signal.addEventListener('abort', listener)
+
+  return () => signal.removeEventListener('abort', listener)
+}
+
+/**
+ * Waits for the given time, rejecting early if the signal is aborted
+ * @private
+ * @param {number} ms - how long to wait in milliseconds
+ * @param {AbortSignal} [signal] - the signal that cancels the wait
+ * @returns {Promise} resolves once the time has passed
+ */
+function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError(signal))
+
+    const timer = setTimeout(() => {
+      removeListener()
+      return resolve()
+    }, ms)
+
+    const removeListener = onAbort(signal, () => {
+      clearTimeout(timer)
+      return reject(abortError(signal))
+    })
+  })
+}
+
+module.exports = {
+  abortError,
+  throwIfAborted,
+  onAbort,
+  sleep
+}
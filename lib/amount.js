@@ -0,0 +1,125 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* global BigInt */
+
+/* Amounts are handled as strings of digits so that no precision is lost
+   and so that the conversions work where BigInt is not available */
+
+/**
+ * Counts the decimal places implied by a decimal divisor
+ * @param {number} divisor - the decimal divisor, must be a power of 10
+ * @returns {number} the number of decimal places
+ */
+function decimalsOf (divisor) {
+  const digits = String(divisor)
+
+  if (!/^10*$/.test(digits)) throw new Error('decimalDivisor must be a power of 10')
+
+  return digits.length - 1
+}
+
+/**
+ * Parses a human readable amount into atomic units exactly
+ * @param {number|string|bigint} amount - the amount in human readable units, a bigint is taken to already be in atomic units
+ * @param {number} decimals - the number of decimal places of the currency
+ * @returns {string} the amount in atomic units
+ */
+function parse (amount, decimals) {
+  if (typeof amount === 'bigint') {
+    if (amount < 0) throw new Error('Amount must not be negative')
+    return amount.toString()
+  }
+
+  if (typeof amount === 'number' && !isFinite(amount)) throw new Error('Amount is not a number')
+
+  const text = (typeof amount === 'number') ? expand(amount.toString()) : String(amount).trim()
+  const match = /^(-?)(\d*)(?:\.(\d*))?$/.exec(text)
+
+  if (!match || (match[2] + (match[3] || '')).length === 0) throw new Error('Amount is not a number')
+
+  const fraction = (match[3] || '').replace(/0+$/, '')
+
+  if (fraction.length > decimals) throw new Error('Amount has more than ' + decimals + ' decimal places')
+
+  const atomic = trim(match[2] + fraction + repeat('0', decimals - fraction.length))
+
+  if (match[1] && atomic !== '0') throw new Error('Amount must not be negative')
+
+  return atomic
+}
+
+/**
+ * Formats an amount in atomic units as an exact human readable decimal string
+ * @param {number|string|bigint} atomic - the amount in atomic units, may be negative
+ * @param {number} decimals - the number of decimal places of the currency
+ * @returns {string} the amount in human readable units, without trailing zeros
+ */
+function format (atomic, decimals) {
+  const text = (typeof atomic === 'number') ? expand(atomic.toString()) : String(atomic).trim()
+  const match = /^(-?)(\d+)$/.exec(text)
+
+  if (!match) throw new Error('Amount is not an integer')
+
+  const digits = repeat('0', Math.max(0, decimals + 1 - match[2].length)) + match[2]
+  const whole = trim(digits.slice(0, digits.length - decimals))
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '')
+  const sign = (match[1] && (whole !== '0' || fraction)) ? '-' : ''
+
+  return sign + whole + ((fraction) ? '.' + fraction : '')
+}
+
+/**
+ * Converts an amount in atomic units to a Number, refusing amounts that a
+ * Number cannot hold exactly
+ * @param {string} atomic - the amount in atomic units
+ * @returns {number} the amount
+ */
+function toNumber (atomic) {
+  const value = Number(atomic)
+
+  if (value > Number.MAX_SAFE_INTEGER || value < -Number.MAX_SAFE_INTEGER) throw new Error('Amount is too large to be sent exactly')
+
+  return value
+}
+
+/**
+ * Converts an amount in atomic units to a BigInt
+ * @param {string} atomic - the amount in atomic units
+ * @returns {bigint} the amount
+ */
+function toBigInt (atomic) {
+  return BigInt(atomic)
+}
+
+/* Numbers below 1e-6 or above 1e21 stringify in exponent notation */
+function expand (text) {
+  const match = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(text)
+  if (!match) return text
+
+  const digits = match[2] + (match[3] || '')
+  const point = 1 + parseInt(match[4])
+
+  if (point <= 0) return match[1] + '0.' + repeat('0', -point) + digits
+  if (point >= digits.length) return match[1] + digits + repeat('0', point - digits.length)
+  return match[1] + digits.slice(0, point) + '.' + digits.slice(point)
+}
+
+function trim (digits) {
+  return digits.replace(/^0+(?=\d)/, '')
+}
+
+function repeat (text, count) {
+  return new Array(count + 1).join(text)
+}
+
+module.exports = {
+  decimalsOf,
+  parse,
+  format,
+  toNumber,
+  toBigInt
+}
@@ -0,0 +1,373 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Abort = require('./abort')
+const Errors = require('./errors')
+
+/* The json_rpc methods that can be batched, how to build their params
+   and how to unwrap their results the same way the XTCASHnetwork
+   methods of the same name do */
+const METHODS = {
+  block: {
+    rpc: 'f_block_json',
+    arity: 1,
+    validate: (hash) => { if (!hash) return 'must specify hash' },
+    params: (hash) => { return { hash: hash } },
+    result: (result) => result.block
+  },
+  blockCount: {
+    rpc: 'getblockcount',
+    arity: 0,
+    params: () => { return {} },
+    result: (result) => result.count
+  },
+  blockHeaderByHash: {
+    rpc: 'getblockheaderbyhash',
+    arity: 1,
+    validate: (hash) => { if (!hash) return 'must specify hash' },
+    params: (hash) => { return { hash: hash } },
+    result: (result) => result.block_header
+  },
+  blockHeaderByHeight: {
+    rpc: 'getblockheaderbyheight',
+    arity: 1,
+    validate: (height) => { if (typeof height === 'undefined') return 'must specify height' },
+    params: (height) => { return { height: height } },
+    result: (result) => result.block_header
+  },
+  blockShortHeaders: {
+    rpc: 'f_blocks_list_json',
+    arity: 1,
+    validate: (height) => { if (typeof height === 'undefined') return 'must specify height' },
+    params: (height) => { return { height: height } },
+    result: (result) => result.blocks
+  },
+  blockTemplate: {
+    rpc: 'getblocktemplate',
+    arity: 2,
+    validate: (walletAddress, reserveSize) => {
+      if (typeof reserveSize === 'undefined') return 'must specify reserveSize'
+      if (!walletAddress) return 'must specify walletAddress'
+    },
+    params: (walletAddress, reserveSize) => { return { reserve_size: reserveSize, wallet_address: walletAddress } },
+    result: (result) => result
+  },
+  lastBlockHeader: {
+    rpc: 'getlastblockheader',
+    arity: 0,
+    params: () => { return {} },
+    result: (result) => result.block_header
+  },
+  submitBlock: {
+    rpc: 'submitblock',
+    arity: 1,
+    validate: (blockBlob) => { if (!blockBlob) return 'must specify blockBlob' },
+    params: (blockBlob) => [blockBlob],
+    result: (result) => result
+  },
+  transaction: {
+    rpc: 'f_transaction_json',
+    arity: 1,
+    validate: (hash) => { if (!hash) return 'must specify hash' },
+    params: (hash) => { return { hash: hash } },
+    result: (result) => {
+      if (result.tx && result.tx['']) delete result.tx['']
+      return result
+    }
+  },
+  transactionPool: {
+    rpc: 'f_on_transactions_pool_json',
+    arity: 0,
+    params: () => { return {} },
+    result: (result) => result.transactions
+  }
+}
+
+/**
+ * Collects json_rpc calls and sends them to the daemon as JSON-RPC 2.0
+ * batches. Every call method returns the batch so that calls can be chained.
+ * @module Batch
+ * @class
+ */
+class Batch {
+  /**
+   * Initializes a new Batch object, use XTCASHnetwork.batch() instead
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to send the batch with
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.batchSize] - the maximum number of calls sent in a single request, defaults to the client batchSize
+   */
+  constructor (client, opts) {
+    opts = opts || {}
+    this.client = client
+    this.batchSize = opts.batchSize || client.batchSize || 100
+    this.calls = []
+  }
+
+  /**
+   * Adds a call to the batch
+   * @private
+   * @param {string} method - the XTCASHnetwork method name
+   * @param {Array} args - the arguments of the call
+   * @returns {Batch} the batch
+   */
+  _add (method, args) {
+    args = Array.prototype.slice.call(args, 0, METHODS[method].arity)
+    while (args.length < METHODS[method].arity) args.push(undefined)
+
+    this.calls.push({ method: method, args: args })
+
+    return this
+  }
+
+  /**
+   * Queues XTCASHnetwork.block()
+   * @param {string} hash - the hash of the block to retrieve
+   * @returns {Batch} the batch
+   */
+  block (hash) { return this._add('block', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.blockCount()
+   * @returns {Batch} the batch
+   */
+  blockCount () { return this._add('blockCount', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.blockHeaderByHash()
+   * @param {string} hash - the hash of the block to retrieve
+   * @returns {Batch} the batch
+   */
+  blockHeaderByHash (hash) { return this._add('blockHeaderByHash', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.blockHeaderByHeight()
+   * @param {number} height - the height of the block to retrieve
+   * @returns {Batch} the batch
+   */
+  blockHeaderByHeight (height) { return this._add('blockHeaderByHeight', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.blockShortHeaders()
+   * @param {number} height - the height of the block to retrieve
+   * @returns {Batch} the batch
+   */
+  blockShortHeaders (height) { return this._add('blockShortHeaders', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.blockTemplate()
+   * @param {string} walletAddress - the wallet address for the block template
+   * @param {number} reserveSize - the amount of block template reserve space to generate
+   * @returns {Batch} the batch
+   */
+  blockTemplate (walletAddress, reserveSize) { return this._add('blockTemplate', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.lastBlockHeader()
+   * @returns {Batch} the batch
+   */
+  lastBlockHeader () { return this._add('lastBlockHeader', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.submitBlock()
+   * @param {string} blockBlob - the raw block blob
+   * @returns {Batch} the batch
+   */
+  submitBlock (blockBlob) { return this._add('submitBlock', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.transaction()
+   * @param {string} hash - the transaction hash
+   * @returns {Batch} the batch
+   */
+  transaction (hash) { return this._add('transaction', arguments) }
+
+  /**
+   * Queues XTCASHnetwork.transactionPool()
+   * @returns {Batch} the batch
+   */
+  transactionPool () { return this._add('transactionPool', arguments) }
+
+  /**
+   * Batch Result
+   * @memberof Batch
+   * @typedef {Object} BatchResult
+   * @property {string} method - the XTCASHnetwork method name
+   * @property {Array} args - the arguments the call was queued with
+   * @property {boolean} success - whether the call succeeded
+   * @property {*} [result] - the result of the call, as the XTCASHnetwork method would resolve it
+   * @property {Error} [error] - the error the call failed with
+   */
+
+  /**
+   * Sends the queued calls to the daemon in chunks of batchSize. If the
+   * daemon does not accept batches, the calls are sent one at a time instead.
+   * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options applied to every request
+   * @returns {Promise<Batch.BatchResult[]>} resolves with the result of every call in the order they were queued, or rejects with an AbortError if cancelled
+   */
+  execute (callOpts) {
+    const results = this.calls.map((call) => {
+      return { method: call.method, args: call.args, success: false }
+    })
+
+    const chunks = []
+    for (var i = 0; i < results.length; i += this.batchSize) {
+      chunks.push(results.slice(i, i + this.batchSize))
+    }
+
+    return chunks.reduce((promise, chunk) => {
+      return promise.then(() => {
+        Abort.throwIfAborted(callOpts && callOpts.signal, { method: 'batch', endpoint: '/json_rpc' })
+        return this._executeChunk(chunk, callOpts)
+      })
+    }, Promise.resolve()).then(() => {
+      return results
+    })
+  }
+
+  /**
+   * Sends a single chunk of calls
+   * @async
+   * @private
+   * @param {Batch.BatchResult[]} chunk - the entries to send
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
+   * @returns {Promise} resolves once every entry of the chunk has settled
+   */
+  _executeChunk (chunk, callOpts) {
+    const pending = chunk.filter((entry) => {
+      const spec = METHODS[entry.method]
+      const invalid = (spec.validate) ? spec.validate.apply(null, entry.args) : undefined
+      if (invalid) entry.error = new Error(invalid)
+      return !invalid
+    })
+
+    if (pending.length === 0) return Promise.resolve()
+    if (this.client._batchUnsupported) return this._executeSequential(pending, callOpts)
+
+    const body = pending.map((entry, index) => {
+      const spec = METHODS[entry.method]
+
+      return {
+        jsonrpc: '2.0',
+        id: index,
+        method: spec.rpc,
+        params: spec.params.apply(null, entry.args)
+      }
+    })
+
+    const call = this.client._call('batch', callOpts)
+    const readOnly = pending.every((entry) => this.client.retry && this.client.retry.appliesTo(entry.method))
+    if (call.retry === undefined && readOnly) call.retry = true
+
+    return this.client._rawPost('json_rpc', body, call).then((response) => {
+      if (!Array.isArray(response)) {
+        /* The daemon did not understand the batch, so we stop trying */
+        this.client._batchUnsupported = true
+        return this._executeSequential(pending, callOpts)
+      }
+
+      const byId = {}
+      response.forEach((item) => { if (item) byId[item.id] = item })
+
+      pending.forEach((entry, index) => {
+        const item = byId[index]
+
+        if (!item) {
+          entry.error = new Errors.RPCClientError('No response received for batch entry', {
+            method: entry.method,
+            endpoint: '/json_rpc',
+            body: response
+          })
+        } else if (item.error) {
+          entry.error = new Errors.RpcError(item.error.message, {
+            method: entry.method,
+            endpoint: '/json_rpc',
+            body: item,
+            code: item.error.code
+          })
+        } else {
+          this._settle(entry, item)
+        }
+      })
+    }, (err) => {
+      if (err instanceof Errors.AbortError) throw err
+      if (rejectsBatches(err)) {
+        /* The daemon could not parse the batch, so we stop trying */
+        this.client._batchUnsupported = true
+        return this._executeSequential(pending, callOpts)
+      }
+
+      /* Anything else, ie. a 503 from a proxy, fails this chunk only */
+      pending.forEach((entry) => { entry.error = err })
+    })
+  }
+
+  /**
+   * Unwraps the result of a batch entry, a result that cannot be unwrapped
+   * fails its own entry only
+   * @private
+   * @param {Batch.BatchResult} entry - the entry to settle
+   * @param {Object} item - the JSON-RPC response for the entry
+   */
+  _settle (entry, item) {
+    var result, invalid
+
+    try {
+      result = METHODS[entry.method].result(item.result)
+      invalid = (this.client.strict) ? this.client._checkResult(entry.method, result) : undefined
+    } catch (e) {
+      invalid = new Errors.RPCClientError('Malformed result received for batch entry: ' + e.message, {
+        method: entry.method,
+        body: item,
+        cause: e
+      })
+    }
+
+    if (invalid) {
+      invalid.endpoint = '/json_rpc'
+      entry.error = invalid
+    } else {
+      entry.success = true
+      entry.result = result
+    }
+  }
+
+  /**
+   * Sends the calls one at a time using the regular client methods
+   * @async
+   * @private
+   * @param {Batch.BatchResult[]} entries - the entries to send
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
+   * @returns {Promise} resolves once every entry has settled
+   */
+  _executeSequential (entries, callOpts) {
+    return entries.reduce((promise, entry) => {
+      return promise.then(() => {
+        return this.client[entry.method].apply(this.client, entry.args.concat([callOpts])).then((result) => {
+          entry.success = true
+          entry.result = result
+        }).catch((err) => {
+          if (err instanceof Errors.AbortError) throw err
+          entry.error = err
+        })
+      })
+    }, Promise.resolve())
+  }
+}
+
+/* A status error proves that batches are not understood only when the
+   daemon answered with a JSON-RPC parse or invalid request error */
+function rejectsBatches (err) {
+  if (!(err instanceof Errors.HttpStatusError)) return false
+  if (!err.body || typeof err.body !== 'object' || Array.isArray(err.body) || !err.body.error) return false
+
+  return err.body.error.code === -32700 || err.body.error.code === -32600
+}
+
+Batch.METHODS = Object.keys(METHODS)
+
+module.exports = Batch
@@ -0,0 +1,287 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Abort = require('./abort')
+const EventEmitter = require('events')
+const HeaderChain = require('./header-chain')
+
+/**
+ * Lite Block, a XTCASHnetwork.BlockLite along with its height
+ * @memberof BlockStream
+ * @typedef {Object} LiteBlock
+ * @property {number} height - the height of the block
+ * @property {string} block - the hexadecimcal representation of the block
+ * @property {string} hash - the block hash
+ * @property {XTCASHnetwork.BlockLiteTransaction[]} transactions - the transactions in the block
+ */
+
+/**
+ * Reorganization
+ * @memberof BlockStream
+ * @typedef {Object} Reorganization
+ * @property {number} height - the height from which blocks of the new chain are yielded
+ * @property {number} previousHeight - the height of the last block yielded before the reorganization was found
+ */
+
+/**
+ * Walks the chain through queryblocksdetailed or queryblockslite, keeping
+ * track of the block hash checkpoints and the 100 block page limit. Blocks
+ * are yielded in height order and the next page is only requested once
+ * the blocks of the previous one have been consumed.
+ *
+ * When the daemon switches to another chain, the blocks of the new chain
+ * are yielded from the last checkpoint both chains share, so a height may
+ * be yielded again, and a reorg event is emitted first.
+ * @module BlockStream
+ * @class
+ * @extends EventEmitter
+ * @implements {AsyncIterableIterator<XTCASHnetwork.BlockDetails|BlockStream.LiteBlock>}
+ */
+class BlockStream extends EventEmitter {
+  /**
+   * Initializes a new BlockStream object, use XTCASHnetwork.streamBlocks() instead
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to query
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.fromHeight=0] - the height of the first block to yield
+   * @param {number} [opts.fromTimestamp] - skip the blocks older than this timestamp
+   * @param {number} [opts.toHeight] - the height of the last block to yield, defaults to the top of the chain
+   * @param {boolean} [opts.detailed=true] - whether to yield XTCASHnetwork.BlockDetails, or BlockStream.LiteBlock when false
+   * @param {boolean} [opts.wait=false] - whether to wait for new blocks once the top of the chain is reached instead of ending
+   * @param {number} [opts.pollInterval=10000] - how often to check for new blocks when waiting, in milliseconds
+   * @param {number} [opts.blockCount=100] - the number of blocks requested per page, detailed blocks only
+   * @param {AbortSignal} [opts.signal] - a signal that stops the stream, rejecting the pending next() with an AbortError
+   */
+  constructor (client, opts) {
+    opts = opts || {}
+    super()
+
+    this.client = client
+    this.fromHeight = opts.fromHeight || 0
+    this.fromTimestamp = opts.fromTimestamp || 0
+    this.toHeight = opts.toHeight
+    this.detailed = (opts.detailed !== false)
+    this.wait = opts.wait || false
+    this.pollInterval = opts.pollInterval || 10000
+    this.blockCount = opts.blockCount || 100
+    this.signal = opts.signal
+
+    /* The height of the last block yielded */
+    this.height = this.fromHeight - 1
+
+    this._last = this.height
+    /* Only the hashes needed as checkpoints are kept */
+    this._chain = new HeaderChain({ maxHeaders: 1 })
+    this._buffer = []
+    this._started = false
+    this._done = false
+    this._passedEnd = false
+    this._pending = Promise.resolve()
+    this._wake = undefined
+  }
+
+  /**
+   * Resolves with the next block
+   * @async
+   * @returns {Promise<IteratorResult<XTCASHnetwork.BlockDetails|BlockStream.LiteBlock>>} resolves with { value, done } or rejects with error
+   */
+  next () {
+    const result = this._pending.then(() => this._next())
+
+    /* Calls made before the previous one settled wait for it */
+    this._pending = result.catch(() => {})
+
+    return result
+  }
+
+  /**
+   * Stops the stream, the pending and later calls to next() resolve with done
+   * @async
+   * @returns {Promise<IteratorResult<XTCASHnetwork.BlockDetails|BlockStream.LiteBlock>>} resolves with { value: undefined, done: true }
+   */
+  return () {
+    this._done = true
+    this._buffer = []
+    if (this._wake) this._wake()
+
+    return Promise.resolve({ value: undefined, done: true })
+  }
+
+  /**
+   * The block hashes sent to the daemon to find where the next page starts:
+   * see HeaderChain.checkpoints()
+   * @returns {string[]} the hashes, highest first
+   */
+  checkpoints () {
+    return this._chain.checkpoints()
+  }
+
+  /**
+   * Yields the next block, fetching pages until one is found
+   * @async
+   * @private
+   * @returns {Promise<IteratorResult<XTCASHnetwork.BlockDetails|BlockStream.LiteBlock>>} resolves with { value, done } or rejects with error
+   */
+  _next () {
+    if (this._done) return Promise.resolve({ value: undefined, done: true })
+
+    Abort.throwIfAborted(this.signal)
+
+    if (this._buffer.length !== 0) {
+      const entry = this._buffer.shift()
+      this.height = entry.height
+      return Promise.resolve({ value: entry.block, done: false })
+    }
+
+    if (this._reachedEnd()) {
+      this._done = true
+      return Promise.resolve({ value: undefined, done: true })
+    }
+
+    return this._start().then(() => this._page()).then((found) => {
+      if (this._done) return { value: undefined, done: true }
+      if (found) return this._next()
+
+      /* The top of the chain was reached */
+      if (!this.wait) {
+        this._done = true
+        return { value: undefined, done: true }
+      }
+
+      return this._sleep().then(() => this._next())
+    })
+  }
+
+  /**
+   * Looks up the hashes needed to start at fromHeight, the first time only
+   * @async
+   * @private
+   * @returns {Promise} resolves once the starting checkpoints are known or rejects with error
+   */
+  _start () {
+    if (this._started) return Promise.resolve()
+
+    const heights = (this.fromHeight > 1) ? [this.fromHeight - 1, 0] : (this.fromHeight === 1) ? [0] : []
+
+    return Promise.all(heights.map((height) => {
+      return this.client.blockHeaderByHeight(height, { signal: this.signal }).then((header) => {
+        return { height: height, hash: header.hash }
+      })
+    })).then((entries) => {
+      entries.forEach((entry) => {
+        if (entry.height === 0) this._chain.genesisHash = entry.hash
+      })
+
+      if (entries.length !== 0) this._chain.add(entries[0])
+      this._started = true
+    })
+  }
+
+  /**
+   * Requests the next page and buffers the blocks that were not yielded yet
+   * @async
+   * @private
+   * @returns {Promise<boolean>} resolves with whether the page taught us anything new or rejects with error
+   */
+  _page () {
+    const query = {
+      blockHashes: this.checkpoints(),
+      /* Once we hold a hash past the timestamp the daemon starts from it */
+      timestamp: (this._last < this.fromHeight) ? this.fromTimestamp : 0
+    }
+
+    const request = (this.detailed)
+      ? this.client.blocksDetailed(Object.assign(query, { blockCount: this.blockCount }), { signal: this.signal })
+      : this.client.blocksLite(query, { signal: this.signal })
+
+    return request.then((response) => {
+      const entries = (this.detailed) ? response.blocks : response.items
+      var learned = false
+
+      entries.forEach((entry, index) => {
+        const height = response.startHeight + index
+
+        if (this._chain.hashAt(height) === entry.hash) return
+
+        learned = true
+
+        /* The hashes above belong to the chain the daemon left, and the ones
+           below no longer matter when it skipped ahead to the timestamp */
+        this._chain.rewind((height > this._chain.height + 1) ? -1 : height - 1)
+        this._chain.add({ height: height, hash: entry.hash })
+
+        /* Entries before the timestamp only carry the hash */
+        if (!hasBody(entry, this.detailed)) return
+        if (this.toHeight !== undefined && height > this.toHeight) {
+          this._passedEnd = true
+          return
+        }
+
+        /* Pages are only requested once the buffer is empty, so every
+           block at or below the last one has been yielded already */
+        if (height <= this._last) this.emit('reorg', { height: height, previousHeight: this._last })
+
+        this._buffer.push({
+          height: height,
+          block: (this.detailed) ? entry : Object.assign({ height: height }, entry)
+        })
+        this._last = height
+      })
+
+      return learned
+    })
+  }
+
+  /**
+   * Whether every block up to toHeight has been yielded
+   * @private
+   * @returns {boolean} whether the stream is over
+   */
+  _reachedEnd () {
+    return this._passedEnd || (this.toHeight !== undefined && this._last >= this.toHeight)
+  }
+
+  /**
+   * Waits for the poll interval, or until the stream is stopped
+   * @async
+   * @private
+   * @returns {Promise} resolves once the interval has passed or rejects with an AbortError
+   */
+  _sleep () {
+    return new Promise((resolve, reject) => {
+      const wake = () => {
+        clearTimeout(timer)
+        removeAbortListener()
+        this._wake = undefined
+
+        if (this.signal && this.signal.aborted) return reject(Abort.abortError(this.signal))
+        return resolve()
+      }
+
+      const timer = setTimeout(wake, this.pollInterval)
+      const removeAbortListener = Abort.onAbort(this.signal, wake)
+
+      this._wake = wake
+
+      if (this.signal && this.signal.aborted) wake()
+    })
+  }
+}
+
+/* Detailed blocks always carry their coinbase transaction and lite blocks
+   their blob, the entries before the timestamp carry neither */
+function hasBody (entry, detailed) {
+  return (detailed) ? Array.isArray(entry.transactions) && entry.transactions.length !== 0 : !!entry.block
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  /* for await (const block of daemon.streamBlocks()) */
+  BlockStream.prototype[Symbol.asyncIterator] = function () {
+    return this
+  }
+}
+
+module.exports = BlockStream
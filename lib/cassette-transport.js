@@ -0,0 +1,256 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Errors = require('./errors')
+const fs = require('fs')
+const HttpTransport = require('./transport')
+const util = require('util')
+
+const MODES = ['record', 'replay', 'auto']
+
+/**
+ * Cassette Entry, stored as one line of JSON per exchange
+ * @memberof CassetteTransport
+ * @typedef {Object} CassetteEntry
+ * @property {Object} request - the request as { verb, path, headers, body }, with the redacted headers replaced
+ * @property {Object} response - the response as { statusCode, headers, body }, or { statusCode, headers, text } when the body is not JSON
+ */
+
+/**
+ * A transport that records the exchanges of a client to a NDJSON cassette
+ * file, or replays them from one, so that tests can run against traffic
+ * captured from a real daemon or wallet-api. Requests are matched on the
+ * verb, the path and the body, so a cassette replays against any host.
+ * @module CassetteTransport
+ * @class
+ */
+class CassetteTransport {
+  /**
+   * Initializes a new CassetteTransport object
+   * @constructor
+   * @param {Object} opts - Configuration options
+   * @param {string} opts.path - the path of the cassette file
+   * @param {string} [opts.mode=replay] - record to send requests and write them to a new cassette, replay to answer from the cassette, or auto to replay if the cassette exists and record it otherwise
+   * @param {Object} [opts.transport] - the transport that sends the requests when recording, defaults to a new HttpTransport
+   * @param {string[]} [opts.redact] - the request headers whose values are never written, defaults to CassetteTransport.REDACTED_HEADERS
+   * @param {function} [opts.normalize] - builds the value requests are matched on from { verb, path, body }, defaults to the request with the keys of the body sorted
+   */
+  constructor (opts) {
+    opts = opts || {}
+
+    if (!opts.path) throw new Error('Must supply the path of the cassette')
+
+    this.path = opts.path
+    this.mode = opts.mode || 'replay'
+    this.transport = opts.transport || new HttpTransport()
+    this.redact = (opts.redact || CassetteTransport.REDACTED_HEADERS).map((name) => name.toLowerCase())
+    this.normalize = opts.normalize || normalize
+
+    if (MODES.indexOf(this.mode) === -1) throw new Error('mode must be one of ' + MODES.join(', '))
+
+    if (this.mode === 'auto') this.mode = (fs.existsSync(this.path)) ? 'replay' : 'record'
+
+    this._entries = undefined
+    this._played = {}
+    this._writing = undefined
+  }
+
+  /**
+   * Performs a single request, either by sending it and recording the
+   * exchange or by finding the recorded response
+   * @async
+   * @param {HttpTransport.TransportRequest} req - the request to perform
+   * @returns {Promise<HttpTransport.TransportResponse>} resolves with the response or rejects with error
+   */
+  request (req) {
+    return (this.mode === 'record') ? this._record(req) : this._replay(req)
+  }
+
+  /**
+   * Waits for the recorded exchanges to be written to the cassette
+   * @async
+   * @returns {Promise} resolves once every exchange so far has been written or rejects with error
+   */
+  flush () {
+    return this._writing || Promise.resolve()
+  }
+
+  /**
+   * Releases the resources of the recording transport
+   */
+  destroy () {
+    if (this.transport.destroy) this.transport.destroy()
+  }
+
+  /**
+   * Sends the request and appends the exchange to the cassette
+   * @async
+   * @private
+   * @param {HttpTransport.TransportRequest} req - the request to perform
+   * @returns {Promise<HttpTransport.TransportResponse>} resolves with the response or rejects with error
+   */
+  _record (req) {
+    /* A recording starts from an empty cassette */
+    if (!this._writing) this._writing = writeFile(this.path, '')
+
+    return this.transport.request(req).then((response) => {
+      const entry = {
+        request: {
+          verb: req.method,
+          path: req.path,
+          headers: this._redacted(req.headers),
+          body: parse(req.body)
+        },
+        response: {
+          statusCode: response.statusCode,
+          headers: response.headers || {}
+        }
+      }
+
+      const body = parse(response.body)
+      if (body === undefined && response.body) {
+        entry.response.text = response.body
+      } else {
+        entry.response.body = body
+      }
+
+      this._writing = this._writing.then(() => appendFile(this.path, JSON.stringify(entry) + '\n'))
+
+      return this._writing.then(() => response)
+    })
+  }
+
+  /**
+   * Answers the request from the cassette. Exchanges with the same request
+   * are replayed in the order they were recorded, the last of them being
+   * repeated once the others have been used.
+   * @async
+   * @private
+   * @param {HttpTransport.TransportRequest} req - the request to perform
+   * @returns {Promise<HttpTransport.TransportResponse>} resolves with the recorded response or rejects with an UnmatchedRequestError
+   */
+  _replay (req) {
+    return this._load().then((entries) => {
+      const key = JSON.stringify(this.normalize({ verb: req.method, path: req.path, body: parse(req.body) }))
+      const matches = entries.filter((entry) => entry.key === key)
+
+      if (matches.length === 0) {
+        throw new Errors.UnmatchedRequestError(util.format('No exchange in %s matches %s %s', this.path, req.method, req.path), {
+          endpoint: req.path,
+          cassette: this.path,
+          request: { verb: req.method, path: req.path, body: parse(req.body) }
+        })
+      }
+
+      const played = this._played[key] || 0
+      const entry = matches[Math.min(played, matches.length - 1)]
+
+      this._played[key] = played + 1
+
+      return {
+        statusCode: entry.response.statusCode,
+        headers: Object.assign({}, entry.response.headers),
+        body: (entry.response.text !== undefined) ? entry.response.text
+          : (entry.response.body !== undefined) ? JSON.stringify(entry.response.body) : ''
+      }
+    })
+  }
+
+  /**
+   * Reads the cassette once
+   * @async
+   * @private
+   * @returns {Promise<Object[]>} resolves with the recorded exchanges and their keys or rejects with error
+   */
+  _load () {
+    if (!this._entries) {
+      this._entries = readFile(this.path).then((text) => {
+        return text.split('\n').filter((line) => line.trim().length !== 0).map((line, index) => {
+          var entry
+
+          try {
+            entry = JSON.parse(line)
+          } catch (e) {
+            throw new Error(util.format('Line %s of %s is not valid JSON', index + 1, this.path))
+          }
+
+          entry.key = JSON.stringify(this.normalize({ verb: entry.request.verb, path: entry.request.path, body: entry.request.body }))
+
+          return entry
+        })
+      })
+    }
+
+    return this._entries
+  }
+
+  /**
+   * Copies the headers with the values of the redacted ones replaced
+   * @private
+   * @param {Object} headers - the request headers
+   * @returns {Object} the headers safe to write
+   */
+  _redacted (headers) {
+    const result = {}
+
+    Object.keys(headers || {}).forEach((name) => {
+      result[name] = (this.redact.indexOf(name.toLowerCase()) !== -1) ? '[REDACTED]' : headers[name]
+    })
+
+    return result
+  }
+}
+
+/* Sorting the keys makes bodies built in a different order match */
+function normalize (request) {
+  return {
+    verb: request.verb,
+    path: request.path,
+    body: sortKeys(request.body)
+  }
+}
+
+function sortKeys (value) {
+  if (Array.isArray(value)) return value.map(sortKeys)
+  if (!value || typeof value !== 'object') return value
+
+  const sorted = {}
+  Object.keys(value).sort().forEach((key) => { sorted[key] = sortKeys(value[key]) })
+
+  return sorted
+}
+
+function parse (body) {
+  if (typeof body !== 'string' || body.length === 0) return undefined
+
+  try {
+    return JSON.parse(body)
+  } catch (e) {
+    return undefined
+  }
+}
+
+function readFile (path) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(path, 'utf8', (err, text) => (err) ? reject(err) : resolve(text))
+  })
+}
+
+function writeFile (path, text) {
+  return new Promise((resolve, reject) => {
+    fs.writeFile(path, text, (err) => (err) ? reject(err) : resolve())
+  })
+}
+
+function appendFile (path, text) {
+  return new Promise((resolve, reject) => {
+    fs.appendFile(path, text, (err) => (err) ? reject(err) : resolve())
+  })
+}
+
+CassetteTransport.REDACTED_HEADERS = ['X-API-KEY', 'Authorization', 'Cookie']
+
+module.exports = CassetteTransport
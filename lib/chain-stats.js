@@ -0,0 +1,477 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const RangeFetcher = require('./range-fetcher')
+
+const DAY = 86400
+
+/**
+ * Summary
+ * @memberof ChainStats
+ * @typedef {Object} Summary
+ * @property {number} count - the number of values
+ * @property {number} mean - the mean of the values
+ * @property {number} median - the median of the values
+ * @property {number} p95 - the 95th percentile of the values
+ * @property {number} min - the smallest value
+ * @property {number} max - the largest value
+ */
+
+/**
+ * Stats
+ * @memberof ChainStats
+ * @typedef {Object} Stats
+ * @property {string} [day] - the UTC day (YYYY-MM-DD) of the blocks, for daily buckets
+ * @property {number} fromHeight - the height of the first block
+ * @property {number} toHeight - the height of the last block
+ * @property {number} fromTimestamp - the timestamp of the first block
+ * @property {number} toTimestamp - the timestamp of the last block
+ * @property {number} blocks - the number of blocks
+ * @property {ChainStats.Summary} blockTime - the seconds between each block and the previous one
+ * @property {ChainStats.Summary} difficulty - the block difficulties
+ * @property {number} difficultyTrend - the change in difficulty per block, as the slope of a least squares fit
+ * @property {number} hashrate - the estimated network hashrate, as the work done divided by the time taken, in hashes per second
+ * @property {number} [orphanRate] - the share of the blocks found while the range was mined that ended up as alternative blocks, from the alt_blocks_count reported by info() when blocks were fetched before and after the range. Undefined when no such counts were recorded, ie. for blocks that were mined before the first fetch
+ * @property {ChainStats.Summary} transactions - the number of transactions per block
+ * @property {ChainStats.Summary} size - the block sizes in bytes
+ * @property {ChainStats.Summary} fees - the fees per block, only for blocks fetched with the fees option
+ */
+
+/**
+ * Computes statistics over ranges of blocks: block time, difficulty and
+ * its trend, hashrate, orphan rate, transactions, sizes and fees. Blocks are
+ * kept in memory by height and only the heights missing are fetched, so
+ * overlapping queries and growing ranges cost little. New blocks are
+ * fetched by update(), or fed through add() and remove(), ie. from the
+ * events of XTCASHnetwork.watchChain().
+ * @module ChainStats
+ * @class
+ */
+class ChainStats {
+  /**
+   * Initializes a new ChainStats object
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to query
+   * @param {Object} [opts] - Configuration options
+   * @param {boolean} [opts.fees=false] - whether to fetch block summaries, which carry the fees, rather than block headers
+   * @param {number} [opts.concurrency=4] - the maximum number of calls in flight when fetching blocks
+   * @param {number} [opts.maxBlocks=50000] - how many blocks are kept in memory, the lowest are dropped first so ranges should stay below it
+   */
+  constructor (client, opts) {
+    opts = opts || {}
+
+    this.client = client
+    this.fees = opts.fees || false
+    this.concurrency = opts.concurrency || 4
+    this.maxBlocks = opts.maxBlocks || 50000
+
+    this._blocks = new Map()
+    this._heights = []
+    this._alternatives = []
+  }
+
+  /**
+   * The height of the highest block held, -1 when empty
+   * @type {number}
+   */
+  get height () {
+    return (this._heights.length !== 0) ? this._heights[this._heights.length - 1] : -1
+  }
+
+  /**
+   * The number of blocks held
+   * @type {number}
+   */
+  get size () {
+    return this._heights.length
+  }
+
+  /**
+   * Adds blocks, replacing those held at the same heights
+   * @param {XTCASHnetwork.BlockHeader|XTCASHnetwork.BlockSummary|Array<XTCASHnetwork.BlockHeader|XTCASHnetwork.BlockSummary>} blocks - the block headers or block summaries
+   */
+  add (blocks) {
+    [].concat(blocks).forEach((block) => {
+      const sample = normalize(block)
+
+      if (!this._blocks.has(sample.height)) this._insert(sample.height)
+      this._blocks.set(sample.height, sample)
+    })
+
+    while (this._heights.length > this.maxBlocks) this._blocks.delete(this._heights.shift())
+
+    while (this._alternatives.length > 1 && this._alternatives[1].height < this._heights[0]) this._alternatives.shift()
+  }
+
+  /**
+   * Removes the blocks at and above a height, ie. those detached by a reorganization
+   * @param {number} height - the height of the lowest block removed
+   */
+  remove (height) {
+    while (this._heights.length !== 0 && this.height >= height) this._blocks.delete(this._heights.pop())
+  }
+
+  /**
+   * Computes the statistics of a range of heights, fetching the blocks missing
+   * @async
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {Promise<ChainStats.Stats>} resolves with the statistics or rejects with error
+   */
+  range (fromHeight, toHeight) {
+    return this._ensure(fromHeight, toHeight).then(() => {
+      return this._compute(this._samples(fromHeight, toHeight))
+    })
+  }
+
+  /**
+   * Computes the statistics of the blocks mined during a time window,
+   * fetching the blocks missing
+   * @async
+   * @param {number} fromTimestamp - the start of the window
+   * @param {number} [toTimestamp] - the end of the window, defaults to the top of the chain
+   * @returns {Promise<ChainStats.Stats>} resolves with the statistics or rejects with error
+   */
+  window (fromTimestamp, toTimestamp) {
+    return this._heightsOf(fromTimestamp, toTimestamp).then((heights) => {
+      return this.range(heights.from, heights.to)
+    })
+  }
+
+  /**
+   * Computes the statistics of every window of a number of blocks ending
+   * within a range of heights, fetching the blocks missing
+   * @async
+   * @param {number} fromHeight - the height at which the first window ends
+   * @param {number} toHeight - the height at which the last window ends
+   * @param {number} size - the number of blocks in each window
+   * @param {number} [step=1] - the number of blocks between the ends of two windows
+   * @returns {Promise<ChainStats.Stats[]>} resolves with the statistics of each window, lowest first, or rejects with error
+   */
+  rolling (fromHeight, toHeight, size, step) {
+    step = step || 1
+
+    if (!size || size < 1) return Promise.reject(new Error('Must supply the number of blocks in each window'))
+
+    const start = Math.max(fromHeight - size + 1, 0)
+
+    return this._ensure(start, toHeight).then(() => {
+      const windows = []
+
+      for (var end = fromHeight; end <= toHeight; end += step) {
+        windows.push(this._compute(this._samples(Math.max(end - size + 1, 0), end)))
+      }
+
+      return windows
+    })
+  }
+
+  /**
+   * Computes the statistics of the blocks of a range of heights grouped by
+   * the UTC day they were mined, fetching the blocks missing
+   * @async
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {Promise<ChainStats.Stats[]>} resolves with the statistics of each day, oldest first, or rejects with error
+   */
+  daily (fromHeight, toHeight) {
+    return this._ensure(fromHeight, toHeight).then(() => {
+      const days = new Map()
+
+      this._samples(fromHeight, toHeight).forEach((sample) => {
+        const day = new Date(Math.floor(sample.timestamp / DAY) * DAY * 1000).toISOString().slice(0, 10)
+
+        if (!days.has(day)) days.set(day, [])
+        days.get(day).push(sample)
+      })
+
+      return Array.from(days.keys()).map((day) => {
+        return Object.assign({ day: day }, this._compute(days.get(day)))
+      })
+    })
+  }
+
+  /**
+   * Fetches the blocks mined above the highest block held, first dropping
+   * the blocks held that are no longer on the chain of the daemon
+   * @async
+   * @returns {Promise<number>} resolves with the number of blocks added or rejects with error
+   */
+  update () {
+    if (this._heights.length === 0) return Promise.resolve(0)
+
+    return this._rollback().then(() => this.client.lastBlockHeader()).then((top) => {
+      const from = this.height + 1
+      const held = this.size
+
+      if (this._heights.length === 0 || from > top.height) return 0
+
+      return this._fetch(from, top.height).then(() => this.size - held)
+    })
+  }
+
+  /**
+   * Drops the highest blocks held until the top matches the daemon
+   * @async
+   * @private
+   * @returns {Promise} resolves once the top matches or rejects with error
+   */
+  _rollback () {
+    if (this._heights.length === 0) return Promise.resolve()
+
+    const height = this.height
+
+    return this.client.blockHeaderByHeight(height).then((header) => {
+      if (header.hash === this._blocks.get(height).hash) return
+
+      this.remove(height)
+      return this._rollback()
+    })
+  }
+
+  /**
+   * Fetches the blocks of a range that are not held, along with the block
+   * before it so that the time of the first block is known
+   * @async
+   * @private
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {Promise} resolves once the blocks are held or rejects with error
+   */
+  _ensure (fromHeight, toHeight) {
+    if (!Number.isInteger(fromHeight) || !Number.isInteger(toHeight) || fromHeight < 0 || toHeight < fromHeight) {
+      return Promise.reject(new Error('Must supply a start height and an end height at or above it'))
+    }
+
+    const runs = []
+
+    for (var height = Math.max(fromHeight - 1, 0); height <= toHeight; height++) {
+      if (this._blocks.has(height)) continue
+
+      const last = runs[runs.length - 1]
+      if (last && last.to === height - 1) last.to = height
+      else runs.push({ from: height, to: height })
+    }
+
+    const next = (index) => {
+      if (index >= runs.length) return Promise.resolve()
+
+      return this._fetch(runs[index].from, runs[index].to).then(() => next(index + 1))
+    }
+
+    return next(0)
+  }
+
+  /**
+   * Fetches and adds the blocks of a range
+   * @async
+   * @private
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {Promise} resolves once the blocks are added or rejects with error
+   */
+  _fetch (fromHeight, toHeight) {
+    const fetcher = new RangeFetcher(this.client, fromHeight, toHeight, {
+      blocks: this.fees,
+      concurrency: this.concurrency
+    })
+
+    return Promise.all([fetcher.toArray(), this.client.info()]).then((results) => {
+      this.add(results[0])
+
+      /* The daemon only reports how many alternative blocks it has seen in
+         total, so the count is recorded along with the top of the chain and
+         the orphan rate of a range comes from the counts around it */
+      this._alternatives.push({ height: results[1].height - 1, count: results[1].alt_blocks_count })
+    })
+  }
+
+  /**
+   * Finds the heights of the first and last blocks of a time window by
+   * bisecting the chain
+   * @async
+   * @private
+   * @param {number} fromTimestamp - the start of the window
+   * @param {number} [toTimestamp] - the end of the window, defaults to the top of the chain
+   * @returns {Promise<Object>} resolves with { from, to } or rejects with error
+   */
+  _heightsOf (fromTimestamp, toTimestamp) {
+    const timestampAt = (height) => {
+      if (this._blocks.has(height)) return Promise.resolve(this._blocks.get(height).timestamp)
+
+      return this.client.blockHeaderByHeight(height).then((header) => header.timestamp)
+    }
+
+    /* The lowest height whose block is at or after the timestamp */
+    const bisect = (timestamp, low, high) => {
+      if (low >= high) return Promise.resolve(low)
+
+      const middle = Math.floor((low + high) / 2)
+
+      return timestampAt(middle).then((value) => {
+        return (value >= timestamp) ? bisect(timestamp, low, middle) : bisect(timestamp, middle + 1, high)
+      })
+    }
+
+    return this.client.lastBlockHeader().then((top) => {
+      const to = (toTimestamp === undefined) ? Promise.resolve(top.height) : bisect(toTimestamp + 1, 0, top.height + 1).then((height) => height - 1)
+
+      return Promise.all([bisect(fromTimestamp, 0, top.height + 1), to])
+    }).then((heights) => {
+      if (heights[0] > heights[1]) throw new Error('No block was mined during the time window')
+
+      return { from: heights[0], to: heights[1] }
+    })
+  }
+
+  /**
+   * The blocks held within a range of heights
+   * @private
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {Object[]} the blocks, lowest first
+   */
+  _samples (fromHeight, toHeight) {
+    const samples = []
+
+    for (var height = fromHeight; height <= toHeight; height++) {
+      if (this._blocks.has(height)) samples.push(this._blocks.get(height))
+    }
+
+    return samples
+  }
+
+  /**
+   * Computes the share of the blocks found while a range of heights was
+   * mined that ended up as alternative blocks, from the last count recorded
+   * below the range and the first one recorded at or above it afterwards
+   * @private
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {number|undefined} the orphan rate, or undefined if the range is not covered by the counts recorded
+   */
+  _orphanRate (fromHeight, toHeight) {
+    var before = this._alternatives.length - 1
+
+    while (before >= 0 && this._alternatives[before].height >= fromHeight) before--
+    if (before < 0) return
+
+    const start = this._alternatives[before]
+    const end = this._alternatives.slice(before + 1).find((record) => record.height >= toHeight)
+    if (!end) return
+
+    /* A count that went down belongs to a daemon that was restarted */
+    const orphans = end.count - start.count
+    const blocks = end.height - start.height
+    if (typeof orphans !== 'number' || isNaN(orphans) || orphans < 0 || blocks <= 0) return
+
+    return orphans / (orphans + blocks)
+  }
+
+  /**
+   * Keeps the list of heights held sorted
+   * @private
+   * @param {number} height - the height added
+   */
+  _insert (height) {
+    var index = this._heights.length
+
+    while (index > 0 && this._heights[index - 1] > height) index--
+
+    this._heights.splice(index, 0, height)
+  }
+
+  /**
+   * Computes the statistics of a list of blocks
+   * @private
+   * @param {Object[]} samples - the blocks, lowest first
+   * @returns {ChainStats.Stats} the statistics
+   */
+  _compute (samples) {
+    const blockTimes = []
+    var work = 0
+    var time = 0
+
+    samples.forEach((sample) => {
+      const previous = this._blocks.get(sample.height - 1)
+      if (!previous) return
+
+      const blockTime = sample.timestamp - previous.timestamp
+
+      blockTimes.push(blockTime)
+      work += sample.difficulty
+      time += blockTime
+    })
+
+    const first = samples[0] || {}
+    const last = samples[samples.length - 1] || {}
+
+    return {
+      fromHeight: first.height,
+      toHeight: last.height,
+      fromTimestamp: first.timestamp,
+      toTimestamp: last.timestamp,
+      blocks: samples.length,
+      blockTime: summarize(blockTimes),
+      difficulty: summarize(samples.map((sample) => sample.difficulty)),
+      difficultyTrend: slope(samples.map((sample) => sample.height), samples.map((sample) => sample.difficulty)),
+      hashrate: (time > 0) ? work / time : 0,
+      orphanRate: (samples.length !== 0) ? this._orphanRate(first.height, last.height) : undefined,
+      transactions: summarize(samples.map((sample) => sample.transactions)),
+      size: summarize(samples.map((sample) => sample.size)),
+      fees: summarize(samples.filter((sample) => sample.fee !== undefined).map((sample) => sample.fee))
+    }
+  }
+}
+
+/* Keeps what the statistics need from a block header or a block summary */
+function normalize (block) {
+  return {
+    height: block.height,
+    hash: block.hash,
+    timestamp: block.timestamp,
+    difficulty: block.difficulty,
+    transactions: (block.num_txes !== undefined) ? block.num_txes : (block.transactions || []).length,
+    size: (block.block_size !== undefined) ? block.block_size : block.blockSize,
+    fee: block.totalFeeAmount
+  }
+}
+
+function summarize (values) {
+  if (values.length === 0) return { count: 0, mean: 0, median: 0, p95: 0, min: 0, max: 0 }
+
+  const sorted = values.slice().sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: (sorted.length % 2 === 0) ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle],
+    /* Nearest rank */
+    p95: sorted[Math.ceil(sorted.length * 0.95) - 1],
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  }
+}
+
+/* The slope of the least squares line through the points */
+function slope (xs, ys) {
+  if (xs.length < 2) return 0
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length
+  var numerator = 0
+  var denominator = 0
+
+  xs.forEach((x, index) => {
+    numerator += (x - meanX) * (ys[index] - meanY)
+    denominator += (x - meanX) * (x - meanX)
+  })
+
+  return (denominator !== 0) ? numerator / denominator : 0
+}
+
+module.exports = ChainStats
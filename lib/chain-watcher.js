@@ -0,0 +1,297 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const EventEmitter = require('events')
+const HeaderChain = require('./header-chain')
+
+/**
+ * Reorganization
+ * @memberof ChainWatcher
+ * @typedef {Object} Reorganization
+ * @property {number} height - the height of the last block both chains share
+ * @property {XTCASHnetwork.BlockHeader[]} detached - the blocks that left the chain, lowest first
+ * @property {XTCASHnetwork.BlockHeader[]} attached - the blocks that replaced them, lowest first
+ */
+
+/**
+ * Stall
+ * @memberof ChainWatcher
+ * @typedef {Object} Stall
+ * @property {number} height - the height of the last block seen
+ * @property {number} since - the timestamp at which that block was seen, in milliseconds
+ * @property {number} duration - how long the height has not moved, in milliseconds
+ * @property {Error} [error] - the error of the last poll, when it failed, ie. the daemon cannot be reached
+ */
+
+/**
+ * Polls the top of the chain and emits every new block header in height
+ * order. Blocks mined between two polls are looked up one by one, so no
+ * height is ever skipped, and a poll that fails is picked up again by the
+ * next one from the last block emitted.
+ *
+ * Each header must link to the previous one. When it does not, the last
+ * block both chains share is looked up and a reorg event lists the blocks
+ * that left the chain and the ones that replaced them, followed by a block
+ * event for each of the latter.
+ *
+ * Errors are emitted as error events only when there is a listener for
+ * them. Either way polling carries on, and a daemon that stays unreachable
+ * is reported by the stalled event, which carries the last error.
+ * @module ChainWatcher
+ * @class
+ * @extends EventEmitter
+ */
+class ChainWatcher extends EventEmitter {
+  /**
+   * Initializes a new ChainWatcher object, use XTCASHnetwork.watchChain() instead
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to poll
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.interval=10000] - how often the top of the chain is polled, in milliseconds
+   * @param {number} [opts.stallTimeout=300000] - how long the height may stay the same before a stalled event is emitted, in milliseconds
+   * @param {number} [opts.fromHeight] - the height of the first block emitted, defaults to the block after the top of the chain when the watcher starts
+   * @param {number} [opts.maxDepth=100] - how many of the most recent blocks are kept to be reported as detached
+   * @param {boolean} [opts.autoStart=true] - whether polling starts immediately
+   */
+  constructor (client, opts) {
+    opts = opts || {}
+    super()
+
+    this.client = client
+    this.interval = opts.interval || 10000
+    this.stallTimeout = opts.stallTimeout || 300000
+    this.fromHeight = opts.fromHeight
+    this.maxDepth = opts.maxDepth || 100
+
+    /* The height of the last block emitted */
+    this.height = (this.fromHeight !== undefined) ? this.fromHeight - 1 : -1
+
+    this._chain = new HeaderChain({ maxHeaders: this.maxDepth })
+    this._recent = []
+    this._started = false
+    this._movedAt = Date.now()
+    this._stalled = false
+    this._lastError = undefined
+    this._stopped = false
+    this._timer = undefined
+
+    if (opts.autoStart !== false) this.start()
+  }
+
+  /**
+   * Whether the watcher is polling
+   * @type {boolean}
+   */
+  get running () {
+    return this._timer !== undefined
+  }
+
+  /**
+   * Starts polling the top of the chain
+   */
+  start () {
+    if (this._timer !== undefined) return
+
+    this._stopped = false
+
+    const loop = () => {
+      this.poll().then(() => {
+        if (this._timer === undefined) return
+        this._timer = setTimeout(loop, this.interval)
+      })
+    }
+
+    this._timer = null
+    loop()
+  }
+
+  /**
+   * Stops polling, a poll in progress stops before emitting anything else
+   */
+  stop () {
+    if (this._timer) clearTimeout(this._timer)
+    this._timer = undefined
+    this._stopped = true
+  }
+
+  /**
+   * Polls the top of the chain once. Errors are emitted as error events
+   * when there is a listener for them and polling carries on either way,
+   * the stalled event reports the last one.
+   * @async
+   * @returns {Promise} resolves once the blocks found have been emitted
+   */
+  poll () {
+    return this.client.lastBlockHeader().then((top) => {
+      this._lastError = undefined
+
+      if (!this._started) return this._begin(top)
+
+      const held = this._chain.hashAt(top.height)
+
+      if (top.hash === held) return
+      /* A daemon that is behind us is not a reorganization */
+      if (held === undefined && top.height < this._chain.height) return
+      if (top.height <= this._chain.height) return this._reorganize(top)
+
+      return this._follow(top)
+    }).catch((err) => {
+      this._lastError = err
+      if (this.listenerCount('error') !== 0) this.emit('error', err)
+    }).then(() => this._checkStalled())
+  }
+
+  /**
+   * Takes the top of the chain as the starting point, or starts catching
+   * up from fromHeight
+   * @async
+   * @private
+   * @param {XTCASHnetwork.BlockHeader} top - the top of the chain
+   * @returns {Promise} resolves once the blocks found have been emitted
+   */
+  _begin (top) {
+    this._started = true
+
+    if (this.fromHeight === undefined) {
+      this._chain.add(top)
+      this._keep(top)
+      this.height = top.height
+      return Promise.resolve()
+    }
+
+    return this._follow(top)
+  }
+
+  /**
+   * Emits the blocks from the last one emitted up to the top of the chain,
+   * looking up the ones in between
+   * @async
+   * @private
+   * @param {XTCASHnetwork.BlockHeader} top - the top of the chain
+   * @returns {Promise} resolves once the blocks found have been emitted
+   */
+  _follow (top) {
+    const height = this.height + 1
+
+    if (height > top.height || this._stopped) return Promise.resolve()
+
+    const lookup = (height === top.height) ? Promise.resolve(top) : this.client.blockHeaderByHeight(height)
+
+    return lookup.then((header) => {
+      if (this._stopped) return
+
+      if (this._chain.add(header).fork) return this._reorganize(top)
+
+      this._keep(header)
+      this._emitBlock(header)
+
+      return this._follow(top)
+    })
+  }
+
+  /**
+   * Finds the last block both chains share, then emits the blocks that
+   * left the chain and the ones that replaced them up to the top
+   * @async
+   * @private
+   * @param {XTCASHnetwork.BlockHeader} top - the top of the chain
+   * @returns {Promise} resolves once the blocks found have been emitted
+   */
+  _reorganize (top) {
+    return this._chain.commonAncestor(this.client).then((ancestor) => {
+      const height = (ancestor) ? ancestor.height : this._rescanHeight(top)
+      const attached = []
+
+      const lookup = (next, previous) => {
+        if (next > top.height) return Promise.resolve()
+
+        const request = (next === top.height) ? Promise.resolve(top) : this.client.blockHeaderByHeight(next)
+
+        return request.then((header) => {
+          /* The chain moved again while we were looking, the next poll carries on */
+          if (previous !== undefined && header.prev_hash !== previous) return
+
+          attached.push(header)
+          return lookup(next + 1, header.hash)
+        })
+      }
+
+      return lookup(height + 1, (ancestor) ? ancestor.hash : undefined).then(() => {
+        if (this._stopped) return
+
+        const detached = this._recent.filter((header) => header.height > height)
+
+        this._chain.rewind((ancestor) ? height : -1)
+        this._recent = this._recent.filter((header) => header.height <= height)
+        this.height = height
+
+        this.emit('reorg', { height: height, detached: detached, attached: attached })
+
+        attached.forEach((header) => {
+          this._chain.add(header)
+          this._keep(header)
+          this._emitBlock(header)
+        })
+      })
+    })
+  }
+
+  /**
+   * Where to start again when none of the blocks held is on the chain
+   * anymore: below the oldest block kept, or maxDepth blocks below the top
+   * when none is kept, ie. after a reorg that went deeper than them
+   * @private
+   * @param {XTCASHnetwork.BlockHeader} top - the top of the chain
+   * @returns {number} the height of the last block considered shared
+   */
+  _rescanHeight (top) {
+    if (this._recent.length !== 0) return this._recent[0].height - 1
+
+    return Math.max(Math.min(this.height, top.height) - this.maxDepth, -1)
+  }
+
+  /**
+   * Remembers a block so that it can be reported as detached later on
+   * @private
+   * @param {XTCASHnetwork.BlockHeader} header - the block
+   */
+  _keep (header) {
+    this._recent.push(header)
+    if (this._recent.length > this.maxDepth) this._recent.shift()
+  }
+
+  /**
+   * Emits a block and notes that the chain moved
+   * @private
+   * @param {XTCASHnetwork.BlockHeader} header - the block
+   */
+  _emitBlock (header) {
+    this.height = header.height
+    this._movedAt = Date.now()
+    this._stalled = false
+
+    this.emit('block', header)
+  }
+
+  /**
+   * Emits a stalled event, once, when the height has not moved for too
+   * long, including when the daemon could not be reached from the start
+   * @private
+   */
+  _checkStalled () {
+    const duration = Date.now() - this._movedAt
+
+    if (this._stalled || duration < this.stallTimeout) return
+
+    const stall = { height: this.height, since: this._movedAt, duration: duration }
+    if (this._lastError) stall.error = this._lastError
+
+    this._stalled = true
+    this.emit('stalled', stall)
+  }
+}
+
+module.exports = ChainWatcher
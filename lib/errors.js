@@ -0,0 +1,258 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * Error Details
+ * @typedef {Object} ErrorDetails
+ * @property {string} [method] - the client method that was called
+ * @property {string} [endpoint] - the endpoint (path) that was requested
+ * @property {Error} [cause] - the original error, if any
+ * @property {*} [body] - the decoded response body, if any
+ */
+
+/**
+ * The base class of every error raised by the RPC clients
+ * @class
+ * @extends Error
+ */
+class RPCClientError extends Error {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message)
+    this.name = this.constructor.name
+    this.method = details.method
+    this.endpoint = details.endpoint
+    this.cause = details.cause
+    this.body = details.body
+  }
+}
+
+/**
+ * The daemon answered a JSON-RPC call with an error object
+ * @class
+ * @extends RPCClientError
+ */
+class RpcError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   * @param {number} [details.code] - the JSON-RPC error code
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message, details)
+    this.code = details.code
+  }
+}
+
+/**
+ * The server answered with a HTTP status code outside of 2xx
+ * @class
+ * @extends RPCClientError
+ */
+class HttpStatusError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   * @param {number} [details.statusCode] - the HTTP status code
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message, details)
+    this.statusCode = details.statusCode
+  }
+}
+
+/**
+ * The API key is missing or invalid (HTTP 401)
+ * @class
+ * @extends HttpStatusError
+ */
+class UnauthorizedError extends HttpStatusError {}
+
+/**
+ * The operation requires a wallet to be open and one is not (HTTP 403)
+ * @class
+ * @extends HttpStatusError
+ */
+class WalletNotOpenError extends HttpStatusError {}
+
+/**
+ * The item requested does not exist (HTTP 404)
+ * @class
+ * @extends HttpStatusError
+ */
+class NotFoundError extends HttpStatusError {}
+
+/**
+ * The request did not complete within the configured timeout
+ * @class
+ * @extends RPCClientError
+ */
+class TimeoutError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   * @param {number} [details.timeout] - the timeout that elapsed in milliseconds
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message, details)
+    this.code = (details.cause && details.cause.code) || 'ETIMEDOUT'
+    this.timeout = details.timeout
+  }
+}
+
+/**
+ * The connection to the server could not be made or was lost
+ * @class
+ * @extends RPCClientError
+ */
+class ConnectionError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message, details)
+    this.code = details.cause && details.cause.code
+  }
+}
+
+/**
+ * The daemon answered but reported a status other than OK, or left out
+ * the status entirely
+ * @class
+ * @extends RPCClientError
+ */
+class DaemonStatusError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   * @param {string} [details.status] - the status reported by the daemon
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message, details)
+    this.status = details.status
+  }
+}
+
+/**
+ * The call was cancelled through its AbortSignal
+ * @class
+ * @extends RPCClientError
+ */
+class AbortError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} [message=The operation was aborted] - the error message
+   * @param {ErrorDetails} [details] - information about the cancelled call
+   */
+  constructor (message, details) {
+    super(message || 'The operation was aborted', details)
+    this.code = 'ABORT_ERR'
+  }
+}
+
+/**
+ * The request could not be queued because the limiter queue is full
+ * @class
+ * @extends RPCClientError
+ */
+class QueueFullError extends RPCClientError {}
+
+/**
+ * The response did not match the documented shape of the method result,
+ * raised in strict mode only
+ * @class
+ * @extends RPCClientError
+ */
+class ResponseValidationError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   * @param {string} [details.path] - where in the result the mismatch was found, ie. result.transactions[0].hash
+   * @param {string} [details.expected] - the type that was expected
+   * @param {string} [details.actual] - the type that was found
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message, details)
+    this.path = details.path
+    this.expected = details.expected
+    this.actual = details.actual
+  }
+}
+
+/**
+ * The request has no recorded exchange in the cassette being replayed
+ * @class
+ * @extends RPCClientError
+ */
+class UnmatchedRequestError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   * @param {string} [details.cassette] - the path of the cassette
+   * @param {Object} [details.request] - the request that was not matched, as { verb, path, body }
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message, details)
+    this.cassette = details.cassette
+    this.request = details.request
+  }
+}
+
+/**
+ * The transaction waited for was unknown to the daemon for longer than the timeout
+ * @class
+ * @extends RPCClientError
+ */
+class TransactionDroppedError extends RPCClientError {
+  /**
+   * @constructor
+   * @param {string} message - the error message
+   * @param {ErrorDetails} [details] - information about the failed call
+   * @param {string} [details.hash] - the transaction hash
+   */
+  constructor (message, details) {
+    details = details || {}
+    super(message, details)
+    this.hash = details.hash
+  }
+}
+
+module.exports = {
+  RPCClientError,
+  RpcError,
+  HttpStatusError,
+  UnauthorizedError,
+  WalletNotOpenError,
+  NotFoundError,
+  TimeoutError,
+  ConnectionError,
+  DaemonStatusError,
+  AbortError,
+  QueueFullError,
+  ResponseValidationError,
+  UnmatchedRequestError,
+  TransactionDroppedError
+}
@@ -0,0 +1,122 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* global fetch, AbortController */
+
+const Abort = require('./abort')
+
+/* Browsers refuse to let scripts set these, and some fail the whole
+   request instead of quietly dropping them */
+const FORBIDDEN_HEADERS = [
+  'accept-encoding',
+  'connection',
+  'content-length',
+  'host',
+  'user-agent'
+]
+
+/**
+ * A transport built on the Fetch API for use in browsers, or any other
+ * runtime that provides fetch() and AbortController. The browser build
+ * uses it in place of HttpTransport.
+ * @module FetchTransport
+ * @class
+ */
+class FetchTransport {
+  /**
+   * Initializes a new FetchTransport object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {function} [opts.fetch] - the fetch implementation to use, defaults to the global fetch
+   * @param {string} [opts.mode=cors] - the request mode passed to fetch
+   * @param {string} [opts.credentials=omit] - whether cookies are sent with requests, passed to fetch
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.fetch = opts.fetch || ((typeof fetch !== 'undefined') ? fetch.bind(null) : undefined)
+    this.mode = opts.mode || 'cors'
+    this.credentials = opts.credentials || 'omit'
+  }
+
+  /**
+   * Performs a single HTTP request. The timeout is enforced with an
+   * AbortController, which also cancels the request if the signal of the
+   * call is aborted.
+   * @async
+   * @param {HttpTransport.TransportRequest} req - the request to perform
+   * @returns {Promise<HttpTransport.TransportResponse>} resolves with the response or rejects with error
+   */
+  request (req) {
+    return new Promise((resolve, reject) => {
+      if (!this.fetch) return reject(new Error('fetch is not available, supply opts.fetch'))
+      if (req.signal && req.signal.aborted) return reject(Abort.abortError(req.signal))
+
+      const controller = (typeof AbortController !== 'undefined') ? new AbortController() : undefined
+      const headers = {}
+      var timer
+
+      Object.keys(req.headers || {}).forEach((name) => {
+        if (FORBIDDEN_HEADERS.indexOf(name.toLowerCase()) === -1) headers[name] = req.headers[name]
+      })
+
+      const done = () => {
+        if (timer) clearTimeout(timer)
+        removeAbortListener()
+      }
+
+      const removeAbortListener = Abort.onAbort(req.signal, () => {
+        done()
+        reject(Abort.abortError(req.signal))
+        if (controller) controller.abort()
+      })
+
+      if (req.timeout) {
+        timer = setTimeout(() => {
+          const err = new Error('ETIMEDOUT')
+          err.code = 'ETIMEDOUT'
+          done()
+          reject(err)
+          if (controller) controller.abort()
+        }, req.timeout)
+      }
+
+      this.fetch(req.url, {
+        method: req.method,
+        headers: headers,
+        body: req.body,
+        mode: this.mode,
+        credentials: this.credentials,
+        signal: (controller) ? controller.signal : undefined
+      }).then((response) => {
+        return response.text().then((body) => {
+          const responseHeaders = {}
+
+          if (response.headers && response.headers.forEach) {
+            response.headers.forEach((value, name) => { responseHeaders[name] = value })
+          }
+
+          done()
+
+          return resolve({
+            statusCode: response.status,
+            headers: responseHeaders,
+            body: body
+          })
+        })
+      }).catch((err) => {
+        done()
+        return reject(err)
+      })
+    })
+  }
+
+  /**
+   * Does nothing, the browser manages its own connections
+   */
+  destroy () {}
+}
+
+module.exports = FetchTransport
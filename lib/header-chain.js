@@ -0,0 +1,393 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* How many times the distance between checkpoints grows by one before it
+   starts doubling, as the daemon and the wallets build them */
+const SEQUENTIAL_CHECKPOINTS = 10
+
+/**
+ * Checkpoint
+ * @memberof HeaderChain
+ * @typedef {Object} Checkpoint
+ * @property {number} height - the height of the block
+ * @property {string} hash - the hash of the block
+ */
+
+/**
+ * Header, any of XTCASHnetwork.BlockHeader, XTCASHnetwork.BlockDetails or a plain object
+ * @memberof HeaderChain
+ * @typedef {Object} Header
+ * @property {number} [height] - the height of the block, index is used when missing
+ * @property {number} [index] - the height of the block, as found in XTCASHnetwork.BlockDetails
+ * @property {string} hash - the hash of the block
+ * @property {string} [prevHash] - the hash of the previous block, prev_hash and prevBlockHash are used when missing
+ */
+
+/**
+ * Fork
+ * @memberof HeaderChain
+ * @typedef {Object} Fork
+ * @property {number} height - the height of the header that did not link to the chain
+ * @property {string} hash - the hash of that header
+ * @property {HeaderChain.Checkpoint} [ancestor] - the highest block both chains share, when the headers show it
+ */
+
+/**
+ * Add Result
+ * @memberof HeaderChain
+ * @typedef {Object} AddResult
+ * @property {number} added - how many headers were added
+ * @property {HeaderChain.Fork} [fork] - where the headers stopped linking to the chain, if they did
+ */
+
+/**
+ * Keeps the hashes of the blocks by height, checks that every header added
+ * links to the one below it and builds the sparse block hash checkpoints
+ * expected by blocksDetailed, blocksLite, rawBlocks and walletSyncData.
+ * The chain may start at any height, ie. a height trusted by the caller.
+ * @module HeaderChain
+ * @class
+ */
+class HeaderChain {
+  /**
+   * Initializes a new HeaderChain object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {string} [opts.genesisHash] - the hash of the genesis block, which ends every list of checkpoints, learnt when the header at height 0 is added
+   * @param {number} [opts.maxHeaders=Infinity] - how many of the most recent headers are kept, older headers are only kept as far as they are needed as checkpoints
+   * @param {Object} [opts.store] - the store persisting the chain, ie. a JsonFileStore, providing load() and save(state) methods that may return Promises
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.genesisHash = opts.genesisHash
+    this.maxHeaders = opts.maxHeaders || Infinity
+    this.store = opts.store || false
+
+    this._heights = []
+    this._headers = new Map()
+  }
+
+  /**
+   * The height of the highest header held, -1 when empty
+   * @type {number}
+   */
+  get height () {
+    return (this._heights.length !== 0) ? this._heights[this._heights.length - 1] : -1
+  }
+
+  /**
+   * The highest header held
+   * @type {HeaderChain.Checkpoint|undefined}
+   */
+  get tip () {
+    if (this._heights.length === 0) return
+
+    return { height: this.height, hash: this.hashAt(this.height) }
+  }
+
+  /**
+   * The number of headers held
+   * @type {number}
+   */
+  get size () {
+    return this._heights.length
+  }
+
+  /**
+   * The hash of the block at a height
+   * @param {number} height - the height
+   * @returns {string|undefined} the hash, if held
+   */
+  hashAt (height) {
+    const header = this._headers.get(height)
+    return (header) ? header.hash : undefined
+  }
+
+  /**
+   * Adds headers on top of the chain, in height order. A header that is
+   * already held is skipped, the others must be above the top of the chain
+   * and, when they carry the previous hash and the header below is held,
+   * link to it. Heights may be skipped, ie. the blocks walletSyncData leaves
+   * out. Adding stops at the first header that does not link.
+   * @param {HeaderChain.Header|HeaderChain.Header[]} headers - the headers to add
+   * @returns {HeaderChain.AddResult} how many headers were added and where the chain forked, if it did
+   */
+  add (headers) {
+    const list = [].concat(headers)
+    const result = { added: 0 }
+
+    for (var i = 0; i < list.length; i++) {
+      const header = normalize(list[i])
+      const known = this.hashAt(header.height)
+
+      if (known === header.hash) continue
+
+      /* Headers below the chain, or in a part that was pruned, cannot be checked */
+      if (known === undefined && header.height <= this.height) continue
+
+      if (known !== undefined) {
+        result.fork = this._fork(header)
+        break
+      }
+
+      const below = this.hashAt(header.height - 1)
+      if (header.prevHash && below !== undefined && header.prevHash !== below) {
+        result.fork = this._fork(header)
+        break
+      }
+
+      this._heights.push(header.height)
+      this._headers.set(header.height, { hash: header.hash, prevHash: header.prevHash })
+      if (header.height === 0) this.genesisHash = header.hash
+
+      result.added++
+    }
+
+    this._prune()
+
+    return result
+  }
+
+  /**
+   * Removes the headers above a height, ie. to go back to the common
+   * ancestor after a fork
+   * @param {number} height - the height of the highest header kept, -1 to remove every header
+   * @returns {number} how many headers were removed
+   */
+  rewind (height) {
+    var removed = 0
+
+    while (this._heights.length !== 0 && this.height > height) {
+      this._headers.delete(this._heights.pop())
+      removed++
+    }
+
+    return removed
+  }
+
+  /**
+   * The heights of the sparse checkpoints for a chain topped at a height:
+   * the 11 highest in sequence, then at offsets that double every time
+   * (2, 4, 8, 16, ...), then the genesis block
+   * @param {number} height - the height of the top of the chain
+   * @returns {number[]} the heights, highest first
+   */
+  static checkpointHeights (height) {
+    const heights = []
+    var offset = 0
+    var step = 1
+
+    for (var i = 0; height - offset > 0; i++) {
+      heights.push(height - offset)
+
+      if (i < SEQUENTIAL_CHECKPOINTS) {
+        offset++
+      } else {
+        step *= 2
+        offset += step
+      }
+    }
+
+    if (height >= 0) heights.push(0)
+
+    return heights
+  }
+
+  /**
+   * Builds the block hash checkpoints of the chain, highest first. Heights
+   * that were pruned or lie below the start of the chain use the closest
+   * lower header held, and the genesis block ends the list when its hash is known.
+   * @returns {string[]} the block hashes
+   */
+  checkpoints () {
+    const hashes = []
+    var index = this._heights.length - 1
+
+    HeaderChain.checkpointHeights(this.height).forEach((height) => {
+      if (height === 0) return
+
+      while (index >= 0 && this._heights[index] > height) index--
+      if (index < 0) return
+
+      const hash = this.hashAt(this._heights[index])
+      if (hashes[hashes.length - 1] !== hash) hashes.push(hash)
+    })
+
+    const genesis = this.genesisHash || this.hashAt(0)
+    if (genesis && hashes[hashes.length - 1] !== genesis) hashes.push(genesis)
+
+    return hashes
+  }
+
+  /**
+   * Finds the highest block held that is also on the chain of the daemon,
+   * checking the checkpoints first and then narrowing down between them
+   * @async
+   * @param {XTCASHnetwork} client - the daemon to compare with
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options used for every request
+   * @returns {Promise<HeaderChain.Checkpoint|undefined>} resolves with the common ancestor, undefined if none of the headers held is on the chain of the daemon, or rejects with error
+   */
+  commonAncestor (client, callOpts) {
+    return client.height(callOpts).then((info) => {
+      /* Blocks above the top of the daemon are not on its chain */
+      const matches = (height) => {
+        if (height >= info.height) return Promise.resolve(false)
+
+        return client.blockHeaderByHeight(height, callOpts).then((header) => header.hash === this.hashAt(height))
+      }
+
+      const candidates = HeaderChain.checkpointHeights(this.height).filter((height) => this._headers.has(height))
+
+      const search = (index, above) => {
+        if (index >= candidates.length) return Promise.resolve()
+
+        return matches(candidates[index]).then((match) => {
+          if (!match) return search(index + 1, candidates[index])
+
+          return this._narrow(candidates[index], above, matches)
+        })
+      }
+
+      return search(0, undefined).then((height) => {
+        return (height !== undefined) ? { height: height, hash: this.hashAt(height) } : undefined
+      })
+    })
+  }
+
+  /**
+   * Loads the chain from the store, replacing the headers held
+   * @async
+   * @returns {Promise<HeaderChain>} resolves with the chain or rejects with error
+   */
+  load () {
+    if (!this.store) return Promise.reject(new Error('No store was supplied'))
+
+    return Promise.resolve().then(() => this.store.load()).then((state) => {
+      if (state) this.restore(state)
+      return this
+    })
+  }
+
+  /**
+   * Saves the chain to the store
+   * @async
+   * @returns {Promise} resolves once saved or rejects with error
+   */
+  save () {
+    if (!this.store) return Promise.reject(new Error('No store was supplied'))
+
+    return Promise.resolve().then(() => this.store.save(this.toJSON()))
+  }
+
+  /**
+   * Replaces the headers held with a state built by toJSON()
+   * @param {Object} state - the state
+   */
+  restore (state) {
+    this._heights = []
+    this._headers = new Map()
+    this.genesisHash = state.genesisHash || this.genesisHash
+
+    state.headers.forEach((header) => {
+      this._heights.push(header.height)
+      this._headers.set(header.height, { hash: header.hash, prevHash: header.prevHash })
+    })
+
+    this._heights.sort((a, b) => a - b)
+  }
+
+  /**
+   * The state of the chain as a plain object that can be serialized
+   * @returns {Object} the state
+   */
+  toJSON () {
+    return {
+      genesisHash: this.genesisHash,
+      headers: this._heights.map((height) => {
+        const header = this._headers.get(height)
+        return { height: height, hash: header.hash, prevHash: header.prevHash }
+      })
+    }
+  }
+
+  /**
+   * Describes where headers stopped linking to the chain
+   * @private
+   * @param {Object} header - the normalized header that did not link
+   * @returns {HeaderChain.Fork} the fork
+   */
+  _fork (header) {
+    const fork = { height: header.height, hash: header.hash }
+    const below = this.hashAt(header.height - 1)
+
+    if (header.prevHash && below === header.prevHash) fork.ancestor = { height: header.height - 1, hash: below }
+
+    return fork
+  }
+
+  /**
+   * Binary searches the heights held between a height on the chain of the
+   * daemon and one that is not
+   * @async
+   * @private
+   * @param {number} low - a height that matches
+   * @param {number} [high] - a height that does not match, defaults to above the top
+   * @param {function} matches - resolves with whether a height matches
+   * @returns {Promise<number>} resolves with the highest height that matches
+   */
+  _narrow (low, high, matches) {
+    const heights = this._heights.filter((height) => height > low && (high === undefined || height < high))
+
+    const bisect = (from, to, best) => {
+      if (from > to) return Promise.resolve(best)
+
+      const middle = Math.floor((from + to) / 2)
+
+      return matches(heights[middle]).then((match) => {
+        return (match) ? bisect(middle + 1, to, heights[middle]) : bisect(from, middle - 1, best)
+      })
+    }
+
+    return bisect(0, heights.length - 1, low)
+  }
+
+  /**
+   * Drops the headers that are neither recent nor needed as checkpoints
+   * @private
+   */
+  _prune () {
+    if (this._heights.length <= this.maxHeaders) return
+
+    const keep = new Set(this._heights.slice(-this.maxHeaders))
+    var index = this._heights.length - 1
+
+    /* For each checkpoint we keep the closest header at or below it */
+    HeaderChain.checkpointHeights(this.height).forEach((height) => {
+      while (index >= 0 && this._heights[index] > height) index--
+      if (index >= 0) keep.add(this._heights[index])
+    })
+
+    this._heights.forEach((height) => {
+      if (!keep.has(height)) this._headers.delete(height)
+    })
+
+    this._heights = this._heights.filter((height) => keep.has(height))
+  }
+}
+
+function normalize (header) {
+  const height = (header.height !== undefined) ? header.height : header.index
+
+  if (typeof height !== 'number' || !header.hash) throw new Error('Headers must have a height and a hash')
+
+  return {
+    height: height,
+    hash: header.hash,
+    prevHash: header.prevHash || header.prev_hash || header.prevBlockHash || undefined
+  }
+}
+
+module.exports = HeaderChain
@@ -0,0 +1,76 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const fs = require('fs')
+
+/**
+ * Persists a single JSON document to a file, ie. the state of a
+ * HeaderChain. The file is replaced in one step when saving so that a
+ * crash never leaves half a document behind. NodeJS only.
+ * @module JsonFileStore
+ * @class
+ */
+class JsonFileStore {
+  /**
+   * Initializes a new JsonFileStore object
+   * @constructor
+   * @param {Object} opts - Configuration options
+   * @param {string} opts.path - the path of the file
+   * @param {boolean} [opts.pretty=false] - whether to indent the JSON written
+   */
+  constructor (opts) {
+    opts = opts || {}
+
+    if (!opts.path) throw new Error('Must supply the path of the file')
+
+    this.path = opts.path
+    this.pretty = opts.pretty || false
+  }
+
+  /**
+   * Reads the document
+   * @async
+   * @returns {Promise<Object|undefined>} resolves with the document, undefined if the file does not exist yet, or rejects with error
+   */
+  load () {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.path, 'utf8', (err, text) => {
+        if (err && err.code === 'ENOENT') return resolve()
+        if (err) return reject(err)
+
+        try {
+          return resolve(JSON.parse(text))
+        } catch (e) {
+          return reject(new Error(this.path + ' does not hold valid JSON: ' + e.message))
+        }
+      })
+    })
+  }
+
+  /**
+   * Writes the document, replacing the previous one
+   * @async
+   * @param {Object} document - the document to write
+   * @returns {Promise} resolves once written or rejects with error
+   */
+  save (document) {
+    return new Promise((resolve, reject) => {
+      const temporary = this.path + '.tmp'
+      const text = (this.pretty) ? JSON.stringify(document, null, 2) : JSON.stringify(document)
+
+      fs.writeFile(temporary, text, (err) => {
+        if (err) return reject(err)
+
+        fs.rename(temporary, this.path, (err) => {
+          if (err) return reject(err)
+          return resolve()
+        })
+      })
+    })
+  }
+}
+
+module.exports = JsonFileStore
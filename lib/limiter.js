@@ -0,0 +1,149 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Abort = require('./abort')
+const Errors = require('./errors')
+
+/**
+ * Caps the number of requests in flight and the number of requests started
+ * per second (via a token bucket). Requests that cannot start yet wait in
+ * FIFO order, with high priority requests always starting before the rest.
+ * A single Limiter may be shared by several clients.
+ * @module Limiter
+ * @class
+ */
+class Limiter {
+  /**
+   * Initializes a new Limiter object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.concurrency=Infinity] - the maximum number of requests in flight
+   * @param {number} [opts.rate=Infinity] - the maximum number of requests started per second
+   * @param {number} [opts.burst] - how many requests may start at once after an idle period, defaults to the rate
+   * @param {number} [opts.maxQueue=Infinity] - the maximum number of requests waiting to start
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.concurrency = opts.concurrency || Infinity
+    this.rate = opts.rate || Infinity
+    this.burst = opts.burst || ((isFinite(this.rate)) ? Math.max(1, Math.ceil(this.rate)) : Infinity)
+    this.maxQueue = (opts.maxQueue !== undefined) ? opts.maxQueue : Infinity
+
+    this.running = 0
+    this.tokens = this.burst
+    this.lastRefill = Date.now()
+    this.queues = {
+      high: [],
+      normal: []
+    }
+  }
+
+  /**
+   * The number of requests waiting to start
+   * @type {number}
+   */
+  get pending () {
+    return this.queues.high.length + this.queues.normal.length
+  }
+
+  /**
+   * Runs the function once the limits allow it
+   * @async
+   * @param {function} fn - the function to run, returning a Promise
+   * @param {Object} [opts] - the scheduling options
+   * @param {string} [opts.priority=normal] - high to skip ahead of every normal priority request
+   * @param {AbortSignal} [opts.signal] - a signal that removes the request from the queue
+   * @param {ErrorDetails} [opts.details] - information about the call used in errors
+   * @returns {Promise<*>} resolves or rejects with the outcome of the function
+   */
+  schedule (fn, opts) {
+    opts = opts || {}
+
+    return new Promise((resolve, reject) => {
+      if (opts.signal && opts.signal.aborted) return reject(Abort.abortError(opts.signal, opts.details))
+
+      const queue = (opts.priority === 'high') ? this.queues.high : this.queues.normal
+      const task = {
+        fn: fn,
+        resolve: resolve,
+        reject: reject
+      }
+
+      task.removeAbortListener = Abort.onAbort(opts.signal, () => {
+        if (!remove(queue, task)) return
+        return reject(Abort.abortError(opts.signal, opts.details))
+      })
+
+      queue.push(task)
+      this._drain()
+
+      if (this.pending > this.maxQueue && remove(queue, task)) {
+        task.removeAbortListener()
+        return reject(new Errors.QueueFullError('The request queue is full', opts.details))
+      }
+    })
+  }
+
+  /**
+   * Adds the tokens earned since the last refill to the bucket
+   * @private
+   */
+  _refill () {
+    if (!isFinite(this.rate)) return
+
+    const now = Date.now()
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) * this.rate / 1000))
+    this.lastRefill = now
+  }
+
+  /**
+   * Starts as many waiting requests as the limits allow
+   * @private
+   */
+  _drain () {
+    while (this.running < this.concurrency && this.pending > 0) {
+      this._refill()
+
+      if (this.tokens < 1) {
+        if (this._timer) return
+
+        this._timer = setTimeout(() => {
+          this._timer = undefined
+          this._drain()
+        }, Math.ceil((1 - this.tokens) * 1000 / this.rate))
+
+        return
+      }
+
+      const task = this.queues.high.shift() || this.queues.normal.shift()
+      if (isFinite(this.rate)) this.tokens -= 1
+      this.running++
+      task.removeAbortListener()
+
+      const done = () => {
+        this.running--
+        this._drain()
+      }
+
+      Promise.resolve().then(() => task.fn()).then((result) => {
+        done()
+        return task.resolve(result)
+      }, (err) => {
+        done()
+        return task.reject(err)
+      })
+    }
+  }
+}
+
+function remove (queue, task) {
+  const index = queue.indexOf(task)
+  if (index === -1) return false
+  queue.splice(index, 1)
+  return true
+}
+
+module.exports = Limiter
@@ -0,0 +1,120 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * Cache Entry
+ * @memberof LRUStore
+ * @typedef {Object} CacheEntry
+ * @property {string} value - the serialized response
+ * @property {number} [height] - the highest block height the response depends on, if known
+ */
+
+/**
+ * An in-memory store that evicts the least recently used entries once it
+ * holds more than maxEntries entries or maxBytes bytes. Any object providing
+ * the same get(), set(), delete(), keys() and clear() methods, synchronous or
+ * returning Promises, may be supplied to a ResponseCache in its place.
+ * @module LRUStore
+ * @class
+ */
+class LRUStore {
+  /**
+   * Initializes a new LRUStore object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.maxEntries=1000] - the maximum number of entries held
+   * @param {number} [opts.maxBytes=16777216] - the maximum number of bytes held, counting keys and values
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.maxEntries = opts.maxEntries || 1000
+    this.maxBytes = opts.maxBytes || 16 * 1024 * 1024
+    this.bytes = 0
+    this.evictions = 0
+    this._entries = new Map()
+  }
+
+  /**
+   * The number of entries held
+   * @type {number}
+   */
+  get size () {
+    return this._entries.size
+  }
+
+  /**
+   * Retrieves an entry and marks it as the most recently used
+   * @param {string} key - the key of the entry
+   * @returns {LRUStore.CacheEntry|undefined} the entry, if held
+   */
+  get (key) {
+    const entry = this._entries.get(key)
+    if (entry === undefined) return
+
+    /* Maps iterate in insertion order, so re-inserting moves the entry to the back */
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+
+    return entry
+  }
+
+  /**
+   * Stores an entry, evicting the least recently used entries to make room
+   * @param {string} key - the key of the entry
+   * @param {LRUStore.CacheEntry} entry - the entry
+   */
+  set (key, entry) {
+    this.delete(key)
+
+    const size = entrySize(key, entry)
+    if (size > this.maxBytes) return
+
+    this._entries.set(key, entry)
+    this.bytes += size
+
+    while (this._entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this._entries.keys().next().value)
+      this.evictions++
+    }
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - the key of the entry
+   * @returns {boolean} whether the entry was held
+   */
+  delete (key) {
+    const entry = this._entries.get(key)
+    if (entry === undefined) return false
+
+    this._entries.delete(key)
+    this.bytes -= entrySize(key, entry)
+
+    return true
+  }
+
+  /**
+   * Lists the keys of every entry held, least recently used first
+   * @returns {string[]} the keys
+   */
+  keys () {
+    return Array.from(this._entries.keys())
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear () {
+    this._entries.clear()
+    this.bytes = 0
+  }
+}
+
+function entrySize (key, entry) {
+  return Buffer.byteLength(key) + Buffer.byteLength(entry.value)
+}
+
+module.exports = LRUStore
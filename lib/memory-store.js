@@ -0,0 +1,46 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * Keeps a single JSON document in memory, ie. the state of a HeaderChain.
+ * The document is copied in and out so that it cannot be changed behind
+ * the store's back. Nothing survives the process, use JsonFileStore for that.
+ * @module MemoryStore
+ * @class
+ */
+class MemoryStore {
+  /**
+   * Initializes a new MemoryStore object
+   * @constructor
+   * @param {Object} [document] - the document the store starts with
+   */
+  constructor (document) {
+    this._text = (document !== undefined) ? JSON.stringify(document) : undefined
+  }
+
+  /**
+   * Reads the document
+   * @async
+   * @returns {Promise<Object|undefined>} resolves with the document, undefined if nothing was saved yet
+   */
+  load () {
+    return Promise.resolve((this._text !== undefined) ? JSON.parse(this._text) : undefined)
+  }
+
+  /**
+   * Replaces the document
+   * @async
+   * @param {Object} document - the document to keep
+   * @returns {Promise} resolves once kept
+   */
+  save (document) {
+    this._text = JSON.stringify(document)
+
+    return Promise.resolve()
+  }
+}
+
+module.exports = MemoryStore
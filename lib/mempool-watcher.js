@@ -0,0 +1,199 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const EventEmitter = require('events')
+
+/**
+ * Polls poolChanges and keeps a copy of the mempool, emitting an added
+ * event for every transaction that enters it and a removed event for every
+ * transaction that leaves it. The removed transactions are then looked up
+ * with transactionsStatus and a confirmed event is emitted for those that
+ * made it into a block. When the tail block is no longer the top of the
+ * chain the whole pool is requested again and compared with the copy.
+ * @module MempoolWatcher
+ * @class
+ * @extends EventEmitter
+ */
+class MempoolWatcher extends EventEmitter {
+  /**
+   * Initializes a new MempoolWatcher object, use XTCASHnetwork.watchMempool() instead
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to poll
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.interval=10000] - how often the mempool is polled, in milliseconds
+   * @param {boolean} [opts.autoStart=true] - whether polling starts immediately
+   */
+  constructor (client, opts) {
+    opts = opts || {}
+    super()
+
+    this.client = client
+    this.interval = opts.interval || 10000
+
+    /* The hash of the block the copy of the pool was last synced against */
+    this.tailBlockHash = undefined
+
+    this._pool = new Map()
+    this._removed = new Map()
+    this._stopped = false
+    this._timer = undefined
+
+    if (opts.autoStart !== false) this.start()
+  }
+
+  /**
+   * Whether the watcher is polling
+   * @type {boolean}
+   */
+  get running () {
+    return this._timer !== undefined
+  }
+
+  /**
+   * The number of transactions in the copy of the pool
+   * @type {number}
+   */
+  get size () {
+    return this._pool.size
+  }
+
+  /**
+   * Returns the transactions in the copy of the pool
+   * @returns {XTCASHnetwork.PoolChangesAdded[]} the transactions, in the order they were added
+   */
+  snapshot () {
+    return Array.from(this._pool.values())
+  }
+
+  /**
+   * Starts polling the mempool
+   */
+  start () {
+    if (this._timer !== undefined) return
+
+    this._stopped = false
+
+    const loop = () => {
+      this.poll().then(() => {
+        if (this._timer === undefined) return
+        this._timer = setTimeout(loop, this.interval)
+      })
+    }
+
+    this._timer = null
+    loop()
+  }
+
+  /**
+   * Stops polling, a poll in progress stops before emitting anything else
+   */
+  stop () {
+    if (this._timer) clearTimeout(this._timer)
+    this._timer = undefined
+    this._stopped = true
+  }
+
+  /**
+   * Polls the mempool once. Errors are emitted as error events when there
+   * is a listener for them and polling carries on either way.
+   * @async
+   * @returns {Promise} resolves once the changes found have been emitted
+   */
+  poll () {
+    const changes = (this.tailBlockHash === undefined) ? this._resync() : this.client.poolChanges(this.tailBlockHash, Array.from(this._pool.keys())).then((changes) => {
+      if (changes.isTailBlockActual === false) return this._resync()
+
+      return { added: changes.addedTxs, deleted: changes.deletedTxsIds }
+    })
+
+    return changes.then((changes) => {
+      if (this._stopped) return
+
+      this._apply(changes.added, changes.deleted)
+
+      return this._confirm()
+    }).catch((err) => {
+      if (this.listenerCount('error') !== 0) this.emit('error', err)
+    })
+  }
+
+  /**
+   * Requests the whole pool against the top of the chain and compares it
+   * with the copy
+   * @async
+   * @private
+   * @returns {Promise<Object>} resolves with the added transactions and the hashes of the deleted ones or rejects with error
+   */
+  _resync () {
+    return this.client.lastBlockHeader().then((header) => {
+      return this.client.poolChanges(header.hash, []).then((changes) => {
+        const current = new Set(changes.addedTxs.map((tx) => tx.hash))
+
+        this.tailBlockHash = header.hash
+
+        return {
+          added: changes.addedTxs,
+          deleted: Array.from(this._pool.keys()).filter((hash) => !current.has(hash))
+        }
+      })
+    })
+  }
+
+  /**
+   * Updates the copy of the pool and emits the added and removed events
+   * @private
+   * @param {XTCASHnetwork.PoolChangesAdded[]} added - the transactions that entered the pool
+   * @param {string[]} deleted - the hashes of the transactions that left the pool
+   */
+  _apply (added, deleted) {
+    added.forEach((tx) => {
+      if (this._pool.has(tx.hash)) return
+
+      this._pool.set(tx.hash, tx)
+      this._removed.delete(tx.hash)
+      this.emit('added', tx)
+    })
+
+    deleted.forEach((hash) => {
+      const tx = this._pool.get(hash)
+      if (!tx) return
+
+      this._pool.delete(hash)
+      this._removed.set(hash, tx)
+      this.emit('removed', tx)
+    })
+  }
+
+  /**
+   * Emits a confirmed event for the removed transactions that are now in a
+   * block. They are checked again on the next poll if the lookup fails.
+   * @async
+   * @private
+   * @returns {Promise} resolves once the removed transactions have been checked or rejects with error
+   */
+  _confirm () {
+    if (this._removed.size === 0) return Promise.resolve()
+
+    const hashes = Array.from(this._removed.keys())
+
+    return this.client.transactionsStatus({ transactionHashes: hashes }).then((status) => {
+      if (this._stopped) return
+
+      const confirmed = []
+
+      status.transactionsInBlock.forEach((hash) => {
+        if (this._removed.has(hash)) confirmed.push(this._removed.get(hash))
+      })
+
+      /* Whatever is not in a block was dropped or is back in the pool */
+      hashes.forEach((hash) => this._removed.delete(hash))
+
+      confirmed.forEach((tx) => this.emit('confirmed', tx))
+    })
+  }
+}
+
+module.exports = MempoolWatcher
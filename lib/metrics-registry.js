@@ -0,0 +1,284 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+/**
+ * Collects the latency, call, error, retry and byte counts of RPC calls
+ * along with the last heights reported by the daemons, and renders them in
+ * the Prometheus text exposition format. A single MetricsRegistry may be
+ * shared by several clients.
+ * @module MetricsRegistry
+ * @class
+ */
+class MetricsRegistry {
+  /**
+   * Initializes a new MetricsRegistry object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {string} [opts.prefix=traaittcash_rpc_] - the prefix of every metric name
+   * @param {number[]} [opts.buckets] - the upper bounds in seconds of the latency histogram buckets, defaults to MetricsRegistry.DEFAULT_BUCKETS
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.prefix = (opts.prefix !== undefined) ? opts.prefix : 'traaittcash_rpc_'
+    this.buckets = (opts.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b)
+
+    this.reset()
+  }
+
+  /**
+   * Removes every value collected so far
+   */
+  reset () {
+    this._families = {}
+
+    this._family('request_duration_seconds', 'histogram', 'How long RPC calls took in seconds, retries included')
+    this._family('requests_total', 'counter', 'RPC calls made')
+    this._family('request_errors_total', 'counter', 'RPC calls that failed, by error class')
+    this._family('request_retries_total', 'counter', 'RPC call attempts that were retried')
+    this._family('request_bytes_total', 'counter', 'Bytes sent in request bodies')
+    this._family('response_bytes_total', 'counter', 'Bytes received in response bodies')
+    this._family('daemon_height', 'gauge', 'The last height reported by the daemon')
+    this._family('daemon_network_height', 'gauge', 'The last network height reported by the daemon')
+  }
+
+  /**
+   * Records a settled call
+   * @param {string} method - the client method that was called
+   * @param {string} endpoint - the path that was requested
+   * @param {number} duration - how long the call took in milliseconds
+   * @param {Error} [err] - the error the call failed with, if any
+   */
+  observeCall (method, endpoint, duration, err) {
+    const labels = callLabels(method, endpoint)
+
+    this._series('requests_total', labels).value++
+    this._observeDuration(labels, duration / 1000)
+
+    if (err) this.observeError(method, endpoint, err)
+  }
+
+  /**
+   * Records a failed call, for errors raised after the response was received
+   * @param {string} method - the client method that was called
+   * @param {string} endpoint - the path that was requested
+   * @param {Error} err - the error the call failed with
+   */
+  observeError (method, endpoint, err) {
+    const labels = callLabels(method, endpoint)
+    labels.error = (err && err.name) || 'Error'
+
+    this._series('request_errors_total', labels).value++
+  }
+
+  /**
+   * Records an attempt that is about to be retried
+   * @param {string} method - the client method that was called
+   * @param {string} endpoint - the path that was requested
+   */
+  observeRetry (method, endpoint) {
+    this._series('request_retries_total', callLabels(method, endpoint)).value++
+  }
+
+  /**
+   * Records the size of a request and its response
+   * @param {string} method - the client method that was called
+   * @param {string} endpoint - the path that was requested
+   * @param {string} [requestBody] - the serialized request body
+   * @param {string} [responseBody] - the raw response body
+   */
+  observeBytes (method, endpoint, requestBody, responseBody) {
+    const labels = callLabels(method, endpoint)
+
+    this._series('request_bytes_total', labels).value += byteLength(requestBody)
+    this._series('response_bytes_total', labels).value += byteLength(responseBody)
+  }
+
+  /**
+   * Records the heights reported by a daemon
+   * @param {string} daemon - the host:port of the daemon
+   * @param {number} [height] - the height of the daemon
+   * @param {number} [networkHeight] - the network height seen by the daemon
+   */
+  observeHeight (daemon, height, networkHeight) {
+    const labels = { daemon: daemon }
+
+    if (typeof height === 'number') this._series('daemon_height', labels).value = height
+    if (typeof networkHeight === 'number') this._series('daemon_network_height', labels).value = networkHeight
+  }
+
+  /**
+   * Renders every collected value in the Prometheus text exposition format
+   * @returns {string} the metrics
+   */
+  render () {
+    const lines = []
+
+    Object.keys(this._families).forEach((key) => {
+      const family = this._families[key]
+      const name = this.prefix + key
+
+      lines.push('# HELP ' + name + ' ' + family.help)
+      lines.push('# TYPE ' + name + ' ' + family.type)
+
+      Object.keys(family.series).forEach((id) => {
+        const series = family.series[id]
+
+        if (family.type !== 'histogram') {
+          lines.push(name + formatLabels(series.labels) + ' ' + formatValue(series.value))
+          return
+        }
+
+        this.buckets.forEach((bound, index) => {
+          const labels = Object.assign({}, series.labels, { le: formatValue(bound) })
+          lines.push(name + '_bucket' + formatLabels(labels) + ' ' + series.counts[index])
+        })
+
+        lines.push(name + '_bucket' + formatLabels(Object.assign({}, series.labels, { le: '+Inf' })) + ' ' + series.count)
+        lines.push(name + '_sum' + formatLabels(series.labels) + ' ' + formatValue(series.sum))
+        lines.push(name + '_count' + formatLabels(series.labels) + ' ' + series.count)
+      })
+    })
+
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * Builds a request handler that serves the metrics, usable with
+   * http.createServer() or as an express route
+   * @returns {function} the handler, receiving (request, response)
+   */
+  handler () {
+    return (req, res) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' })
+        return res.end()
+      }
+
+      const body = this.render()
+
+      res.writeHead(200, {
+        'Content-Type': MetricsRegistry.CONTENT_TYPE,
+        'Content-Length': byteLength(body)
+      })
+      res.end((req.method === 'HEAD') ? undefined : body)
+    }
+  }
+
+  /**
+   * Declares a metric
+   * @private
+   * @param {string} key - the name of the metric without the prefix
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} help - the description of the metric
+   */
+  _family (key, type, help) {
+    this._families[key] = {
+      type: type,
+      help: help,
+      series: {}
+    }
+  }
+
+  /**
+   * Finds or creates the series of a metric with the given labels
+   * @private
+   * @param {string} key - the name of the metric without the prefix
+   * @param {Object} labels - the label values
+   * @returns {Object} the series
+   */
+  _series (key, labels) {
+    const family = this._families[key]
+    const id = JSON.stringify(labels)
+
+    if (!family.series[id]) {
+      family.series[id] = (family.type === 'histogram')
+        ? { labels: labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels: labels, value: 0 }
+    }
+
+    return family.series[id]
+  }
+
+  /**
+   * Adds a latency to the histogram
+   * @private
+   * @param {Object} labels - the label values
+   * @param {number} seconds - the latency in seconds
+   */
+  _observeDuration (labels, seconds) {
+    const series = this._series('request_duration_seconds', labels)
+
+    this.buckets.forEach((bound, index) => {
+      if (seconds <= bound) series.counts[index]++
+    })
+
+    series.sum += seconds
+    series.count++
+  }
+}
+
+/* Wallet-api paths carry addresses, hashes and heights, which would create
+   a series for every value seen, so those segments are collapsed */
+function endpointLabel (endpoint) {
+  return (endpoint || '').split('?')[0].split('/').map((segment) => {
+    return (/^\d+$/.test(segment) || segment.length >= 32) ? ':param' : segment
+  }).join('/')
+}
+
+function callLabels (method, endpoint) {
+  return {
+    method: method || '',
+    endpoint: endpointLabel(endpoint)
+  }
+}
+
+function formatLabels (labels) {
+  const names = Object.keys(labels)
+  if (names.length === 0) return ''
+
+  return '{' + names.map((name) => {
+    const value = String(labels[name]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+    return name + '="' + value + '"'
+  }).join(',') + '}'
+}
+
+function formatValue (value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+/* Counts UTF-8 bytes without Buffer so that this also runs in the browser */
+function byteLength (text) {
+  if (typeof text !== 'string') return 0
+
+  var bytes = 0
+
+  for (var i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i)
+
+    if (code < 0x80) {
+      bytes += 1
+    } else if (code < 0x800) {
+      bytes += 2
+    } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+      /* A surrogate pair encodes a single 4 byte character */
+      bytes += 4
+      i++
+    } else {
+      bytes += 3
+    }
+  }
+
+  return bytes
+}
+
+MetricsRegistry.DEFAULT_BUCKETS = DEFAULT_BUCKETS
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+module.exports = MetricsRegistry
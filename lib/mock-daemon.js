@@ -0,0 +1,767 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const MockServer = require('./mock-server')
+
+/* JSON-RPC error codes used by the daemon */
+const METHOD_NOT_FOUND = -32601
+const INVALID_PARAMS = -32602
+const NOT_FOUND = -5
+
+/* The most blocks the sync endpoints hand back in a single response */
+const SYNC_LIMIT = 100
+
+/**
+ * An in-process HTTP server that emulates the daemon endpoints used by
+ * XTCASHnetwork, backed by an in-memory chain that can be mined, forked
+ * and filled with transactions from tests
+ * @module MockDaemon
+ * @class
+ * @extends MockServer
+ */
+class MockDaemon extends MockServer {
+  /**
+   * Initializes a new MockDaemon object
+   * @constructor
+   * @param {Object} [opts] - Configuration options, also accepts the MockServer options
+   * @param {number} [opts.height=1] - the number of blocks in the chain to start with, including the genesis block
+   * @param {number} [opts.startTimestamp=1546300800] - the timestamp of the genesis block
+   * @param {number} [opts.blockTime=30] - the number of seconds between blocks
+   * @param {number} [opts.reward=2900000000] - the block reward in atomic units
+   * @param {number} [opts.difficulty=100000] - the difficulty of every block
+   * @param {number} [opts.networkHeight] - the network height reported, defaults to the height of the chain
+   * @param {boolean} [opts.synced=true] - whether the daemon reports being synced
+   * @param {string[]} [opts.peers] - the peers reported
+   * @param {Object} [opts.fee] - the node fee reported, as { address, amount }
+   * @param {string} [opts.version=0.0.0] - the daemon version reported
+   * @param {number} [opts.altBlocks=0] - the number of alternative blocks reported, grows with every block a reorg removes
+   */
+  constructor (opts) {
+    opts = opts || {}
+    super(opts)
+
+    this.startTimestamp = opts.startTimestamp || 1546300800
+    this.blockTime = opts.blockTime || 30
+    this.reward = (opts.reward !== undefined) ? opts.reward : 2900000000
+    this.difficulty = opts.difficulty || 100000
+    this.networkHeight = opts.networkHeight
+    this.synced = (opts.synced !== undefined) ? opts.synced : true
+    this.peers = opts.peers || ['127.0.0.1:14485']
+    this.nodeFee = Object.assign({ address: '', amount: 0 }, opts.fee)
+    this.version = opts.version || '0.0.0'
+    this.altBlocks = opts.altBlocks || 0
+    this.startTime = Math.floor(Date.now() / 1000)
+
+    this.blocks = []
+    this.pool = []
+    this._forks = 0
+    this._transactions = 0
+
+    this.mine(opts.height || 1)
+
+    this._daemonRoutes()
+  }
+
+  /**
+   * The block at the top of the chain
+   * @type {Object}
+   */
+  get tip () {
+    return this.blocks[this.blocks.length - 1]
+  }
+
+  /**
+   * Mock Transaction
+   * @memberof MockDaemon
+   * @typedef {Object} MockTransaction
+   * @property {string} [hash] - the transaction hash, generated if not supplied
+   * @property {Object[]} [inputs] - the inputs as { amount, keyImage }, defaults to a single input paying for the outputs and fee
+   * @property {Object[]} [outputs] - the outputs as { amount, key }, defaults to a single output of 100
+   * @property {number} [fee=10] - the fee in atomic units
+   * @property {string} [paymentId] - the payment ID
+   * @property {number} [unlockTime=0] - the unlock time
+   * @property {number} [mixin=3] - the ring size less one
+   */
+
+  /**
+   * Adds a transaction to the pool. It is included in the next block mined.
+   * @param {MockDaemon.MockTransaction} [spec] - the transaction
+   * @returns {string} the transaction hash
+   */
+  addTransaction (spec) {
+    const tx = this._transaction(spec)
+
+    this.pool.push(tx)
+
+    return tx.hash
+  }
+
+  /**
+   * Removes a transaction from the pool without mining it
+   * @param {string} hash - the transaction hash
+   * @returns {boolean} whether the transaction was in the pool
+   */
+  dropTransaction (hash) {
+    const index = this.pool.findIndex((tx) => tx.hash === hash)
+    if (index === -1) return false
+
+    this.pool.splice(index, 1)
+
+    return true
+  }
+
+  /**
+   * Mines a block holding every transaction in the pool
+   * @param {Object} [opts] - the block options
+   * @param {number} [opts.timestamp] - the block timestamp, defaults to blockTime after the previous block
+   * @param {MockDaemon.MockTransaction[]} [opts.transactions] - transactions to include besides those in the pool
+   * @returns {Object} the block
+   */
+  mineBlock (opts) {
+    opts = opts || {}
+
+    const previous = this.tip
+    const height = this.blocks.length
+    const timestamp = opts.timestamp || ((previous) ? previous.timestamp + this.blockTime : this.startTimestamp)
+    const transactions = this.pool.concat((opts.transactions || []).map((spec) => this._transaction(spec)))
+    const prevHash = (previous) ? previous.hash : repeat('0', 64)
+    const hash = MockServer.hash('block', height, prevHash, this._forks)
+
+    const block = {
+      hash: hash,
+      height: height,
+      prevHash: prevHash,
+      timestamp: timestamp,
+      difficulty: this.difficulty,
+      nonce: parseInt(hash.slice(0, 8), 16),
+      majorVersion: 1,
+      minorVersion: 0,
+      blob: MockServer.hash('blob', hash) + MockServer.hash('blob', hash, 1),
+      coinbase: this._transaction({
+        hash: MockServer.hash('coinbase', hash),
+        coinbase: true,
+        inputs: [],
+        outputs: [{ amount: this.reward }],
+        fee: 0,
+        unlockTime: height + 10
+      }),
+      transactions: transactions,
+      firstGlobalIndex: (previous) ? previous.firstGlobalIndex + outputCount(previous) : 0,
+      generatedCoins: ((previous) ? previous.generatedCoins : 0) + this.reward,
+      generatedTransactions: ((previous) ? previous.generatedTransactions : 0) + transactions.length + 1
+    }
+
+    var globalIndex = block.firstGlobalIndex
+
+    ;[block.coinbase].concat(transactions).forEach((tx) => {
+      tx.block = block
+      tx.outputs.forEach((output) => { output.globalIndex = globalIndex++ })
+    })
+
+    this.pool = []
+    this.blocks.push(block)
+
+    return block
+  }
+
+  /**
+   * Mines several blocks, the first of which holds the pool transactions
+   * @param {number} [count=1] - the number of blocks to mine
+   * @returns {Object[]} the blocks
+   */
+  mine (count) {
+    const blocks = []
+
+    for (var i = 0; i < (count || 1); i++) blocks.push(this.mineBlock())
+
+    return blocks
+  }
+
+  /**
+   * Replaces the top of the chain with a fork. The transactions of the
+   * removed blocks return to the pool and are mined into the fork, and the
+   * removed blocks are counted as alternative blocks.
+   * @param {number} depth - the number of blocks removed from the top of the chain
+   * @param {number} [length] - the number of blocks in the fork, defaults to one more than depth
+   * @returns {number} the height of the first block that changed
+   */
+  reorg (depth, length) {
+    if (depth < 1 || depth >= this.blocks.length) throw new Error('Reorg depth must be between 1 and the height of the chain')
+
+    const removed = this.blocks.splice(this.blocks.length - depth, depth)
+
+    removed.forEach((block) => {
+      block.transactions.forEach((tx) => { delete tx.block })
+    })
+
+    this.pool = [].concat.apply([], removed.map((block) => block.transactions)).concat(this.pool)
+    this.altBlocks += removed.length
+    this._forks++
+
+    this.mine((length !== undefined) ? length : depth + 1)
+
+    return removed[0].height
+  }
+
+  /**
+   * Finds a block in the chain by height or hash
+   * @param {number|string} id - the height or hash of the block
+   * @returns {Object|undefined} the block
+   */
+  block (id) {
+    if (typeof id === 'number') return this.blocks[id]
+
+    return this.blocks.find((block) => block.hash === id)
+  }
+
+  /**
+   * Finds a transaction in the chain or the pool by hash
+   * @param {string} hash - the transaction hash
+   * @returns {Object|undefined} the transaction
+   */
+  transaction (hash) {
+    const pooled = this.pool.find((tx) => tx.hash === hash)
+    if (pooled) return pooled
+
+    for (var i = this.blocks.length - 1; i >= 0; i--) {
+      const block = this.blocks[i]
+      if (block.coinbase.hash === hash) return block.coinbase
+
+      const tx = block.transactions.find((tx) => tx.hash === hash)
+      if (tx) return tx
+    }
+  }
+
+  /**
+   * Builds a transaction from its spec
+   * @private
+   * @param {MockDaemon.MockTransaction} [spec] - the transaction
+   * @returns {Object} the transaction
+   */
+  _transaction (spec) {
+    spec = spec || {}
+
+    const hash = spec.hash || MockServer.hash('transaction', this._transactions++)
+    const fee = (spec.fee !== undefined) ? spec.fee : 10
+    const outputs = (spec.outputs || [{ amount: 100 }]).map((output, index) => {
+      return { amount: output.amount, key: output.key || MockServer.hash('output', hash, index) }
+    })
+    const total = outputs.reduce((sum, output) => sum + output.amount, 0)
+    const inputs = (spec.inputs || [{ amount: total + fee }]).map((input, index) => {
+      return {
+        amount: input.amount,
+        keyImage: input.keyImage || MockServer.hash('keyImage', hash, index),
+        keyOffsets: input.keyOffsets || [index, 1, 1, 1]
+      }
+    })
+    const publicKey = MockServer.hash('publicKey', hash)
+    const paymentId = spec.paymentId || ''
+
+    return {
+      hash: hash,
+      coinbase: spec.coinbase || false,
+      inputs: inputs,
+      outputs: outputs,
+      fee: fee,
+      paymentId: paymentId,
+      unlockTime: spec.unlockTime || 0,
+      mixin: (spec.mixin !== undefined) ? spec.mixin : ((spec.coinbase) ? 0 : 3),
+      publicKey: publicKey,
+      extra: '01' + publicKey + ((paymentId) ? '022100' + paymentId : ''),
+      size: 100 + 100 * (inputs.length + outputs.length)
+    }
+  }
+
+  /**
+   * The height at which a sync should start for the given checkpoints
+   * @private
+   * @param {string[]} [hashes] - the known block hashes, highest first
+   * @param {number} [timestamp] - the timestamp to start from
+   * @param {number} [height] - the height to start from
+   * @returns {number} the height of the first block to return
+   */
+  _syncStart (hashes, timestamp, height) {
+    var start = height || 0
+
+    const known = (hashes || []).map((hash) => this.block(hash)).find((block) => block)
+    if (known) start = Math.max(start, known.height + 1)
+
+    if (timestamp) {
+      const after = this.blocks.find((block) => block.timestamp >= timestamp)
+      start = Math.max(start, (after) ? after.height : this.blocks.length)
+    }
+
+    return start
+  }
+
+  /**
+   * Sets up the daemon routes
+   * @private
+   */
+  _daemonRoutes () {
+    const ok = (result) => Object.assign(result, { status: 'OK' })
+    const count = () => this.blocks.length
+    const networkHeight = () => Math.max(this.networkHeight || 0, count())
+
+    this._route('GET', '/height', () => ok({ height: count(), network_height: networkHeight() }))
+
+    this._route('GET', '/info', () => ok({
+      alt_blocks_count: this.altBlocks,
+      difficulty: this.difficulty,
+      grey_peerlist_size: 0,
+      hashrate: Math.round(this.difficulty / this.blockTime),
+      height: count(),
+      incoming_connections_count: 0,
+      last_known_block_index: networkHeight() - 1,
+      major_version: this.tip.majorVersion,
+      minor_version: this.tip.minorVersion,
+      network_height: networkHeight(),
+      outgoing_connections_count: this.peers.length,
+      start_time: this.startTime,
+      supported_height: 0,
+      synced: this.synced,
+      tx_count: this.tip.generatedTransactions - count(),
+      tx_pool_size: this.pool.length,
+      upgrade_heights: [],
+      version: this.version,
+      white_peerlist_size: this.peers.length
+    }))
+
+    this._route('GET', '/fee', () => ok({ address: this.nodeFee.address, amount: this.nodeFee.amount }))
+
+    this._route('GET', '/peers', () => ok({ peers: this.peers, gray_peers: [] }))
+
+    this._route('POST', '/json_rpc', (params, body) => {
+      if (Array.isArray(body)) return body.map((call) => this._jsonRpc(call))
+      return this._jsonRpc(body)
+    })
+
+    this._route('POST', '/queryblocksdetailed', (params, body) => {
+      body = body || {}
+
+      const start = this._syncStart(body.blockIds, body.timestamp)
+      const blocks = this.blocks.slice(start, start + Math.min(body.blockCount || SYNC_LIMIT, SYNC_LIMIT))
+
+      return ok({
+        blocks: blocks.map((block) => blockDetails(this, block)),
+        currentHeight: count(),
+        fullOffset: start,
+        startHeight: start
+      })
+    })
+
+    this._route('POST', '/queryblockslite', (params, body) => {
+      body = body || {}
+
+      const start = this._syncStart(body.blockIds, body.timestamp)
+      const blocks = this.blocks.slice(start, start + SYNC_LIMIT)
+
+      return ok({
+        currentHeight: count(),
+        fullOffset: start,
+        items: blocks.map((block) => {
+          return {
+            'blockShortInfo.block': Array.from(Buffer.from(block.blob, 'hex')),
+            'blockShortInfo.blockId': block.hash,
+            'blockShortInfo.txPrefixes': block.transactions.map(prefixInfo)
+          }
+        }),
+        startHeight: start
+      })
+    })
+
+    this._route('POST', '/get_o_indexes', (params, body) => {
+      const tx = this.transaction((body || {}).txid)
+      if (!tx || !tx.block) return { status: 'Failed' }
+
+      return ok({ o_indexes: tx.outputs.map((output) => output.globalIndex) })
+    })
+
+    this._route('POST', '/get_global_indexes_for_range', (params, body) => {
+      body = body || {}
+
+      const indexes = []
+
+      this.blocks.slice(body.startHeight, body.endHeight + 1).forEach((block) => {
+        ;[block.coinbase].concat(block.transactions).forEach((tx) => {
+          indexes.push({ key: tx.hash, value: tx.outputs.map((output) => output.globalIndex) })
+        })
+      })
+
+      return ok({ indexes: indexes })
+    })
+
+    this._route('POST', '/get_pool_changes_lite', (params, body) => {
+      body = body || {}
+
+      const known = body.knownTxsIds || []
+      const pooled = this.pool.map((tx) => tx.hash)
+
+      return ok({
+        addedTxs: this.pool.filter((tx) => known.indexOf(tx.hash) === -1).map(prefixInfo),
+        deletedTxsIds: known.filter((hash) => pooled.indexOf(hash) === -1),
+        isTailBlockActual: body.tailBlockId === this.tip.hash
+      })
+    })
+
+    this._route('POST', '/getrandom_outs', (params, body) => {
+      body = body || {}
+
+      return ok({
+        outs: (body.amounts || []).map((amount) => {
+          const outs = []
+
+          for (var i = 0; i < (body.outs_count || 0); i++) {
+            outs.push({ global_amount_index: i, out_key: MockServer.hash('randomOutput', amount, i) })
+          }
+
+          return { amount: amount, outs: outs }
+        })
+      })
+    })
+
+    this._route('POST', '/getblocks', (params, body) => {
+      body = body || {}
+
+      const start = this._syncStart(body.block_ids)
+      const blocks = this.blocks.slice(start, start + Math.min(body.blockCount || SYNC_LIMIT, SYNC_LIMIT))
+
+      return {
+        'response.blocks': blocks.map((block) => {
+          return {
+            block: block.blob,
+            block_size: blockSize(block),
+            transactions: block.transactions.map((tx) => {
+              return { transaction: MockServer.hash('raw', tx.hash), tx_size: tx.size }
+            }),
+            tx_count: block.transactions.length
+          }
+        }),
+        'response.current_height': count(),
+        'response.start_height': start,
+        'response.status': 'OK'
+      }
+    })
+
+    this._route('POST', '/sendrawtransaction', (params, body) => {
+      const hex = (body || {}).tx_as_hex
+      const hash = MockServer.hash('transaction', hex)
+
+      if (typeof hex !== 'string' || !/^[0-9a-f]+$/i.test(hex)) return { status: 'Failed', error: 'Failed to parse transaction' }
+      if (this.transaction(hash)) return { status: 'Failed', error: 'Transaction was rejected by the pool' }
+
+      this.addTransaction({ hash: hash })
+
+      return ok({})
+    })
+
+    this._route('POST', '/get_transactions_status', (params, body) => {
+      const result = ok({ transactionsInPool: [], transactionsInBlock: [], transactionsUnknown: [] })
+
+      ;((body || {}).transactionHashes || []).forEach((hash) => {
+        const tx = this.transaction(hash)
+
+        if (!tx) result.transactionsUnknown.push(hash)
+        else if (tx.block) result.transactionsInBlock.push(hash)
+        else result.transactionsInPool.push(hash)
+      })
+
+      return result
+    })
+
+    this._route('POST', '/getwalletsyncdata', (params, body) => {
+      body = body || {}
+
+      const checkpoints = (Array.isArray(body.blockHashCheckpoints)) ? body.blockHashCheckpoints : []
+      const start = this._syncStart(checkpoints, body.startTimestamp, body.startHeight)
+      const blocks = this.blocks.slice(start, start + SYNC_LIMIT)
+      const synced = start + blocks.length >= count()
+      const result = ok({
+        items: blocks.map((block) => walletSyncBlock(block, body.skipCoinbaseTransactions)),
+        synced: synced
+      })
+
+      if (synced) result.topBlock = { hash: this.tip.hash, height: this.tip.height }
+
+      return result
+    })
+  }
+
+  /**
+   * Answers a single JSON-RPC call
+   * @private
+   * @param {Object} call - the JSON-RPC request
+   * @returns {Object} the JSON-RPC response
+   */
+  _jsonRpc (call) {
+    call = call || {}
+
+    const params = call.params || {}
+    const respond = (result) => { return { jsonrpc: '2.0', id: call.id, result: Object.assign(result, { status: 'OK' }) } }
+    const fail = (code, message) => { return { jsonrpc: '2.0', id: call.id, error: { code: code, message: message } } }
+    const byHash = () => this.block(params.hash)
+
+    switch (call.method) {
+      case 'f_block_json': {
+        const block = byHash()
+        return (block) ? respond({ block: blockSummary(this, block) }) : fail(NOT_FOUND, 'Block not found')
+      }
+      case 'getblockcount':
+        return respond({ count: this.blocks.length })
+      case 'getblockheaderbyhash': {
+        const block = byHash()
+        return (block) ? respond({ block_header: blockHeader(this, block) }) : fail(NOT_FOUND, 'Block not found')
+      }
+      case 'getblockheaderbyheight': {
+        const block = this.block(params.height)
+        return (block) ? respond({ block_header: blockHeader(this, block) }) : fail(INVALID_PARAMS, 'Height is greater than the top block')
+      }
+      case 'f_blocks_list_json': {
+        if (!this.block(params.height)) return fail(INVALID_PARAMS, 'Height is greater than the top block')
+
+        return respond({
+          blocks: this.blocks.slice(Math.max(0, params.height - 29), params.height + 1).reverse().map((block) => {
+            return {
+              cumul_size: blockSize(block),
+              difficulty: block.difficulty,
+              hash: block.hash,
+              height: block.height,
+              timestamp: block.timestamp,
+              tx_count: block.transactions.length + 1
+            }
+          })
+        })
+      }
+      case 'getblocktemplate':
+        return respond({
+          blocktemplate_blob: MockServer.hash('template', this.tip.hash, params.wallet_address),
+          difficulty: this.difficulty,
+          height: this.blocks.length,
+          reserved_offset: 0
+        })
+      case 'getlastblockheader':
+        return respond({ block_header: blockHeader(this, this.tip) })
+      case 'submitblock':
+        this.mineBlock()
+        return respond({})
+      case 'f_transaction_json': {
+        const tx = this.transaction(params.hash)
+        if (!tx || !tx.block) return fail(NOT_FOUND, 'Transaction not found')
+
+        return respond({
+          block: {
+            cumul_size: blockSize(tx.block),
+            difficulty: tx.block.difficulty,
+            hash: tx.block.hash,
+            height: tx.block.height,
+            timestamp: tx.block.timestamp,
+            tx_count: tx.block.transactions.length + 1
+          },
+          tx: transactionPrefix(tx),
+          txDetails: {
+            amount_out: amountOut(tx),
+            fee: tx.fee,
+            hash: tx.hash,
+            mixin: tx.mixin,
+            paymentId: tx.paymentId,
+            size: tx.size
+          }
+        })
+      }
+      case 'f_on_transactions_pool_json':
+        return respond({ transactions: this.pool.map(transactionSummary) })
+      default:
+        return fail(METHOD_NOT_FOUND, 'Method not found')
+    }
+  }
+}
+
+function blockHeader (daemon, block) {
+  return {
+    block_size: blockSize(block),
+    depth: daemon.tip.height - block.height,
+    difficulty: block.difficulty,
+    hash: block.hash,
+    height: block.height,
+    major_version: block.majorVersion,
+    minor_version: block.minorVersion,
+    nonce: block.nonce,
+    num_txes: block.transactions.length + 1,
+    orphan_status: false,
+    prev_hash: block.prevHash,
+    reward: block.coinbase.outputs[0].amount + totalFees(block),
+    timestamp: block.timestamp
+  }
+}
+
+function blockSummary (daemon, block) {
+  return {
+    alreadyGeneratedCoins: block.generatedCoins,
+    alreadyGeneratedTransactions: block.generatedTransactions,
+    baseReward: block.coinbase.outputs[0].amount,
+    blockSize: blockSize(block),
+    depth: daemon.tip.height - block.height,
+    difficulty: block.difficulty,
+    effectiveSizeMedian: 100000,
+    hash: block.hash,
+    height: block.height,
+    major_version: block.majorVersion,
+    minor_version: block.minorVersion,
+    nonce: block.nonce,
+    orphan_status: false,
+    penalty: 0,
+    prev_hash: block.prevHash,
+    reward: block.coinbase.outputs[0].amount + totalFees(block),
+    sizeMedian: blockSize(block),
+    timestamp: block.timestamp,
+    totalFeeAmount: totalFees(block),
+    transactions: [block.coinbase].concat(block.transactions).map(transactionSummary),
+    transactionsCumulativeSize: blockSize(block)
+  }
+}
+
+function blockDetails (daemon, block) {
+  return {
+    alreadyGeneratedCoins: block.generatedCoins,
+    alreadyGeneratedTransactions: block.generatedTransactions,
+    baseReward: block.coinbase.outputs[0].amount,
+    blockSize: blockSize(block),
+    depth: daemon.tip.height - block.height,
+    difficulty: block.difficulty,
+    hash: block.hash,
+    index: block.height,
+    majorVersion: block.majorVersion,
+    minorVersion: block.minorVersion,
+    nonce: block.nonce,
+    prevBlockHash: block.prevHash,
+    reward: block.coinbase.outputs[0].amount + totalFees(block),
+    sizeMedian: blockSize(block),
+    timestamp: block.timestamp,
+    totalFeeAmount: totalFees(block),
+    transactions: [block.coinbase].concat(block.transactions).map((tx) => {
+      return {
+        blockHash: block.hash,
+        blockIndex: block.height,
+        extra: { nonce: [], publicKey: tx.publicKey, raw: tx.extra },
+        fee: tx.fee,
+        hash: tx.hash,
+        inBlockchain: true,
+        inputs: (tx.coinbase)
+          ? [{ data: { amount: tx.outputs[0].amount, input: { height: block.height } }, type: 'ff' }]
+          : tx.inputs.map((input, index) => {
+            return {
+              data: {
+                input: { amount: input.amount, k_image: input.keyImage, key_offsets: input.keyOffsets },
+                mixin: tx.mixin + 1,
+                output: { number: index, transactionHash: MockServer.hash('spent', tx.hash, index) }
+              },
+              type: '02'
+            }
+          }),
+        mixin: tx.mixin,
+        outputs: tx.outputs.map((output) => {
+          return {
+            globalIndex: output.globalIndex,
+            output: { amount: output.amount, target: { data: { key: output.key }, type: '02' } }
+          }
+        }),
+        paymentId: tx.paymentId,
+        signatures: [],
+        signaturesSize: 0,
+        size: tx.size,
+        timestamp: block.timestamp,
+        totalInputsAmount: tx.inputs.reduce((sum, input) => sum + input.amount, 0),
+        totalOutputsAmount: amountOut(tx),
+        unlockTime: tx.unlockTime
+      }
+    }),
+    transactionsCumulativeSize: blockSize(block)
+  }
+}
+
+function walletSyncBlock (block, skipCoinbase) {
+  const transaction = (tx) => {
+    const result = {
+      hash: tx.hash,
+      outputs: tx.outputs.map((output) => { return { amount: output.amount, key: output.key } }),
+      txPublicKey: tx.publicKey,
+      unlockTime: tx.unlockTime
+    }
+
+    if (!tx.coinbase) {
+      result.inputs = tx.inputs.map((input) => {
+        return { amount: input.amount, k_image: input.keyImage, key_offsets: input.keyOffsets }
+      })
+    }
+
+    return result
+  }
+
+  const result = {
+    blockHash: block.hash,
+    blockHeight: block.height,
+    blockTimestamp: block.timestamp,
+    transactions: block.transactions.map(transaction)
+  }
+
+  if (!skipCoinbase) result.coinbaseTX = transaction(block.coinbase)
+
+  return result
+}
+
+function transactionPrefix (tx) {
+  return {
+    extra: tx.extra,
+    unlock_time: tx.unlockTime,
+    version: 1,
+    vin: (tx.coinbase)
+      ? [{ type: 'ff', value: { height: tx.block.height } }]
+      : tx.inputs.map((input) => {
+        return { type: '02', value: { amount: input.amount, k_image: input.keyImage, key_offsets: input.keyOffsets } }
+      }),
+    vout: tx.outputs.map((output) => {
+      return { amount: output.amount, target: { data: { key: output.key }, type: '02' } }
+    })
+  }
+}
+
+function prefixInfo (tx) {
+  return {
+    'transactionPrefixInfo.txHash': tx.hash,
+    'transactionPrefixInfo.txPrefix': transactionPrefix(tx)
+  }
+}
+
+function transactionSummary (tx) {
+  return {
+    amount_out: amountOut(tx),
+    fee: tx.fee,
+    hash: tx.hash,
+    size: tx.size
+  }
+}
+
+function amountOut (tx) {
+  return tx.outputs.reduce((sum, output) => sum + output.amount, 0)
+}
+
+function totalFees (block) {
+  return block.transactions.reduce((sum, tx) => sum + tx.fee, 0)
+}
+
+function blockSize (block) {
+  return block.transactions.reduce((sum, tx) => sum + tx.size, block.coinbase.size + 80)
+}
+
+function outputCount (block) {
+  return [block.coinbase].concat(block.transactions).reduce((sum, tx) => sum + tx.outputs.length, 0)
+}
+
+function repeat (text, count) {
+  return new Array(count + 1).join(text)
+}
+
+module.exports = MockDaemon
@@ -0,0 +1,295 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const crypto = require('crypto')
+const http = require('http')
+
+/**
+ * Base class of the mock servers that answers requests from a route table
+ * and applies the injected faults
+ * @module MockServer
+ * @class
+ */
+class MockServer {
+  /**
+   * Initializes a new MockServer object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {string} [opts.host=127.0.0.1] - the address to listen on
+   * @param {number} [opts.port=0] - the port to listen on, 0 picks a free port
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.host = opts.host || '127.0.0.1'
+    this.port = opts.port || 0
+    this.requests = []
+    this.faults = []
+    this._routes = []
+    this._server = undefined
+    this._sockets = []
+  }
+
+  /**
+   * Starts listening
+   * @async
+   * @returns {Promise<number>} resolves with the port listened on or rejects with error
+   */
+  start () {
+    return new Promise((resolve, reject) => {
+      if (this._server) return resolve(this.port)
+
+      const server = http.createServer((req, res) => this._handle(req, res))
+
+      server.on('connection', (socket) => {
+        this._sockets.push(socket)
+        socket.on('close', () => this._sockets.splice(this._sockets.indexOf(socket), 1))
+      })
+
+      server.once('error', reject)
+
+      server.listen(this.port, this.host, () => {
+        server.removeListener('error', reject)
+        this._server = server
+        this.port = server.address().port
+        return resolve(this.port)
+      })
+    })
+  }
+
+  /**
+   * Stops listening and drops every open connection
+   * @async
+   * @returns {Promise} resolves once the server has closed
+   */
+  stop () {
+    return new Promise((resolve) => {
+      if (!this._server) return resolve()
+
+      const server = this._server
+      this._server = undefined
+      this._sockets.forEach((socket) => socket.destroy())
+
+      server.close(() => resolve())
+    })
+  }
+
+  /**
+   * Fault
+   * @memberof MockServer
+   * @typedef {Object} Fault
+   * @property {string|RegExp} [path] - only requests to this path are affected, ie. /info
+   * @property {string} [method] - only calls of this JSON-RPC method are affected, ie. getblockcount
+   * @property {number} [times] - how many requests are affected before the fault is removed, defaults to every request
+   * @property {number} [latency] - how long to wait before answering in milliseconds
+   * @property {number} [status] - the HTTP status code to answer with instead of handling the request
+   * @property {*} [body] - the body to answer with along with the status
+   * @property {boolean} [malformed] - whether to answer with a truncated JSON body
+   */
+
+  /**
+   * Adds a fault that is applied to the matching requests, ie.
+   * server.inject({ path: '/info', status: 500, times: 2 })
+   * @param {MockServer.Fault} fault - the fault
+   * @returns {function} removes the fault when called
+   */
+  inject (fault) {
+    fault = Object.assign({}, fault)
+
+    this.faults.push(fault)
+
+    return () => remove(this.faults, fault)
+  }
+
+  /**
+   * Removes every injected fault
+   */
+  clearFaults () {
+    this.faults = []
+  }
+
+  /**
+   * Adds a route to the route table. Path segments starting with a colon
+   * are captured as parameters.
+   * @private
+   * @param {string} verb - the HTTP verb
+   * @param {string} path - the path, ie. /transactions/hash/:hash
+   * @param {function} handler - receives (params, body, request) and returns the body of the response, or a MockServer.reply()
+   */
+  _route (verb, path, handler) {
+    this._routes.push({
+      verb: verb,
+      segments: path.split('/'),
+      handler: handler
+    })
+  }
+
+  /**
+   * Checks the request before it is routed
+   * @private
+   * @param {Object} request - the request
+   * @returns {Object|undefined} a MockServer.reply() that answers the request instead of the route, if any
+   */
+  _authorize (request) {}
+
+  /**
+   * Handles a single HTTP request
+   * @private
+   * @param {http.IncomingMessage} req - the request
+   * @param {http.ServerResponse} res - the response
+   */
+  _handle (req, res) {
+    var raw = ''
+
+    req.setEncoding('utf8')
+    req.on('data', (chunk) => { raw += chunk })
+    req.on('end', () => {
+      const request = {
+        verb: req.method,
+        path: req.url.split('?')[0],
+        headers: req.headers,
+        body: undefined
+      }
+
+      try {
+        if (raw.length !== 0) request.body = JSON.parse(raw)
+      } catch (e) {
+        return send(res, MockServer.reply(400, { errorMessage: 'Request body is not valid JSON' }))
+      }
+
+      this.requests.push(request)
+
+      const fault = this._fault(request)
+      const answer = () => {
+        if (fault && fault.status) return MockServer.reply(fault.status, fault.body)
+        return this._authorize(request) || this._dispatch(request)
+      }
+
+      const respond = () => {
+        var reply
+
+        try {
+          reply = answer()
+        } catch (e) {
+          reply = MockServer.reply(500, { errorMessage: e.message })
+        }
+
+        if (fault && fault.malformed) reply.malformed = true
+
+        send(res, reply)
+      }
+
+      if (fault && fault.latency) return setTimeout(respond, fault.latency)
+
+      respond()
+    })
+  }
+
+  /**
+   * Finds the route of the request and calls it
+   * @private
+   * @param {Object} request - the request
+   * @returns {Object} the reply
+   */
+  _dispatch (request) {
+    const segments = request.path.split('/')
+
+    for (var i = 0; i < this._routes.length; i++) {
+      const route = this._routes[i]
+      const params = match(route.segments, segments)
+
+      if (route.verb === request.verb && params) {
+        const result = route.handler(params, request.body, request)
+        return (result instanceof Reply) ? result : MockServer.reply(200, result)
+      }
+    }
+
+    return MockServer.reply(404, { errorMessage: 'Not found' })
+  }
+
+  /**
+   * Finds the first fault that applies to the request and uses it up
+   * @private
+   * @param {Object} request - the request
+   * @returns {MockServer.Fault|undefined} the fault, if any
+   */
+  _fault (request) {
+    const methods = [].concat(request.body).filter((call) => call && call.method).map((call) => call.method)
+
+    const fault = this.faults.find((fault) => {
+      if (fault.path instanceof RegExp && !fault.path.test(request.path)) return false
+      if (typeof fault.path === 'string' && fault.path !== request.path) return false
+      if (fault.method && methods.indexOf(fault.method) === -1) return false
+      return true
+    })
+
+    if (fault && fault.times !== undefined && --fault.times <= 0) remove(this.faults, fault)
+
+    return fault
+  }
+
+  /**
+   * Builds a reply with a status code other than 200
+   * @param {number} statusCode - the HTTP status code
+   * @param {*} [body] - the body of the reply, sent as JSON
+   * @returns {Object} the reply
+   */
+  static reply (statusCode, body) {
+    return new Reply(statusCode, body)
+  }
+
+  /**
+   * Builds a hex string that is the same every time it is built from the same parts
+   * @param {...*} parts - the parts to build the string from
+   * @returns {string} a 64 character hex string
+   */
+  static hash () {
+    return crypto.createHash('sha256').update(Array.prototype.slice.call(arguments).join(':')).digest('hex')
+  }
+}
+
+class Reply {
+  constructor (statusCode, body) {
+    this.statusCode = statusCode
+    this.body = body
+    this.malformed = false
+  }
+}
+
+function send (res, reply) {
+  var body = (reply.body === undefined) ? '' : JSON.stringify(reply.body)
+
+  /* Cut the body short so that it no longer parses */
+  if (reply.malformed) body = (body.length > 1) ? body.slice(0, Math.ceil(body.length / 2)) : '{'
+
+  res.writeHead(reply.statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  })
+  res.end(body)
+}
+
+function match (pattern, segments) {
+  if (pattern.length !== segments.length) return
+
+  const params = {}
+
+  for (var i = 0; i < pattern.length; i++) {
+    if (pattern[i].charAt(0) === ':') {
+      params[pattern[i].slice(1)] = decodeURIComponent(segments[i])
+    } else if (pattern[i] !== segments[i]) {
+      return
+    }
+  }
+
+  return params
+}
+
+function remove (list, item) {
+  const index = list.indexOf(item)
+  if (index !== -1) list.splice(index, 1)
+}
+
+module.exports = MockServer
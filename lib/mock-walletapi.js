@@ -0,0 +1,563 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const MockServer = require('./mock-server')
+
+/* Mock addresses are the prefix, the public spend key and part of the
+   public view key, integrated addresses carry the payment ID after the prefix */
+const PREFIX = 'XTC'
+const ADDRESS = /^XTC([0-9a-f]{64})([0-9a-f]{31})$/
+const INTEGRATED_ADDRESS = /^XTC([0-9a-f]{64})([0-9a-f]{64})([0-9a-f]{31})$/
+const PAYMENT_ID = /^[0-9a-f]{64}$/
+
+/**
+ * An in-process HTTP server that emulates the wallet-api routes used by
+ * WalletAPI, backed by in-memory wallets whose balances and transactions
+ * can be scripted from tests
+ * @module MockWalletAPI
+ * @class
+ * @extends MockServer
+ */
+class MockWalletAPI extends MockServer {
+  /**
+   * Initializes a new MockWalletAPI object
+   * @constructor
+   * @param {Object} [opts] - Configuration options, also accepts the MockServer options
+   * @param {string} [opts.password=password] - the API key clients must send in the X-API-KEY header
+   * @param {boolean} [opts.open=true] - whether a wallet is open to start with
+   * @param {string} [opts.filename=mock.wallet] - the filename of the wallet to start with
+   * @param {string} [opts.walletPassword=password] - the password of the wallet to start with
+   * @param {number} [opts.addresses=1] - the number of addresses in the wallet to start with
+   * @param {number} [opts.height=1] - the block count reported by the wallet, its daemon and the network
+   * @param {number} [opts.fee=10] - the network fee in atomic units charged by sendBasic
+   */
+  constructor (opts) {
+    opts = opts || {}
+    super(opts)
+
+    this.password = opts.password || 'password'
+    this.fee = (opts.fee !== undefined) ? opts.fee : 10
+    this.height = opts.height || 1
+    this.wallets = {}
+    this.wallet = undefined
+    this._transactions = 0
+
+    this._createWallet({
+      filename: opts.filename || 'mock.wallet',
+      password: opts.walletPassword || 'password'
+    }, opts.addresses || 1)
+
+    if (opts.open === false) this.closeWallet()
+
+    this._walletRoutes()
+  }
+
+  /**
+   * Closes the open wallet, so that calls that need one fail with a 403
+   */
+  closeWallet () {
+    if (!this.wallet) return
+
+    this.wallets[this.wallet.filename] = this.wallet
+    this.wallet = undefined
+  }
+
+  /**
+   * Opens a wallet created earlier
+   * @param {string} [filename] - the filename of the wallet, defaults to the last wallet closed
+   */
+  openWallet (filename) {
+    const names = Object.keys(this.wallets)
+    filename = filename || names[names.length - 1]
+
+    if (!this.wallets[filename]) throw new Error('No wallet named ' + filename)
+
+    this.wallet = this.wallets[filename]
+    delete this.wallets[filename]
+  }
+
+  /**
+   * Adds an incoming transaction to the open wallet and credits the balance
+   * @param {string} address - the wallet address receiving the funds
+   * @param {number} amount - the amount in atomic units
+   * @param {Object} [opts] - the transaction options
+   * @param {number} [opts.blockHeight] - the height of the block holding the transaction, defaults to the wallet height
+   * @param {boolean} [opts.unconfirmed=false] - whether the transaction is still in the pool, which keeps the funds locked
+   * @param {string} [opts.paymentId] - the payment ID of the transaction
+   * @param {boolean} [opts.coinbase=false] - whether the transaction is a coinbase transaction
+   * @returns {string} the transaction hash
+   */
+  receive (address, amount, opts) {
+    opts = opts || {}
+
+    const entry = this._address(address)
+    if (!entry) throw new Error('Address is not in the wallet')
+
+    const tx = this._record({
+      blockHeight: (opts.unconfirmed) ? 0 : (opts.blockHeight || this.height),
+      fee: 0,
+      isCoinbaseTransaction: opts.coinbase || false,
+      paymentID: opts.paymentId || '',
+      transfers: [{ address: address, amount: amount }]
+    })
+
+    if (opts.unconfirmed) {
+      entry.locked += amount
+    } else {
+      entry.unlocked += amount
+    }
+
+    return tx.hash
+  }
+
+  /**
+   * Moves a transaction of the open wallet out of the pool and into a block,
+   * unlocking the funds it received
+   * @param {string} hash - the transaction hash
+   * @param {number} [blockHeight] - the height of the block, defaults to the wallet height
+   */
+  confirm (hash, blockHeight) {
+    const tx = this._wallet().transactions.find((tx) => tx.hash === hash)
+    if (!tx) throw new Error('Transaction is not in the wallet')
+    if (tx.blockHeight !== 0) return
+
+    tx.blockHeight = blockHeight || this.height
+    tx.timestamp = 1546300800 + tx.blockHeight * 30
+
+    tx.transfers.forEach((transfer) => {
+      const entry = this._address(transfer.address)
+      if (entry && transfer.amount > 0) {
+        entry.locked -= transfer.amount
+        entry.unlocked += transfer.amount
+      }
+    })
+  }
+
+  /**
+   * Returns the open wallet or throws
+   * @private
+   * @returns {Object} the wallet
+   */
+  _wallet () {
+    if (!this.wallet) throw new Error('No wallet is open')
+
+    return this.wallet
+  }
+
+  /**
+   * Finds an address of the open wallet
+   * @private
+   * @param {string} address - the address
+   * @returns {Object|undefined} the address entry
+   */
+  _address (address) {
+    return this._wallet().addresses.find((entry) => entry.address === address)
+  }
+
+  /**
+   * Adds a new address to the open wallet
+   * @private
+   * @param {string} [publicSpendKey] - the public spend key, generated if not supplied
+   * @param {string} [privateSpendKey] - the private spend key, empty for view addresses
+   * @returns {Object} the address entry
+   */
+  _addAddress (publicSpendKey, privateSpendKey) {
+    const wallet = this._wallet()
+    const seed = MockServer.hash('address', wallet.filename, wallet.addresses.length)
+
+    if (privateSpendKey === undefined && publicSpendKey === undefined) privateSpendKey = MockServer.hash('privateSpendKey', seed)
+    publicSpendKey = publicSpendKey || MockServer.hash('publicSpendKey', privateSpendKey)
+
+    const entry = {
+      address: PREFIX + publicSpendKey + MockServer.hash('publicViewKey', wallet.privateViewKey).slice(0, 31),
+      publicSpendKey: publicSpendKey,
+      privateSpendKey: privateSpendKey || repeat('0', 64),
+      unlocked: 0,
+      locked: 0
+    }
+
+    wallet.addresses.push(entry)
+
+    return entry
+  }
+
+  /**
+   * Creates a wallet and opens it
+   * @private
+   * @param {Object} body - the create or import request
+   * @param {number} [addresses=1] - the number of addresses to create
+   */
+  _createWallet (body, addresses) {
+    this.wallet = {
+      filename: body.filename,
+      password: body.password,
+      privateViewKey: body.privateViewKey || MockServer.hash('privateViewKey', body.filename),
+      isViewWallet: false,
+      addresses: [],
+      transactions: [],
+      node: {
+        daemonHost: body.daemonHost || '127.0.0.1',
+        daemonPort: body.daemonPort || 14486,
+        daemonSSL: body.daemonSSL || false,
+        nodeAddress: '',
+        nodeFee: 0
+      }
+    }
+
+    for (var i = 0; i < ((addresses !== undefined) ? addresses : 1); i++) this._addAddress()
+  }
+
+  /**
+   * Records a transaction in the open wallet
+   * @private
+   * @param {Object} fields - the transaction fields
+   * @returns {Object} the transaction
+   */
+  _record (fields) {
+    const hash = MockServer.hash('walletTransaction', this._transactions++)
+
+    const tx = Object.assign({
+      hash: hash,
+      timestamp: (fields.blockHeight) ? 1546300800 + fields.blockHeight * 30 : 0,
+      unlockTime: 0
+    }, fields)
+
+    this._wallet().transactions.push(tx)
+
+    return tx
+  }
+
+  /**
+   * Spends from the open wallet
+   * @private
+   * @param {Object[]} destinations - the destinations as { address, amount }
+   * @param {number} fee - the fee in atomic units
+   * @param {string[]} [sourceAddresses] - the addresses to spend from, defaults to every address
+   * @param {string} [paymentId] - the payment ID
+   * @returns {Object} the reply
+   */
+  _send (destinations, fee, sourceAddresses, paymentId) {
+    const wallet = this._wallet()
+
+    if (wallet.isViewWallet) return badRequest('Cannot send transactions from a view wallet')
+    if (paymentId && !PAYMENT_ID.test(paymentId)) return badRequest('Payment ID is not valid')
+
+    for (var i = 0; i < destinations.length; i++) {
+      if (!ADDRESS.test(destinations[i].address) && !INTEGRATED_ADDRESS.test(destinations[i].address)) return badRequest('Address is not valid')
+      if (!Number.isInteger(destinations[i].amount) || destinations[i].amount <= 0) return badRequest('Amount must be a positive integer')
+    }
+
+    const sources = (sourceAddresses && sourceAddresses.length !== 0) ? sourceAddresses.map((address) => this._address(address)) : wallet.addresses
+    if (sources.some((source) => !source)) return badRequest('Source address is not in the wallet')
+
+    var needed = destinations.reduce((sum, destination) => sum + destination.amount, fee)
+    const available = sources.reduce((sum, source) => sum + source.unlocked, 0)
+
+    if (available < needed) return badRequest('Not enough balance to make this transfer')
+
+    const transfers = destinations.map((destination) => { return { address: destination.address, amount: destination.amount } })
+
+    sources.forEach((source) => {
+      const spent = Math.min(source.unlocked, needed)
+      if (spent === 0) return
+
+      source.unlocked -= spent
+      needed -= spent
+      transfers.push({ address: source.address, amount: -spent })
+    })
+
+    const tx = this._record({
+      blockHeight: 0,
+      fee: fee,
+      isCoinbaseTransaction: false,
+      paymentID: paymentId || '',
+      transfers: transfers
+    })
+
+    return { transactionHash: tx.hash }
+  }
+
+  /**
+   * Checks the API key and that a wallet is open when the route needs one
+   * @private
+   * @param {Object} request - the request
+   * @returns {Object|undefined} the reply refusing the request, if any
+   */
+  _authorize (request) {
+    if (request.headers['x-api-key'] !== this.password) return MockServer.reply(401, { errorMessage: 'Invalid or missing API key' })
+
+    if (!this.wallet && request.path.indexOf('/wallet/') !== 0) {
+      return MockServer.reply(403, { errorMessage: 'A wallet must be open to perform this operation' })
+    }
+  }
+
+  /**
+   * Sets up the wallet-api routes
+   * @private
+   */
+  _walletRoutes () {
+    const create = (kind) => (params, body) => {
+      body = body || {}
+
+      if (this.wallet) return MockServer.reply(403, { errorMessage: 'A wallet is already open' })
+      if (!body.filename || !body.password) return badRequest('Must supply a filename and password')
+      if (this.wallets[body.filename]) return badRequest('A wallet with that filename already exists')
+
+      const match = ADDRESS.exec(body.address || '')
+      if (kind === 'view' && !match) return badRequest('Address is not valid')
+      if (kind === 'key' && !PAYMENT_ID.test(body.privateSpendKey || '')) return badRequest('Private spend key is not valid')
+
+      this._createWallet(body, (kind === 'create' || kind === 'seed') ? 1 : 0)
+
+      if (kind === 'key') this._addAddress(MockServer.hash('publicSpendKey', body.privateSpendKey), body.privateSpendKey)
+
+      if (kind === 'view') {
+        this.wallet.isViewWallet = true
+        this._addAddress(match[1], '').address = body.address
+      }
+    }
+
+    this._route('POST', '/wallet/create', create('create'))
+    this._route('POST', '/wallet/import/key', create('key'))
+    this._route('POST', '/wallet/import/seed', create('seed'))
+    this._route('POST', '/wallet/import/view', create('view'))
+
+    this._route('POST', '/wallet/open', (params, body) => {
+      body = body || {}
+
+      if (this.wallet) return MockServer.reply(403, { errorMessage: 'A wallet is already open' })
+
+      const wallet = this.wallets[body.filename]
+      if (!wallet) return badRequest('The wallet file does not exist')
+      if (wallet.password !== body.password) return badRequest('The password is incorrect')
+
+      this.openWallet(body.filename)
+    })
+
+    this._route('DELETE', '/wallet', () => this.closeWallet())
+
+    this._route('GET', '/addresses', () => {
+      return { addresses: this.wallet.addresses.map((entry) => entry.address) }
+    })
+
+    this._route('GET', '/addresses/primary', () => {
+      return { address: this.wallet.addresses[0].address }
+    })
+
+    this._route('POST', '/addresses/create', () => {
+      if (this.wallet.isViewWallet) return badRequest('Cannot create addresses in a view wallet')
+
+      const entry = this._addAddress()
+
+      return { address: entry.address, privateSpendKey: entry.privateSpendKey, publicSpendKey: entry.publicSpendKey }
+    })
+
+    this._route('POST', '/addresses/import', (params, body) => {
+      body = body || {}
+
+      if (!PAYMENT_ID.test(body.privateSpendKey || '')) return badRequest('Private spend key is not valid')
+
+      return { address: this._addAddress(MockServer.hash('publicSpendKey', body.privateSpendKey), body.privateSpendKey).address }
+    })
+
+    this._route('POST', '/addresses/import/view', (params, body) => {
+      body = body || {}
+
+      if (!PAYMENT_ID.test(body.publicSpendKey || '')) return badRequest('Public spend key is not valid')
+
+      return { address: this._addAddress(body.publicSpendKey, '').address }
+    })
+
+    this._route('POST', '/addresses/validate', (params, body) => {
+      const address = (body || {}).address || ''
+      const integrated = INTEGRATED_ADDRESS.exec(address)
+      const standard = ADDRESS.exec(address)
+
+      if (!integrated && !standard) return badRequest('Address is not valid')
+
+      const actualAddress = (integrated) ? PREFIX + integrated[2] + integrated[3] : address
+
+      return {
+        isIntegrated: !!integrated,
+        paymentID: (integrated) ? integrated[1] : '',
+        actualAddress: actualAddress,
+        publicSpendKey: (integrated) ? integrated[2] : standard[1],
+        publicViewKey: MockServer.hash('publicViewKey', actualAddress)
+      }
+    })
+
+    this._route('GET', '/addresses/:address/:paymentId', (params) => {
+      const match = ADDRESS.exec(params.address)
+
+      if (!match) return badRequest('Address is not valid')
+      if (!PAYMENT_ID.test(params.paymentId)) return badRequest('Payment ID is not valid')
+
+      return { integratedAddress: PREFIX + params.paymentId + match[1] + match[2] }
+    })
+
+    this._route('DELETE', '/addresses/:address', (params) => {
+      const entry = this._address(params.address)
+
+      if (!entry) return badRequest('Address is not in the wallet')
+      if (entry === this.wallet.addresses[0]) return badRequest('Cannot delete the primary address')
+
+      this.wallet.addresses.splice(this.wallet.addresses.indexOf(entry), 1)
+    })
+
+    this._route('GET', '/balance', () => {
+      return this.wallet.addresses.reduce((total, entry) => {
+        return { unlocked: total.unlocked + entry.unlocked, locked: total.locked + entry.locked }
+      }, { unlocked: 0, locked: 0 })
+    })
+
+    this._route('GET', '/balance/:address', (params) => {
+      const entry = this._address(params.address)
+      if (!entry) return badRequest('Address is not in the wallet')
+
+      return { unlocked: entry.unlocked, locked: entry.locked }
+    })
+
+    this._route('GET', '/balances', () => {
+      return this.wallet.addresses.map((entry) => {
+        return { address: entry.address, unlocked: entry.unlocked, locked: entry.locked }
+      })
+    })
+
+    this._route('GET', '/keys', () => {
+      return { privateViewKey: this.wallet.privateViewKey }
+    })
+
+    this._route('GET', '/keys/:address', (params) => {
+      const entry = this._address(params.address)
+      if (!entry) return badRequest('Address is not in the wallet')
+      if (this.wallet.isViewWallet) return badRequest('A view wallet has no private spend keys')
+
+      return { privateSpendKey: entry.privateSpendKey, publicSpendKey: entry.publicSpendKey }
+    })
+
+    this._route('GET', '/keys/mnemonic/:address', (params) => {
+      const entry = this._address(params.address)
+      if (!entry) return badRequest('Address is not in the wallet')
+      if (this.wallet.isViewWallet) return badRequest('A view wallet has no mnemonic seed')
+
+      const words = []
+      for (var i = 0; i < 25; i++) words.push('word' + entry.privateSpendKey.slice(i * 2, i * 2 + 2))
+
+      return { mnemonicSeed: words.join(' ') }
+    })
+
+    this._route('GET', '/node', () => this.wallet.node)
+
+    this._route('PUT', '/node', (params, body) => {
+      body = body || {}
+
+      if (body.daemonHost !== undefined) this.wallet.node.daemonHost = body.daemonHost
+      if (body.daemonPort !== undefined) this.wallet.node.daemonPort = body.daemonPort
+      if (body.daemonSSL !== undefined) this.wallet.node.daemonSSL = body.daemonSSL
+    })
+
+    this._route('PUT', '/reset', () => {})
+
+    this._route('PUT', '/save', () => {})
+
+    this._route('GET', '/status', () => {
+      return {
+        walletBlockCount: this.height,
+        localDaemonBlockCount: this.height,
+        networkBlockCount: this.height,
+        peerCount: 1,
+        hashrate: 0,
+        isViewWallet: this.wallet.isViewWallet,
+        subWalletCount: this.wallet.addresses.length
+      }
+    })
+
+    this._route('POST', '/transactions/send/basic', (params, body) => {
+      body = body || {}
+
+      return this._send([{ address: body.destination, amount: body.amount }], this.fee, undefined, body.paymentID)
+    })
+
+    this._route('POST', '/transactions/send/advanced', (params, body) => {
+      body = body || {}
+
+      if (!Array.isArray(body.destinations) || body.destinations.length === 0) return badRequest('Must supply destinations')
+
+      return this._send(body.destinations, (body.fee !== undefined) ? body.fee : this.fee, body.sourceAddresses, body.paymentID)
+    })
+
+    const fusion = (params, body) => {
+      body = body || {}
+
+      if (this.wallet.isViewWallet) return badRequest('Cannot send transactions from a view wallet')
+      if (body.destination && !this._address(body.destination)) return badRequest('Destination address is not in the wallet')
+
+      return { transactionHash: this._record({ blockHeight: 0, fee: 0, isCoinbaseTransaction: false, paymentID: '', transfers: [] }).hash }
+    }
+
+    this._route('POST', '/transactions/send/fusion/basic', fusion)
+    this._route('POST', '/transactions/send/fusion/advanced', fusion)
+
+    const list = (filter) => (params) => {
+      const start = (params.startHeight !== undefined) ? parseInt(params.startHeight) : 1
+      const end = (params.endHeight !== undefined) ? parseInt(params.endHeight) : Infinity
+
+      if (isNaN(start) || isNaN(end)) return badRequest('Heights must be numbers')
+      if (params.address && !this._address(params.address)) return badRequest('Address is not in the wallet')
+
+      return {
+        transactions: this.wallet.transactions.filter((tx) => {
+          return tx.blockHeight >= start && tx.blockHeight < end && filter(tx, params)
+        })
+      }
+    }
+
+    const all = () => true
+    const involves = (tx, params) => tx.transfers.some((transfer) => transfer.address === params.address)
+
+    this._route('GET', '/transactions/unconfirmed', () => {
+      return { transactions: this.wallet.transactions.filter((tx) => tx.blockHeight === 0) }
+    })
+
+    this._route('GET', '/transactions/unconfirmed/:address', (params) => {
+      if (!this._address(params.address)) return badRequest('Address is not in the wallet')
+
+      return { transactions: this.wallet.transactions.filter((tx) => tx.blockHeight === 0 && involves(tx, params)) }
+    })
+
+    this._route('GET', '/transactions/hash/:hash', (params) => {
+      const tx = this.wallet.transactions.find((tx) => tx.hash === params.hash)
+      if (!tx) return MockServer.reply(404, { errorMessage: 'Transaction not found' })
+
+      return { transaction: tx }
+    })
+
+    this._route('GET', '/transactions/privatekey/:hash', (params) => {
+      const tx = this.wallet.transactions.find((tx) => tx.hash === params.hash)
+      if (!tx) return MockServer.reply(404, { errorMessage: 'Transaction not found' })
+      if (!tx.transfers.some((transfer) => transfer.amount < 0)) return badRequest('The wallet did not send this transaction')
+
+      return { transactionPrivateKey: MockServer.hash('transactionPrivateKey', tx.hash) }
+    })
+
+    /* These come last as their parameters would match the routes above */
+    this._route('GET', '/transactions', list(all))
+    this._route('GET', '/transactions/:startHeight', list(all))
+    this._route('GET', '/transactions/:startHeight/:endHeight', list(all))
+    this._route('GET', '/transactions/address/:address/:startHeight', list(involves))
+    this._route('GET', '/transactions/address/:address/:startHeight/:endHeight', list(involves))
+  }
+}
+
+function badRequest (message) {
+  return MockServer.reply(400, { errorMessage: message })
+}
+
+function repeat (text, count) {
+  return new Array(count + 1).join(text)
+}
+
+module.exports = MockWalletAPI
@@ -0,0 +1,239 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Abort = require('./abort')
+const Errors = require('./errors')
+
+/* f_blocks_list_json returns this many blocks, from the height requested down */
+const SHORT_HEADERS_WINDOW = 30
+
+/**
+ * Fetches a range of heights with a bounded number of calls in flight and
+ * yields the results in height order, lowest first. Calls are only made
+ * ahead of the results consumed as far as the concurrency allows.
+ *
+ * Block hashes and short headers are read from the f_blocks_list_json
+ * window covering each part of the range, one call per 30 heights. Full
+ * block headers and block summaries carry more than the short headers,
+ * so they are then looked up one by one by the hashes found.
+ * @module RangeFetcher
+ * @class
+ * @implements {AsyncIterableIterator<XTCASHnetwork.BlockHeader|XTCASHnetwork.BlockShortHeader|XTCASHnetwork.BlockSummary>}
+ */
+class RangeFetcher {
+  /**
+   * Initializes a new RangeFetcher object, use XTCASHnetwork.blockHeadersRange() or XTCASHnetwork.blocksRange() instead
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to query
+   * @param {number} start - the first height
+   * @param {number} end - the last height, inclusive
+   * @param {Object} [opts] - Configuration options
+   * @param {boolean} [opts.blocks=false] - whether to fetch XTCASHnetwork.BlockSummary through block(), by the hashes found in the windows
+   * @param {boolean} [opts.short=false] - whether to fetch XTCASHnetwork.BlockShortHeader from the windows rather than XTCASHnetwork.BlockHeader through blockHeaderByHash()
+   * @param {number} [opts.concurrency=4] - the maximum number of calls in flight
+   * @param {function} [opts.onProgress] - called with (completed, total) every time a height has been fetched
+   * @param {AbortSignal} [opts.signal] - a signal that stops the fetcher, rejecting the pending next() with an AbortError
+   */
+  constructor (client, start, end, opts) {
+    opts = opts || {}
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start) {
+      throw new Error('Must supply a start height and an end height at or above it')
+    }
+
+    this.client = client
+    this.start = start
+    this.end = end
+    this.blocks = opts.blocks || false
+    this.short = opts.short || false
+    this.concurrency = opts.concurrency || 4
+    this.onProgress = opts.onProgress
+    this.signal = opts.signal
+
+    /* The number of heights fetched so far */
+    this.completed = 0
+
+    this._height = start
+    this._queue = []
+    this._windows = new Map()
+    this._done = false
+    this._pending = Promise.resolve()
+  }
+
+  /**
+   * The number of heights in the range
+   * @type {number}
+   */
+  get total () {
+    return this.end - this.start + 1
+  }
+
+  /**
+   * Resolves with the result for the next height
+   * @async
+   * @returns {Promise<IteratorResult<XTCASHnetwork.BlockHeader|XTCASHnetwork.BlockShortHeader|XTCASHnetwork.BlockSummary>>} resolves with { value, done } or rejects with error
+   */
+  next () {
+    const result = this._pending.then(() => this._next())
+
+    /* Calls made before the previous one settled wait for it */
+    this._pending = result.catch(() => {})
+
+    return result
+  }
+
+  /**
+   * Stops the fetcher, the calls in flight are left to finish and their results dropped
+   * @async
+   * @returns {Promise<IteratorResult<XTCASHnetwork.BlockHeader|XTCASHnetwork.BlockShortHeader|XTCASHnetwork.BlockSummary>>} resolves with { value: undefined, done: true }
+   */
+  return () {
+    this._done = true
+    this._queue = []
+
+    return Promise.resolve({ value: undefined, done: true })
+  }
+
+  /**
+   * Fetches the whole range
+   * @async
+   * @returns {Promise<(XTCASHnetwork.BlockHeader|XTCASHnetwork.BlockShortHeader|XTCASHnetwork.BlockSummary)[]>} resolves with the results in height order or rejects with error
+   */
+  toArray () {
+    const results = []
+
+    const collect = () => {
+      return this.next().then((result) => {
+        if (result.done) return results
+
+        results.push(result.value)
+        return collect()
+      })
+    }
+
+    return collect()
+  }
+
+  /**
+   * Yields the result for the next height, keeping the queue full
+   * @async
+   * @private
+   * @returns {Promise<IteratorResult<XTCASHnetwork.BlockHeader|XTCASHnetwork.BlockShortHeader|XTCASHnetwork.BlockSummary>>} resolves with { value, done } or rejects with error
+   */
+  _next () {
+    if (this._done) return Promise.resolve({ value: undefined, done: true })
+
+    Abort.throwIfAborted(this.signal)
+
+    this._fill()
+
+    if (this._queue.length === 0) {
+      this._done = true
+      return Promise.resolve({ value: undefined, done: true })
+    }
+
+    return this._queue.shift().then((value) => {
+      if (this._done) return { value: undefined, done: true }
+
+      this._fill()
+      return { value: value, done: false }
+    }).catch((err) => {
+      this._done = true
+      this._queue = []
+      throw err
+    })
+  }
+
+  /**
+   * Starts fetching heights until the concurrency is reached
+   * @private
+   */
+  _fill () {
+    while (this._queue.length < this.concurrency && this._height <= this.end) {
+      const fetch = this._fetch(this._height++).then((value) => {
+        this.completed++
+        if (this.onProgress) this.onProgress(this.completed, this.total)
+        return value
+      })
+
+      /* Failures are reported once their turn comes */
+      fetch.catch(() => {})
+
+      this._queue.push(fetch)
+    }
+  }
+
+  /**
+   * Fetches the result for a height
+   * @async
+   * @private
+   * @param {number} height - the height
+   * @returns {Promise<XTCASHnetwork.BlockHeader|XTCASHnetwork.BlockShortHeader|XTCASHnetwork.BlockSummary>} resolves with the result or rejects with error
+   */
+  _fetch (height) {
+    const callOpts = { signal: this.signal }
+
+    if (this.short) {
+      return this._window(height).then((headers) => {
+        const header = headers.find((entry) => entry.height === height)
+        if (!header) throw new Error('The block list of the daemon has no block at height ' + height)
+        return header
+      })
+    }
+
+    /* A window the daemon refuses, ie. one reaching above the top of the
+       chain, leaves its heights to be looked up by height instead */
+    const window = this._window(height).catch((err) => {
+      if (err instanceof Errors.RpcError) return []
+      throw err
+    })
+
+    return window.then((headers) => {
+      const header = headers.find((entry) => entry.height === height)
+
+      if (!this.blocks) {
+        return (header) ? this.client.blockHeaderByHash(header.hash, callOpts) : this.client.blockHeaderByHeight(height, callOpts)
+      }
+
+      const hash = (header) ? Promise.resolve(header.hash) : this.client.blockHeaderByHeight(height, callOpts).then((header) => header.hash)
+
+      return hash.then((hash) => this.client.block(hash, callOpts))
+    })
+  }
+
+  /**
+   * The short headers of the window covering a height, requested once per window
+   * @async
+   * @private
+   * @param {number} height - the height
+   * @returns {Promise<XTCASHnetwork.BlockShortHeader[]>} resolves with the short headers or rejects with error
+   */
+  _window (height) {
+    const index = Math.floor((height - this.start) / SHORT_HEADERS_WINDOW)
+
+    if (!this._windows.has(index)) {
+      /* Heights are fetched in order, so the earlier windows are no longer needed */
+      this._windows.forEach((window, key) => {
+        if (key < index) this._windows.delete(key)
+      })
+
+      const top = Math.min(this.start + (index + 1) * SHORT_HEADERS_WINDOW - 1, this.end)
+
+      this._windows.set(index, this.client.blockShortHeaders(top, { signal: this.signal }))
+    }
+
+    return this._windows.get(index)
+  }
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  /* for await (const header of daemon.blockHeadersRange(1, 10000)) */
+  RangeFetcher.prototype[Symbol.asyncIterator] = function () {
+    return this
+  }
+}
+
+module.exports = RangeFetcher
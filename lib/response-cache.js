@@ -0,0 +1,273 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const LRUStore = require('./lru-store')
+const util = require('util')
+
+/* The XTCASHnetwork methods whose responses never change once the chain
+   has moved far enough past them. Each rule inspects the raw response and
+   returns the height of the block the answer depends on and, where the
+   response reports it, the height of the chain at the time. A rule that
+   returns nothing marks the response as not cacheable. The output indexes
+   of globalIndexes do not say which block they came from, so they cannot be
+   held back until buried and are not cached at all. */
+const RULES = {
+  block: (response) => header(response.result && response.result.block),
+  blockHeaderByHash: (response) => header(response.result && response.result.block_header),
+  blockHeaderByHeight: (response) => header(response.result && response.result.block_header),
+  blockShortHeaders: (response) => {
+    const blocks = response.result && response.result.blocks
+    if (!Array.isArray(blocks) || blocks.length === 0) return
+
+    return { height: Math.max.apply(null, blocks.map((block) => block.height)) }
+  },
+  rawBlocks: (response) => {
+    const blocks = response['response.blocks']
+    if (!isOK(response['response.status']) || !Array.isArray(blocks) || blocks.length === 0) return
+
+    return {
+      height: response['response.start_height'] + blocks.length - 1,
+      tip: response['response.current_height'] - 1
+    }
+  },
+  transaction: (response) => {
+    const block = response.result && response.result.block
+    if (!block || typeof block.height !== 'number') return
+
+    return { height: block.height }
+  }
+}
+
+/* The fields that grow with the chain, ie. the depth of a block. A cached
+   response holds them as they were when it was stored, so they are brought
+   up to date from the last height seen when the response is served again */
+const REFRESH = {
+  block: (response, tip) => deepen(response.result && response.result.block, tip),
+  blockHeaderByHash: (response, tip) => deepen(response.result && response.result.block_header, tip),
+  blockHeaderByHeight: (response, tip) => deepen(response.result && response.result.block_header, tip),
+  rawBlocks: (response, tip) => {
+    response['response.current_height'] = Math.max(response['response.current_height'], tip + 1)
+  }
+}
+
+/* The responses that tell us the current height of the chain */
+const TIPS = {
+  blockCount: (response) => response.result && response.result.count - 1,
+  height: (response) => response.height - 1,
+  info: (response) => response.height - 1,
+  lastBlockHeader: (response) => response.result && response.result.block_header && response.result.block_header.height
+}
+
+/**
+ * Caches the responses of XTCASHnetwork calls that return immutable chain
+ * data. Responses about a block are only kept once that block is buried
+ * under the configured number of confirmations.
+ * @module ResponseCache
+ * @class
+ */
+class ResponseCache {
+  /**
+   * Initializes a new ResponseCache object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {Object} [opts.store] - the store holding the entries, defaults to a LRUStore
+   * @param {number} [opts.maxEntries=1000] - the maximum number of entries held by the default store
+   * @param {number} [opts.maxBytes=16777216] - the maximum number of bytes held by the default store
+   * @param {number} [opts.confirmations=10] - how many blocks must be built on top of a block before responses about it are cached
+   * @param {string[]} [opts.methods] - the methods to cache, defaults to ResponseCache.METHODS
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.store = opts.store || new LRUStore({ maxEntries: opts.maxEntries, maxBytes: opts.maxBytes })
+    this.confirmations = (opts.confirmations !== undefined) ? opts.confirmations : 10
+    this.methods = opts.methods || ResponseCache.METHODS
+    this.tip = undefined
+    this.hits = 0
+    this.misses = 0
+  }
+
+  /**
+   * Cache Stats
+   * @memberof ResponseCache
+   * @typedef {Object} CacheStats
+   * @property {number} hits - how many calls were answered from the cache
+   * @property {number} misses - how many calls to cacheable methods were sent to the daemon
+   * @property {number} hitRate - the fraction (0 - 1) of calls to cacheable methods answered from the cache
+   * @property {number} [entries] - the number of entries held, if the store reports it
+   * @property {number} [bytes] - the number of bytes held, if the store reports it
+   * @property {number} [evictions] - how many entries the store has evicted, if it reports it
+   * @property {number} [tip] - the last chain height seen
+   */
+
+  /**
+   * Returns the hit and miss counts of the cache
+   * @returns {ResponseCache.CacheStats} the stats
+   */
+  stats () {
+    const lookups = this.hits + this.misses
+
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: (lookups > 0) ? this.hits / lookups : 0,
+      entries: this.store.size,
+      bytes: this.store.bytes,
+      evictions: this.store.evictions,
+      tip: this.tip
+    }
+  }
+
+  /**
+   * Removes the entries that depend on blocks at or above the given height,
+   * along with any entries whose height is not known. Call this after a
+   * reorg with the height of the first block that changed.
+   * @async
+   * @param {number} [height] - the lowest height that changed, removes every entry if not supplied
+   * @returns {Promise<number>} resolves with the number of entries removed
+   */
+  invalidate (height) {
+    if (height === undefined) {
+      return Promise.resolve(this.store.keys()).then((keys) => {
+        return Promise.resolve(this.store.clear()).then(() => keys.length)
+      })
+    }
+
+    if (this.tip !== undefined) this.tip = Math.min(this.tip, height - 1)
+
+    return Promise.resolve(this.store.keys()).then((keys) => {
+      return Promise.all(keys.map((key) => {
+        return Promise.resolve(this.store.get(key)).then((entry) => {
+          if (!entry || (entry.height !== undefined && entry.height < height)) return false
+
+          return Promise.resolve(this.store.delete(key)).then(() => true)
+        })
+      }))
+    }).then((removed) => {
+      return removed.filter((wasRemoved) => wasRemoved).length
+    })
+  }
+
+  /**
+   * Builds the middleware that answers calls from the cache
+   * @returns {function} the middleware
+   */
+  middleware () {
+    return (context, next) => {
+      const call = context.call || {}
+
+      const fetch = () => next().then((response) => {
+        this._observe(context.method, response)
+        return response
+      })
+
+      if (call.cache === false || !RULES[context.method] || this.methods.indexOf(context.method) === -1) {
+        return fetch()
+      }
+
+      const key = util.format('%s %s %s', context.verb, context.endpoint, JSON.stringify(context.body))
+
+      /* A store that fails to answer is treated as a miss */
+      return Promise.resolve().then(() => this.store.get(key)).catch(() => undefined).then((entry) => {
+        if (entry) {
+          this.hits++
+          return this._refresh(context.method, JSON.parse(entry.value))
+        }
+
+        this.misses++
+
+        return fetch().then((response) => {
+          this._save(key, context.method, response)
+          return response
+        })
+      })
+    }
+  }
+
+  /**
+   * Brings the fields of a cached response that grow with the chain up to
+   * date with the last chain height seen
+   * @private
+   * @param {string} method - the client method that was called
+   * @param {Object} response - the cached response
+   * @returns {Object} the response
+   */
+  _refresh (method, response) {
+    if (REFRESH[method] && this.tip !== undefined) REFRESH[method](response, this.tip)
+
+    return response
+  }
+
+  /**
+   * Keeps track of the chain height reported by the response
+   * @private
+   * @param {string} method - the client method that was called
+   * @param {Object} response - the decoded response
+   */
+  _observe (method, response) {
+    if (!response) return
+
+    var tip
+
+    if (TIPS[method]) {
+      tip = TIPS[method](response)
+    } else if (RULES[method] && !response.error) {
+      const located = RULES[method](response)
+      if (located) tip = located.tip
+    }
+
+    if (typeof tip === 'number' && !isNaN(tip)) this.tip = tip
+  }
+
+  /**
+   * Stores the response if it is safe to do so
+   * @private
+   * @param {string} key - the key of the entry
+   * @param {string} method - the client method that was called
+   * @param {Object} response - the decoded response
+   */
+  _save (key, method, response) {
+    if (!response || response.error) return
+
+    const located = RULES[method](response)
+    if (!located) return
+
+    if (located.height !== undefined) {
+      if (this.tip === undefined || this.tip - located.height < this.confirmations) return
+    }
+
+    const entry = {
+      value: JSON.stringify(response),
+      height: located.height
+    }
+
+    /* Storing is best effort, a failing store must not fail the call */
+    Promise.resolve().then(() => this.store.set(key, entry)).catch(() => undefined)
+  }
+}
+
+function header (block) {
+  if (!block || typeof block.height !== 'number') return
+  if (block.orphan_status) return
+
+  return {
+    height: block.height,
+    tip: (typeof block.depth === 'number') ? block.height + block.depth : undefined
+  }
+}
+
+function deepen (block, tip) {
+  if (!block || typeof block.depth !== 'number') return
+
+  block.depth = Math.max(block.depth, tip - block.height)
+}
+
+function isOK (status) {
+  return typeof status === 'string' && status.toLowerCase() === 'ok'
+}
+
+ResponseCache.METHODS = Object.keys(RULES)
+
+module.exports = ResponseCache
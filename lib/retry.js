@@ -0,0 +1,85 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/**
+ * Decides whether, and after how long, a failed request is attempted again
+ * @module RetryPolicy
+ * @class
+ */
+class RetryPolicy {
+  /**
+   * Initializes a new RetryPolicy object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.maxAttempts=3] - the maximum number of attempts including the first
+   * @param {number} [opts.minDelay=100] - the delay in milliseconds before the first retry
+   * @param {number} [opts.maxDelay=2000] - the maximum delay in milliseconds between attempts
+   * @param {number} [opts.factor=2] - the multiplier applied to the delay after every attempt
+   * @param {number} [opts.jitter=0.5] - the fraction (0 - 1) of the delay that is randomized
+   * @param {string[]} [opts.errorCodes] - the network error codes that are retried
+   * @param {number[]} [opts.statusCodes=[408,429,500,502,503,504]] - the HTTP status codes that are retried
+   * @param {string[]} [opts.methods] - the client methods that are retried without opting in per call
+   * @param {function} [opts.retryOn] - a function receiving (error, attempt) that overrides the error and status checks
+   */
+  constructor (opts) {
+    opts = opts || {}
+    this.maxAttempts = (opts.maxAttempts !== undefined) ? opts.maxAttempts : 3
+    this.minDelay = (opts.minDelay !== undefined) ? opts.minDelay : 100
+    this.maxDelay = (opts.maxDelay !== undefined) ? opts.maxDelay : 2000
+    this.factor = opts.factor || 2
+    this.jitter = (opts.jitter !== undefined) ? opts.jitter : 0.5
+    this.errorCodes = opts.errorCodes || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+    this.statusCodes = opts.statusCodes || [408, 429, 500, 502, 503, 504]
+    this.methods = opts.methods || []
+    this.retryOn = opts.retryOn || false
+  }
+
+  /**
+   * Whether calls to the given client method are retried by default
+   * @param {string} method - the client method name
+   * @returns {boolean} whether the method is retried
+   */
+  appliesTo (method) {
+    return this.methods.indexOf(method) !== -1
+  }
+
+  /**
+   * Whether the error received on the given attempt should be retried
+   * @param {Error} err - the error the attempt failed with
+   * @param {number} attempt - the number of the attempt that failed, starting at 1
+   * @returns {boolean} whether another attempt should be made
+   */
+  shouldRetry (err, attempt) {
+    if (attempt >= this.maxAttempts) return false
+    if (this.retryOn) return !!this.retryOn(err, attempt)
+    if (!err) return false
+    if (err.code && this.errorCodes.indexOf(err.code) !== -1) return true
+    if (err.statusCode && this.statusCodes.indexOf(err.statusCode) !== -1) return true
+    return false
+  }
+
+  /**
+   * Calculates the delay before the next attempt
+   * @param {number} attempt - the number of the attempt that failed, starting at 1
+   * @returns {number} the delay in milliseconds
+   */
+  delay (attempt) {
+    const delay = Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt - 1))
+
+    return Math.round(delay - (delay * this.jitter * Math.random()))
+  }
+
+  /**
+   * Creates a copy of this policy with the supplied options applied on top
+   * @param {Object} [opts] - the options to override
+   * @returns {RetryPolicy} the new policy
+   */
+  extend (opts) {
+    return new RetryPolicy(Object.assign({}, this, opts))
+  }
+}
+
+module.exports = RetryPolicy
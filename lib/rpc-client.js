@@ -0,0 +1,519 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Abort = require('./abort')
+const Errors = require('./errors')
+const EventEmitter = require('events')
+const HttpTransport = require('./transport')
+const Limiter = require('./limiter')
+const MetricsRegistry = require('./metrics-registry')
+const RetryPolicy = require('./retry')
+const Schema = require('./schema')
+const util = require('util')
+
+/* All clients that are not handed a transport share this one so that
+   keep-alive sockets are pooled across every instance in the process */
+var sharedTransport
+
+/**
+ * Base class of the RPC clients that handles the HTTP exchange
+ * @module RPCClient
+ * @class
+ */
+class RPCClient extends EventEmitter {
+  /**
+   * Initializes a new RPCClient object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {Object} [opts.transport] - the transport to use for requests, must provide a request() method compatible with HttpTransport
+   * @param {Object|Limiter} [opts.limit] - the Limiter options, or a Limiter shared with other clients, that caps the requests in flight and per second
+   * @param {boolean} [opts.strict=false] - whether to check every result against its documented type and reject with a ResponseValidationError when it does not match
+   * @param {Object|MetricsRegistry|boolean} [opts.metrics] - the MetricsRegistry options, or a MetricsRegistry shared with other clients, that collects the call metrics, or false to collect none
+   */
+  constructor (opts) {
+    opts = opts || {}
+    super()
+
+    if (opts.transport) {
+      this.transport = opts.transport
+    } else {
+      if (!sharedTransport) sharedTransport = new HttpTransport()
+      this.transport = sharedTransport
+    }
+
+    this.limiter = (opts.limit instanceof Limiter) ? opts.limit : (opts.limit) ? new Limiter(opts.limit) : false
+    this.metricsRegistry = (opts.metrics === false) ? false
+      : (opts.metrics instanceof MetricsRegistry) ? opts.metrics : new MetricsRegistry(opts.metrics)
+    this._middleware = []
+    this.strict = opts.strict || false
+
+    if (this.strict) this._enforceSchemas()
+  }
+
+  /**
+   * Renders the metrics collected for the calls of this client, and of any
+   * other client sharing its MetricsRegistry, in the Prometheus text exposition format
+   * @returns {string} the metrics, empty when metrics are disabled
+   */
+  metrics () {
+    return (this.metricsRegistry) ? this.metricsRegistry.render() : ''
+  }
+
+  /**
+   * Builds a request handler that serves the metrics, ie.
+   * http.createServer(daemon.metricsHandler()).listen(9100)
+   * @returns {function} the handler, receiving (request, response)
+   */
+  metricsHandler () {
+    if (!this.metricsRegistry) throw new Error('Metrics are disabled for this client')
+
+    return this.metricsRegistry.handler()
+  }
+
+  /**
+   * Replaces each method that is documented as returning a value with one
+   * that checks the result before handing it back. The response bodies that
+   * methods unwrap or convert are checked by _request() before the methods see them
+   * @private
+   */
+  _enforceSchemas () {
+    const classes = []
+
+    for (var proto = Object.getPrototypeOf(this); proto && proto !== RPCClient.prototype; proto = Object.getPrototypeOf(proto)) {
+      classes.push(proto.constructor.name)
+    }
+
+    this._returnTypes = Schema.returnTypes(classes)
+    this._responseTypes = Schema.responseTypes(classes)
+
+    Object.keys(this._returnTypes).forEach((method) => {
+      const original = this[method]
+      if (typeof original !== 'function') return
+
+      this[method] = function () {
+        return original.apply(this, arguments).then((result) => {
+          const err = this._checkResult(method, result)
+          if (err) throw err
+          return result
+        }).catch((err) => {
+          /* A response missing the containers we unwrap fails before it
+             can be checked, which is a malformed response all the same */
+          if (err instanceof TypeError) {
+            throw new Errors.ResponseValidationError(util.format('%s returned a malformed response: %s', method, err.message), {
+              method: method,
+              cause: err
+            })
+          }
+          throw err
+        })
+      }
+    })
+  }
+
+  /**
+   * Checks a result against the documented return type of the method
+   * @private
+   * @param {string} method - the name of the public method that was called
+   * @param {*} result - the result the method resolved with
+   * @returns {ResponseValidationError|undefined} the error describing the mismatch, or undefined if the result matches
+   */
+  _checkResult (method, result) {
+    const type = this._returnTypes && this._returnTypes[method]
+    if (!type) return
+
+    return this._mismatchError(method, result, type, 'result')
+  }
+
+  /**
+   * Checks a decoded response body against the documented body of the
+   * method, before the method unwraps or converts it
+   * @private
+   * @param {string} method - the name of the public method that was called
+   * @param {*} response - the decoded response body
+   * @returns {ResponseValidationError|undefined} the error describing the mismatch, or undefined if the body matches
+   */
+  _checkResponse (method, response) {
+    const type = this._responseTypes && this._responseTypes[method]
+    if (!type) return
+
+    return this._mismatchError(method, response, type, 'response')
+  }
+
+  /**
+   * Builds the error describing where a value does not match its type
+   * @private
+   * @param {string} method - the name of the public method that was called
+   * @param {*} value - the value to check
+   * @param {string} type - the type expression, as found in schemas.json
+   * @param {string} path - the name of the value, used to build the path of the mismatch
+   * @returns {ResponseValidationError|undefined} the error describing the mismatch, or undefined if the value matches
+   */
+  _mismatchError (method, value, type, path) {
+    const mismatch = Schema.validate(value, type, path)
+    if (!mismatch) return
+
+    return new Errors.ResponseValidationError(util.format('%s returned an unexpected response: %s should be %s but is %s',
+      method, mismatch.path, mismatch.expected, mismatch.actual), {
+      method: method,
+      body: value,
+      path: mismatch.path,
+      expected: mismatch.expected,
+      actual: mismatch.actual
+    })
+  }
+
+  /**
+   * Request Context
+   * @memberof RPCClient
+   * @typedef {Object} RequestContext
+   * @property {RPCClient} client - the client making the call
+   * @property {string} method - the name of the public method being called
+   * @property {string} endpoint - the path being requested
+   * @property {string} verb - the HTTP verb being used
+   * @property {Object} [body] - the body of the request, may be changed before the request is sent
+   * @property {Object} headers - the headers of the request, may be changed before the request is sent
+   * @property {Object} call - the per-call options
+   * @property {number} startTime - the timestamp at which the call started
+   * @property {number} [duration] - how long the call took in milliseconds, once settled
+   * @property {number} [attempts] - how many attempts were made, once settled
+   * @property {*} [result] - the decoded response, in onResponse hooks
+   * @property {Error} [error] - the error the call failed with, in onError hooks
+   */
+
+  /**
+   * Adds a middleware to the request pipeline. Middleware are called in the
+   * order they were added with the request context and a next() function
+   * that continues the pipeline and resolves with the response. A middleware
+   * may change the context before calling next(), change the value that
+   * next() resolves with, or skip next() entirely and return a response of its own.
+   * @param {function} fn - the middleware, receiving (context, next) and returning the response or a Promise of it
+   * @returns {RPCClient} the client
+   */
+  use (fn) {
+    if (typeof fn !== 'function') throw new Error('Middleware must be a function')
+
+    this._middleware.push(fn)
+
+    return this
+  }
+
+  /**
+   * Adds a hook that is called before each request is sent. The hook may
+   * change the context, or return a value (or a Promise of one) other than
+   * undefined which is used as the response without sending the request.
+   * @param {function} fn - the hook, receiving the request context
+   * @returns {RPCClient} the client
+   */
+  onRequest (fn) {
+    return this.use((context, next) => {
+      return Promise.resolve(fn(context)).then((response) => {
+        return (response !== undefined) ? response : next()
+      })
+    })
+  }
+
+  /**
+   * Adds a hook that is called after each successful request with
+   * context.result set. Returning a value other than undefined replaces the response.
+   * @param {function} fn - the hook, receiving the request context
+   * @returns {RPCClient} the client
+   */
+  onResponse (fn) {
+    return this.use((context, next) => {
+      return next().then((result) => {
+        context.result = result
+
+        return Promise.resolve(fn(context)).then((response) => {
+          return (response !== undefined) ? response : result
+        })
+      })
+    })
+  }
+
+  /**
+   * Adds a hook that is called after each failed request with context.error
+   * set. Returning a value other than undefined recovers the call with that
+   * value as the response, otherwise the error is passed on.
+   * @param {function} fn - the hook, receiving the request context
+   * @returns {RPCClient} the client
+   */
+  onError (fn) {
+    return this.use((context, next) => {
+      return next().catch((err) => {
+        context.error = err
+
+        return Promise.resolve(fn(context)).then((response) => {
+          if (response === undefined) throw err
+          return response
+        })
+      })
+    })
+  }
+
+  /**
+   * Builds the headers sent with every request
+   * @private
+   * @returns {Object} the request headers
+   */
+  _headers () {
+    return {
+      Accept: 'application/json',
+      'User-Agent': this.userAgent
+    }
+  }
+
+  /**
+   * Call Options
+   * @memberof RPCClient
+   * @typedef {Object} CallOptions
+   * @property {boolean|Object} [retry] - false to never retry this call, true to retry it using the client policy, or RetryPolicy options to retry it using those
+   * @property {AbortSignal} [signal] - a signal that cancels the call, tearing down its socket and rejecting with an AbortError
+   * @property {string} [priority] - high to skip ahead of queued calls when a limit is set, defaults to high for the methods in priorityMethods
+   * @property {boolean} [cache] - false to skip the response cache for this call
+   */
+
+  /**
+   * Builds the call context handed down to the request methods
+   * @private
+   * @param {string} method - the name of the public method being called
+   * @param {RPCClient.CallOptions} [callOpts] - the per-call options supplied by the caller
+   * @returns {Object} the call context
+   */
+  _call (method, callOpts) {
+    return Object.assign({}, callOpts, { method: method })
+  }
+
+  /**
+   * Resolves the retry policy that applies to the call, if any
+   * @private
+   * @param {Object} call - the call context
+   * @returns {RetryPolicy|boolean} the retry policy or false if the call is not retried
+   */
+  _retryPolicy (call) {
+    const policy = this.retry || new RetryPolicy()
+
+    if (call.retry === false) return false
+    if (call.retry === true) return policy
+    if (typeof call.retry === 'object') return policy.extend(call.retry)
+    if (this.retry && this.retry.appliesTo(call.method)) return this.retry
+    return false
+  }
+
+  /**
+   * Performs a request by passing it through the middleware pipeline and,
+   * in strict mode, checks the decoded response against the documented body
+   * @async
+   * @private
+   * @param {string} verb - the HTTP verb to use
+   * @param {string} path - the path to request including the leading slash
+   * @param {Object} [body] - the body of the request
+   * @param {Object} [call] - the call context
+   * @returns {Promise<Object>} resolves with the decoded response or rejects with error
+   */
+  _request (verb, path, body, call) {
+    call = call || {}
+
+    const context = {
+      client: this,
+      method: call.method,
+      endpoint: path,
+      verb: verb,
+      body: body,
+      headers: this._headers(),
+      call: call,
+      startTime: Date.now()
+    }
+
+    const dispatch = (index) => {
+      Abort.throwIfAborted(call.signal, { method: call.method, endpoint: path })
+
+      if (index < this._middleware.length) {
+        return Promise.resolve().then(() => {
+          return this._middleware[index](context, () => dispatch(index + 1))
+        })
+      }
+
+      const started = Date.now()
+
+      return this._attempt(context).then((result) => {
+        context.duration = Date.now() - context.startTime
+        if (this.metricsRegistry) this.metricsRegistry.observeCall(call.method, context.endpoint, Date.now() - started)
+        return result
+      }).catch((err) => {
+        context.duration = Date.now() - context.startTime
+        if (this.metricsRegistry) this.metricsRegistry.observeCall(call.method, context.endpoint, Date.now() - started, err)
+        throw err
+      })
+    }
+
+    return Promise.resolve().then(() => dispatch(0)).then((result) => {
+      const err = this._checkResponse(call.method, result)
+      if (err) throw err
+      return result
+    })
+  }
+
+  /**
+   * Sends the request described by the context, retrying it as the retry policy allows
+   * @async
+   * @private
+   * @param {RPCClient.RequestContext} context - the request context
+   * @returns {Promise<Object>} resolves with the decoded response or rejects with error
+   */
+  _attempt (context) {
+    const policy = this._retryPolicy(context.call)
+
+    const attempt = (count) => {
+      context.attempts = count
+
+      return this._schedule(context).catch((err) => {
+        if (err instanceof Errors.AbortError) throw err
+        if (!policy || !policy.shouldRetry(err, count)) throw err
+
+        if (this.metricsRegistry) this.metricsRegistry.observeRetry(context.call.method, context.endpoint)
+
+        return Abort.sleep(policy.delay(count), context.call.signal).then(() => {
+          return attempt(count + 1)
+        })
+      })
+    }
+
+    return attempt(1)
+  }
+
+  /**
+   * Sends the request described by the context once, waiting for the limiter if one is set
+   * @async
+   * @private
+   * @param {RPCClient.RequestContext} context - the request context
+   * @returns {Promise<Object>} resolves with the decoded response or rejects with error
+   */
+  _schedule (context) {
+    const send = () => this._send(context.verb, context.endpoint, context.body, context.call, context.headers)
+
+    if (!this.limiter) return send()
+
+    const call = context.call
+    const priority = call.priority || ((this.priorityMethods && this.priorityMethods.indexOf(call.method) !== -1) ? 'high' : 'normal')
+
+    return this.limiter.schedule(send, {
+      priority: priority,
+      signal: call.signal,
+      details: { method: call.method, endpoint: context.endpoint }
+    })
+  }
+
+  /**
+   * Performs a single request via the transport
+   * @async
+   * @private
+   * @param {string} verb - the HTTP verb to use
+   * @param {string} path - the path to request including the leading slash
+   * @param {Object} [body] - the body of the request
+   * @param {Object} [call] - the call context
+   * @param {Object} [headers] - the request headers, defaults to the client headers
+   * @returns {Promise<Object>} resolves with the decoded response or rejects with error
+   */
+  _send (verb, path, body, call, headers) {
+    call = call || {}
+
+    return new Promise((resolve, reject) => {
+      const protocol = (this.ssl) ? 'https' : 'http'
+      headers = Object.assign({}, headers || this._headers())
+
+      /* Not every transport honours the signal, so we stop waiting on it ourselves */
+      const removeAbortListener = Abort.onAbort(call.signal, () => {
+        return reject(Abort.abortError(call.signal, { method: call.method, endpoint: path }))
+      })
+
+      if (body !== undefined) {
+        body = JSON.stringify(body)
+        headers['Content-Type'] = 'application/json'
+      }
+
+      this.transport.request({
+        ssl: this.ssl,
+        host: this.host,
+        port: this.port,
+        method: verb,
+        path: path,
+        url: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
+        headers: headers,
+        body: body,
+        timeout: this.timeout,
+        signal: call.signal
+      }).then((response) => {
+        removeAbortListener()
+        if (this.metricsRegistry) this.metricsRegistry.observeBytes(call.method, path, body, response.body)
+        const result = decode(response.body)
+
+        if (response.statusCode < 200 || response.statusCode > 299) {
+          return reject(this._statusError(response.statusCode, result, {
+            method: call.method,
+            endpoint: path
+          }))
+        }
+
+        return resolve(result)
+      }).catch((err) => {
+        removeAbortListener()
+
+        if (err instanceof Errors.AbortError) {
+          err.method = call.method
+          err.endpoint = path
+          return reject(err)
+        }
+        if (err instanceof Errors.RPCClientError) return reject(err)
+
+        const details = {
+          method: call.method,
+          endpoint: path,
+          cause: err,
+          timeout: this.timeout
+        }
+
+        if (err && (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT')) {
+          return reject(new Errors.TimeoutError(util.format('Request to %s timed out after %sms', path, this.timeout), details))
+        }
+
+        return reject(new Errors.ConnectionError((err && err.message) || 'Connection failed', details))
+      })
+    })
+  }
+
+  /**
+   * Builds the error for a response with a HTTP status code outside of 2xx
+   * @private
+   * @param {number} statusCode - the HTTP status code
+   * @param {*} body - the decoded response body
+   * @param {ErrorDetails} details - information about the failed call
+   * @returns {HttpStatusError} the error
+   */
+  _statusError (statusCode, body, details) {
+    details = Object.assign({ statusCode: statusCode, body: body }, details)
+
+    switch (statusCode) {
+      case 401: return new Errors.UnauthorizedError('API key is missing or invalid', details)
+      case 404: return new Errors.NotFoundError('The item requested does not exist', details)
+      default: return new Errors.HttpStatusError(util.format('Request to %s failed with status %s', details.endpoint, statusCode), details)
+    }
+  }
+}
+
+/* The daemon and wallet-api do not always send JSON back (ie. empty bodies
+   on success), so we hand back whatever we received if it won't parse */
+function decode (body) {
+  if (typeof body !== 'string') return body
+  if (body.length === 0) return undefined
+
+  try {
+    return JSON.parse(body)
+  } catch (e) {
+    return body
+  }
+}
+
+module.exports = RPCClient
@@ -0,0 +1,173 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* The schemas are generated from the typedefs in the JSDoc comments by
+   scripts/build-types.js, so the documentation is what gets enforced */
+const SCHEMAS = require('./schemas.json')
+
+/**
+ * Schema Mismatch
+ * @typedef {Object} SchemaMismatch
+ * @property {string} path - where in the value the mismatch was found, ie. result.transactions[0].hash
+ * @property {string} expected - the type that was expected
+ * @property {string} actual - the type that was found
+ */
+
+/**
+ * Collects the documented return types of the methods of a client
+ * @param {string[]} classes - the names of the client class and its parents, most derived first
+ * @returns {Object} the type expression of each method that is documented as returning a value, keyed by method name
+ */
+function returnTypes (classes) {
+  return collect(SCHEMAS.methods, classes)
+}
+
+/**
+ * Collects the documented types of the response bodies the methods of a
+ * client unwrap or convert before returning
+ * @param {string[]} classes - the names of the client class and its parents, most derived first
+ * @returns {Object} the type expression of each method that documents its response body, keyed by method name
+ */
+function responseTypes (classes) {
+  return collect(SCHEMAS.responses, classes)
+}
+
+/**
+ * Checks a value against a type expression. Properties that are not
+ * documented are allowed, documented properties that are not optional
+ * must be present.
+ * @param {*} value - the value to check
+ * @param {string} type - the type expression, as found in schemas.json
+ * @param {string} [path=result] - the name of the value, used to build the path of a mismatch
+ * @returns {SchemaMismatch|undefined} the first mismatch found, or undefined if the value matches
+ */
+function validate (value, type, path) {
+  path = path || 'result'
+  type = type.trim()
+
+  const union = split(type)
+  if (union.length > 1) {
+    const mismatches = []
+
+    for (var i = 0; i < union.length; i++) {
+      const mismatch = validate(value, union[i], path)
+      if (!mismatch) return
+      mismatches.push(mismatch)
+    }
+
+    /* When one of the types got further into the value than the others,
+       its mismatch says the most about what went wrong */
+    const deepest = mismatches.reduce((best, mismatch) => {
+      return (mismatch.path.length > best.path.length) ? mismatch : best
+    })
+
+    return (deepest.path !== path) ? deepest : mismatchOf(path, type, value)
+  }
+
+  if (/^\(.*\)$/.test(type)) return validate(value, type.slice(1, -1), path)
+
+  const array = /^(.*)\[\]$/.exec(type)
+  if (array) {
+    if (!Array.isArray(value)) return mismatchOf(path, type, value)
+
+    for (var j = 0; j < value.length; j++) {
+      const mismatch = validate(value[j], array[1], path + '[' + j + ']')
+      if (mismatch) return mismatch
+    }
+
+    return
+  }
+
+  switch (type) {
+    case '*':
+      return
+    case 'Object':
+      return (kindOf(value) === 'object') ? undefined : mismatchOf(path, type, value)
+    case 'number':
+    case 'string':
+    case 'boolean':
+    case 'bigint':
+    case 'undefined':
+    case 'null':
+      return (kindOf(value) === type) ? undefined : mismatchOf(path, type, value)
+  }
+
+  const schema = SCHEMAS.types[type]
+
+  if (!schema) return
+  if (schema.alias) return validate(value, schema.alias, path)
+  if (kindOf(value) !== 'object') return mismatchOf(path, type, value)
+
+  return properties(value, schema.properties, path)
+}
+
+/* Merges the types of a schema section for a class and its parents */
+function collect (section, classes) {
+  const types = {}
+
+  classes.slice().reverse().forEach((name) => {
+    Object.assign(types, section[name])
+  })
+
+  return types
+}
+
+/* Checks the documented properties of an object */
+function properties (value, fields, path) {
+  const names = Object.keys(fields || {})
+
+  for (var i = 0; i < names.length; i++) {
+    const field = fields[names[i]]
+    const fieldPath = path + ((/^[\w$]+$/.test(names[i])) ? '.' + names[i] : '[\'' + names[i] + '\']')
+    const fieldValue = value[names[i]]
+
+    if (fieldValue === undefined) {
+      if (field.optional) continue
+      return mismatchOf(fieldPath, field.type, fieldValue)
+    }
+
+    const mismatch = validate(fieldValue, field.type, fieldPath) ||
+      ((field.properties && kindOf(fieldValue) === 'object') ? properties(fieldValue, field.properties, fieldPath) : undefined)
+
+    if (mismatch) return mismatch
+  }
+}
+
+/* Splits a type expression on the | that are not inside parentheses */
+function split (type) {
+  const parts = []
+  var depth = 0
+  var start = 0
+
+  for (var i = 0; i < type.length; i++) {
+    if (type[i] === '(') depth++
+    if (type[i] === ')') depth--
+    if (type[i] === '|' && depth === 0) {
+      parts.push(type.slice(start, i))
+      start = i + 1
+    }
+  }
+
+  parts.push(type.slice(start))
+
+  return parts
+}
+
+function kindOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function mismatchOf (path, expected, value) {
+  return { path: path, expected: expected, actual: kindOf(value) }
+}
+
+module.exports = {
+  responseTypes,
+  returnTypes,
+  validate
+}
@@ -0,0 +1,445 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Amount = require('./amount')
+const RangeFetcher = require('./range-fetcher')
+
+/* global BigInt */
+
+const DAY = 86400
+
+/**
+ * Supply
+ * @memberof SupplyCalculator
+ * @typedef {Object} Supply
+ * @property {number} height - the height of the block
+ * @property {number} timestamp - the timestamp of the block
+ * @property {number|string|bigint} supply - the coins generated up to and including the block, as set by amountMode
+ * @property {number|string|bigint} baseReward - the base reward of the block, as set by amountMode
+ * @property {number|string|bigint} reward - the reward paid to the miner, fees included, as set by amountMode
+ * @property {number|string|bigint} fees - the fees paid in the block, as set by amountMode
+ * @property {number} penalty - the share of the base reward withheld for the size of the block
+ */
+
+/**
+ * Emission
+ * @memberof SupplyCalculator
+ * @typedef {Object} Emission
+ * @property {string} [day] - the UTC day (YYYY-MM-DD) of the blocks, for daily buckets
+ * @property {number} fromHeight - the height of the first block
+ * @property {number} toHeight - the height of the last block
+ * @property {number} blocks - the number of blocks
+ * @property {number|string|bigint} emitted - the coins generated by the blocks, as set by amountMode
+ * @property {number|string|bigint} rewards - the rewards paid to the miners, fees included, as set by amountMode
+ * @property {number|string|bigint} fees - the fees paid in the blocks, as set by amountMode
+ * @property {number|string|bigint} burned - the base rewards withheld for the size of the blocks, as set by amountMode
+ * @property {number|string|bigint} supply - the coins generated up to and including the last block, as set by amountMode
+ * @property {number} [expectedBlocks] - the number of blocks a day at the target block time, for daily buckets
+ * @property {number|string|bigint} [expected] - the coins those blocks would generate at the base reward of the first block of the day, for daily buckets, as set by amountMode
+ */
+
+/**
+ * Emission Model
+ * @memberof SupplyCalculator
+ * @typedef {Object} EmissionModel
+ * @property {number} height - the height of the last block observed
+ * @property {number} timestamp - the timestamp of that block
+ * @property {number|string|bigint} supply - the coins generated up to and including that block, as set by amountMode
+ * @property {number|string|bigint} baseReward - the base reward of that block, as set by amountMode
+ * @property {number|string|bigint} [moneySupply] - the total supply the base reward converges to, missing when the base reward does not decrease, as set by amountMode
+ * @property {number} [emissionSpeedFactor] - the base reward is the coins left to generate shifted right by this many bits, missing when the base reward does not decrease
+ */
+
+/**
+ * Projection Point
+ * @memberof SupplyCalculator
+ * @typedef {Object} ProjectionPoint
+ * @property {string} day - the UTC day (YYYY-MM-DD)
+ * @property {number} height - the projected height at the end of the day
+ * @property {number} timestamp - the timestamp of the end of the day
+ * @property {number|string|bigint} supply - the projected supply at that height, as set by amountMode
+ * @property {number|string|bigint} baseReward - the projected base reward at that height, as set by amountMode
+ */
+
+/**
+ * Turns the block summaries into supply figures: the supply at any height,
+ * the coins emitted, the fees paid and the rewards withheld (burned) over a
+ * range, the actual versus the expected emission per day and a projection
+ * of the supply. The projection follows the CryptoNote base reward formula,
+ * (moneySupply - alreadyGeneratedCoins) >> emissionSpeedFactor, with both
+ * parameters inferred from the blocks observed.
+ *
+ * Amounts are computed in atomic units and returned as set by amountMode.
+ * The string and bigint modes compute them exactly with BigInt. Where
+ * BigInt is missing, string mode computes them with Numbers and rejects
+ * with an error rather than return an amount above Number.MAX_SAFE_INTEGER,
+ * which a Number cannot hold exactly. Number mode computes with Numbers.
+ * @module SupplyCalculator
+ * @class
+ */
+class SupplyCalculator {
+  /**
+   * Initializes a new SupplyCalculator object
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to query
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.decimalDivisor=100000000] - the decimal divisor of atomic amounts, must be a power of 10
+   * @param {string} [opts.amountMode=number] - how amounts are returned: number (floats), string (exact decimal strings) or bigint (exact atomic units)
+   * @param {number} [opts.targetBlockTime=30] - the number of seconds the chain aims for between blocks
+   * @param {number} [opts.concurrency=4] - the maximum number of calls in flight when fetching blocks
+   */
+  constructor (client, opts) {
+    opts = opts || {}
+
+    this.client = client
+    this.decimalDivisor = opts.decimalDivisor || 100000000
+    this.decimals = Amount.decimalsOf(this.decimalDivisor)
+    this.amountMode = opts.amountMode || 'number'
+    this.targetBlockTime = opts.targetBlockTime || 30
+    this.concurrency = opts.concurrency || 4
+
+    if (['number', 'string', 'bigint'].indexOf(this.amountMode) === -1) {
+      throw new Error('amountMode must be one of number, string or bigint')
+    }
+
+    if (this.amountMode === 'bigint' && typeof BigInt === 'undefined') {
+      throw new Error('amountMode bigint requires a version of NodeJS with BigInt support')
+    }
+
+    /* What the atomic amounts are computed with: number, bigint, or safe
+       for Numbers that must stay exact */
+    this._arithmetic = (this.amountMode === 'number') ? 'number' : (typeof BigInt !== 'undefined') ? 'bigint' : 'safe'
+  }
+
+  /**
+   * Reports the supply at a height
+   * @async
+   * @param {number} [height] - the height, defaults to the top of the chain
+   * @returns {Promise<SupplyCalculator.Supply>} resolves with the supply or rejects with error
+   */
+  supplyAt (height) {
+    return this._summary(height).then((block) => {
+      return {
+        height: block.height,
+        timestamp: block.timestamp,
+        supply: this._amount(this._generated(block)),
+        baseReward: this._amount(this._atomic(block.baseReward)),
+        reward: this._amount(this._atomic(block.reward)),
+        fees: this._amount(this._atomic(block.totalFeeAmount)),
+        penalty: block.penalty || 0
+      }
+    })
+  }
+
+  /**
+   * Reports the coins emitted, the rewards and fees paid and the rewards
+   * withheld over a range of heights
+   * @async
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {Promise<SupplyCalculator.Emission>} resolves with the emission or rejects with error
+   */
+  emission (fromHeight, toHeight) {
+    return this._blocks(fromHeight, toHeight).then((blocks) => this._emission(blocks))
+  }
+
+  /**
+   * Reports the emission of a range of heights per UTC day, along with the
+   * emission expected from a full day of blocks at the target block time.
+   * The first and last days are usually only partly covered by the range.
+   * @async
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {Promise<SupplyCalculator.Emission[]>} resolves with the emission of each day, oldest first, or rejects with error
+   */
+  daily (fromHeight, toHeight) {
+    return this._blocks(fromHeight, toHeight).then((blocks) => {
+      const days = new Map()
+
+      blocks.forEach((block) => {
+        const day = dayOf(block.timestamp)
+
+        if (!days.has(day)) days.set(day, [])
+        days.get(day).push(block)
+      })
+
+      const expectedBlocks = DAY / this.targetBlockTime
+
+      return Array.from(days.keys()).map((day) => {
+        const dayBlocks = days.get(day)
+
+        return Object.assign({ day: day }, this._emission(dayBlocks), {
+          expectedBlocks: expectedBlocks,
+          expected: this._amount(this._scale(this._atomic(dayBlocks[0].baseReward), expectedBlocks))
+        })
+      })
+    })
+  }
+
+  /**
+   * Infers the parameters of the base reward formula from two blocks
+   * @async
+   * @param {Object} [opts] - the options
+   * @param {number} [opts.span=10000] - how many blocks apart the two blocks are, more is more accurate
+   * @param {number} [opts.height] - the height of the later block, defaults to the top of the chain
+   * @returns {Promise<SupplyCalculator.EmissionModel>} resolves with the model or rejects with error
+   */
+  model (opts) {
+    return this._model(opts).then((model) => {
+      return {
+        height: model.height,
+        timestamp: model.timestamp,
+        supply: this._amount(model.supply),
+        baseReward: this._amount(model.baseReward),
+        moneySupply: (model.moneySupply !== undefined) ? this._amount(model.moneySupply) : undefined,
+        emissionSpeedFactor: model.emissionSpeedFactor
+      }
+    })
+  }
+
+  /**
+   * Projects the supply day by day from the top of the chain, one block
+   * every target block time, with the inferred base reward formula
+   * @async
+   * @param {Object} [opts] - the options
+   * @param {number} [opts.days=365] - how many days to project
+   * @param {number} [opts.span=10000] - how many blocks apart the blocks used to infer the formula are
+   * @returns {Promise<SupplyCalculator.ProjectionPoint[]>} resolves with the supply at the end of each day or rejects with error
+   */
+  project (opts) {
+    opts = opts || {}
+
+    const days = opts.days || 365
+
+    return this._model({ span: opts.span }).then((model) => {
+      const points = []
+      const zero = this._atomic(0)
+      const divisor = (model.emissionSpeedFactor !== undefined) ? this._atomic(Math.pow(2, model.emissionSpeedFactor)) : undefined
+      var supply = model.supply
+      var baseReward = model.baseReward
+      var height = model.height
+      var timestamp = model.timestamp
+
+      for (var day = 1; day <= days; day++) {
+        const end = model.timestamp + day * DAY
+
+        while (timestamp + this.targetBlockTime <= end) {
+          height++
+          timestamp += this.targetBlockTime
+          if (divisor !== undefined) baseReward = (model.moneySupply > supply) ? this._divide(model.moneySupply - supply, divisor) : zero
+          supply += baseReward
+        }
+
+        points.push({
+          day: dayOf(end - 1),
+          height: height,
+          timestamp: end,
+          supply: this._amount(supply),
+          baseReward: this._amount(baseReward)
+        })
+      }
+
+      return points
+    })
+  }
+
+  /**
+   * Infers the parameters of the base reward formula, in atomic units
+   * @async
+   * @private
+   * @param {Object} [opts] - the options, as for model()
+   * @returns {Promise<Object>} resolves with the model or rejects with error
+   */
+  _model (opts) {
+    opts = opts || {}
+
+    const span = opts.span || 10000
+
+    return this._summary(opts.height).then((last) => {
+      return this._summary(Math.max(last.height - span, 1)).then((first) => {
+        const model = {
+          height: last.height,
+          timestamp: last.timestamp,
+          supply: this._generated(last),
+          baseReward: this._atomic(last.baseReward)
+        }
+
+        const drop = this._atomic(first.baseReward) - model.baseReward
+
+        if (drop <= this._atomic(0) || first.height === last.height) return model
+
+        /* baseReward = (moneySupply - generatedBefore) / 2^factor at both blocks,
+           so the base reward drops by one for every 2^factor coins generated */
+        const factor = Math.round(Math.log2(Number(this._generatedBefore(last) - this._generatedBefore(first)) / Number(drop)))
+        const step = Math.pow(2, factor)
+
+        /* The base reward is rounded down, so moneySupply lies somewhere in
+           the next 2^factor coins: take the middle */
+        model.emissionSpeedFactor = factor
+        model.moneySupply = model.baseReward * this._atomic(step) + this._atomic(Math.floor(step / 2)) + this._generatedBefore(last)
+
+        return model
+      })
+    })
+  }
+
+  /**
+   * Sums up the emission of a list of blocks
+   * @private
+   * @param {XTCASHnetwork.BlockSummary[]} blocks - the blocks, lowest first
+   * @returns {SupplyCalculator.Emission} the emission
+   */
+  _emission (blocks) {
+    const first = blocks[0]
+    const last = blocks[blocks.length - 1]
+    var rewards = this._atomic(0)
+    var fees = this._atomic(0)
+    var burned = this._atomic(0)
+
+    blocks.forEach((block) => {
+      rewards += this._atomic(block.reward)
+      fees += this._atomic(block.totalFeeAmount)
+      burned += this._scale(this._atomic(block.baseReward), block.penalty || 0)
+    })
+
+    return {
+      fromHeight: first.height,
+      toHeight: last.height,
+      blocks: blocks.length,
+      emitted: this._amount(this._generated(last) - this._generatedBefore(first)),
+      rewards: this._amount(rewards),
+      fees: this._amount(fees),
+      burned: this._amount(burned),
+      supply: this._amount(this._generated(last))
+    }
+  }
+
+  /**
+   * Fetches the block summary of a height
+   * @async
+   * @private
+   * @param {number} [height] - the height, defaults to the top of the chain
+   * @returns {Promise<XTCASHnetwork.BlockSummary>} resolves with the block summary or rejects with error
+   */
+  _summary (height) {
+    const header = (height === undefined) ? this.client.lastBlockHeader() : this.client.blockHeaderByHeight(height)
+
+    return header.then((header) => this.client.block(header.hash))
+  }
+
+  /**
+   * Fetches the block summaries of a range of heights
+   * @async
+   * @private
+   * @param {number} fromHeight - the height of the first block
+   * @param {number} toHeight - the height of the last block, inclusive
+   * @returns {Promise<XTCASHnetwork.BlockSummary[]>} resolves with the block summaries, lowest first, or rejects with error
+   */
+  _blocks (fromHeight, toHeight) {
+    const fetcher = new RangeFetcher(this.client, fromHeight, toHeight, {
+      blocks: true,
+      concurrency: this.concurrency
+    })
+
+    return fetcher.toArray()
+  }
+
+  /**
+   * The coins generated up to and including a block
+   * @private
+   * @param {XTCASHnetwork.BlockSummary} block - the block summary
+   * @returns {number|bigint} the amount in atomic units
+   */
+  _generated (block) {
+    return this._atomic(block.alreadyGeneratedCoins)
+  }
+
+  /**
+   * The coins generated before a block, its reward less the fees was generated by it
+   * @private
+   * @param {XTCASHnetwork.BlockSummary} block - the block summary
+   * @returns {number|bigint} the amount in atomic units
+   */
+  _generatedBefore (block) {
+    return this._generated(block) - (this._atomic(block.reward) - this._atomic(block.totalFeeAmount))
+  }
+
+  /**
+   * Reads an amount in atomic units sent by the daemon, as a Number or as a
+   * string of digits, into what the amounts are computed with. Outside of
+   * number mode, a Number above Number.MAX_SAFE_INTEGER is refused as it
+   * may already have been rounded.
+   * @private
+   * @param {number|string} value - the amount in atomic units
+   * @returns {number|bigint} the amount
+   */
+  _atomic (value) {
+    if (this._arithmetic === 'number') return Number(value)
+
+    if (typeof value === 'number') exact(value)
+
+    const digits = Amount.format(value, 0)
+
+    return (this._arithmetic === 'bigint') ? Amount.toBigInt(digits) : exact(Number(digits))
+  }
+
+  /**
+   * Multiplies an amount by a factor, ie. a share of the base reward, rounding to atomic units
+   * @private
+   * @param {number|bigint} atomic - the amount in atomic units
+   * @param {number} factor - the factor
+   * @returns {number|bigint} the amount
+   */
+  _scale (atomic, factor) {
+    if (this._arithmetic === 'bigint' && Number.isInteger(factor)) return atomic * Amount.toBigInt(factor)
+
+    return this._atomic(Math.round(Number(atomic) * factor))
+  }
+
+  /**
+   * Divides an amount, rounding down to atomic units
+   * @private
+   * @param {number|bigint} atomic - the amount in atomic units, not negative
+   * @param {number|bigint} divisor - the divisor
+   * @returns {number|bigint} the amount
+   */
+  _divide (atomic, divisor) {
+    return (this._arithmetic === 'bigint') ? atomic / divisor : Math.floor(atomic / divisor)
+  }
+
+  /**
+   * Converts an amount in atomic units as set by amountMode
+   * @private
+   * @param {number|bigint} atomic - the amount in atomic units
+   * @returns {number|string|bigint} the amount
+   */
+  _amount (atomic) {
+    const digits = (this._arithmetic === 'number') ? Amount.format(Math.round(atomic), 0) : Amount.format(atomic, 0)
+
+    /* A sum of Numbers past Number.MAX_SAFE_INTEGER may have been rounded */
+    if (this._arithmetic === 'safe') exact(atomic)
+
+    if (this.amountMode === 'bigint') return Amount.toBigInt(digits)
+    if (this.amountMode === 'string') return Amount.format(digits, this.decimals)
+
+    return parseFloat(Amount.format(digits, this.decimals))
+  }
+}
+
+/* Refuses Numbers that may not hold an amount exactly */
+function exact (value) {
+  if (!Number.isSafeInteger(value)) {
+    throw new Error('Amount ' + Amount.format(Math.round(value), 0) + ' is above Number.MAX_SAFE_INTEGER and cannot be computed exactly')
+  }
+
+  return value
+}
+
+function dayOf (timestamp) {
+  return new Date(Math.floor(timestamp / DAY) * DAY * 1000).toISOString().slice(0, 10)
+}
+
+module.exports = SupplyCalculator
@@ -0,0 +1,346 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Abort = require('./abort')
+const Errors = require('./errors')
+const EventEmitter = require('events')
+const util = require('util')
+
+/**
+ * Transaction State
+ * @memberof TransactionTracker
+ * @typedef {Object} TransactionState
+ * @property {string} hash - the transaction hash
+ * @property {string} state - unknown, pool, block, confirmed or dropped
+ * @property {string} [previousState] - the state before the last change
+ * @property {number} [height] - the height of the block holding the transaction
+ * @property {number} confirmations - the number of blocks on top of and including that block, 0 until mined
+ * @property {number} since - the timestamp at which the transaction entered its state, in milliseconds
+ */
+
+/**
+ * Polls transactionsStatus for many transactions at once, with a single
+ * call per poll, and follows each one through its states: unknown, pool,
+ * block, confirmed once deep enough, or dropped when the daemon does not
+ * know it for longer than the timeout. A transaction back in the pool
+ * after a reorganization goes back to the pool state. Confirmed and dropped
+ * transactions are no longer polled. The block heights are looked up
+ * again whenever the top of the chain changes, so the confirmations follow
+ * the transactions into another block after a reorganization.
+ *
+ * Every change, including the number of confirmations, emits a change
+ * event, and every change of state also emits an event named after the
+ * new state.
+ * @module TransactionTracker
+ * @class
+ * @extends EventEmitter
+ */
+class TransactionTracker extends EventEmitter {
+  /**
+   * Initializes a new TransactionTracker object, use XTCASHnetwork.trackTransactions() instead
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to poll
+   * @param {string[]} [hashes] - the hashes of the transactions to track
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.confirmations=10] - the number of confirmations after which a transaction is confirmed
+   * @param {number} [opts.timeout=600000] - how long a transaction may stay unknown to the daemon before it is dropped, in milliseconds
+   * @param {number} [opts.interval=10000] - how often the transactions are polled, in milliseconds
+   * @param {number} [opts.maxFailures=5] - how many polls in a row may fail before the pending waitForConfirmations() calls reject with the last error, polling carries on
+   * @param {boolean} [opts.autoStart=true] - whether polling starts immediately
+   */
+  constructor (client, hashes, opts) {
+    opts = opts || {}
+    super()
+
+    this.client = client
+    this.confirmations = opts.confirmations || 10
+    this.timeout = opts.timeout || 600000
+    this.interval = opts.interval || 10000
+    this.maxFailures = opts.maxFailures || 5
+
+    this._entries = new Map()
+    /* The hash of the top of the chain the block heights were looked up against */
+    this._tipHash = undefined
+    this._failures = 0
+    this._stopped = false
+    this._timer = undefined
+
+    this.track(hashes || [])
+
+    if (opts.autoStart !== false) this.start()
+  }
+
+  /**
+   * Whether the tracker is polling
+   * @type {boolean}
+   */
+  get running () {
+    return this._timer !== undefined
+  }
+
+  /**
+   * Starts tracking more transactions, the ones already tracked are left as they are
+   * @param {string|string[]} hashes - the transaction hashes
+   */
+  track (hashes) {
+    [].concat(hashes).forEach((hash) => {
+      if (this._entries.has(hash)) return
+
+      this._entries.set(hash, {
+        status: { hash: hash, state: 'unknown', confirmations: 0, since: Date.now() },
+        target: this.confirmations,
+        waiters: []
+      })
+    })
+  }
+
+  /**
+   * Returns the state of a transaction
+   * @param {string} hash - the transaction hash
+   * @returns {TransactionTracker.TransactionState|undefined} the state, if the transaction is tracked
+   */
+  status (hash) {
+    const entry = this._entries.get(hash)
+    return (entry) ? Object.assign({}, entry.status) : undefined
+  }
+
+  /**
+   * Returns the state of every transaction tracked
+   * @returns {TransactionTracker.TransactionState[]} the states
+   */
+  statuses () {
+    return Array.from(this._entries.values()).map((entry) => Object.assign({}, entry.status))
+  }
+
+  /**
+   * Waits for a transaction to reach a number of confirmations, tracking it if it is not yet
+   * @async
+   * @param {string} hash - the transaction hash
+   * @param {number} [confirmations] - the number of confirmations, defaults to the confirmations option
+   * @param {Object} [opts] - Options
+   * @param {AbortSignal} [opts.signal] - a signal that stops waiting, rejecting with an AbortError
+   * @returns {Promise<TransactionTracker.TransactionState>} resolves with the state of the transaction or rejects with a TransactionDroppedError, an AbortError or the error of the last poll once maxFailures polls in a row failed
+   */
+  waitForConfirmations (hash, confirmations, opts) {
+    opts = opts || {}
+
+    return new Promise((resolve, reject) => {
+      if (!hash) return reject(new Error('must specify hash'))
+
+      Abort.throwIfAborted(opts.signal, { method: 'waitForConfirmations', hash: hash })
+
+      const target = confirmations || this.confirmations
+
+      this.track(hash)
+
+      const entry = this._entries.get(hash)
+
+      if (entry.status.state === 'dropped') return reject(droppedError(entry.status))
+      if (entry.status.confirmations >= target) return resolve(Object.assign({}, entry.status))
+
+      const removeAbortListener = Abort.onAbort(opts.signal, () => {
+        entry.waiters = entry.waiters.filter((item) => item !== waiter)
+        reject(Abort.abortError(opts.signal, { method: 'waitForConfirmations', hash: hash }))
+      })
+
+      const waiter = {
+        confirmations: target,
+        resolve: (status) => {
+          removeAbortListener()
+          resolve(status)
+        },
+        reject: (err) => {
+          removeAbortListener()
+          reject(err)
+        }
+      }
+
+      entry.target = Math.max(entry.target, target)
+      entry.waiters.push(waiter)
+    })
+  }
+
+  /**
+   * Starts polling the transactions
+   */
+  start () {
+    if (this._timer !== undefined) return
+
+    this._stopped = false
+
+    const loop = () => {
+      this.poll().then(() => {
+        if (this._timer === undefined) return
+        this._timer = setTimeout(loop, this.interval)
+      })
+    }
+
+    this._timer = null
+    loop()
+  }
+
+  /**
+   * Stops polling, a poll in progress stops before emitting anything else.
+   * Pending waitForConfirmations() calls stay pending until polling starts again.
+   */
+  stop () {
+    if (this._timer) clearTimeout(this._timer)
+    this._timer = undefined
+    this._stopped = true
+  }
+
+  /**
+   * Polls the transactions still tracked once. Errors are emitted as error
+   * events when there is a listener for them and polling carries on either
+   * way. Once maxFailures polls in a row failed, the pending
+   * waitForConfirmations() calls reject with the last error.
+   * @async
+   * @returns {Promise} resolves once the changes found have been emitted
+   */
+  poll () {
+    const hashes = Array.from(this._entries.keys()).filter((hash) => this._pending(this._entries.get(hash)))
+
+    if (hashes.length === 0) return Promise.resolve()
+
+    return this.client.transactionsStatus({ transactionHashes: hashes }).then((result) => {
+      const mined = new Set(result.transactionsInBlock)
+      const pooled = new Set(result.transactionsInPool)
+
+      return this._heights(hashes.filter((hash) => mined.has(hash))).then((heights) => {
+        if (this._stopped) return
+
+        hashes.forEach((hash) => {
+          const entry = this._entries.get(hash)
+
+          if (mined.has(hash)) {
+            const height = heights.blocks[hash]
+            const confirmations = Math.max(heights.top - height, 0)
+            const state = (confirmations >= this.confirmations) ? 'confirmed' : 'block'
+
+            return this._update(entry, { state: state, height: height, confirmations: confirmations })
+          }
+
+          if (pooled.has(hash)) return this._update(entry, { state: 'pool', height: undefined, confirmations: 0 })
+
+          /* Unknown for too long, counted from the last time the daemon knew it */
+          if (entry.status.state !== 'unknown') return this._update(entry, { state: 'unknown', height: undefined, confirmations: 0 })
+          if (Date.now() - entry.status.since >= this.timeout) this._update(entry, { state: 'dropped' })
+        })
+      })
+    }).then(() => {
+      this._failures = 0
+    }, (err) => {
+      if (++this._failures >= this.maxFailures) this._rejectWaiters(err)
+      if (this.listenerCount('error') !== 0) this.emit('error', err)
+    })
+  }
+
+  /**
+   * Whether a transaction still needs to be polled
+   * @private
+   * @param {Object} entry - the tracked transaction
+   * @returns {boolean} whether to poll it
+   */
+  _pending (entry) {
+    if (entry.status.state === 'dropped') return false
+
+    return entry.status.confirmations < entry.target
+  }
+
+  /**
+   * Rejects every pending waitForConfirmations() call
+   * @private
+   * @param {Error} err - the error to reject with
+   */
+  _rejectWaiters (err) {
+    this._failures = 0
+
+    this._entries.forEach((entry) => {
+      const waiters = entry.waiters
+
+      entry.waiters = []
+      waiters.forEach((waiter) => waiter.reject(err))
+    })
+  }
+
+  /**
+   * Looks up the height of the top of the chain and of the blocks holding
+   * the transactions. The heights already known are reused as long as the
+   * top of the chain has not changed, as a reorganization may have moved
+   * the transactions into other blocks.
+   * @async
+   * @private
+   * @param {string[]} hashes - the hashes of the mined transactions
+   * @returns {Promise<Object>} resolves with { top, blocks } where top is the height of the chain and blocks the block heights by hash
+   */
+  _heights (hashes) {
+    if (hashes.length === 0) return Promise.resolve({ top: 0, blocks: {} })
+
+    const blocks = {}
+
+    return this.client.lastBlockHeader().then((tip) => {
+      const moved = tip.hash !== this._tipHash
+
+      return Promise.all(hashes.map((hash) => {
+        const known = this._entries.get(hash).status.height
+        if (known !== undefined && !moved) return Promise.resolve(known)
+
+        return this.client.transaction(hash).then((result) => result.block.height)
+      })).then((heights) => {
+        hashes.forEach((hash, index) => { blocks[hash] = heights[index] })
+
+        this._tipHash = tip.hash
+
+        return { top: tip.height + 1, blocks: blocks }
+      })
+    })
+  }
+
+  /**
+   * Applies a change to a tracked transaction, emitting the events and
+   * settling the waiters it concerns
+   * @private
+   * @param {Object} entry - the tracked transaction
+   * @param {Object} changes - the new values
+   */
+  _update (entry, changes) {
+    const previous = entry.status
+    const status = Object.assign({}, previous, changes)
+
+    if (status.state === previous.state && status.confirmations === previous.confirmations && status.height === previous.height) return
+
+    if (status.state !== previous.state) {
+      status.previousState = previous.state
+      status.since = Date.now()
+    }
+
+    entry.status = status
+
+    this.emit('change', Object.assign({}, status))
+    if (status.state !== previous.state) this.emit(status.state, Object.assign({}, status))
+
+    entry.waiters = entry.waiters.filter((waiter) => {
+      if (status.state === 'dropped') {
+        waiter.reject(droppedError(status))
+        return false
+      }
+      if (status.confirmations >= waiter.confirmations) {
+        waiter.resolve(Object.assign({}, status))
+        return false
+      }
+      return true
+    })
+  }
+}
+
+function droppedError (status) {
+  return new Errors.TransactionDroppedError(util.format('Transaction %s was dropped, it was unknown to the daemon for too long', status.hash), {
+    method: 'waitForConfirmations',
+    hash: status.hash
+  })
+}
+
+module.exports = TransactionTracker
@@ -0,0 +1,143 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Abort = require('./abort')
+const http = require('http')
+const https = require('https')
+
+/**
+ * Transport Request
+ * @memberof HttpTransport
+ * @typedef {Object} TransportRequest
+ * @property {boolean} ssl - whether the request should be made using SSL (HTTPS)
+ * @property {string} host - the address of the remote host
+ * @property {number} port - the port of the remote host
+ * @property {string} method - the HTTP verb to use
+ * @property {string} path - the path of the request including the leading slash
+ * @property {string} url - the full URL of the request
+ * @property {Object} headers - the request headers
+ * @property {string} [body] - the serialized request body
+ * @property {number} timeout - the timeout to use for the request
+ * @property {AbortSignal} [signal] - the signal that cancels the request
+ */
+
+/**
+ * Transport Response
+ * @memberof HttpTransport
+ * @typedef {Object} TransportResponse
+ * @property {number} statusCode - the HTTP status code of the response
+ * @property {Object} headers - the response headers
+ * @property {string} body - the raw response body
+ */
+
+/**
+ * A transport built on the Node http/https modules that reuses sockets
+ * between requests via pooled keep-alive agents. Any object providing a
+ * compatible request() method may be supplied in its place.
+ * @module HttpTransport
+ * @class
+ */
+class HttpTransport {
+  /**
+   * Initializes a new HttpTransport object
+   * @constructor
+   * @param {Object} [opts] - Configuration options
+   * @param {boolean} [opts.keepAlive=true] - whether sockets are kept open between requests
+   * @param {number} [opts.keepAliveMsecs=1000] - the initial delay of TCP keep-alive packets
+   * @param {number} [opts.maxSockets=Infinity] - the maximum number of sockets per host
+   * @param {number} [opts.maxFreeSockets=256] - the maximum number of idle sockets per host
+   * @param {http.Agent} [opts.httpAgent] - a custom agent to use for HTTP requests
+   * @param {https.Agent} [opts.httpsAgent] - a custom agent to use for HTTPS requests
+   */
+  constructor (opts) {
+    opts = opts || {}
+
+    const agentOptions = {
+      keepAlive: (opts.keepAlive !== undefined) ? opts.keepAlive : true,
+      keepAliveMsecs: opts.keepAliveMsecs || 1000,
+      maxSockets: opts.maxSockets || Infinity,
+      maxFreeSockets: opts.maxFreeSockets || 256
+    }
+
+    this.httpAgent = opts.httpAgent || new http.Agent(agentOptions)
+    this.httpsAgent = opts.httpsAgent || new https.Agent(agentOptions)
+  }
+
+  /**
+   * Performs a single HTTP request
+   * @async
+   * @param {HttpTransport.TransportRequest} req - the request to perform
+   * @returns {Promise<HttpTransport.TransportResponse>} resolves with the response or rejects with error
+   */
+  request (req) {
+    return new Promise((resolve, reject) => {
+      if (req.signal && req.signal.aborted) return reject(Abort.abortError(req.signal))
+
+      const client = (req.ssl) ? https : http
+      const headers = Object.assign({}, req.headers)
+
+      if (req.body !== undefined) {
+        headers['Content-Length'] = Buffer.byteLength(req.body)
+      }
+
+      const request = client.request({
+        host: req.host,
+        port: req.port,
+        method: req.method,
+        path: req.path,
+        headers: headers,
+        agent: (req.ssl) ? this.httpsAgent : this.httpAgent
+      }, (response) => {
+        const chunks = []
+
+        response.on('data', (chunk) => chunks.push(chunk))
+        response.on('error', (err) => reject(err))
+        response.on('end', () => {
+          removeAbortListener()
+          return resolve({
+            statusCode: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(chunks).toString()
+          })
+        })
+      })
+
+      if (req.timeout) {
+        request.setTimeout(req.timeout, () => {
+          const err = new Error('ETIMEDOUT')
+          err.code = 'ETIMEDOUT'
+          reject(err)
+          request.destroy()
+        })
+      }
+
+      /* Destroying the request also tears down its socket so that
+         the agent does not hand it out again */
+      const removeAbortListener = Abort.onAbort(req.signal, () => {
+        reject(Abort.abortError(req.signal))
+        request.destroy()
+      })
+
+      request.on('error', (err) => {
+        removeAbortListener()
+        return reject(err)
+      })
+
+      if (req.body !== undefined) request.write(req.body)
+      request.end()
+    })
+  }
+
+  /**
+   * Closes any sockets held open by the keep-alive agents
+   */
+  destroy () {
+    this.httpAgent.destroy()
+    this.httpsAgent.destroy()
+  }
+}
+
+module.exports = HttpTransport
@@ -0,0 +1,255 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Abort = require('./abort')
+const EventEmitter = require('events')
+const HeaderChain = require('./header-chain')
+
+/**
+ * Reorganization
+ * @memberof WalletSyncStream
+ * @typedef {Object} Reorganization
+ * @property {number} height - the height from which blocks of the new chain are yielded
+ * @property {number} previousHeight - the height of the last block yielded before the reorganization was found
+ */
+
+/**
+ * Syncs through getwalletsyncdata, keeping the block hash checkpoints up
+ * to date and persisting them through the state store once every block of
+ * a page has been consumed. After a restart the stream resumes from the
+ * stored checkpoints, so at most the blocks of the page being consumed are
+ * yielded again.
+ *
+ * When the daemon switches to another chain, the blocks are yielded again
+ * from the last checkpoint both chains share, and a reorg event is emitted
+ * first.
+ * @module WalletSyncStream
+ * @class
+ * @extends EventEmitter
+ * @implements {AsyncIterableIterator<XTCASHnetwork.WalletSyncDataBlock>}
+ */
+class WalletSyncStream extends EventEmitter {
+  /**
+   * Initializes a new WalletSyncStream object, use XTCASHnetwork.syncWalletData() instead
+   * @constructor
+   * @param {XTCASHnetwork} client - the client to query
+   * @param {Object} [opts] - Configuration options
+   * @param {number} [opts.startHeight=0] - the height to start from when nothing was stored yet
+   * @param {number} [opts.startTimestamp=0] - the timestamp to start from when nothing was stored yet
+   * @param {boolean} [opts.skipCoinbaseTransactions=false] - whether to skip the blocks with just a coinbase transaction
+   * @param {Object} [opts.stateStore] - the store persisting the progress, ie. a MemoryStore or a JsonFileStore, providing load() and save(state) methods that may return Promises
+   * @param {boolean} [opts.wait=false] - whether to keep waiting for new blocks once synced instead of ending
+   * @param {number} [opts.pollInterval=10000] - how often to check for new blocks when waiting, in milliseconds
+   * @param {AbortSignal} [opts.signal] - a signal that stops the stream, rejecting the pending next() with an AbortError
+   */
+  constructor (client, opts) {
+    opts = opts || {}
+    super()
+
+    this.client = client
+    this.startHeight = opts.startHeight || 0
+    this.startTimestamp = opts.startTimestamp || 0
+    this.skipCoinbaseTransactions = opts.skipCoinbaseTransactions || false
+    this.stateStore = opts.stateStore || false
+    this.wait = opts.wait || false
+    this.pollInterval = opts.pollInterval || 10000
+    this.signal = opts.signal
+
+    /* The height of the last block yielded */
+    this.height = this.startHeight - 1
+    /* Whether the last page reached the top of the chain */
+    this.synced = false
+
+    this._chain = new HeaderChain({ maxHeaders: 100, store: this.stateStore })
+    this._buffer = []
+    this._started = false
+    this._done = false
+    this._dirty = false
+    this._pending = Promise.resolve()
+    this._wake = undefined
+  }
+
+  /**
+   * Resolves with the next block
+   * @async
+   * @returns {Promise<IteratorResult<XTCASHnetwork.WalletSyncDataBlock>>} resolves with { value, done } or rejects with error
+   */
+  next () {
+    const result = this._pending.then(() => this._next())
+
+    /* Calls made before the previous one settled wait for it */
+    this._pending = result.catch(() => {})
+
+    return result
+  }
+
+  /**
+   * Stops the stream and saves the progress, the pending and later calls to next() resolve with done
+   * @async
+   * @returns {Promise<IteratorResult<XTCASHnetwork.WalletSyncDataBlock>>} resolves with { value: undefined, done: true } or rejects with error
+   */
+  return () {
+    this._done = true
+    this._buffer = []
+    if (this._wake) this._wake()
+
+    return this._save().then(() => {
+      return { value: undefined, done: true }
+    })
+  }
+
+  /**
+   * The block hash checkpoints of the blocks yielded so far, as sent to
+   * the daemon: see HeaderChain.checkpoints()
+   * @returns {string[]} the hashes, highest first
+   */
+  checkpoints () {
+    return this._chain.checkpoints()
+  }
+
+  /**
+   * Yields the next block, fetching pages until one is found
+   * @async
+   * @private
+   * @returns {Promise<IteratorResult<XTCASHnetwork.WalletSyncDataBlock>>} resolves with { value, done } or rejects with error
+   */
+  _next () {
+    if (this._done) return Promise.resolve({ value: undefined, done: true })
+
+    Abort.throwIfAborted(this.signal)
+
+    if (this._buffer.length !== 0) {
+      const block = this._buffer.shift()
+
+      this._chain.add({ height: block.blockHeight, hash: block.blockHash })
+      this._dirty = true
+      this.height = block.blockHeight
+
+      return Promise.resolve({ value: block, done: false })
+    }
+
+    return this._start().then(() => this._save()).then(() => this._page()).then((found) => {
+      if (this._done) return { value: undefined, done: true }
+      if (found) return this._next()
+
+      /* The top of the chain was reached */
+      if (!this.wait) {
+        this._done = true
+        return { value: undefined, done: true }
+      }
+
+      return this._sleep().then(() => this._next())
+    })
+  }
+
+  /**
+   * Loads the stored progress, the first time only
+   * @async
+   * @private
+   * @returns {Promise} resolves once loaded or rejects with error
+   */
+  _start () {
+    if (this._started) return Promise.resolve()
+
+    const loaded = (this.stateStore) ? this._chain.load() : Promise.resolve()
+
+    return loaded.then(() => {
+      if (this._chain.size !== 0) this.height = this._chain.height
+      this._started = true
+    })
+  }
+
+  /**
+   * Saves the progress when blocks were yielded since the last save
+   * @async
+   * @private
+   * @returns {Promise} resolves once saved or rejects with error
+   */
+  _save () {
+    if (!this.stateStore || !this._dirty) return Promise.resolve()
+
+    this._dirty = false
+
+    return this._chain.save().catch((err) => {
+      this._dirty = true
+      throw err
+    })
+  }
+
+  /**
+   * Requests the next page and buffers the blocks that were not yielded yet
+   * @async
+   * @private
+   * @returns {Promise<boolean>} resolves with whether the page held new blocks or rejects with error
+   */
+  _page () {
+    return this.client.walletSyncData({
+      startHeight: this.startHeight,
+      startTimestamp: this.startTimestamp,
+      blockHashCheckpoints: this.checkpoints(),
+      skipCoinbaseTransactions: this.skipCoinbaseTransactions
+    }, { signal: this.signal }).then((response) => {
+      const blocks = response.items.filter((block) => this._chain.hashAt(block.blockHeight) !== block.blockHash)
+
+      if (blocks.length !== 0 && blocks[0].blockHeight <= this._chain.height) {
+        this.emit('reorg', { height: blocks[0].blockHeight, previousHeight: this._chain.height })
+
+        /* Back to the last checkpoint both chains share */
+        this._chain.rewind(blocks[0].blockHeight - 1)
+        this._dirty = true
+      }
+
+      this._buffer = blocks
+
+      const wasSynced = this.synced
+      this.synced = response.synced
+
+      /* The blocks left out at the top no longer need to be asked for */
+      if (response.synced && response.topBlock && blocks.length === 0) {
+        if (this._chain.add({ height: response.topBlock.height, hash: response.topBlock.hash }).added !== 0) this._dirty = true
+      }
+
+      if (response.synced && !wasSynced) this.emit('synced', response.topBlock)
+
+      return blocks.length !== 0
+    })
+  }
+
+  /**
+   * Waits for the poll interval, or until the stream is stopped
+   * @async
+   * @private
+   * @returns {Promise} resolves once the interval has passed or rejects with an AbortError
+   */
+  _sleep () {
+    return new Promise((resolve, reject) => {
+      const wake = () => {
+        clearTimeout(timer)
+        removeAbortListener()
+        this._wake = undefined
+
+        if (this.signal && this.signal.aborted) return reject(Abort.abortError(this.signal))
+        return resolve()
+      }
+
+      const timer = setTimeout(wake, this.pollInterval)
+      const removeAbortListener = Abort.onAbort(this.signal, wake)
+
+      this._wake = wake
+
+      if (this.signal && this.signal.aborted) wake()
+    })
+  }
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  /* for await (const block of daemon.syncWalletData()) */
+  WalletSyncStream.prototype[Symbol.asyncIterator] = function () {
+    return this
+  }
+}
+
+module.exports = WalletSyncStream
@@ -4,28 +4,68 @@
 
 'use strict'
 
+/* global BigInt */
+
 const packageInfo = require('../package.json')
-const request = require('request-promise-native')
+const Amount = require('./amount')
+const Errors = require('./errors')
+const RetryPolicy = require('./retry')
+const RPCClient = require('./rpc-client')
 const util = require('util')
 
-class WalletAPI {
+/* These calls only read from wallet-api and are safe to send again */
+const READ_ONLY_METHODS = [
+  'addresses',
+  'balance',
+  'balances',
+  'createIntegratedAddress',
+  'getNode',
+  'keys',
+  'keysMnemonic',
+  'primaryAddress',
+  'status',
+  'transactionByHash',
+  'transactionPrivateKey',
+  'transactions',
+  'transactionsByAddress',
+  'unconfirmedTransactions',
+  'validateAddress'
+]
+
+/* These calls skip ahead of queued calls when a limit is set */
+const HIGH_PRIORITY_METHODS = [
+  'sendAdvanced',
+  'sendBasic',
+  'sendFusionAdvanced',
+  'sendFusionBasic'
+]
+
+class WalletAPI extends RPCClient {
   /**
    * Initializes a new WalletAPI object
    * @constructor
    * @param {Object} [opts] - Configuration options
    * @param {string} [opts.host=127.0.0.1] - the address of the daemon
-   * @param {string} [opts.port=8070] - the RPC port number of the daemon
+   * @param {number} [opts.port=8070] - the RPC port number of the daemon
    * @param {number} [opts.timeout=30000] - the timeout to use during RPC calls
    * @param {boolean} [opts.ssl=false] - whether the daemon uses SSL (HTTPS) or not
    * @param {string} opts.password - the password for the RPC interface
    * @param {number} [opts.defaultMixin=false] - the default mixin count to use
    * @param {number} [opts.defaultFee=0.1] - the default transaction fee to use
-   * @param {number} [opts.decimalDivisor=100000000] - the decimal divisor of atomic amounts
+   * @param {number} [opts.decimalDivisor=100000000] - the decimal divisor of atomic amounts, must be a power of 10
+   * @param {string} [opts.amountMode=number] - how human readable amounts are returned: number (floats), string (exact decimal strings) or bigint (exact atomic units)
    * @param {number} [opts.defaultUnlockTime=0] - the default unlock time for new transactions
    * @param {string} [opts.userAgent=turtlecoin-rpc/version] - the user agent string to use with requests
+   * @param {Object} [opts.transport] - the transport to use for requests, defaults to a keep-alive HttpTransport shared by all clients
+   * @param {Object|boolean} [opts.retry] - the RetryPolicy options to use, or false to disable retries. By default only the methods in WalletAPI.READ_ONLY_METHODS are retried
+   * @param {Object|Limiter} [opts.limit] - the Limiter options, or a Limiter shared with other clients, that caps the requests in flight and per second
+   * @param {string[]} [opts.priorityMethods] - the methods that skip ahead of queued calls, defaults to WalletAPI.HIGH_PRIORITY_METHODS
+   * @param {boolean} [opts.strict=false] - whether to check every result against its documented type and reject with a ResponseValidationError when it does not match
+   * @param {Object|MetricsRegistry|boolean} [opts.metrics] - the MetricsRegistry options, or a MetricsRegistry shared with other clients, that collects the call metrics, or false to collect none
    */
   constructor (opts) {
     opts = opts || {}
+    super(opts)
 
     this.host = opts.host || '127.0.0.1'
     this.port = opts.port || 8070
@@ -35,12 +75,55 @@ class WalletAPI {
     this.defaultMixin = (opts.defaultMixin !== undefined) ? opts.defaultMixin : false
     this.defaultFee = (opts.defaultFee !== undefined) ? opts.defaultFee : 0.1
     this.decimalDivisor = opts.decimalDivisor || 100000000
+    this.decimals = Amount.decimalsOf(this.decimalDivisor)
+    this.amountMode = opts.amountMode || 'number'
     this.defaultUnlockTime = opts.defaultUnlockTime || 0
     this.userAgent = opts.userAgent || util.format('%s/%s', packageInfo.name, packageInfo.version)
+    this.retry = (opts.retry === false) ? false : new RetryPolicy(Object.assign({ methods: READ_ONLY_METHODS }, opts.retry))
+    this.priorityMethods = opts.priorityMethods || HIGH_PRIORITY_METHODS
 
     if (!this.password) {
       throw new Error('Must supply a password')
     }
+
+    if (['number', 'string', 'bigint'].indexOf(this.amountMode) === -1) {
+      throw new Error('amountMode must be one of number, string or bigint')
+    }
+
+    if (this.amountMode === 'bigint' && typeof BigInt === 'undefined') {
+      throw new Error('amountMode bigint requires a version of NodeJS with BigInt support')
+    }
+  }
+
+  /**
+   * Builds the headers sent with every request
+   * @private
+   * @returns {Object} the request headers
+   */
+  _headers () {
+    return Object.assign(super._headers(), {
+      'X-API-KEY': this.password
+    })
+  }
+
+  /**
+   * Builds the error for a response with a HTTP status code outside of 2xx
+   * @private
+   * @param {number} statusCode - the HTTP status code
+   * @param {*} body - the decoded response body
+   * @param {ErrorDetails} details - information about the failed call
+   * @returns {HttpStatusError} the error
+   */
+  _statusError (statusCode, body, details) {
+    const errorMessage = (body && body.errorMessage) ? body.errorMessage : ''
+    details = Object.assign({ statusCode: statusCode, body: body }, details)
+
+    switch (statusCode) {
+      case 400: return new Errors.HttpStatusError('A parse error occured, or an error occured processing your request: ' + errorMessage, details)
+      case 403: return new Errors.WalletNotOpenError('This operation requires a wallet to be open and one has not been opened', details)
+      case 500: return new Errors.HttpStatusError('An exception was thrown while processing the request. See the console for logs', details)
+      default: return super._statusError(statusCode, body, details)
+    }
   }
 
   /**
@@ -48,23 +131,14 @@ class WalletAPI {
    * @async
    * @private
    * @param {string} path - the RPC method to call
+   * @param {Object} [call] - the call context
    * @returns {Object} the response
    */
-  _delete (path) {
+  _delete (path, call) {
     return new Promise((resolve, reject) => {
       if (!path) return reject(new Error('Must supply a path'))
-      const protocol = (this.ssl) ? 'https' : 'http'
-
-      request({
-        uri: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
-        method: 'DELETE',
-        json: true,
-        timeout: this.timeout,
-        headers: {
-          'X-API-KEY': this.password,
-          'User-Agent': this.userAgent
-        }
-      }).then((result) => {
+
+      this._request('DELETE', path, undefined, call).then((result) => {
         return resolve(result)
       }).catch((error) => {
         return reject(error)
@@ -77,23 +151,14 @@ class WalletAPI {
    * @async
    * @private
    * @param {string} path - the RPC method to call
+   * @param {Object} [call] - the call context
    * @returns {Object} the response
    */
-  _get (path) {
+  _get (path, call) {
     return new Promise((resolve, reject) => {
       if (!path) return reject(new Error('Must supply a path'))
-      const protocol = (this.ssl) ? 'https' : 'http'
-
-      request({
-        uri: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
-        method: 'GET',
-        json: true,
-        timeout: this.timeout,
-        headers: {
-          'X-API-KEY': this.password,
-          'User-Agent': this.userAgent
-        }
-      }).then((result) => {
+
+      this._request('GET', path, undefined, call).then((result) => {
         return resolve(result)
       }).catch((error) => {
         return reject(error)
@@ -107,24 +172,14 @@ class WalletAPI {
    * @private
    * @param {string} path - the RPC method to call
    * @param {Object} payload - the data payload for the request
+   * @param {Object} [call] - the call context
    * @returns {Object} the response
    */
-  _post (path, payload) {
+  _post (path, payload, call) {
     return new Promise((resolve, reject) => {
       if (!path) return reject(new Error('Must supply a path'))
-      const protocol = (this.ssl) ? 'https' : 'http'
-
-      request({
-        uri: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
-        method: 'POST',
-        json: true,
-        timeout: this.timeout,
-        headers: {
-          'X-API-KEY': this.password,
-          'User-Agent': this.userAgent
-        },
-        body: payload
-      }).then((result) => {
+
+      this._request('POST', path, payload, call).then((result) => {
         return resolve(result)
       }).catch((error) => {
         return reject(error)
@@ -138,24 +193,14 @@ class WalletAPI {
    * @private
    * @param {string} path - the RPC method to call
    * @param {Object} payload - the data payload for the request
+   * @param {Object} [call] - the call context
    * @returns {Object} the response
    */
-  _put (path, payload) {
+  _put (path, payload, call) {
     return new Promise((resolve, reject) => {
       if (!path) return reject(new Error('Must supply a path'))
-      const protocol = (this.ssl) ? 'https' : 'http'
-
-      request({
-        uri: util.format('%s://%s:%s%s', protocol, this.host, this.port, path),
-        method: 'PUT',
-        json: true,
-        timeout: this.timeout,
-        headers: {
-          'X-API-KEY': this.password,
-          'User-Agent': this.userAgent
-        },
-        body: payload
-      }).then((result) => {
+
+      this._request('PUT', path, payload, call).then((result) => {
         return resolve(result)
       }).catch((error) => {
         return reject(error)
@@ -164,22 +209,23 @@ class WalletAPI {
   }
 
   /**
+   * A list of wallet addresses
    * @memberof WalletAPI
-   * @typedef Addresses
-   * @property {string[]} - a list of wallet addresses
+   * @typedef {string[]} Addresses
    */
 
   /**
    * Gets a list of all addresses in the wallet container
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.Addresses>} resolves if success else rejects with error
    */
-  addresses () {
+  addresses (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('/addresses').then((result) => {
+      this._get('/addresses', this._call('addresses', callOpts)).then((result) => {
         return resolve(result.addresses)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -188,29 +234,39 @@ class WalletAPI {
    * @memberof WalletAPI
    * @typedef Balance
    * @property {string} [address] - the wallet address
-   * @property {number} locked - the locked balance amount
-   * @property {number} unlocked - the unlocked balance amount
+   * @property {number|string|bigint} locked - the locked balance amount, as set by amountMode
+   * @property {number|string|bigint} unlocked - the unlocked balance amount, as set by amountMode
+   */
+
+  /**
+   * @memberof WalletAPI
+   * @typedef BalanceBody
+   * @property {string} [address] - the wallet address
+   * @property {number} locked - the locked balance amount in atomic units
+   * @property {number} unlocked - the unlocked balance amount in atomic units
    */
 
   /**
    * Get the balance for the entire wallet container or the specified address
    * @async
    * @param {string} [address=false] - the wallet address to check or false for the entire container
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.Balance>} resolves if success else rejects with error
+   * @response {WalletAPI.BalanceBody} the body wallet-api responds with
    */
-  balance (address) {
+  balance (address, callOpts) {
     address = address || false
 
     return new Promise((resolve, reject) => {
       const url = (address) ? util.format('/balance/%s', address) : '/balance'
-      this._get(url).then((result) => {
+      this._get(url, this._call('balance', callOpts)).then((result) => {
         /* Convert the amounts to human readable amounts */
         result.unlocked = this.fromAtomicUnits(result.unlocked)
         result.locked = this.fromAtomicUnits(result.locked)
 
         return resolve(result)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -218,11 +274,13 @@ class WalletAPI {
   /**
    * Get the balance for every address in the container
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.Balance[]>} resolves if success else rejects with error
+   * @response {WalletAPI.BalanceBody[]} the body wallet-api responds with
    */
-  balances () {
+  balances (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('/balances').then((result) => {
+      this._get('/balances', this._call('balances', callOpts)).then((result) => {
         /* Convert the amounts to human readable amounts */
         for (var i = 0; i < result.length; i++) {
           result[i].unlocked = this.fromAtomicUnits(result[i].unlocked)
@@ -231,7 +289,7 @@ class WalletAPI {
 
         return resolve(result)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -239,14 +297,15 @@ class WalletAPI {
   /**
    * Closes the wallet container that is currently open
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves if success else rejects with error
    */
-  close () {
+  close (callOpts) {
     return new Promise((resolve, reject) => {
-      this._delete('/wallet').then(() => {
+      this._delete('/wallet', this._call('close', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -259,9 +318,10 @@ class WalletAPI {
    * @param {string} [host=127.0.0.1] - the node to use for the wallet container
    * @param {number} [port=14486] - the node port to use for the wallet container
    * @param {boolean} [ssl=false] - if the node uses SSL
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves if success else rejects with error
    */
-  create (filename, password, host, port, ssl) {
+  create (filename, password, host, port, ssl, callOpts) {
     host = host || '127.0.0.1'
     port = port || 14486
     ssl = ssl || false
@@ -276,10 +336,10 @@ class WalletAPI {
         daemonSSL: ssl,
         filename: filename,
         password: password
-      }).then(() => {
+      }, this._call('create', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -295,14 +355,15 @@ class WalletAPI {
   /**
    * Creates a new, random address in the wallet container
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.Wallet>} resolves if success else rejects with error
    */
-  createAddress () {
+  createAddress (callOpts) {
     return new Promise((resolve, reject) => {
-      this._post('/addresses/create').then((result) => {
+      this._post('/addresses/create', undefined, this._call('createAddress', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -312,9 +373,10 @@ class WalletAPI {
    * @async
    * @param {string} address - the address to use to generate the integrated address
    * @param {string} paymentId - the payment ID to use to generate the integrated address
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} resolves with the integrated address if success else rejects with error
    */
-  createIntegratedAddress (address, paymentId) {
+  createIntegratedAddress (address, paymentId, callOpts) {
     address = address || false
     paymentId = paymentId || false
 
@@ -323,10 +385,10 @@ class WalletAPI {
       if (!paymentId) return reject(new Error('Must supply payment ID'))
 
       const url = util.format('/addresses/%s/%s', address, paymentId)
-      this._get(url).then((result) => {
+      this._get(url, this._call('createIntegratedAddress', callOpts)).then((result) => {
         return resolve(result.integratedAddress)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -335,32 +397,41 @@ class WalletAPI {
    * Deletes the given subwallet from the container
    * @async
    * @param {string} address - the address to use to generate the integrated address
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves if success else rejects with error
    */
-  deleteAddress (address) {
+  deleteAddress (address, callOpts) {
     address = address || false
     return new Promise((resolve, reject) => {
       if (!address) return reject(new Error('Must supply wallet address'))
 
       const url = util.format('/addresses/%s', address)
-      this._delete(url).then(() => {
+      this._delete(url, this._call('deleteAddress', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
 
   /**
-   * Converts atomic units amounts to human readable amounts
-   * @param {number} amount - the amount in atomic units
-   * @returns {number} the amount in human readable form
+   * Converts atomic units amounts to human readable amounts. Depending on
+   * amountMode the result is a number, an exact decimal string, or a bigint
+   * that stays in atomic units. Amounts that are not a whole number of
+   * atomic units are rejected in every mode.
+   * @param {number|string|bigint} amount - the amount in atomic units
+   * @returns {number|string|bigint} the amount in human readable form
    */
   fromAtomicUnits (amount) {
     if (isNaN(parseInt(amount))) throw new Error('Amount is not a number')
-    if (amount.toString().indexOf('.') !== -1) return parseFloat(amount)
 
-    return parseFloat(parseInt(amount) / this.decimalDivisor)
+    /* Throws on amounts that carry decimals */
+    const atomic = Amount.format(amount, 0)
+
+    if (this.amountMode === 'bigint') return Amount.toBigInt(atomic)
+    if (this.amountMode === 'string') return Amount.format(atomic, this.decimals)
+
+    return parseFloat(Amount.format(atomic, this.decimals))
   }
 
   /**
@@ -376,14 +447,15 @@ class WalletAPI {
   /**
    * Gets the node address, port, fee, and fee address
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.NodeInfo>} resolves if success else rejects with error
    */
-  getNode () {
+  getNode (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('/node').then((result) => {
+      this._get('/node', this._call('getNode', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -393,9 +465,10 @@ class WalletAPI {
    * @async
    * @param {string} privateSpendKey - the private spend key of the wallet to import
    * @param {number} [scanHeight=0] - the height to start scanning from upon import
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} results with the wallet address if success else rejects with error
    */
-  importAddress (privateSpendKey, scanHeight) {
+  importAddress (privateSpendKey, scanHeight, callOpts) {
     privateSpendKey = privateSpendKey || false
     scanHeight = scanHeight || 0
 
@@ -405,10 +478,10 @@ class WalletAPI {
       this._post('/addresses/import', {
         privateSpendKey: privateSpendKey,
         scanHeight: scanHeight
-      }).then((result) => {
+      }, this._call('importAddress', callOpts)).then((result) => {
         return resolve(result.address)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -418,15 +491,16 @@ class WalletAPI {
    * @async
    * @param {string} filename - the filename of the new wallet container
    * @param {string} password - the password of the new wallet container
-   * @param {string} prviateViewKey - the private view key to import
+   * @param {string} privateViewKey - the private view key to import
    * @param {string} privateSpendKey - the private spend key to import
    * @param {number} [scanHeight=0] - the height to import the wallet from
    * @param {string} [host=127.0.0.1] - the host of the node to use
    * @param {number} [port=14486] - the port of the node to use
    * @param {boolean} [ssl=false] - whether the node uses SSL
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves upon success else rejects with error
    */
-  importKey (filename, password, privateViewKey, privateSpendKey, scanHeight, host, port, ssl) {
+  importKey (filename, password, privateViewKey, privateSpendKey, scanHeight, host, port, ssl, callOpts) {
     scanHeight = scanHeight || 0
     host = host || '127.0.0.1'
     port = port || 14486
@@ -447,10 +521,10 @@ class WalletAPI {
         scanHeight: scanHeight,
         privateViewKey: privateViewKey,
         privateSpendKey: privateSpendKey
-      }).then(() => {
+      }, this._call('importKey', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -465,9 +539,10 @@ class WalletAPI {
    * @param {string} [host=127.0.0.1] - the host of the node to use
    * @param {number} [port=14486] - the port of the node to use
    * @param {boolean} [ssl=false] - whether the node uses SSL
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves upon success else rejects with error
    */
-  importSeed (filename, password, mnemonicSeed, scanHeight, host, port, ssl) {
+  importSeed (filename, password, mnemonicSeed, scanHeight, host, port, ssl, callOpts) {
     scanHeight = scanHeight || 0
     host = host || '127.0.0.1'
     port = port || 14486
@@ -486,10 +561,10 @@ class WalletAPI {
         password: password,
         scanHeight: scanHeight,
         mnemonicSeed: mnemonicSeed
-      }).then(() => {
+      }, this._call('importSeed', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -499,9 +574,10 @@ class WalletAPI {
    * @async
    * @param {string} publicSpendKey - the public spend key of the subwallet to import
    * @param {number} [scanHeight=0] - the height to import the wallet from
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves upon success else rejects with error
    */
-  importViewAddress (publicSpendKey, scanHeight) {
+  importViewAddress (publicSpendKey, scanHeight, callOpts) {
     publicSpendKey = publicSpendKey || false
     scanHeight = scanHeight || 0
 
@@ -511,10 +587,10 @@ class WalletAPI {
       this._post('/addresses/import/view', {
         publicSpendKey: publicSpendKey,
         scanHeight: scanHeight
-      }).then((result) => {
+      }, this._call('importViewAddress', callOpts)).then((result) => {
         return resolve(result.address)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -524,15 +600,16 @@ class WalletAPI {
    * @async
    * @param {string} filename - the filename of the new wallet container
    * @param {string} password - the password of the new wallet container
-   * @param {string} prviateViewKey - the private view key to import
+   * @param {string} privateViewKey - the private view key to import
    * @param {string} address - the wallet address
    * @param {number} [scanHeight=0] - the height to import the wallet from
    * @param {string} [host=127.0.0.1] - the host of the node to use
    * @param {number} [port=14486] - the port of the node to use
    * @param {boolean} [ssl=false] - whether the node uses SSL
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves upon success else rejects with error
    */
-  importViewOnly (filename, password, privateViewKey, address, scanHeight, host, port, ssl) {
+  importViewOnly (filename, password, privateViewKey, address, scanHeight, host, port, ssl, callOpts) {
     scanHeight = scanHeight || 0
     host = host || '127.0.0.1'
     port = port || 14486
@@ -553,10 +630,10 @@ class WalletAPI {
         scanHeight: scanHeight,
         privateViewKey: privateViewKey,
         address: address
-      }).then(() => {
+      }, this._call('importViewOnly', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -565,18 +642,19 @@ class WalletAPI {
    * Gets the wallet containers shared private view key, or if the address is specified, returns the public and private spend keys for the given address
    * @async
    * @param {string} [address] - the wallet address
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string|WalletAPI.Wallet>} resolves upon success else rejects with error
    */
-  keys (address) {
+  keys (address, callOpts) {
     address = address || false
 
     return new Promise((resolve, reject) => {
       const url = (address) ? util.format('/keys/%s', address) : '/keys'
-      this._get(url).then((result) => {
+      this._get(url, this._call('keys', callOpts)).then((result) => {
         if (result.privateViewKey) return resolve(result.privateViewKey)
         return resolve(result)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -585,19 +663,20 @@ class WalletAPI {
    * Gets the mnemonic seed for the given address, if possible
    * @async
    * @param {string} address - the wallet address
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} resolves with the mnemonic seed upon success else rejects with error
    */
-  keysMnemonic (address) {
+  keysMnemonic (address, callOpts) {
     address = address || false
 
     return new Promise((resolve, reject) => {
       if (!address) return reject(new Error('Must supply a wallet address'))
 
       const url = util.format('/keys/mnemonic/%s', address)
-      this._get(url).then((result) => {
+      this._get(url, this._call('keysMnemonic', callOpts)).then((result) => {
         return resolve(result.mnemonicSeed)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -606,13 +685,13 @@ class WalletAPI {
    * @memberof WalletAPI
    * @typedef TransferDestination
    * @property {string} address - the address of the recipient
-   * @property {number} amount - the atomic amount to send to the recipient
+   * @property {number|string|bigint} amount - the atomic amount to send to the recipient, or the human readable amount as set by amountMode in transaction results
    */
 
   /**
    * Creates a new output destination object
    * @param {string} address - the address of the recipient
-   * @param {number} amount - the human readable amount to send to the recipient
+   * @param {number|string|bigint} amount - the human readable amount to send to the recipient, or a bigint in atomic units
    * @returns {WalletAPI.TransferDestination} a transfer destination object
    */
   newDestination (address, amount) {
@@ -630,9 +709,10 @@ class WalletAPI {
    * @param {string} [host=127.0.0.1] - the host of the node to use
    * @param {number} [port=14486] - the port of the node to use
    * @param {boolean} [ssl=false] - whether the node uses SSL
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves upon success else rejects with error
    */
-  open (filename, password, host, port, ssl) {
+  open (filename, password, host, port, ssl, callOpts) {
     host = host || '127.0.0.1'
     port = port || 14486
     ssl = ssl || false
@@ -647,10 +727,10 @@ class WalletAPI {
         daemonSSL: ssl,
         filename: filename,
         password: password
-      }).then(() => {
+      }, this._call('open', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -658,14 +738,15 @@ class WalletAPI {
   /**
    * Gets the primary address of the wallet container
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} resolves with the wallet address or rejects with error
    */
-  primaryAddress () {
+  primaryAddress (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('/addresses/primary').then((result) => {
+      this._get('/addresses/primary', this._call('primaryAddress', callOpts)).then((result) => {
         return resolve(result.address)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -674,18 +755,19 @@ class WalletAPI {
    * Resets and saves the wallet, beginning scanning from the height given, if any
    * @async
    * @param {number} [scanHeight=0] - the scan height at which to beging scanning
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves upon success else rejects with error
    */
-  reset (scanHeight) {
+  reset (scanHeight, callOpts) {
     scanHeight = scanHeight || 0
 
     return new Promise((resolve, reject) => {
       this._put('/reset', {
         scanHeight: scanHeight
-      }).then(() => {
+      }, this._call('reset', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -693,14 +775,15 @@ class WalletAPI {
   /**
    * Saves the wallet container currently open to disk
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves upon success else rejects with error
    */
-  save () {
+  save (callOpts) {
     return new Promise((resolve, reject) => {
-      this._put('/save').then(() => {
+      this._put('/save', undefined, this._call('save', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -708,16 +791,17 @@ class WalletAPI {
   /**
    * Sends a transaction
    * @async
-   * @param {WalletAPI.TransferDestination} destinations - the destinations of the transaction
+   * @param {WalletAPI.TransferDestination[]} destinations - the destinations of the transaction
    * @param {number} [mixin] - the number of mixins to use
-   * @param {number} [fee] - the transaction fee to payload
+   * @param {number|string|bigint} [fee] - the transaction fee to pay, in human readable units or a bigint in atomic units
    * @param {string[]} [sourceAddresses] - the source addresses, if any, of the funds for the transaction
    * @param {string} [paymentId] - the payment ID to include with the transaction
    * @param {string} [changeAddress] - the address to send transaction change to
    * @param {number} [unlockTime] - the unlock time of the new transaction
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
    */
-  sendAdvanced (destinations, mixin, fee, sourceAddresses, paymentId, changeAddress, unlockTime) {
+  sendAdvanced (destinations, mixin, fee, sourceAddresses, paymentId, changeAddress, unlockTime, callOpts) {
     destinations = destinations || []
     mixin = mixin || this.defaultMixin
     fee = fee || this.defaultFee
@@ -726,11 +810,11 @@ class WalletAPI {
     changeAddress = changeAddress || false
     unlockTime = unlockTime || this.defaultUnlockTime
 
-    fee = this.toAtomicUnits(fee)
-
     return new Promise((resolve, reject) => {
       if (!Array.isArray(destinations)) return reject(new Error('Must supply an array of destinations'))
 
+      fee = this.toAtomicUnits(fee)
+
       for (var i = 0; i < destinations.length; i++) {
         if (!destinations[i].address) return reject(new Error('Must supply a wallet address in destination object'))
         if (typeof destinations[i].amount === 'undefined') return reject(new Error('Must supply an amount in destination object'))
@@ -753,10 +837,10 @@ class WalletAPI {
       if (!request.paymentID) delete request.paymentID
       if (!request.changeAddress) delete request.changeAddress
 
-      this._post('/transactions/send/advanced', request).then((result) => {
+      this._post('/transactions/send/advanced', request, this._call('sendAdvanced', callOpts)).then((result) => {
         return resolve(result.transactionHash)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -765,11 +849,12 @@ class WalletAPI {
    * Sends a transaction
    * @async
    * @param {string} address - the address to send funds to
-   * @param {number} amount - the amount to send in the transaction
+   * @param {number|string|bigint} amount - the amount to send in the transaction, in human readable units or a bigint in atomic units
    * @param {string} [paymentId] - the payment ID to include with the transaction
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
    */
-  sendBasic (address, amount, paymentId) {
+  sendBasic (address, amount, paymentId, callOpts) {
     address = address || false
     amount = amount || false
     paymentId = paymentId || false
@@ -788,10 +873,10 @@ class WalletAPI {
 
       if (!request.paymentID) delete request.paymentID
 
-      this._post('/transactions/send/basic', request).then((result) => {
+      this._post('/transactions/send/basic', request, this._call('sendBasic', callOpts)).then((result) => {
         return resolve(result.transactionHash)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -802,9 +887,10 @@ class WalletAPI {
    * @param {string} address - the address to send funds to
    * @param {number} [mixin] - the number of mixins to use in the fusion transaction
    * @param {string[]} [sourceAddresses] - the source addresses, if any, of the funds for the fusion transaction
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
    */
-  sendFusionAdvanced (address, mixin, sourceAddresses) {
+  sendFusionAdvanced (address, mixin, sourceAddresses, callOpts) {
     address = address || false
     mixin = mixin || this.defaultMixin
     sourceAddresses = sourceAddresses || []
@@ -822,10 +908,10 @@ class WalletAPI {
       if (!request.mixin) delete request.mixin
       if (request.sourceAddresses.length === 0) delete request.sourceAddresses
 
-      this._post('/transactions/send/fusion/advanced', request).then((result) => {
+      this._post('/transactions/send/fusion/advanced', request, this._call('sendFusionAdvanced', callOpts)).then((result) => {
         return resolve(result.transactionHash)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -833,14 +919,15 @@ class WalletAPI {
   /**
    * Sends a fusion ransaction
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} resolves with the transaction hash else rejects with error. This method resolving does not guarantee the completion of the transaction on the network.
    */
-  sendFusionBasic () {
+  sendFusionBasic (callOpts) {
     return new Promise((resolve, reject) => {
-      this._post('/transactions/send/fusion/basic').then((result) => {
+      this._post('/transactions/send/fusion/basic', undefined, this._call('sendFusionBasic', callOpts)).then((result) => {
         return resolve(result.transactionHash)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -851,9 +938,10 @@ class WalletAPI {
    * @param {string} host - the host of the node to use
    * @param {number} port - the port of the node to use
    * @param {boolean} [ssl] - whether the node uses SSL
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise} resolves upon success else rejects with error
    */
-  setNode (host, port, ssl) {
+  setNode (host, port, ssl, callOpts) {
     host = host || false
     port = port || false
     ssl = ssl || false
@@ -870,10 +958,10 @@ class WalletAPI {
       if (!request.daemonHost) delete request.daemonHost
       if (!request.daemonPort) delete request.daemonPort
 
-      this._put('/node', request).then(() => {
+      this._put('/node', request, this._call('setNode', callOpts)).then(() => {
         return resolve()
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -893,56 +981,92 @@ class WalletAPI {
   /**
    * Get the wallet sync status, peer count, and hashrate
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.StatusInfo>} resolves upon success else rejects with error
    */
-  status () {
+  status (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('/status').then((result) => {
+      this._get('/status', this._call('status', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
 
   /**
-   * Converts human readable units to atomic units
-   * @param {number} amount - the amount in human readable units
+   * Converts human readable units to atomic units exactly. Numbers and
+   * decimal strings are taken to be human readable, bigints are taken to
+   * already be in atomic units. Negative amounts and amounts with more
+   * decimal places than the currency has are rejected.
+   * @param {number|string|bigint} amount - the amount in human readable units
    * @returns {number} the amount in atomic units form
    */
   toAtomicUnits (amount) {
-    if (isNaN(parseFloat(amount))) throw new Error('Amount is not a number')
-
-    return parseInt(parseFloat(amount) * this.decimalDivisor)
+    return Amount.toNumber(Amount.parse(amount, this.decimals))
   }
 
   /**
    * @memberof WalletAPI
    * @typedef TransactionInfo
    * @property {number} [blockHeight] - the block height of the block containing the transaction
-   * @property {number} fee - the network fee of the transaction
+   * @property {number|string|bigint} fee - the network fee of the transaction, as set by amountMode
    * @property {string} hash - the transaction hash
    * @property {boolean} isCoinbaseTransaction - whether the transaction is a coinbase transaction
    * @property {string} paymentID - the payment ID of the transaction if any
    * @property {number} [timestamp] - the timestamp of the transaction
    * @property {number} unlockTime - the unlock time (or block height) of the transaction
-   * @property {WalletAPI.TransferDestination} transfers - a transfer destination object descripting where the funds went
+   * @property {WalletAPI.TransferDestination[]} transfers - a transfer destination object descripting where the funds went
+   */
+
+  /**
+   * @memberof WalletAPI
+   * @typedef TransferBody
+   * @property {string} address - the address of the recipient
+   * @property {number} amount - the amount sent to the recipient in atomic units
+   */
+
+  /**
+   * @memberof WalletAPI
+   * @typedef TransactionInfoBody
+   * @property {number} [blockHeight] - the block height of the block containing the transaction
+   * @property {number} fee - the network fee of the transaction in atomic units
+   * @property {string} hash - the transaction hash
+   * @property {boolean} isCoinbaseTransaction - whether the transaction is a coinbase transaction
+   * @property {string} paymentID - the payment ID of the transaction if any
+   * @property {number} [timestamp] - the timestamp of the transaction
+   * @property {number} unlockTime - the unlock time (or block height) of the transaction
+   * @property {WalletAPI.TransferBody[]} transfers - where the funds went
+   */
+
+  /**
+   * @memberof WalletAPI
+   * @typedef TransactionBody
+   * @property {WalletAPI.TransactionInfoBody} transaction - the transaction
+   */
+
+  /**
+   * @memberof WalletAPI
+   * @typedef TransactionsBody
+   * @property {WalletAPI.TransactionInfoBody[]} transactions - the transactions
    */
 
   /**
    * Gets details on the given transaction, if found
    * @async
    * @param {string} hash - the transaction hash
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.TransactionInfo>} resolves with transaction info else rejects with error
+   * @response {WalletAPI.TransactionBody} the body wallet-api responds with
    */
-  transactionByHash (hash) {
+  transactionByHash (hash, callOpts) {
     hash = hash || false
 
     return new Promise((resolve, reject) => {
       if (!hash) return reject(new Error('Must supply transaction hash'))
 
       const url = util.format('/transactions/hash/%s', hash)
-      this._get(url).then((result) => {
+      this._get(url, this._call('transactionByHash', callOpts)).then((result) => {
         /* Convert amounts to human readable amounts */
         result.transaction.fee = this.fromAtomicUnits(result.transaction.fee)
 
@@ -952,7 +1076,7 @@ class WalletAPI {
 
         return resolve(result.transaction)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -961,19 +1085,20 @@ class WalletAPI {
    * Gets the transaction private key of the given transaction. This can be used to audit a transaction.
    * @async
    * @param {string} hash - the transaction hash
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<string>} resolves with the transaction private key else rejects with error
    */
-  transactionPrivateKey (hash) {
+  transactionPrivateKey (hash, callOpts) {
     hash = hash || false
 
     return new Promise((resolve, reject) => {
       if (!hash) return reject(new Error('Must supply transaction hash'))
 
       const url = util.format('/transactions/privatekey/%s', hash)
-      this._get(url).then((result) => {
+      this._get(url, this._call('transactionPrivateKey', callOpts)).then((result) => {
         return resolve(result.transactionPrivateKey)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -983,9 +1108,11 @@ class WalletAPI {
    * @async
    * @param {number} [startHeight] - the height to return transactions from
    * @param {number} [endHeight] - the height to return transactions until
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.TransactionInfo[]>} resolves with array of transaction info or rejects with error
+   * @response {WalletAPI.TransactionsBody} the body wallet-api responds with
    */
-  transactions (startHeight, endHeight) {
+  transactions (startHeight, endHeight, callOpts) {
     startHeight = startHeight || false
     endHeight = endHeight || false
 
@@ -999,7 +1126,7 @@ class WalletAPI {
         }
       }
 
-      this._get(url).then((result) => {
+      this._get(url, this._call('transactions', callOpts)).then((result) => {
         /* Convert amounts to human readable amounts */
         for (var i = 0; i < result.transactions.length; i++) {
           result.transactions[i].fee = this.fromAtomicUnits(result.transactions[i].fee)
@@ -1011,7 +1138,7 @@ class WalletAPI {
 
         return resolve(result.transactions)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -1022,9 +1149,11 @@ class WalletAPI {
    * @param {string} address - the wallet address
    * @param {number} [startHeight] - the height to return transactions from
    * @param {number} [endHeight] - the height to return transactions until
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.TransactionInfo[]>} resolves with array of transaction info or rejects with error
+   * @response {WalletAPI.TransactionsBody} the body wallet-api responds with
    */
-  transactionsByAddress (address, startHeight, endHeight) {
+  transactionsByAddress (address, startHeight, endHeight, callOpts) {
     address = address || false
     startHeight = startHeight || false
     endHeight = endHeight || false
@@ -1039,7 +1168,7 @@ class WalletAPI {
         url += util.format('/%s', endHeight)
       }
 
-      this._get(url).then((result) => {
+      this._get(url, this._call('transactionsByAddress', callOpts)).then((result) => {
       /* Convert amounts to human readable amounts */
         for (var i = 0; i < result.transactions.length; i++) {
           result.transactions[i].fee = this.fromAtomicUnits(result.transactions[i].fee)
@@ -1051,7 +1180,7 @@ class WalletAPI {
 
         return resolve(result.transactions)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -1060,14 +1189,16 @@ class WalletAPI {
    * Gets a list of all unconfirmed, outgoing transactions in the wallet container
    * @async
    * @param {string} [address] - the wallet address
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<WalletAPI.TransactionInfo[]>} resolves with array of transaction info or rejects with error
+   * @response {WalletAPI.TransactionsBody} the body wallet-api responds with
    */
-  unconfirmedTransactions (address) {
+  unconfirmedTransactions (address, callOpts) {
     address = address || false
 
     return new Promise((resolve, reject) => {
       const url = (address) ? util.format('/transactions/unconfirmed/%s', address) : '/transactions/unconfirmed'
-      this._get(url).then((result) => {
+      this._get(url, this._call('unconfirmedTransactions', callOpts)).then((result) => {
         /* Convert amounts to human readable amounts */
         for (var i = 0; i < result.transactions.length; i++) {
           result.transactions[i].fee = this.fromAtomicUnits(result.transactions[i].fee)
@@ -1079,7 +1210,7 @@ class WalletAPI {
 
         return resolve(result.transactions)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
@@ -1098,33 +1229,23 @@ class WalletAPI {
    * Validates a given address
    * @async
    * @param {string} address - the wallet address
-   * @returns {Promise<WalletAPI.ValidationInfo[]>} resolves with validation information or rejects with error
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
+   * @returns {Promise<WalletAPI.ValidationInfo>} resolves with validation information or rejects with error
    */
-  validateAddress (address) {
+  validateAddress (address, callOpts) {
     return new Promise((resolve, reject) => {
       this._post('/addresses/validate', {
         address: address
-      }).then((result) => {
+      }, this._call('validateAddress', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
-        return reject(handleError(err))
+        return reject(err)
       })
     })
   }
 }
 
-function handleError (err) {
-  const errorMessage = (err.error && err.error.errorMessage) ? err.error.errorMessage : ''
-  if (errorMessage.indexOf('cannot get a mnemonic seed')) return new Error(errorMessage)
-
-  switch (err.statusCode) {
-    case 400: return new Error('A parse error occured, or an error occured processing your request: ' + errorMessage)
-    case 401: return new Error('API key is missing or invalid')
-    case 403: return new Error('This operation requires a wallet to be open and one has not been opened')
-    case 404: return new Error('The item requested does not exist')
-    case 500: return new Error('An exception was thrown while processing the request. See the console for logs')
-    default: return new Error(err.toString())
-  }
-}
+WalletAPI.READ_ONLY_METHODS = READ_ONLY_METHODS
+WalletAPI.HIGH_PRIORITY_METHODS = HIGH_PRIORITY_METHODS
 
 module.exports = WalletAPI
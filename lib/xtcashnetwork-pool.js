@@ -0,0 +1,301 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const Errors = require('./errors')
+const XTCASHnetwork = require('./xtcashnetwork-rpc')
+const util = require('util')
+
+/**
+ * Spreads XTCASHnetwork calls over several daemons, sending each call to
+ * the healthiest node and failing read-only calls over to the next one
+ * @module XTCASHnetworkPool
+ * @class
+ * @extends XTCASHnetwork
+ */
+class XTCASHnetworkPool extends XTCASHnetwork {
+  /**
+   * Initializes a new XTCASHnetworkPool object
+   * @constructor
+   * @param {Object} opts - Configuration options, also accepts every XTCASHnetwork option
+   * @param {Object[]} opts.nodes - the daemons to use, each accepting the host, port, ssl and timeout XTCASHnetwork options
+   * @param {number} [opts.probeInterval=10000] - how often the health of every node is checked
+   * @param {number} [opts.maxHeightLag=5] - how many blocks a node may be behind the network height before it is ejected
+   * @param {number} [opts.maxLatency=5000] - how long a health probe may take before the node is ejected
+   * @param {boolean} [opts.requireSynced=true] - whether nodes reporting that they are not synced are ejected
+   * @param {number} [opts.ejectTime=30000] - how long an ejected node sits out before it is tried again
+   * @param {string[]} [opts.failoverMethods] - the methods that fail over to the next node, defaults to XTCASHnetwork.READ_ONLY_METHODS
+   * @param {boolean} [opts.autoStart=true] - whether the health probes start immediately
+   */
+  constructor (opts) {
+    opts = opts || {}
+    super(opts)
+
+    if (!Array.isArray(opts.nodes) || opts.nodes.length === 0) {
+      throw new Error('Must supply an array of nodes')
+    }
+
+    this.probeInterval = opts.probeInterval || 10000
+    this.maxHeightLag = (opts.maxHeightLag !== undefined) ? opts.maxHeightLag : 5
+    this.maxLatency = opts.maxLatency || 5000
+    this.requireSynced = (opts.requireSynced !== undefined) ? opts.requireSynced : true
+    this.ejectTime = opts.ejectTime || 30000
+    this.failoverMethods = opts.failoverMethods || XTCASHnetwork.READ_ONLY_METHODS
+
+    this.nodes = opts.nodes.map((node) => {
+      const client = new XTCASHnetwork({
+        host: node.host,
+        port: node.port,
+        ssl: node.ssl,
+        timeout: node.timeout || this.timeout,
+        userAgent: this.userAgent,
+        transport: this.transport,
+        retry: false,
+        metrics: this.metricsRegistry
+      })
+
+      return {
+        id: util.format('%s:%s', client.host, client.port),
+        client: client,
+        healthy: true,
+        ejectedUntil: 0,
+        reason: undefined,
+        height: undefined,
+        networkHeight: undefined,
+        synced: undefined,
+        latency: undefined,
+        lastProbe: undefined,
+        served: 0,
+        failures: 0
+      }
+    })
+
+    if (opts.autoStart !== false) this.start()
+  }
+
+  /**
+   * Node Status
+   * @memberof XTCASHnetworkPool
+   * @typedef {Object} NodeStatus
+   * @property {string} id - the host:port of the node
+   * @property {boolean} healthy - whether the node is currently receiving calls
+   * @property {string} [reason] - why the node was last ejected
+   * @property {number} ejectedUntil - the timestamp until which the node sits out
+   * @property {number} [height] - the height reported by the last probe
+   * @property {number} [networkHeight] - the network height reported by the last probe
+   * @property {boolean} [synced] - whether the node reported itself synced in the last probe
+   * @property {number} [latency] - how long the last probe took in milliseconds
+   * @property {number} [lastProbe] - the timestamp of the last probe
+   * @property {number} served - how many calls the node has served
+   * @property {number} failures - how many calls or probes to the node have failed
+   */
+
+  /**
+   * Returns a snapshot of the health of every node in the pool
+   * @returns {XTCASHnetworkPool.NodeStatus[]} the status of every node
+   */
+  status () {
+    return this.nodes.map((node) => this._nodeStatus(node))
+  }
+
+  /**
+   * Starts probing the health of the nodes periodically
+   */
+  start () {
+    if (this._probeTimer !== undefined) return
+
+    const loop = () => {
+      this.probe().then(() => {
+        if (this._probeTimer === undefined) return
+        this._probeTimer = setTimeout(loop, this.probeInterval)
+        if (this._probeTimer.unref) this._probeTimer.unref()
+      })
+    }
+
+    this._probeTimer = null
+    loop()
+  }
+
+  /**
+   * Stops probing the health of the nodes
+   */
+  stop () {
+    if (this._probeTimer) clearTimeout(this._probeTimer)
+    this._probeTimer = undefined
+  }
+
+  /**
+   * Probes the health of every node once
+   * @async
+   * @returns {Promise<XTCASHnetworkPool.NodeStatus[]>} resolves with the status of every node
+   */
+  probe () {
+    return Promise.all(this.nodes.map((node) => this._probe(node))).then(() => {
+      return this.status()
+    })
+  }
+
+  /**
+   * Probes the health of a single node and ejects or restores it
+   * @async
+   * @private
+   * @param {Object} node - the node to probe
+   * @returns {Promise} resolves once the node has been probed
+   */
+  _probe (node) {
+    const started = Date.now()
+
+    return node.client.info().then((info) => {
+      node.latency = Date.now() - started
+      node.lastProbe = Date.now()
+      node.height = info.height
+      node.networkHeight = info.network_height
+      node.synced = info.synced
+
+      this.emit('probe', this._nodeStatus(node))
+
+      if (this.requireSynced && info.synced === false) {
+        return this._eject(node, 'node is not synced')
+      }
+      if (info.network_height - info.height > this.maxHeightLag) {
+        return this._eject(node, util.format('node is %s blocks behind the network', info.network_height - info.height))
+      }
+      if (node.latency > this.maxLatency) {
+        return this._eject(node, util.format('probe took %sms', node.latency))
+      }
+
+      return this._restore(node)
+    }).catch((err) => {
+      node.lastProbe = Date.now()
+      node.failures++
+      this._eject(node, errorReason(err))
+    })
+  }
+
+  /**
+   * Takes a node out of rotation
+   * @private
+   * @param {Object} node - the node to eject
+   * @param {string} reason - why the node is ejected
+   */
+  _eject (node, reason) {
+    const wasHealthy = node.healthy
+
+    node.healthy = false
+    node.reason = reason
+    node.ejectedUntil = Date.now() + this.ejectTime
+
+    if (wasHealthy) this.emit('eject', this._nodeStatus(node))
+  }
+
+  /**
+   * Puts a node back into rotation once it has sat out long enough
+   * @private
+   * @param {Object} node - the node to restore
+   */
+  _restore (node) {
+    if (node.healthy || Date.now() < node.ejectedUntil) return
+
+    node.healthy = true
+    node.reason = undefined
+    node.ejectedUntil = 0
+
+    this.emit('restore', this._nodeStatus(node))
+  }
+
+  /**
+   * The nodes in the order they should be tried, healthy nodes by latency
+   * followed by ejected nodes as a last resort
+   * @private
+   * @returns {Object[]} the nodes
+   */
+  _candidates () {
+    const byLatency = (a, b) => {
+      const latencyA = (a.latency !== undefined) ? a.latency : Infinity
+      const latencyB = (b.latency !== undefined) ? b.latency : Infinity
+      if (latencyA === latencyB) return this.nodes.indexOf(a) - this.nodes.indexOf(b)
+      return latencyA - latencyB
+    }
+
+    const healthy = this.nodes.filter((node) => node.healthy).sort(byLatency)
+    const ejected = this.nodes.filter((node) => !node.healthy).sort((a, b) => a.ejectedUntil - b.ejectedUntil)
+
+    return healthy.concat(ejected)
+  }
+
+  /**
+   * Sends a single request to the best node, failing over to the next
+   * node if the call is read-only
+   * @async
+   * @private
+   * @param {string} verb - the HTTP verb to use
+   * @param {string} path - the path to request including the leading slash
+   * @param {Object} [body] - the body of the request
+   * @param {Object} [call] - the call context
+   * @param {Object} [headers] - the request headers, defaults to the client headers
+   * @returns {Promise<Object>} resolves with the decoded response or rejects with error
+   */
+  _send (verb, path, body, call, headers) {
+    call = call || {}
+    const candidates = this._candidates()
+    const failover = this.failoverMethods.indexOf(call.method) !== -1
+
+    const attempt = (index) => {
+      const node = candidates[index]
+      const started = Date.now()
+
+      return node.client._send(verb, path, body, call, headers).then((result) => {
+        node.served++
+
+        this.emit('served', {
+          node: node.id,
+          method: call.method,
+          latency: Date.now() - started
+        })
+
+        return result
+      }).catch((err) => {
+        /* An HTTP status below 500 is an answer, not a sick node */
+        if (err && err.statusCode && err.statusCode < 500) throw err
+        if (err instanceof Errors.AbortError) throw err
+
+        node.failures++
+        this._eject(node, errorReason(err))
+
+        if (!failover || index + 1 >= candidates.length) throw err
+
+        this.emit('failover', {
+          from: node.id,
+          to: candidates[index + 1].id,
+          method: call.method,
+          error: err
+        })
+
+        return attempt(index + 1)
+      })
+    }
+
+    return attempt(0)
+  }
+
+  /**
+   * A copy of the node information without the client
+   * @private
+   * @param {Object} node - the node
+   * @returns {XTCASHnetworkPool.NodeStatus} the node status
+   */
+  _nodeStatus (node) {
+    const status = Object.assign({}, node)
+    delete status.client
+    return status
+  }
+}
+
+function errorReason (err) {
+  if (!err) return 'unknown error'
+  return err.code || err.message || err.toString()
+}
+
+module.exports = XTCASHnetworkPool
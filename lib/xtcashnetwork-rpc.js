@@ -5,31 +5,90 @@
 'use strict'
 
 const packageInfo = require('../package.json')
-const request = require('request-promise-native')
+const Batch = require('./batch')
+const BlockStream = require('./block-stream')
+const ChainWatcher = require('./chain-watcher')
+const Errors = require('./errors')
+const MempoolWatcher = require('./mempool-watcher')
+const RangeFetcher = require('./range-fetcher')
+const RetryPolicy = require('./retry')
+const ResponseCache = require('./response-cache')
+const RPCClient = require('./rpc-client')
+const TransactionTracker = require('./transaction-tracker')
 const util = require('util')
+const WalletSyncStream = require('./wallet-sync-stream')
+
+/* These calls only read from the daemon and are safe to send again */
+const READ_ONLY_METHODS = [
+  'block',
+  'blockCount',
+  'blockHeaderByHash',
+  'blockHeaderByHeight',
+  'blockShortHeaders',
+  'blocksDetailed',
+  'blocksLite',
+  'blockTemplate',
+  'fee',
+  'globalIndexes',
+  'globalIndexesForRange',
+  'height',
+  'info',
+  'lastBlockHeader',
+  'peers',
+  'poolChanges',
+  'randomOutputs',
+  'rawBlocks',
+  'transaction',
+  'transactionPool',
+  'transactionsStatus',
+  'walletSyncData'
+]
+
+/* These calls skip ahead of queued calls when a limit is set */
+const HIGH_PRIORITY_METHODS = [
+  'sendRawTransaction',
+  'submitBlock'
+]
 
 /**
  * @module XTCASHnetwork
  * @class
  */
-class XTCASHnetwork {
+class XTCASHnetwork extends RPCClient {
   /**
    * Initializes a new XTCASHnetwork object
    * @constructor
    * @param {Object} [opts] - Configuration options
    * @param {string} [opts.host=127.0.0.1] - the address of the daemon
-   * @param {string} [opts.port=14486] - the RPC port number of the daemon
+   * @param {number} [opts.port=14486] - the RPC port number of the daemon
    * @param {number} [opts.timeout=2000] - the timeout to use during RPC calls
    * @param {boolean} [opts.ssl=false] - whether the daemon uses SSL (HTTPS) or not
    * @param {string} [opts.userAgent=turtlecoin-rpc/version] - the user agent string to use with requests
+   * @param {Object} [opts.transport] - the transport to use for requests, defaults to a keep-alive HttpTransport shared by all clients
+   * @param {Object|boolean} [opts.retry] - the RetryPolicy options to use, or false to disable retries. By default only the methods in XTCASHnetwork.READ_ONLY_METHODS are retried
+   * @param {number} [opts.batchSize=100] - the maximum number of calls sent in a single JSON-RPC batch request
+   * @param {Object|ResponseCache} [opts.cache] - the ResponseCache options, or a ResponseCache shared with other clients of the same chain, to cache immutable chain data
+   * @param {Object|Limiter} [opts.limit] - the Limiter options, or a Limiter shared with other clients, that caps the requests in flight and per second
+   * @param {string[]} [opts.priorityMethods] - the methods that skip ahead of queued calls, defaults to XTCASHnetwork.HIGH_PRIORITY_METHODS
+   * @param {boolean} [opts.strict=false] - whether to check every result against its documented type and reject with a ResponseValidationError when it does not match
+   * @param {Object|MetricsRegistry|boolean} [opts.metrics] - the MetricsRegistry options, or a MetricsRegistry shared with other clients, that collects the call metrics, or false to collect none
    */
   constructor (opts) {
     opts = opts || {}
+    super(opts)
     this.host = opts.host || '127.0.0.1'
     this.port = opts.port || 14486
     this.timeout = opts.timeout || 2000
     this.ssl = opts.ssl || false
     this.userAgent = opts.userAgent || util.format('%s/%s', packageInfo.name, packageInfo.version)
+    this.retry = (opts.retry === false) ? false : new RetryPolicy(Object.assign({ methods: READ_ONLY_METHODS }, opts.retry))
+    this.priorityMethods = opts.priorityMethods || HIGH_PRIORITY_METHODS
+    this.batchSize = opts.batchSize || 100
+
+    if (opts.cache) {
+      this.cache = (opts.cache instanceof ResponseCache) ? opts.cache : new ResponseCache(opts.cache)
+      this.use(this.cache.middleware())
+    }
   }
 
   /**
@@ -37,22 +96,14 @@ class XTCASHnetwork {
    * @async
    * @private
    * @param {string} method - the RPC method to call
+   * @param {Object} [call] - the call context
    * @returns {Object} the response
    */
-  _get (method) {
+  _get (method, call) {
     return new Promise((resolve, reject) => {
       if (method.length === 0) return reject(new Error('no method supplied'))
-      var protocol = (this.ssl) ? 'https' : 'http'
-
-      request({
-        uri: util.format('%s://%s:%s/%s', protocol, this.host, this.port, method),
-        method: 'GET',
-        json: true,
-        timeout: this.timeout,
-        headers: {
-          'User-Agent': this.userAgent
-        }
-      }).then((result) => {
+
+      this._request('GET', '/' + method, undefined, call).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -66,9 +117,10 @@ class XTCASHnetwork {
    * @private
    * @param {string} method - the RPC method to call
    * @param {Object} params - the parameters for the RPC POST request
+   * @param {Object} [call] - the call context
    * @returns {Object} the response
    */
-  _post (method, params) {
+  _post (method, params, call) {
     return new Promise((resolve, reject) => {
       if (method.length === 0) return reject(new Error('no method supplied'))
       params = params || {}
@@ -79,11 +131,21 @@ class XTCASHnetwork {
         params: params
       }
 
-      this._rawPost('json_rpc', body).then((result) => {
+      this._rawPost('json_rpc', body, call).then((result) => {
         if (!result.error) {
           return resolve(result.result)
         } else {
-          return reject(result.error.message)
+          const err = new Errors.RpcError(result.error.message, {
+            method: (call) ? call.method : undefined,
+            endpoint: '/json_rpc',
+            body: result,
+            code: result.error.code
+          })
+
+          /* The request itself succeeded, so the error is counted here */
+          if (this.metricsRegistry) this.metricsRegistry.observeError(err.method, err.endpoint, err)
+
+          return reject(err)
         }
       }).catch((err) => {
         return reject(err)
@@ -97,24 +159,15 @@ class XTCASHnetwork {
    * @private
    * @param {string} endpoint - the RPC endpoint to call
    * @param {Object} body - the body of the POST request
+   * @param {Object} [call] - the call context
    * @returns {Object} the response
    */
-  _rawPost (endpoint, body) {
+  _rawPost (endpoint, body, call) {
     return new Promise((resolve, reject) => {
       if (endpoint.length === 0) return reject(new Error('no endpoint supplied'))
       if (body === undefined) return reject(new Error('no body supplied'))
-      var protocol = (this.ssl) ? 'https' : 'http'
-
-      request({
-        uri: util.format('%s://%s:%s/%s', protocol, this.host, this.port, endpoint),
-        method: 'POST',
-        body: body,
-        json: true,
-        timeout: this.timeout,
-        headers: {
-          'User-Agent': this.userAgent
-        }
-      }).then((result) => {
+
+      this._request('POST', '/' + endpoint, body, call).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -122,6 +175,203 @@ class XTCASHnetwork {
     })
   }
 
+  /**
+   * Performs a single request via the transport, recording the heights
+   * reported by the daemon
+   * @async
+   * @private
+   * @param {string} verb - the HTTP verb to use
+   * @param {string} path - the path to request including the leading slash
+   * @param {Object} [body] - the body of the request
+   * @param {Object} [call] - the call context
+   * @param {Object} [headers] - the request headers, defaults to the client headers
+   * @returns {Promise<Object>} resolves with the decoded response or rejects with error
+   */
+  _send (verb, path, body, call, headers) {
+    return super._send(verb, path, body, call, headers).then((result) => {
+      if (this.metricsRegistry && result && (path === '/height' || path === '/info')) {
+        this.metricsRegistry.observeHeight(util.format('%s:%s', this.host, this.port), result.height, result.network_height)
+      }
+
+      return result
+    })
+  }
+
+  /**
+   * Checks a decoded response body against the documented body of the method
+   * @private
+   * @param {string} method - the name of the public method that was called
+   * @param {*} response - the decoded response body
+   * @returns {ResponseValidationError|undefined} the error describing the mismatch, or undefined if the body matches
+   */
+  _checkResponse (method, response) {
+    /* A JSON-RPC error carries no result and is reported by _post() */
+    if (response && response.error) return
+
+    return super._checkResponse(method, response)
+  }
+
+  /**
+   * Starts a new JSON-RPC batch. Calls queued on the batch are sent together
+   * when execute() is called, ie. daemon.batch().blockHeaderByHeight(1).blockHeaderByHeight(2).execute()
+   * @param {Object} [opts] - the batch options
+   * @param {number} [opts.batchSize] - the maximum number of calls sent in a single request
+   * @returns {Batch} a new batch
+   */
+  batch (opts) {
+    return new Batch(this, opts)
+  }
+
+  /**
+   * Walks the chain block by block, paging through queryblocksdetailed (or
+   * queryblockslite) and keeping track of the block hash checkpoints, ie.
+   * for await (const block of daemon.streamBlocks({ fromHeight: 1000 })) { ... }
+   * @param {Object} [opts] - the stream options
+   * @param {number} [opts.fromHeight=0] - the height of the first block to yield
+   * @param {number} [opts.fromTimestamp] - skip the blocks older than this timestamp
+   * @param {number} [opts.toHeight] - the height of the last block to yield, defaults to the top of the chain
+   * @param {boolean} [opts.detailed=true] - whether to yield XTCASHnetwork.BlockDetails, or BlockStream.LiteBlock when false
+   * @param {boolean} [opts.wait=false] - whether to wait for new blocks once the top of the chain is reached instead of ending
+   * @param {number} [opts.pollInterval=10000] - how often to check for new blocks when waiting, in milliseconds
+   * @param {number} [opts.blockCount=100] - the number of blocks requested per page, detailed blocks only
+   * @param {AbortSignal} [opts.signal] - a signal that stops the stream, rejecting the pending next() with an AbortError
+   * @returns {BlockStream} an async iterator of the blocks
+   */
+  streamBlocks (opts) {
+    return new BlockStream(this, opts)
+  }
+
+  /**
+   * Syncs through walletSyncData block by block, keeping the block hash
+   * checkpoints up to date and persisting them in the state store so that
+   * a restart resumes where it left off, ie.
+   * for await (const block of daemon.syncWalletData({ stateStore: new JsonFileStore({ path: 'sync.json' }) })) { ... }
+   * @param {Object} [opts] - the sync options
+   * @param {number} [opts.startHeight=0] - the height to start from when nothing was stored yet
+   * @param {number} [opts.startTimestamp=0] - the timestamp to start from when nothing was stored yet
+   * @param {boolean} [opts.skipCoinbaseTransactions=false] - whether to skip the blocks with just a coinbase transaction
+   * @param {Object} [opts.stateStore] - the store persisting the progress, ie. a MemoryStore or a JsonFileStore, providing load() and save(state) methods that may return Promises
+   * @param {boolean} [opts.wait=false] - whether to keep waiting for new blocks once synced instead of ending
+   * @param {number} [opts.pollInterval=10000] - how often to check for new blocks when waiting, in milliseconds
+   * @param {AbortSignal} [opts.signal] - a signal that stops the stream, rejecting the pending next() with an AbortError
+   * @returns {WalletSyncStream} an async iterator of the blocks
+   */
+  syncWalletData (opts) {
+    return new WalletSyncStream(this, opts)
+  }
+
+  /**
+   * Fetches the block headers of a range of heights with a bounded number
+   * of calls in flight, in height order, either as an async iterator or as
+   * an array. The block hashes are read from the blockShortHeaders windows,
+   * one call per 30 heights, and the headers looked up by those hashes,
+   * ie. daemon.blockHeadersRange(1, 10000, { concurrency: 8 }).toArray()
+   * @param {number} start - the first height
+   * @param {number} end - the last height, inclusive
+   * @param {Object} [opts] - the fetch options
+   * @param {number} [opts.concurrency=4] - the maximum number of calls in flight
+   * @param {boolean} [opts.short=false] - whether to yield the XTCASHnetwork.BlockShortHeader of the windows as they are, without looking up the XTCASHnetwork.BlockHeader of each height
+   * @param {function} [opts.onProgress] - called with (completed, total) every time a height has been fetched
+   * @param {AbortSignal} [opts.signal] - a signal that stops the fetcher, rejecting the pending next() with an AbortError
+   * @returns {RangeFetcher} an async iterator of the headers
+   */
+  blockHeadersRange (start, end, opts) {
+    return new RangeFetcher(this, start, end, Object.assign({}, opts, { blocks: false }))
+  }
+
+  /**
+   * Fetches the block summaries of a range of heights with a bounded number
+   * of calls in flight, in height order, either as an async iterator or as
+   * an array. The block hashes are read from the blockShortHeaders windows,
+   * one call per 30 heights, ie. daemon.blocksRange(1, 100).toArray()
+   * @param {number} start - the first height
+   * @param {number} end - the last height, inclusive
+   * @param {Object} [opts] - the fetch options
+   * @param {number} [opts.concurrency=4] - the maximum number of calls in flight
+   * @param {function} [opts.onProgress] - called with (completed, total) every time a height has been fetched
+   * @param {AbortSignal} [opts.signal] - a signal that stops the fetcher, rejecting the pending next() with an AbortError
+   * @returns {RangeFetcher} an async iterator of the block summaries
+   */
+  blocksRange (start, end, opts) {
+    return new RangeFetcher(this, start, end, Object.assign({}, opts, { blocks: true, short: false }))
+  }
+
+  /**
+   * Polls the top of the chain and emits a block event for every new block
+   * header, a reorg event when the chain switches to a fork and a stalled
+   * event when the height stops moving, ie.
+   * daemon.watchChain({ interval: 5000 }).on('block', (header) => { ... })
+   * @param {Object} [opts] - the watcher options
+   * @param {number} [opts.interval=10000] - how often the top of the chain is polled, in milliseconds
+   * @param {number} [opts.stallTimeout=300000] - how long the height may stay the same before a stalled event is emitted, in milliseconds
+   * @param {number} [opts.fromHeight] - the height of the first block emitted, defaults to the block after the top of the chain when the watcher starts
+   * @param {number} [opts.maxDepth=100] - how many of the most recent blocks are kept to be reported as detached
+   * @param {boolean} [opts.autoStart=true] - whether polling starts immediately
+   * @returns {ChainWatcher} the watcher
+   */
+  watchChain (opts) {
+    return new ChainWatcher(this, opts)
+  }
+
+  /**
+   * Polls poolChanges and keeps a copy of the mempool, emitting added,
+   * removed and confirmed events for its transactions, ie.
+   * daemon.watchMempool().on('added', (tx) => { ... })
+   * @param {Object} [opts] - the watcher options
+   * @param {number} [opts.interval=10000] - how often the mempool is polled, in milliseconds
+   * @param {boolean} [opts.autoStart=true] - whether polling starts immediately
+   * @returns {MempoolWatcher} the watcher
+   */
+  watchMempool (opts) {
+    return new MempoolWatcher(this, opts)
+  }
+
+  /**
+   * Follows transactions through transactionsStatus, with a single call per
+   * poll for all of them, emitting their state changes, ie.
+   * daemon.trackTransactions([hash]).on('change', (status) => { ... })
+   * @param {string[]} hashes - the hashes of the transactions to track
+   * @param {Object} [opts] - the tracker options
+   * @param {number} [opts.confirmations=10] - the number of confirmations after which a transaction is confirmed
+   * @param {number} [opts.timeout=600000] - how long a transaction may stay unknown to the daemon before it is dropped, in milliseconds
+   * @param {number} [opts.interval=10000] - how often the transactions are polled, in milliseconds
+   * @param {number} [opts.maxFailures=5] - how many polls in a row may fail before the pending waitForConfirmations() calls reject with the last error
+   * @param {boolean} [opts.autoStart=true] - whether polling starts immediately
+   * @returns {TransactionTracker} the tracker
+   */
+  trackTransactions (hashes, opts) {
+    return new TransactionTracker(this, hashes, opts)
+  }
+
+  /**
+   * Waits for a transaction to reach a number of confirmations
+   * @async
+   * @param {string} hash - the transaction hash
+   * @param {number} [confirmations=10] - the number of confirmations
+   * @param {Object} [opts] - the tracker options
+   * @param {number} [opts.timeout=600000] - how long the transaction may stay unknown to the daemon before the promise rejects, in milliseconds
+   * @param {number} [opts.interval=10000] - how often the transaction is polled, in milliseconds
+   * @param {number} [opts.maxFailures=5] - how many polls in a row may fail, ie. while the daemon cannot be reached, before the promise rejects with the last error
+   * @param {AbortSignal} [opts.signal] - a signal that stops waiting, rejecting with an AbortError
+   * @returns {Promise<TransactionTracker.TransactionState>} resolves with the state of the transaction or rejects with a TransactionDroppedError, an AbortError or the error of the last poll
+   */
+  waitForConfirmations (hash, confirmations, opts) {
+    opts = opts || {}
+
+    const tracker = new TransactionTracker(this, [], Object.assign({}, opts, { confirmations: confirmations, autoStart: false }))
+    const waiting = tracker.waitForConfirmations(hash, confirmations, { signal: opts.signal })
+
+    tracker.start()
+
+    return waiting.then((status) => {
+      tracker.stop()
+      return status
+    }).catch((err) => {
+      tracker.stop()
+      throw err
+    })
+  }
+
   /**
    * Transaction Summary
    * @memberof XTCASHnetwork
@@ -159,19 +409,29 @@ class XTCASHnetwork {
    * @property {number} transactionsCumulativeSize - the total size of the transactions in the block
    */
 
+  /**
+   * The body of the f_block_json response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} BlockSummaryBody
+   * @property {Object} result - the JSON-RPC result
+   * @property {XTCASHnetwork.BlockSummary} result.block - the block summary
+   */
+
   /**
    * Returns information on a single block by hash
    * @async
    * @param {string} hash - the hash of the block to retrieve
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.BlockSummary>} resolves with block summary or rejects with error
+   * @response {XTCASHnetwork.BlockSummaryBody} the body the daemon responds with
    */
-  block (hash) {
+  block (hash, callOpts) {
     return new Promise((resolve, reject) => {
       if (!hash) return reject(new Error('must specify hash'))
 
       this._post('f_block_json', {
         hash: hash
-      }).then((result) => {
+      }, this._call('block', callOpts)).then((result) => {
         return resolve(result.block)
       }).catch((err) => {
         return reject(err)
@@ -179,14 +439,24 @@ class XTCASHnetwork {
     })
   }
 
+  /**
+   * The body of the getblockcount response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} BlockCountBody
+   * @property {Object} result - the JSON-RPC result
+   * @property {number} result.count - the current block count
+   */
+
   /**
    * Gets the current block count
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<number>} resolves with the current block count or rejects with error
+   * @response {XTCASHnetwork.BlockCountBody} the body the daemon responds with
    */
-  blockCount () {
+  blockCount (callOpts) {
     return new Promise((resolve, reject) => {
-      this._post('getblockcount').then((result) => {
+      this._post('getblockcount', {}, this._call('blockCount', callOpts)).then((result) => {
         return resolve(result.count)
       }).catch((err) => {
         return reject(err)
@@ -213,19 +483,29 @@ class XTCASHnetwork {
    * @property {number} timestamp - the block timestampe total size of the transactions in the block
    */
 
+  /**
+   * The body of the getblockheaderbyhash, getblockheaderbyheight and getlastblockheader responses
+   * @memberof XTCASHnetwork
+   * @typedef {Object} BlockHeaderBody
+   * @property {Object} result - the JSON-RPC result
+   * @property {XTCASHnetwork.BlockHeader} result.block_header - the block header
+   */
+
   /**
    * Gets the block header
    * @async
    * @param {string} hash - the hash of the block to retrieve
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.BlockHeader>} resolves with block header or rejects with error
+   * @response {XTCASHnetwork.BlockHeaderBody} the body the daemon responds with
    */
-  blockHeaderByHash (hash) {
+  blockHeaderByHash (hash, callOpts) {
     return new Promise((resolve, reject) => {
       if (!hash) return reject(new Error('must specify hash'))
 
       this._post('getblockheaderbyhash', {
         hash: hash
-      }).then((result) => {
+      }, this._call('blockHeaderByHash', callOpts)).then((result) => {
         return resolve(result.block_header)
       }).catch((err) => {
         return reject(err)
@@ -237,15 +517,17 @@ class XTCASHnetwork {
    * Gets the block header
    * @async
    * @param {number} height - the height of the block to retrieve
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.BlockHeader>} resolves with block header or rejects with error
+   * @response {XTCASHnetwork.BlockHeaderBody} the body the daemon responds with
    */
-  blockHeaderByHeight (height) {
+  blockHeaderByHeight (height, callOpts) {
     return new Promise((resolve, reject) => {
       if (typeof height === 'undefined') return reject(new Error('must specify height'))
 
       this._post('getblockheaderbyheight', {
         height: height
-      }).then((result) => {
+      }, this._call('blockHeaderByHeight', callOpts)).then((result) => {
         return resolve(result.block_header)
       }).catch((err) => {
         return reject(err)
@@ -265,19 +547,29 @@ class XTCASHnetwork {
    * @property {number} tx_count - the number of transactions in the block
    */
 
+  /**
+   * The body of the f_blocks_list_json response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} BlockShortHeadersBody
+   * @property {Object} result - the JSON-RPC result
+   * @property {XTCASHnetwork.BlockShortHeader[]} result.blocks - the block short headers
+   */
+
   /**
    * Gets the summary block information for the last 30 blocks before height (inclusive)
    * @async
    * @param {number} height - the height of the block to retrieve
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.BlockShortHeader[]>} resolves with block short headers or rejects with error
+   * @response {XTCASHnetwork.BlockShortHeadersBody} the body the daemon responds with
    */
-  blockShortHeaders (height) {
+  blockShortHeaders (height, callOpts) {
     return new Promise((resolve, reject) => {
       if (typeof height === 'undefined') return reject(new Error('must specify height'))
 
       this._post('f_blocks_list_json', {
         height: height
-      }).then((result) => {
+      }, this._call('blockShortHeaders', callOpts)).then((result) => {
         return resolve(result.blocks)
       }).catch((err) => {
         return reject(err)
@@ -312,6 +604,7 @@ class XTCASHnetwork {
    * @typedef {Object} TransactionDetailInputKeyOutput
    * @property {number} number - the output index of the output used
    * @property {string} transactionHash - the transaction hash of the output
+   */
 
   /**
    * @memberof XTCASHnetwork
@@ -419,7 +712,7 @@ class XTCASHnetwork {
    * Query Blocks Detailed Response
    * @memberof XTCASHnetwork
    * @typedef {Object} BlocksDetailedResponse
-   * @property {XTCASHnetwork.BlockDetails} blocks - the blocks
+   * @property {XTCASHnetwork.BlockDetails[]} blocks - the blocks
    * @property {number} currentHeight - the current height of the blockchain
    * @property {number} fullOffset
    * @property {number} startHeight - the height at which this response starts
@@ -437,9 +730,10 @@ class XTCASHnetwork {
    * @param {number} [opts.timestamp=0] - the timestamp to start from
    * @param {string[]} [opts.blockHashes] - the block hashes
    * @param {number} [opts.blockCount=0] - the number of blocks to return
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.BlocksDetailedResponse>} resolves with blocks detail information or rejects with error
    */
-  blocksDetailed (opts) {
+  blocksDetailed (opts, callOpts) {
     return new Promise((resolve, reject) => {
       opts = opts || {}
       if (!Array.isArray(opts.blockHashes)) return reject(new Error('must supply an array of block hashes'))
@@ -452,7 +746,7 @@ class XTCASHnetwork {
         blockCount: opts.blockCount
       }
 
-      this._rawPost('queryblocksdetailed', body).then((result) => {
+      this._rawPost('queryblocksdetailed', body, this._call('blocksDetailed', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -460,12 +754,19 @@ class XTCASHnetwork {
     })
   }
 
+  /**
+   * @memberof XTCASHnetwork
+   * @typedef BlockLiteTransaction
+   * @property {string} hash - the transaction hash
+   * @property {XTCASHnetwork.TransactionPrefix} prefix - the transaction prefix
+   */
+
   /**
    * @memberof XTCASHnetwork
    * @typedef BlockLite
    * @property {string} block - the hexadecimcal representation of the block
    * @property {string} hash - the block hash
-   * @property {XTCASHnetwork.TransactionPrefix[]} transactions - the transactions in the block
+   * @property {XTCASHnetwork.BlockLiteTransaction[]} transactions - the transactions in the block
    */
 
   /**
@@ -478,6 +779,34 @@ class XTCASHnetwork {
    * @property {string} status - the status of the request
    */
 
+  /**
+   * A transaction as the daemon sends it in the queryblockslite and get_pool_changes_lite responses
+   * @memberof XTCASHnetwork
+   * @typedef {Object} TransactionPrefixInfo
+   * @property {string} "transactionPrefixInfo.txHash" - the transaction hash
+   * @property {XTCASHnetwork.TransactionPrefix} "transactionPrefixInfo.txPrefix" - the transaction prefix
+   */
+
+  /**
+   * A block as the daemon sends it in the queryblockslite response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} BlockShortInfo
+   * @property {number[]} "blockShortInfo.block" - the bytes of the block
+   * @property {string} "blockShortInfo.blockId" - the block hash
+   * @property {XTCASHnetwork.TransactionPrefixInfo[]} "blockShortInfo.txPrefixes" - the transactions in the block
+   */
+
+  /**
+   * The body of the queryblockslite response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} BlocksLiteBody
+   * @property {number} currentHeight - the current height
+   * @property {number} fullOffset - the full offset height
+   * @property {XTCASHnetwork.BlockShortInfo[]} items - the block data
+   * @property {number} startHeight - the height the response starts from
+   * @property {string} status - the status of the request
+   */
+
   /**
    * Returns up to 100 blocks. If blockHashes are given, it will return beginning from the height of the first hash it finds, plus one.
    * However, if timestamp is given, and this value is higher than the blockHashes, it will start returning from that height instead.
@@ -488,9 +817,11 @@ class XTCASHnetwork {
    * @param {Object} [opts] - the options to use when syncing
    * @param {number} [opts.timestamp=0] - the timestamp to start from
    * @param {string[]} [opts.blockHashes] - the block hashes
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.BlocksLiteResponse>} resolves with block information or rejects with error
+   * @response {XTCASHnetwork.BlocksLiteBody} the body the daemon responds with
    */
-  blocksLite (opts) {
+  blocksLite (opts, callOpts) {
     return new Promise((resolve, reject) => {
       opts = opts || {}
       if (!Array.isArray(opts.blockHashes)) return reject(new Error('must supply an array of block hashes'))
@@ -501,7 +832,7 @@ class XTCASHnetwork {
         timestamp: opts.timestamp
       }
 
-      this._rawPost('queryblockslite', body).then((result) => {
+      this._rawPost('queryblockslite', body, this._call('blocksLite', callOpts)).then((result) => {
         /* The response returned by the daemon is a nightmare but we're going to clean it up a bit */
         const tmp = []
         result.items.forEach((item) => {
@@ -545,9 +876,10 @@ class XTCASHnetwork {
    * @async
    * @param {string} walletAddress - the wallet address for the block template
    * @param {number} reserveSize - the amount of block template reserve space to generate
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.BlockTemplateResponse>} resolves with block template response or rejects with error
    */
-  blockTemplate (walletAddress, reserveSize) {
+  blockTemplate (walletAddress, reserveSize, callOpts) {
     return new Promise((resolve, reject) => {
       if (typeof reserveSize === 'undefined') return reject(new Error('must specify reserveSize'))
       if (!walletAddress) return reject(new Error('must specify walletAddress'))
@@ -555,7 +887,7 @@ class XTCASHnetwork {
       this._post('getblocktemplate', {
         reserve_size: reserveSize,
         wallet_address: walletAddress
-      }).then((result) => {
+      }, this._call('blockTemplate', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -575,11 +907,12 @@ class XTCASHnetwork {
   /**
    * Retrieves the node fee in atomic units
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.NodeFee>} resolves with node fee information or rejects with error
    */
-  fee () {
+  fee (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('fee').then((result) => {
+      this._get('fee', this._call('fee', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -591,9 +924,10 @@ class XTCASHnetwork {
    * Returns the global output indexes of the transaction
    * @async
    * @param {string} transactionHash - the hash of the transaction to retrieve
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<number[]>} resolves with indexes global output indexes or rejects with error
    */
-  globalIndexes (transactionHash) {
+  globalIndexes (transactionHash, callOpts) {
     return new Promise((resolve, reject) => {
       if (typeof transactionHash === 'undefined') return reject(new Error('must supply a transaction hash'))
 
@@ -601,8 +935,8 @@ class XTCASHnetwork {
         txid: transactionHash
       }
 
-      this._rawPost('get_o_indexes', body).then((result) => {
-        if (result.status.toLowerCase() !== 'ok') return reject(new Error('Transaction not found'))
+      this._rawPost('get_o_indexes', body, this._call('globalIndexes', callOpts)).then((result) => {
+        if (!result.status || result.status.toLowerCase() !== 'ok') return reject(statusError('Transaction not found', 'globalIndexes', '/get_o_indexes', result))
         return resolve(result.o_indexes)
       }).catch((err) => {
         return reject(err)
@@ -623,9 +957,10 @@ class XTCASHnetwork {
    * @async
    * @param {number} startHeight - The height to begin returning indices from
    * @param {number} endHeight - The height to end returning indices from
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.GlobalIndexesResponse[]>} resolves with global indexes information or rejects with error
    */
-  globalIndexesForRange (startHeight, endHeight) {
+  globalIndexesForRange (startHeight, endHeight, callOpts) {
     return new Promise((resolve, reject) => {
       if (typeof startHeight === 'undefined') return reject(new Error('Must specify start height'))
       if (typeof endHeight === 'undefined') return reject(new Error('Must specify end height'))
@@ -633,12 +968,12 @@ class XTCASHnetwork {
       this._rawPost('get_global_indexes_for_range', {
         startHeight: startHeight,
         endHeight: endHeight
-      }).then((result) => {
+      }, this._call('globalIndexesForRange', callOpts)).then((result) => {
         if (!result.status || !result.indexes) {
-          return reject(new Error('Missing indexes or status key'))
+          return reject(statusError('Missing indexes or status key', 'globalIndexesForRange', '/get_global_indexes_for_range', result))
         }
         if (result.status.toLowerCase() !== 'ok') {
-          return reject(new Error('Status not OK'))
+          return reject(statusError('Status not OK', 'globalIndexesForRange', '/get_global_indexes_for_range', result))
         }
         return resolve(result.indexes)
       }).catch((err) => {
@@ -659,11 +994,12 @@ class XTCASHnetwork {
   /**
    * Returns the current daemon height statistics
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.NodeHeight>} resolves with node height information or rejects with error
    */
-  height () {
+  height (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('height').then((result) => {
+      this._get('height', this._call('height', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -700,11 +1036,12 @@ class XTCASHnetwork {
   /**
    * Returns the current daemon information
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.NodeInfo>} resolves with node information or rejects with error
    */
-  info () {
+  info (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('info').then((result) => {
+      this._get('info', this._call('info', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -715,11 +1052,13 @@ class XTCASHnetwork {
   /**
    * Retrieves the last block header
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.BlockHeader>} resolves with block header or rejects with error
+   * @response {XTCASHnetwork.BlockHeaderBody} the body the daemon responds with
    */
-  lastBlockHeader () {
+  lastBlockHeader (callOpts) {
     return new Promise((resolve, reject) => {
-      this._post('getlastblockheader').then((result) => {
+      this._post('getlastblockheader', {}, this._call('lastBlockHeader', callOpts)).then((result) => {
         return resolve(result.block_header)
       }).catch((err) => {
         return reject(err)
@@ -739,11 +1078,12 @@ class XTCASHnetwork {
   /**
    * Returns the current daemon peers
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.NodePeers>} resolves with node peer information or rejects with error
    */
-  peers () {
+  peers (callOpts) {
     return new Promise((resolve, reject) => {
-      this._get('peers').then((result) => {
+      this._get('peers', this._call('peers', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -761,7 +1101,17 @@ class XTCASHnetwork {
   /**
    * @memberof XTCASHnetwork
    * @typedef PoolChanges
-   * @property {XTCASHnetwork.PoolChangesAdded} addedTxs - the recently added pool transactions
+   * @property {XTCASHnetwork.PoolChangesAdded[]} addedTxs - the recently added pool transactions
+   * @property {string[]} deletedTxsIds - the transaction hashes of transactions removed from the pool
+   * @property {boolean} isTailBlockActual - whether the tail block hash supplied is really the top
+   * @property {string} status - the status of the request
+   */
+
+  /**
+   * The body of the get_pool_changes_lite response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} PoolChangesBody
+   * @property {XTCASHnetwork.TransactionPrefixInfo[]} addedTxs - the recently added pool transactions
    * @property {string[]} deletedTxsIds - the transaction hashes of transactions removed from the pool
    * @property {boolean} isTailBlockActual - whether the tail block hash supplied is really the top
    * @property {string} status - the status of the request
@@ -772,9 +1122,11 @@ class XTCASHnetwork {
    * @async
    * @param {string} tailBlockHash - the last known block hash
    * @param {string[]} knownTransactionHashes - the transaction hashes that we know of
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.PoolChanges>} resolves with pool change information or rejects with error
+   * @response {XTCASHnetwork.PoolChangesBody} the body the daemon responds with
    */
-  poolChanges (tailBlockHash, knownTransactionHashes) {
+  poolChanges (tailBlockHash, knownTransactionHashes, callOpts) {
     return new Promise((resolve, reject) => {
       if (tailBlockHash === undefined) return reject(new Error('must supply a tail block hash'))
       if (!Array.isArray(knownTransactionHashes)) return reject(new Error('must supply an array of known transaction hashes'))
@@ -784,7 +1136,7 @@ class XTCASHnetwork {
         knownTxsIds: knownTransactionHashes
       }
 
-      this._rawPost('get_pool_changes_lite', body).then((result) => {
+      this._rawPost('get_pool_changes_lite', body, this._call('poolChanges', callOpts)).then((result) => {
         /* We need to clean up the response a bit */
         const tmp = []
 
@@ -831,11 +1183,13 @@ class XTCASHnetwork {
   /**
    * Retrieves random outputs for mixing
    * @async
-   * @param {number[]} amounts - the amounts that we need mixins for
-   * @param {number} mixin - the number of mixins we need
+   * @param {Object} opts - the options to use when retrieving outputs
+   * @param {number[]} opts.amounts - the amounts that we need mixins for
+   * @param {number} opts.mixin - the number of mixins we need
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.RandomOutputsResponse>} resolves with random outputs information or rejects with error
    */
-  randomOutputs (opts) {
+  randomOutputs (opts, callOpts) {
     return new Promise((resolve, reject) => {
       opts = opts || {}
       if (!Array.isArray(opts.amounts)) return reject(new Error('must supply an array of amounts'))
@@ -849,7 +1203,7 @@ class XTCASHnetwork {
         outs_count: opts.mixin
       }
 
-      this._rawPost('getrandom_outs', body).then((result) => {
+      this._rawPost('getrandom_outs', body, this._call('randomOutputs', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -885,14 +1239,26 @@ class XTCASHnetwork {
    * @property {string} status - the response status
    */
 
+  /**
+   * The body of the getblocks response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} RawBlocksBody
+   * @property {XTCASHnetwork.RawBlock[]} "response.blocks" - the raw blocks
+   * @property {number} "response.current_height" - the current height of the blockchain
+   * @property {number} "response.start_height" - the starting height of the blocks in the response
+   * @property {string} "response.status" - the response status
+   */
+
   /**
    * Get raw blocks
    * @async
    * @param {string[]} blockHashes - first 10 blocks id goes sequential, next goes in pow(2,n) offset, like 2, 4, 8, 16, 32, 64 and so on, and the last one is always genesis block
    * @param {number} [blockCount] - the number of blocks to retrieve
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.RawBlocksResponse>} resolves with raw blocks information or rejects with error
+   * @response {XTCASHnetwork.RawBlocksBody} the body the daemon responds with
    */
-  rawBlocks (blockHashes, blockCount) {
+  rawBlocks (blockHashes, blockCount, callOpts) {
     return new Promise((resolve, reject) => {
       if (!Array.isArray(blockHashes)) return reject(new Error('must supply an array of block hashes'))
       if (blockCount && isNaN(blockCount)) return reject(new Error('block count must be a number'))
@@ -905,7 +1271,7 @@ class XTCASHnetwork {
         body.blockCount = Math.abs(blockCount)
       }
 
-      this._rawPost('getblocks', body).then((result) => {
+      this._rawPost('getblocks', body, this._call('rawBlocks', callOpts)).then((result) => {
         /* We need to do a little bit of massaging here on this
            response because the daemon returns some funny
            business that we don't care for in JS */
@@ -933,15 +1299,16 @@ class XTCASHnetwork {
    * Sends a raw transaction to the daemon
    * @async
    * @param {string} transaction - the raw transaction
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.SendRawTransactionResponse>} resolves with send raw transaction information or rejects with error
    */
-  sendRawTransaction (transaction) {
+  sendRawTransaction (transaction, callOpts) {
     return new Promise((resolve, reject) => {
       if (!transaction) return reject(new Error('must specify raw serialized transaction'))
 
       this._rawPost('sendrawtransaction', {
         tx_as_hex: transaction
-      }).then((result) => {
+      }, this._call('sendRawTransaction', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -960,15 +1327,16 @@ class XTCASHnetwork {
    * Sends a new block for the chain to the daemon
    * @async
    * @param {string} blockBlob - the raw block blob
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.SubmitBlockResponse>} resolves with submit block response or rejects with error
    */
-  submitBlock (blockBlob) {
+  submitBlock (blockBlob, callOpts) {
     return new Promise((resolve, reject) => {
       if (!blockBlob) return reject(new Error('must specify blockBlob'))
 
       this._post('submitblock', [
         blockBlob
-      ]).then((result) => {
+      ], this._call('submitBlock', callOpts)).then((result) => {
         return resolve(result)
       }).catch((err) => {
         return reject(err)
@@ -1002,7 +1370,7 @@ class XTCASHnetwork {
    * @property {string} type - the type of the input in hexadecimcal
    * @property {Object} value - the input data
    * @property {number} value.amount - the input amount
-   * @property {number} value.k_image - the input key image
+   * @property {string} value.k_image - the input key image
    * @property {number[]} value.key_offsets - the input key offsets
    */
 
@@ -1020,7 +1388,7 @@ class XTCASHnetwork {
    * @property {string} extra - the transaction extra information as hexadecimcal
    * @property {number} unlock_time - the transaction unlock time
    * @property {number} version - the transaction version number
-   * @property {XTCASHnetwork.VINCoinbase|XTCASHnetwork.VIN[]} vin - the transaction inputs
+   * @property {(XTCASHnetwork.VINCoinbase|XTCASHnetwork.VIN)[]} vin - the transaction inputs
    * @property {XTCASHnetwork.VOUT[]} vout - the transaction outputs
    */
 
@@ -1044,19 +1412,28 @@ class XTCASHnetwork {
    * @property {XTCASHnetwork.TransactionMetadata} txDetails - the transaction meta information
    */
 
+  /**
+   * The body of the f_transaction_json response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} TransactionBody
+   * @property {XTCASHnetwork.TransactionResponse} result - the JSON-RPC result
+   */
+
   /**
    * Retrieves a single transaction's information
    * @async
    * @param {string} hash - the transaction hash
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.TransactionResponse>} resolves with transaction response or rejects with error
+   * @response {XTCASHnetwork.TransactionBody} the body the daemon responds with
    */
-  transaction (hash) {
+  transaction (hash, callOpts) {
     return new Promise((resolve, reject) => {
       if (!hash) return reject(new Error('must specify hash'))
 
       this._post('f_transaction_json', {
         hash: hash
-      }).then((result) => {
+      }, this._call('transaction', callOpts)).then((result) => {
         if (result.tx && result.tx['']) delete result.tx['']
         return resolve(result)
       }).catch((err) => {
@@ -1065,14 +1442,24 @@ class XTCASHnetwork {
     })
   }
 
+  /**
+   * The body of the f_on_transactions_pool_json response
+   * @memberof XTCASHnetwork
+   * @typedef {Object} TransactionPoolBody
+   * @property {Object} result - the JSON-RPC result
+   * @property {XTCASHnetwork.TransactionSummary[]} result.transactions - the transactions in the mempool
+   */
+
   /**
    * Retrieves the summary information of the transactions in the mempool
    * @async
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.TransactionSummary[]>} resolves with the transaction summaries or rejects with error
+   * @response {XTCASHnetwork.TransactionPoolBody} the body the daemon responds with
    */
-  transactionPool () {
+  transactionPool (callOpts) {
     return new Promise((resolve, reject) => {
-      this._post('f_on_transactions_pool_json').then((result) => {
+      this._post('f_on_transactions_pool_json', {}, this._call('transactionPool', callOpts)).then((result) => {
         return resolve(result.transactions)
       }).catch((err) => {
         return reject(err)
@@ -1092,10 +1479,12 @@ class XTCASHnetwork {
   /**
    * Returns the status of the transaction hashes provided
    * @async
-   * @param {string} transactionHashes - the transaction hashes to checked
+   * @param {Object} opts - the options to use when checking
+   * @param {string[]} opts.transactionHashes - the transaction hashes to check
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.TransactionsStatusResponse>} resolves with the transactions statuses or rejects with error
    */
-  transactionsStatus (opts) {
+  transactionsStatus (opts, callOpts) {
     return new Promise((resolve, reject) => {
       opts = opts || {}
 
@@ -1103,12 +1492,12 @@ class XTCASHnetwork {
 
       this._rawPost('get_transactions_status', {
         transactionHashes: opts.transactionHashes
-      }).then((result) => {
+      }, this._call('transactionsStatus', callOpts)).then((result) => {
         if (!result.status || !result.transactionsInPool || !result.transactionsInBlock || !result.transactionsUnknown) {
-          return reject(new Error('Missing status or transactions key'))
+          return reject(statusError('Missing status or transactions key', 'transactionsStatus', '/get_transactions_status', result))
         }
         if (result.status !== 'OK') {
-          return reject(new Error('Status not OK'))
+          return reject(statusError('Status not OK', 'transactionsStatus', '/get_transactions_status', result))
         }
         return resolve({
           transactionsInPool: result.transactionsInPool,
@@ -1132,7 +1521,7 @@ class XTCASHnetwork {
    * @memberof XTCASHnetwork
    * @typedef WalletSyncTransaction
    * @property {string} hash - the transaction hash
-   * @property {XTCASHnetwork.TransactionDetailInputKeyInput} [inputs] - the transaction inputs
+   * @property {XTCASHnetwork.TransactionDetailInputKeyInput[]} [inputs] - the transaction inputs
    * @property {XTCASHnetwork.WalletSyncTransactionOutput[]} outputs - the transaction outputs
    * @property {string} txPublicKey - the one-time public key of the transaction
    * @property {number} unlockTime - the unlock time (or block) of the transaction
@@ -1175,9 +1564,10 @@ class XTCASHnetwork {
    * @param {number} [opts.startTimestamp=0] - the timestamp to start from
    * @param {string[]} [opts.blockHashCheckpoints] - the block hash checkpoints
    * @param {boolean} [opts.skipCoinbaseTransactions=false] - whether to skip returning blocks with just coinbase transactions
+   * @param {RPCClient.CallOptions} [callOpts] - per-call options
    * @returns {Promise<XTCASHnetwork.WalletSyncDataResponse>} resolves with sync data response or rejects with error
    */
-  walletSyncData (opts) {
+  walletSyncData (opts, callOpts) {
     return new Promise((resolve, reject) => {
       opts = opts || {}
 
@@ -1202,12 +1592,12 @@ class XTCASHnetwork {
         startTimestamp: opts.startTimestamp,
         blockHashCheckpoints: opts.blockHashCheckpoints,
         skipCoinbaseTransactions: opts.skipCoinbaseTransactions
-      }).then((result) => {
+      }, this._call('walletSyncData', callOpts)).then((result) => {
         if (!result.status || !result.items) {
-          return reject(new Error('Missing items or status key'))
+          return reject(statusError('Missing items or status key', 'walletSyncData', '/getwalletsyncdata', result))
         }
         if (result.status !== 'OK') {
-          return reject(new Error('Status not OK'))
+          return reject(statusError('Status not OK', 'walletSyncData', '/getwalletsyncdata', result))
         }
         return resolve(result)
       }).catch((err) => {
@@ -1217,4 +1607,16 @@ class XTCASHnetwork {
   }
 }
 
+function statusError (message, method, endpoint, result) {
+  return new Errors.DaemonStatusError(message, {
+    method: method,
+    endpoint: endpoint,
+    body: result,
+    status: (result) ? result.status : undefined
+  })
+}
+
+XTCASHnetwork.READ_ONLY_METHODS = READ_ONLY_METHODS
+XTCASHnetwork.HIGH_PRIORITY_METHODS = HIGH_PRIORITY_METHODS
+
 module.exports = XTCASHnetwork
@@ -0,0 +1,19 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* The mock servers and the cassettes need the Node http and fs modules,
+   so they are kept apart from index.js and out of the browser build */
+const CassetteTransport = require('./lib/cassette-transport')
+const MockDaemon = require('./lib/mock-daemon')
+const MockServer = require('./lib/mock-server')
+const MockWalletAPI = require('./lib/mock-walletapi')
+
+module.exports = {
+  CassetteTransport,
+  MockDaemon,
+  MockServer,
+  MockWalletAPI
+}
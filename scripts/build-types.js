@@ -0,0 +1,583 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* Builds index.d.ts, and the response schemas used by strict mode, from
+   the JSDoc comments in lib/ so that neither drifts from the documentation.
+   Run with --check to fail instead of writing when either is out of date. */
+
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+
+const ROOT = path.join(__dirname, '..')
+const DECLARATIONS = 'index.d.ts'
+const SCHEMAS = 'lib/schemas.json'
+
+const SOURCES = [
+  'lib/errors.js',
+  'lib/transport.js',
+  'lib/fetch-transport.js',
+  'lib/retry.js',
+  'lib/limiter.js',
+  'lib/lru-store.js',
+  'lib/response-cache.js',
+  'lib/metrics-registry.js',
+  'lib/rpc-client.js',
+  'lib/batch.js',
+  'lib/header-chain.js',
+  'lib/json-file-store.js',
+  'lib/memory-store.js',
+  'lib/block-stream.js',
+  'lib/wallet-sync-stream.js',
+  'lib/range-fetcher.js',
+  'lib/chain-stats.js',
+  'lib/supply-calculator.js',
+  'lib/chain-watcher.js',
+  'lib/mempool-watcher.js',
+  'lib/transaction-tracker.js',
+  'lib/xtcashnetwork-rpc.js',
+  'lib/xtcashnetwork-pool.js',
+  'lib/walletapi-rpc.js'
+]
+
+const PRIMITIVES = ['number', 'string', 'boolean', 'bigint', 'undefined', 'null', 'void', 'Error', 'AbortSignal']
+
+/* Splits a string on a separator, ignoring separators inside <> or () */
+function splitTop (text, separator) {
+  const parts = []
+  var depth = 0
+  var current = ''
+
+  for (var i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (char === '<' || char === '(') depth++
+    if (char === '>' || char === ')') depth--
+    if (char === separator && depth === 0) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+
+  parts.push(current)
+
+  return parts.map((part) => part.trim())
+}
+
+/* Splits a dotted property name, keeping quoted names that contain dots
+   (ie. "response.blocks") whole */
+function nameParts (name) {
+  return name.match(/"[^"]*"|[^.]+/g) || []
+}
+
+/* Parses the tags of a JSDoc comment */
+function parseComment (lines) {
+  const doc = { description: [], params: [], properties: [], tags: {} }
+  var last
+
+  lines.forEach((line) => {
+    line = line.replace(/^\s*\*\s?/, '').trimRight()
+
+    if (line.indexOf('@') !== 0) {
+      if (last) {
+        if (line.trim()) last.description = (last.description + ' ' + line.trim()).trim()
+      } else if (line.trim()) {
+        doc.description.push(line.trim())
+      }
+      return
+    }
+
+    const tag = /^@(\w+)\s*(.*)$/.exec(line)
+    const name = tag[1]
+    const rest = tag[2]
+    var match
+
+    last = undefined
+
+    if (name === 'param' || name === 'property') {
+      match = /^\{([^}]*)\}\s+(\[[^\]]*\]|\S+)(?:\s+-?\s*(.*))?$/.exec(rest)
+      if (!match) return
+
+      const optional = match[2][0] === '['
+      const entry = {
+        type: match[1],
+        name: match[2].replace(/^\[|\]$/g, '').split('=')[0],
+        optional: optional,
+        description: match[3] || ''
+      }
+
+      doc[(name === 'param') ? 'params' : 'properties'].push(entry)
+      last = entry
+    } else if (name === 'returns' || name === 'return') {
+      match = /^\{([^}]*)\}\s*(.*)$/.exec(rest)
+      doc.returns = (match) ? { type: match[1], description: match[2] } : { type: '*', description: rest }
+      last = doc.returns
+    } else if (name === 'response') {
+      match = /^\{([^}]*)\}\s*(.*)$/.exec(rest)
+      if (!match) return
+      doc.response = { type: match[1], description: match[2] }
+      last = doc.response
+    } else if (name === 'typedef') {
+      match = /^(?:\{([^}]*)\}\s+)?(\S+)$/.exec(rest)
+      doc.typedef = { type: (match && match[1]) || 'Object', name: (match) ? match[2] : rest }
+    } else if (name === 'type') {
+      match = /^\{([^}]*)\}/.exec(rest)
+      if (match) doc.type = match[1]
+    } else {
+      doc.tags[name] = rest || true
+    }
+  })
+
+  return doc
+}
+
+/* Infers the type of a static from its value, or from the constant it is assigned */
+function staticType (value, source) {
+  if (value.indexOf('Object.keys(') === 0) return 'string[]'
+
+  const constant = source.split('\n').find((text) => text.indexOf('const ' + value + ' = ') === 0)
+  if (constant) value = constant.slice(('const ' + value + ' = ').length)
+
+  if (/^\[\s*-?[\d.]/.test(value)) return 'number[]'
+  if (/^\[/.test(value)) return 'string[]'
+  if (/^'/.test(value)) return 'string'
+  if (/^-?[\d.]+$/.test(value)) return 'number'
+  return '*'
+}
+
+/* Finds every JSDoc comment in the source along with the line that follows it,
+   and from those the classes, their members and their statics */
+function parseSource (file) {
+  const source = fs.readFileSync(path.join(ROOT, file)).toString()
+  const lines = source.split('\n')
+  const comments = []
+  const classes = []
+  const statics = []
+  var current
+  var pending
+  var block
+
+  lines.forEach((line, index) => {
+    if (block) {
+      /* A comment that is missing its closing marker swallows the next one */
+      if (/^\s*\/\*\*/.test(line)) throw new Error(file + ':' + (index + 1) + ' opens a comment inside another comment')
+
+      block.push(line)
+
+      if (/\*\/\s*$/.test(line)) {
+        block[block.length - 1] = line.replace(/\*\/\s*$/, '')
+        pending = parseComment(block)
+        if (pending.typedef) comments.push({ doc: pending, owner: pending.tags.memberof })
+        block = undefined
+      }
+
+      return
+    }
+
+    if (/^\s*\/\*\*/.test(line)) {
+      if (/\*\/\s*$/.test(line)) {
+        pending = parseComment([line.replace(/^\s*\/\*\*/, '').replace(/\*\/\s*$/, '')])
+        if (pending.typedef) comments.push({ doc: pending, owner: pending.tags.memberof })
+      } else {
+        block = [line.replace(/^\s*\/\*\*/, '')]
+      }
+      return
+    }
+
+    var match = /^class (\w+)(?: extends (\w+))? \{/.exec(line)
+    if (match) {
+      current = {
+        name: match[1],
+        extends: match[2],
+        doc: (pending && !pending.typedef) ? pending : undefined,
+        members: [],
+        properties: []
+      }
+      classes.push(current)
+      pending = undefined
+      return
+    }
+
+    match = /^ {2}(get |static )?(\w+) \(([^)]*)\) \{/.exec(line)
+    if (match && current) {
+      const member = {
+        kind: (match[1] === 'get ') ? 'getter' : (match[1] === 'static ') ? 'static' : (match[2] === 'constructor') ? 'constructor' : 'method',
+        name: match[2],
+        args: match[3].split(',').map((arg) => arg.trim()).filter((arg) => arg.length !== 0),
+        doc: (pending && !pending.typedef) ? pending : parseComment([])
+      }
+      current.members.push(member)
+      pending = undefined
+
+      /* The declarations are only as good as the docs, so the documented
+         parameters must match the real ones */
+      const documented = member.doc.params.map((param) => param.name).filter((name) => name.indexOf('.') === -1)
+      if (member.name[0] !== '_' && documented.length !== 0 && documented.join() !== member.args.join()) {
+        throw new Error(util.format('%s:%s documents (%s) but %s takes (%s)', file, index + 1, documented.join(', '), member.name, member.args.join(', ')))
+      }
+
+      if (member.kind === 'constructor') {
+        for (var i = index + 1; i < lines.length && !/^ {2}\}/.test(lines[i]); i++) {
+          const assignment = /^\s+this\.([a-zA-Z]\w*) = (.*)$/.exec(lines[i])
+          if (assignment) current.properties.push({ name: assignment[1], value: assignment[2], constructor: member })
+        }
+      }
+      return
+    }
+
+    match = /^(\w+)\.([A-Z][A-Z_]*) = (.*)$/.exec(line)
+    if (match) {
+      statics.push({ owner: match[1], name: match[2], type: staticType(match[3], source) })
+      return
+    }
+
+    /* Anything past the closing brace of a class is not one of its members */
+    if (/^\}/.test(line)) current = undefined
+
+    if (line.trim().length !== 0) pending = undefined
+  })
+
+  return { comments: comments, classes: classes, statics: statics }
+}
+
+function build () {
+  const parsed = SOURCES.map(parseSource)
+  const classes = [].concat.apply([], parsed.map((file) => file.classes))
+  const typedefs = [].concat.apply([], parsed.map((file) => file.comments))
+  const statics = [].concat.apply([], parsed.map((file) => file.statics))
+  const exported = Object.keys(require(path.join(ROOT, 'index.js')))
+  const known = {}
+
+  classes.forEach((cls) => { known[cls.name] = cls })
+  typedefs.forEach((entry) => {
+    known[(entry.owner) ? entry.owner + '.' + entry.doc.typedef.name : entry.doc.typedef.name] = entry
+  })
+
+  const find = (name) => classes.find((cls) => cls.name === name)
+
+  /* Converts a JSDoc type expression into a TypeScript one */
+  const mapType = (type, scope) => {
+    type = (type || '*').trim()
+
+    const union = splitTop(type, '|')
+    if (union.length > 1) return union.map((part) => wrap(mapType(part, scope))).join(' | ')
+    if (/^\(.*\)$/.test(type)) return mapType(type.slice(1, -1), scope)
+
+    var match = /^(.*)\[\]$/.exec(type)
+    if (match) return wrap(mapType(match[1], scope)) + '[]'
+
+    match = /^(Promise|Array)\.?<(.*)>$/.exec(type)
+    if (match) return (match[1] === 'Promise') ? 'Promise<' + mapType(match[2], scope) + '>' : wrap(mapType(match[2], scope)) + '[]'
+
+    /* The iteration protocol types are part of the standard lib */
+    match = /^(IteratorResult|AsyncIterableIterator)\.?<(.*)>$/.exec(type)
+    if (match) return match[1] + '<' + mapType(match[2], scope) + '>'
+
+    if (type === '*' || type === 'any') return 'any'
+    if (type === 'Object' || type === 'object') return '{ [key: string]: any }'
+    if (type === 'function') return '(...args: any[]) => any'
+    if (type === 'Array') return 'any[]'
+    if (type === 'Promise') return 'Promise<any>'
+    if (PRIMITIVES.indexOf(type.toLowerCase()) !== -1) return type.toLowerCase()
+    if (PRIMITIVES.indexOf(type) !== -1) return type
+    if (known[type]) return type
+    if (scope && known[scope + '.' + type]) return scope + '.' + type
+
+    return 'any'
+  }
+
+  const wrap = (type) => (type.indexOf(' ') !== -1) ? '(' + type + ')' : type
+
+  /* Normalizes a JSDoc type expression for the runtime validator, with
+     every typedef fully qualified and unknown names accepting anything */
+  const schemaType = (type, scope) => {
+    type = (type || '*').trim()
+
+    const union = splitTop(type, '|')
+    if (union.length > 1) return union.map((part) => schemaType(part, scope)).join('|')
+    if (/^\(.*\)$/.test(type)) return schemaType(type.slice(1, -1), scope)
+
+    var match = /^(.*)\[\]$/.exec(type)
+    if (match) return schemaArray(schemaType(match[1], scope))
+
+    match = /^(Promise|Array)\.?<(.*)>$/.exec(type)
+    if (match) return (match[1] === 'Promise') ? schemaType(match[2], scope) : schemaArray(schemaType(match[2], scope))
+
+    if (type === 'Object' || type === 'object') return 'Object'
+    if (type === 'Array') return '*[]'
+    if (['number', 'string', 'boolean', 'bigint', 'undefined', 'null'].indexOf(type.toLowerCase()) !== -1) return type.toLowerCase()
+    if (known[type] && known[type].doc) return type
+    if (scope && known[scope + '.' + type]) return scope + '.' + type
+
+    return '*'
+  }
+
+  const schemaArray = (type) => ((type.indexOf('|') !== -1) ? '(' + type + ')' : type) + '[]'
+
+  /* Builds the schema of an object from a flat list of dotted names */
+  const schemaObject = (entries, scope) => {
+    const properties = {}
+
+    entries.forEach((entry) => {
+      const parts = nameParts(entry.name).map((part) => part.replace(/^"|"$/g, ''))
+      var target = properties
+
+      for (var i = 0; i < parts.length - 1 && target; i++) {
+        target = target[parts[i]] && (target[parts[i]].properties = target[parts[i]].properties || {})
+      }
+
+      if (target) target[parts[parts.length - 1]] = { type: schemaType(entry.type, scope), optional: entry.optional }
+    })
+
+    return properties
+  }
+
+  /* Whether a class is one of the RPC clients */
+  const isClient = (cls) => {
+    for (var parent = find(cls.extends); parent; parent = find(parent.extends)) {
+      if (parent.name === 'RPCClient') return true
+    }
+    return false
+  }
+
+  /* Builds an object type from a flat list of dotted names */
+  const objectType = (entries, scope, indent) => {
+    const fields = []
+
+    entries.forEach((entry) => {
+      const parts = nameParts(entry.name)
+      if (parts.length === 1) {
+        fields.push({ entry: entry, children: [] })
+      } else {
+        const parent = fields.find((field) => field.entry.name === parts[0])
+        if (parent) parent.children.push(Object.assign({}, entry, { name: parts.slice(1).join('.') }))
+      }
+    })
+
+    return fields.map((field) => {
+      const type = (field.children.length !== 0)
+        ? '{\n' + objectType(field.children, scope, indent + '  ') + indent + '}'
+        : mapType(field.entry.type, scope)
+      const name = field.entry.name.replace(/^"(.*)"$/, '\'$1\'')
+
+      return comment([field.entry.description], indent) + indent + name + ((field.entry.optional) ? '?' : '') + ': ' + type + '\n'
+    }).join('')
+  }
+
+  const comment = (lines, indent) => {
+    lines = lines.filter((line) => line && line.length !== 0)
+    if (lines.length === 0) return ''
+    if (lines.length === 1) return indent + '/** ' + lines[0] + ' */\n'
+    return indent + '/**\n' + lines.map((line) => indent + ' * ' + line + '\n').join('') + indent + ' */\n'
+  }
+
+  /* Builds the parameter list of a constructor or method */
+  const parameters = (cls, member) => {
+    var optional = false
+
+    return member.args.map((arg) => {
+      const doc = member.doc.params.find((param) => param.name === arg)
+      const fields = member.doc.params.filter((param) => param.name.indexOf(arg + '.') === 0)
+        .map((param) => Object.assign({}, param, { name: param.name.slice(arg.length + 1) }))
+      var type = (doc) ? mapType(doc.type, cls.name) : 'any'
+
+      if (fields.length !== 0) {
+        if (member.kind === 'constructor' && arg === 'opts') {
+          type = cls.name + '.Options'
+        } else {
+          const inline = '{ ' + fields.filter((field) => field.name.indexOf('.') === -1).map((field) => {
+            return field.name + ((field.optional) ? '?' : '') + ': ' + mapType(field.type, cls.name)
+          }).join('; ') + ' }'
+
+          type = (doc && doc.type !== 'Object') ? type + ' & ' + inline : inline
+        }
+      }
+
+      optional = optional || !doc || doc.optional
+
+      return arg + ((optional) ? '?' : '') + ': ' + type
+    }).join(', ')
+  }
+
+  const memberComment = (member, indent) => {
+    const lines = member.doc.description.slice()
+
+    member.doc.params.filter((param) => param.name.indexOf('.') === -1).forEach((param) => {
+      lines.push('@param ' + param.name + ' - ' + param.description)
+    })
+    if (member.doc.returns && member.doc.returns.description) lines.push('@returns ' + member.doc.returns.description)
+
+    return comment(lines, indent)
+  }
+
+  /* Whether a class or one of the classes it extends declares the member */
+  const inherits = (cls, name) => {
+    for (var parent = find(cls.extends); parent; parent = find(parent.extends)) {
+      if (parent.members.some((member) => member.name === name)) return true
+      if (parent.properties.some((property) => property.name === name)) return true
+    }
+    return false
+  }
+
+  /* The type of a property assigned from a constructor option */
+  const propertyType = (cls, property) => {
+    const member = property.constructor
+    const source = member.args.find((arg) => new RegExp('\\b' + arg + '\\.' + property.name + '\\b').test(property.value))
+    if (!source) return 'any'
+
+    const option = member.doc.params.find((param) => param.name === source + '.' + property.name)
+    const created = /new (\w+)\(/.exec(property.value)
+
+    /* An option that is either a plain object of settings or an instance
+       ends up as the instance */
+    if (option && created && find(created[1])) {
+      const types = splitTop(option.type, '|').map((type) => (type === 'Object') ? created[1] : type)
+      return mapType(types.filter((type, index) => types.indexOf(type) === index).join('|'), cls.name)
+    }
+    if (option) return mapType(option.type, cls.name)
+
+    const param = member.doc.params.find((param) => param.name === source)
+    const typedef = param && known[param.type]
+    const field = typedef && typedef.doc && typedef.doc.properties.find((entry) => entry.name === property.name)
+
+    return (field) ? mapType(field.type, cls.name) : 'any'
+  }
+
+  var output = '// Generated from the JSDoc comments in lib/ by scripts/build-types.js, do not edit by hand\n\n'
+
+  /* Minimal stand-ins so that the declarations work without @types/node or the DOM lib */
+  output += 'interface AbortSignal {\n  readonly aborted: boolean\n  addEventListener (type: \'abort\', listener: () => void): void\n  removeEventListener (type: \'abort\', listener: () => void): void\n}\n\n'
+  output += 'declare class EventEmitter {\n'
+  output += ['on', 'once', 'addListener', 'removeListener', 'off'].map((name) => {
+    return '  ' + name + ' (event: string | symbol, listener: (...args: any[]) => void): this\n'
+  }).join('')
+  output += '  removeAllListeners (event?: string | symbol): this\n  emit (event: string | symbol, ...args: any[]): boolean\n  listenerCount (event: string | symbol): number\n}\n\n'
+
+  typedefs.filter((entry) => !entry.owner).forEach((entry) => {
+    output += comment(entry.doc.description, '')
+    output += 'export interface ' + entry.doc.typedef.name + ' {\n' + objectType(entry.doc.properties, undefined, '  ') + '}\n\n'
+  })
+
+  classes.forEach((cls) => {
+    const prefix = (exported.indexOf(cls.name) !== -1) ? 'export declare ' : 'declare '
+    const ctor = cls.members.find((member) => member.kind === 'constructor')
+    const options = (ctor) ? ctor.doc.params.filter((param) => param.name.indexOf('opts.') === 0) : []
+    const ownTypedefs = typedefs.filter((entry) => entry.owner === cls.name)
+    const seen = {}
+
+    output += comment((cls.doc) ? cls.doc.description : [], '')
+    const implemented = (cls.doc && typeof cls.doc.tags.implements === 'string') ? /^\{(.*)\}$/.exec(cls.doc.tags.implements) : undefined
+
+    output += prefix + 'class ' + cls.name + ((cls.extends) ? ' extends ' + cls.extends : '') +
+      ((implemented) ? ' implements ' + mapType(implemented[1], cls.name) : '') + ' {\n'
+
+    statics.filter((entry) => entry.owner === cls.name).forEach((entry) => {
+      output += '  static readonly ' + entry.name + ': ' + mapType(entry.type, cls.name) + '\n'
+    })
+
+    cls.properties.forEach((property) => {
+      if (seen[property.name] || inherits(cls, property.name)) return
+      if (cls.members.some((member) => member.name === property.name)) return
+      seen[property.name] = true
+
+      output += '  ' + property.name + ': ' + propertyType(cls, property) + '\n'
+    })
+
+    cls.members.forEach((member) => {
+      if (member.name[0] === '_' || member.doc.tags.private) return
+
+      output += memberComment(member, '  ')
+
+      if (member.kind === 'constructor') {
+        output += '  constructor (' + parameters(cls, member) + ')\n'
+      } else if (member.kind === 'getter') {
+        output += '  readonly ' + member.name + ': ' + mapType(member.doc.type, cls.name) + '\n'
+      } else {
+        const returns = (member.doc.returns) ? mapType(member.doc.returns.type, cls.name) : 'void'
+        output += '  ' + ((member.kind === 'static') ? 'static ' : '') + member.name + ' (' + parameters(cls, member) + '): ' + returns + '\n'
+      }
+    })
+
+    if (implemented && /^AsyncIterableIterator/.test(implemented[1])) output += '  [Symbol.asyncIterator] (): this\n'
+
+    output += '}\n\n'
+
+    if (options.length === 0 && ownTypedefs.length === 0) return
+
+    output += prefix + 'namespace ' + cls.name + ' {\n'
+
+    if (options.length !== 0) {
+      const parent = find(cls.extends)
+      const inheritsOptions = parent && parent.members.some((member) => {
+        return member.kind === 'constructor' && member.doc.params.some((param) => param.name.indexOf('opts.') === 0)
+      })
+
+      output += '  interface Options' + ((inheritsOptions) ? ' extends ' + parent.name + '.Options' : '') + ' {\n'
+      output += objectType(options.map((param) => Object.assign({}, param, { name: param.name.slice(5) })), cls.name, '    ')
+      output += '  }\n'
+    }
+
+    ownTypedefs.forEach((entry) => {
+      output += '\n' + comment(entry.doc.description, '  ')
+
+      if (entry.doc.properties.length === 0 && entry.doc.typedef.type !== 'Object') {
+        output += '  type ' + entry.doc.typedef.name + ' = ' + mapType(entry.doc.typedef.type, cls.name) + '\n'
+      } else {
+        output += '  interface ' + entry.doc.typedef.name + ' {\n' + objectType(entry.doc.properties, cls.name, '    ') + '  }\n'
+      }
+    })
+
+    output += '}\n\n'
+  })
+
+  const schemas = { types: {}, methods: {}, responses: {} }
+
+  typedefs.forEach((entry) => {
+    const name = (entry.owner) ? entry.owner + '.' + entry.doc.typedef.name : entry.doc.typedef.name
+
+    schemas.types[name] = (entry.doc.properties.length === 0 && entry.doc.typedef.type !== 'Object')
+      ? { alias: schemaType(entry.doc.typedef.type, entry.owner) }
+      : { properties: schemaObject(entry.doc.properties, entry.owner) }
+  })
+
+  classes.filter(isClient).forEach((cls) => {
+    cls.members.forEach((member) => {
+      if (member.kind !== 'method' || member.name[0] === '_' || !member.doc.returns) return
+      if (!/^Promise\.?<.*>$/.test(member.doc.returns.type)) return
+
+      schemas.methods[cls.name] = schemas.methods[cls.name] || {}
+      schemas.methods[cls.name][member.name] = schemaType(member.doc.returns.type, cls.name)
+
+      if (!member.doc.response) return
+
+      schemas.responses[cls.name] = schemas.responses[cls.name] || {}
+      schemas.responses[cls.name][member.name] = schemaType(member.doc.response.type, cls.name)
+    })
+  })
+
+  const files = {}
+  files[DECLARATIONS] = output + 'export {}\n'
+  files[SCHEMAS] = JSON.stringify(schemas, null, 2) + '\n'
+
+  return files
+}
+
+const files = build()
+const check = process.argv.indexOf('--check') !== -1
+
+Object.keys(files).forEach((file) => {
+  const target = path.join(ROOT, file)
+
+  if (!check) return fs.writeFileSync(target, files[file])
+
+  const current = (fs.existsSync(target)) ? fs.readFileSync(target).toString() : ''
+
+  if (current !== files[file]) {
+    console.error('%s is out of date, run npm run build-types', file)
+    process.exitCode = 1
+  }
+})
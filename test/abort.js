@@ -0,0 +1,71 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { AbortError } = require('..')
+const { abortController, daemonClient, delay, mockDaemon, mockWallet, rejects, walletClient } = require('./helpers')
+
+test('aborting rejects the call in flight with an AbortError', (t) => {
+  return mockDaemon(t).then((mock) => {
+    const controller = abortController()
+
+    mock.inject({ path: '/info', latency: 1000 })
+    setTimeout(() => controller.abort(), 20)
+
+    const started = Date.now()
+
+    return rejects(daemonClient(mock).info({ signal: controller.signal })).then((err) => {
+      t.ok(err instanceof AbortError)
+      t.equal(err.method, 'info')
+      t.ok(Date.now() - started < 1000, 'does not wait for the response')
+    })
+  })
+})
+
+test('a signal aborted beforehand sends nothing', (t) => {
+  return mockDaemon(t).then((mock) => {
+    const controller = abortController()
+
+    controller.abort()
+
+    return rejects(daemonClient(mock).height({ signal: controller.signal })).then((err) => {
+      t.ok(err instanceof AbortError)
+      t.equal(mock.requests.length, 0)
+    })
+  })
+})
+
+test('aborting stops the retries', (t) => {
+  return mockDaemon(t).then((mock) => {
+    const controller = abortController()
+    const daemon = daemonClient(mock, { retry: { minDelay: 200, maxDelay: 200, jitter: 0, maxAttempts: 5 } })
+
+    mock.inject({ path: '/height', status: 503 })
+
+    const call = rejects(daemon.height({ signal: controller.signal }))
+
+    return delay(50).then(() => {
+      controller.abort()
+      return call
+    }).then((err) => {
+      t.ok(err instanceof AbortError)
+      t.equal(mock.requests.length, 1, 'no retry after the abort')
+    })
+  })
+})
+
+test('WalletAPI calls can be aborted too', (t) => {
+  return mockWallet(t).then((mock) => {
+    const controller = abortController()
+
+    mock.inject({ path: '/status', latency: 1000 })
+    setTimeout(() => controller.abort(), 20)
+
+    return rejects(walletClient(mock).status({ signal: controller.signal })).then((err) => {
+      t.ok(err instanceof AbortError)
+    })
+  })
+})
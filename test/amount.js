@@ -0,0 +1,42 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* global BigInt */
+
+const test = require('tape')
+const { WalletAPI } = require('..')
+
+const wallet = (amountMode) => new WalletAPI({ password: 'password', amountMode: amountMode })
+
+test('toAtomicUnits parses decimal amounts exactly', (t) => {
+  const client = wallet()
+
+  t.equal(client.toAtomicUnits(0.29), 29000000)
+  t.equal(client.toAtomicUnits('1.00000001'), 100000001)
+  t.throws(() => client.toAtomicUnits('0.000000001'), /decimal places/)
+  t.throws(() => client.toAtomicUnits(-1), /negative/)
+  t.end()
+})
+
+test('fromAtomicUnits converts as set by amountMode', (t) => {
+  t.equal(wallet('number').fromAtomicUnits(29000000), 0.29)
+  t.equal(wallet('string').fromAtomicUnits('29000000'), '0.29')
+  t.equal(wallet('string').fromAtomicUnits('18446744073709551615'), '184467440737.09551615', 'string mode is exact past MAX_SAFE_INTEGER')
+
+  if (typeof BigInt === 'function') t.equal(wallet('bigint').fromAtomicUnits(29000000), BigInt(29000000))
+  t.end()
+})
+
+test('fromAtomicUnits rejects amounts with decimals in every mode', (t) => {
+  const modes = ['number', 'string'].concat((typeof BigInt === 'function') ? ['bigint'] : [])
+
+  modes.forEach((mode) => {
+    t.throws(() => wallet(mode).fromAtomicUnits(0.29), /not an integer/, mode)
+    t.throws(() => wallet(mode).fromAtomicUnits('1.5'), /not an integer/, mode)
+    t.throws(() => wallet(mode).fromAtomicUnits('abc'), /not a number/, mode)
+  })
+  t.end()
+})
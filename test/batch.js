@@ -0,0 +1,135 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { HttpStatusError, HttpTransport, ResponseValidationError } = require('..')
+const { daemonClient, mockDaemon } = require('./helpers')
+
+const batches = (mock) => mock.requests.filter((request) => Array.isArray(request.body))
+
+/* Hands back the entries of batch responses in reverse order */
+function reversingTransport () {
+  const transport = new HttpTransport()
+
+  return {
+    request: (opts) => transport.request(opts).then((response) => {
+      const body = JSON.parse(response.body)
+
+      return Object.assign({}, response, { body: JSON.stringify((Array.isArray(body)) ? body.reverse() : body) })
+    })
+  }
+}
+
+test('batch results are matched to their calls by id', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const daemon = daemonClient(mock, { transport: reversingTransport() })
+
+    return daemon.batch()
+      .blockHeaderByHeight(1)
+      .blockHeaderByHeight(2)
+      .blockCount()
+      .execute()
+      .then((results) => {
+        t.deepEqual(results.map((entry) => entry.method), ['blockHeaderByHeight', 'blockHeaderByHeight', 'blockCount'])
+        t.equal(results[0].result.height, 1)
+        t.equal(results[1].result.height, 2)
+        t.equal(results[2].result, 10)
+        t.equal(batches(mock).length, 1, 'sent as a single batch')
+      })
+  })
+})
+
+test('batches are split by batchSize and failures stay with their entry', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    return daemonClient(mock).batch({ batchSize: 2 })
+      .blockHeaderByHeight(1)
+      .blockHeaderByHeight(500)
+      .blockHeaderByHeight(3)
+      .execute()
+      .then((results) => {
+        t.equal(batches(mock).length, 2)
+        t.equal(results[0].success, true)
+        t.equal(results[1].success, false)
+        t.ok(results[1].error, 'the missing height fails its own entry')
+        t.equal(results[2].result.height, 3)
+      })
+  })
+})
+
+test('a daemon that cannot parse batches gets the calls one at a time', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const daemon = daemonClient(mock)
+
+    mock.inject({
+      path: '/json_rpc',
+      status: 400,
+      body: { jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' } },
+      times: 1
+    })
+
+    return daemon.batch().blockHeaderByHeight(1).blockCount().execute().then((results) => {
+      t.ok(results.every((entry) => entry.success))
+      t.equal(results[0].result.height, 1)
+
+      return daemon.batch().blockCount().execute()
+    }).then((results) => {
+      t.equal(results[0].result, 10)
+      t.equal(batches(mock).length, 1, 'batching is not tried again')
+    })
+  })
+})
+
+test('a transient status error fails the chunk without giving up on batching', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const daemon = daemonClient(mock, { retry: false })
+
+    mock.inject({ path: '/json_rpc', status: 503, times: 1 })
+
+    return daemon.batch().blockCount().blockHeaderByHeight(1).execute().then((results) => {
+      t.ok(results.every((entry) => !entry.success && entry.error instanceof HttpStatusError))
+
+      return daemon.batch().blockCount().execute()
+    }).then((results) => {
+      t.equal(results[0].result, 10)
+      t.equal(batches(mock).length, 2, 'the next batch is sent as a batch')
+    })
+  })
+})
+
+test('a result that cannot be unwrapped fails its own entry only', (t) => {
+  const transport = {
+    request: () => Promise.resolve({
+      statusCode: 200,
+      body: JSON.stringify([
+        { jsonrpc: '2.0', id: 0, result: { count: 7, status: 'OK' } },
+        { jsonrpc: '2.0', id: 1, result: null }
+      ])
+    })
+  }
+
+  const daemon = daemonClient({ port: 1 }, { transport: transport })
+
+  return daemon.batch().blockCount().lastBlockHeader().execute().then((results) => {
+    t.equal(results[0].success, true)
+    t.equal(results[0].result, 7)
+    t.equal(results[1].success, false)
+    t.ok(results[1].error)
+  })
+})
+
+test('strict mode checks every batch result', (t) => {
+  const transport = {
+    request: () => Promise.resolve({
+      statusCode: 200,
+      body: JSON.stringify([{ jsonrpc: '2.0', id: 0, result: { count: 'seven', status: 'OK' } }])
+    })
+  }
+
+  return daemonClient({ port: 1 }, { transport: transport, strict: true }).batch().blockCount().execute().then((results) => {
+    t.equal(results[0].success, false)
+    t.ok(results[0].error instanceof ResponseValidationError)
+  })
+})
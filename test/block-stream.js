@@ -0,0 +1,82 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { AbortError } = require('..')
+const { abortController, collect, daemonClient, mockDaemon, rejects } = require('./helpers')
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (value, index) => from + index)
+
+test('streamBlocks yields every block of the chain in order, page after page', (t) => {
+  return mockDaemon(t, { height: 250 }).then((mock) => {
+    return collect(daemonClient(mock).streamBlocks()).then((blocks) => {
+      t.deepEqual(blocks.map((block) => block.index), range(0, 249))
+      t.equal(blocks[249].hash, mock.tip.hash)
+    })
+  })
+})
+
+test('streamBlocks yields lite blocks between two heights', (t) => {
+  return mockDaemon(t, { height: 250 }).then((mock) => {
+    return collect(daemonClient(mock).streamBlocks({ fromHeight: 120, toHeight: 130, detailed: false })).then((blocks) => {
+      t.deepEqual(blocks.map((block) => block.height), range(120, 130))
+      t.equal(blocks[0].hash, mock.block(120).hash)
+    })
+  })
+})
+
+test('streamBlocks starts from the first block at or after fromTimestamp', (t) => {
+  return mockDaemon(t, { height: 250 }).then((mock) => {
+    return collect(daemonClient(mock).streamBlocks({ fromTimestamp: mock.block(200).timestamp })).then((blocks) => {
+      t.equal(blocks[0].index, 200)
+      t.equal(blocks.length, 50)
+    })
+  })
+})
+
+test('a waiting stream follows the top of the chain and yields the new chain after a reorg', (t) => {
+  return mockDaemon(t, { height: 250 }).then((mock) => {
+    const stream = daemonClient(mock).streamBlocks({ fromHeight: 245, wait: true, pollInterval: 20 })
+    const reorgs = []
+
+    stream.on('reorg', (reorg) => reorgs.push(reorg))
+
+    return collect(stream, 9, (block, index) => {
+      if (index === 4) setTimeout(() => mock.reorg(3, 4), 10)
+    }).then((blocks) => {
+      t.equal(reorgs.length, 1)
+      t.equal(reorgs[0].height, 247, 'yields again from the first block replaced')
+      t.deepEqual(blocks.map((block) => block.index), [245, 246, 247, 248, 249, 247, 248, 249, 250])
+      t.deepEqual(blocks.slice(5).map((block) => block.hash), range(247, 250).map((height) => mock.block(height).hash))
+    })
+  })
+})
+
+test('return() stops a stream waiting for blocks', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const stream = daemonClient(mock).streamBlocks({ fromHeight: 10, wait: true, pollInterval: 10000 })
+    const pending = stream.next()
+
+    setTimeout(() => stream.return(), 20)
+
+    return pending.then((result) => {
+      t.equal(result.done, true)
+    })
+  })
+})
+
+test('aborting the signal rejects the pending next()', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const controller = abortController()
+    const stream = daemonClient(mock).streamBlocks({ fromHeight: 10, wait: true, pollInterval: 10000, signal: controller.signal })
+
+    setTimeout(() => controller.abort(), 20)
+
+    return rejects(stream.next()).then((err) => {
+      t.ok(err instanceof AbortError)
+    })
+  })
+})
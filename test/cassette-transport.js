@@ -0,0 +1,103 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('tape')
+const { UnmatchedRequestError } = require('..')
+const { CassetteTransport } = require('../mock')
+const { daemonClient, mockDaemon, mockWallet, rejects, walletClient } = require('./helpers')
+
+/* A cassette path in a directory removed once the test has ended */
+function cassette (t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'))
+
+  t.teardown(() => {
+    fs.readdirSync(directory).forEach((file) => fs.unlinkSync(path.join(directory, file)))
+    fs.rmdirSync(directory)
+  })
+
+  return path.join(directory, 'cassette.ndjson')
+}
+
+test('exchanges recorded are replayed without a network', (t) => {
+  const file = cassette(t)
+
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const recorder = new CassetteTransport({ path: file, mode: 'record' })
+    const daemon = daemonClient(mock, { transport: recorder })
+
+    return Promise.all([daemon.info(), daemon.blockHeaderByHeight(5)]).then((recorded) => {
+      return recorder.flush().then(() => mock.stop()).then(() => {
+        const replayed = daemonClient(mock, { transport: new CassetteTransport({ path: file }) })
+
+        return Promise.all([replayed.info(), replayed.blockHeaderByHeight(5)])
+      }).then((replayed) => {
+        t.deepEqual(replayed, recorded)
+        t.equal(fs.readFileSync(file).toString().trim().split('\n').length, 2, 'one line per exchange')
+      })
+    })
+  })
+})
+
+test('the API key is not written to the cassette', (t) => {
+  const file = cassette(t)
+
+  return mockWallet(t, { password: 'secret-key' }).then((mock) => {
+    const recorder = new CassetteTransport({ path: file, mode: 'record' })
+
+    return walletClient(mock, { transport: recorder }).status().then(() => recorder.flush()).then(() => {
+      const text = fs.readFileSync(file).toString()
+
+      t.equal(text.indexOf('secret-key'), -1)
+      t.equal(JSON.parse(text).request.headers['X-API-KEY'], '[REDACTED]')
+    })
+  })
+})
+
+test('requests recorded more than once are replayed in order, the last one repeating', (t) => {
+  const file = cassette(t)
+
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const recorder = new CassetteTransport({ path: file, mode: 'record' })
+    const daemon = daemonClient(mock, { transport: recorder })
+
+    return daemon.height().then(() => {
+      mock.mine(1)
+      return daemon.height()
+    }).then(() => recorder.flush()).then(() => {
+      const replayed = daemonClient(mock, { transport: new CassetteTransport({ path: file }) })
+
+      return Promise.all([replayed.height(), replayed.height(), replayed.height()])
+    }).then((heights) => {
+      t.deepEqual(heights.map((height) => height.height), [20, 21, 21])
+    })
+  })
+})
+
+test('a request that was never recorded rejects with an UnmatchedRequestError', (t) => {
+  const file = cassette(t)
+
+  fs.writeFileSync(file, '')
+
+  const daemon = daemonClient({ port: 1 }, { transport: new CassetteTransport({ path: file }), retry: false })
+
+  return rejects(daemon.info()).then((err) => {
+    t.ok(err instanceof UnmatchedRequestError)
+    t.equal(err.request.path, '/info')
+  })
+})
+
+test('auto mode records while the cassette does not exist and replays afterwards', (t) => {
+  const file = cassette(t)
+
+  t.equal(new CassetteTransport({ path: file, mode: 'auto' }).mode, 'record')
+  fs.writeFileSync(file, '')
+  t.equal(new CassetteTransport({ path: file, mode: 'auto' }).mode, 'replay')
+  t.throws(() => new CassetteTransport({ path: file, mode: 'rewind' }), /mode must be one of/)
+  t.end()
+})
@@ -0,0 +1,171 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { ChainStats } = require('..')
+const { daemonClient, mockDaemon, rejects } = require('./helpers')
+
+/* The number of block headers requested so far */
+const headerCalls = (mock) => mock.requests.filter((request) => request.body && request.body.method === 'getblockheaderbyhash').length
+
+test('range computes the statistics of the blocks between two heights', (t) => {
+  return mockDaemon(t, { height: 50, blockTime: 30, difficulty: 90000 }).then((mock) => {
+    const stats = new ChainStats(daemonClient(mock))
+
+    return stats.range(10, 19).then((result) => {
+      t.equal(result.fromHeight, 10)
+      t.equal(result.toHeight, 19)
+      t.equal(result.fromTimestamp, mock.block(10).timestamp)
+      t.equal(result.toTimestamp, mock.block(19).timestamp)
+      t.equal(result.blocks, 10)
+      t.deepEqual(result.blockTime, { count: 10, mean: 30, median: 30, p95: 30, min: 30, max: 30 }, 'the block before the range gives the time of the first')
+      t.equal(result.difficulty.mean, 90000)
+      t.equal(result.difficultyTrend, 0)
+      t.equal(result.hashrate, 3000)
+      t.equal(result.orphanRate, undefined, 'no alternative blocks were counted before the range')
+      t.equal(result.fees.count, 0, 'block headers carry no fees')
+      t.equal(stats.size, 11)
+      t.equal(stats.height, 19)
+    })
+  })
+})
+
+test('only the heights missing are fetched', (t) => {
+  return mockDaemon(t, { height: 50 }).then((mock) => {
+    const stats = new ChainStats(daemonClient(mock))
+
+    return stats.range(10, 19).then(() => {
+      t.equal(headerCalls(mock), 11)
+
+      return stats.range(15, 24)
+    }).then(() => {
+      t.equal(headerCalls(mock), 16, 'only 20 to 24')
+
+      return stats.range(12, 18)
+    }).then(() => {
+      t.equal(headerCalls(mock), 16, 'nothing to fetch')
+    })
+  })
+})
+
+test('the fees option reads block summaries', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    mock.addTransaction({ fee: 50 })
+    mock.addTransaction({ fee: 70 })
+    mock.mine(2)
+
+    return new ChainStats(daemonClient(mock), { fees: true }).range(10, 11).then((result) => {
+      t.deepEqual([result.fees.min, result.fees.max, result.fees.count], [0, 120, 2])
+      t.equal(result.transactions.max, result.transactions.min + 2)
+    })
+  })
+})
+
+test('window finds the blocks mined between two timestamps', (t) => {
+  return mockDaemon(t, { height: 50 }).then((mock) => {
+    const stats = new ChainStats(daemonClient(mock))
+
+    return stats.window(mock.block(20).timestamp, mock.block(29).timestamp + 10).then((result) => {
+      t.equal(result.fromHeight, 20)
+      t.equal(result.toHeight, 29)
+
+      return stats.window(mock.block(45).timestamp)
+    }).then((result) => {
+      t.equal(result.fromHeight, 45)
+      t.equal(result.toHeight, 49, 'up to the top of the chain')
+
+      return rejects(stats.window(mock.tip.timestamp + 1000, mock.tip.timestamp + 2000))
+    }).then((err) => {
+      t.ok(/No block was mined/.test(err.message))
+    })
+  })
+})
+
+test('rolling computes a window of blocks ending at every step', (t) => {
+  return mockDaemon(t, { height: 50 }).then((mock) => {
+    return new ChainStats(daemonClient(mock)).rolling(20, 30, 5, 5).then((windows) => {
+      t.deepEqual(windows.map((window) => [window.fromHeight, window.toHeight, window.blocks]), [[16, 20, 5], [21, 25, 5], [26, 30, 5]])
+
+      return rejects(new ChainStats(daemonClient(mock)).rolling(20, 30, 0))
+    }).then((err) => {
+      t.ok(/number of blocks/.test(err.message))
+    })
+  })
+})
+
+test('daily groups the blocks by the UTC day they were mined', (t) => {
+  return mockDaemon(t, { height: 12, startTimestamp: 1546300800, blockTime: 21600 }).then((mock) => {
+    return new ChainStats(daemonClient(mock)).daily(0, 11).then((days) => {
+      t.deepEqual(days.map((day) => [day.day, day.blocks, day.fromHeight]), [['2019-01-01', 4, 0], ['2019-01-02', 4, 4], ['2019-01-03', 4, 8]])
+      t.equal(days[1].blockTime.mean, 21600)
+    })
+  })
+})
+
+test('update drops the blocks a reorg replaced and fetches the new ones', (t) => {
+  return mockDaemon(t, { height: 50 }).then((mock) => {
+    const stats = new ChainStats(daemonClient(mock))
+
+    return stats.update().then((added) => {
+      t.equal(added, 0, 'nothing to follow while empty')
+
+      return stats.range(40, 49)
+    }).then(() => {
+      mock.reorg(3, 5)
+
+      return stats.update()
+    }).then((added) => {
+      t.equal(added, 5)
+      t.equal(stats.height, 51)
+
+      return stats.range(45, 51)
+    }).then((result) => {
+      t.equal(result.blocks, 7)
+      t.equal(result.toTimestamp, mock.tip.timestamp)
+    })
+  })
+})
+
+test('the orphan rate comes from the alternative blocks counted around the range', (t) => {
+  return mockDaemon(t, { height: 50, altBlocks: 3 }).then((mock) => {
+    const stats = new ChainStats(daemonClient(mock))
+
+    return stats.range(40, 49).then(() => {
+      mock.mine(8)
+      mock.reorg(2, 2)
+
+      return stats.update()
+    }).then(() => {
+      return Promise.all([stats.range(50, 57), stats.range(40, 57), stats.rolling(57, 57, 4)])
+    }).then((results) => {
+      t.equal(results[0].orphanRate, 0.2, '2 of the 10 blocks found above 49 were replaced')
+      t.equal(results[1].orphanRate, undefined, 'nothing was counted before 40')
+      t.equal(results[2][0].orphanRate, 0.2, 'a window within the counts gets their rate')
+    })
+  })
+})
+
+test('add and remove feed the blocks by hand, the lowest are dropped past maxBlocks', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const client = daemonClient(mock)
+    const stats = new ChainStats(client, { maxBlocks: 5 })
+
+    return client.blockHeadersRange(0, 9).toArray().then((headers) => {
+      stats.add(headers.reverse())
+
+      t.equal(stats.size, 5)
+      t.equal(stats.height, 9)
+
+      stats.remove(8)
+
+      t.equal(stats.height, 7)
+
+      return rejects(stats.range(5, 4))
+    }).then((err) => {
+      t.ok(/start height/.test(err.message))
+    })
+  })
+})
@@ -0,0 +1,196 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const ChainWatcher = require('../lib/chain-watcher')
+const { daemonClient, delay, mockDaemon } = require('./helpers')
+
+/* Records the events of a watcher */
+function record (watcher) {
+  const events = { block: [], reorg: [], stalled: [], error: [] }
+
+  Object.keys(events).forEach((name) => watcher.on(name, (value) => events[name].push(value)))
+
+  return events
+}
+
+test('emits every block from fromHeight, then the blocks mined between polls', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const watcher = daemonClient(mock).watchChain({ fromHeight: 15, autoStart: false })
+    const events = record(watcher)
+
+    return watcher.poll().then(() => {
+      t.deepEqual(events.block.map((header) => header.height), [15, 16, 17, 18, 19])
+
+      mock.mine(3)
+
+      return watcher.poll()
+    }).then(() => {
+      t.deepEqual(events.block.slice(5).map((header) => header.height), [20, 21, 22], 'looks up the blocks between two polls')
+      t.equal(events.block[7].hash, mock.tip.hash)
+      t.equal(watcher.height, 22)
+
+      return watcher.poll()
+    }).then(() => {
+      t.equal(events.block.length, 8, 'nothing new, nothing emitted')
+      t.deepEqual(events.reorg, [])
+    })
+  })
+})
+
+test('starts from the top of the chain by default', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const watcher = daemonClient(mock).watchChain({ autoStart: false })
+    const events = record(watcher)
+
+    return watcher.poll().then(() => {
+      t.deepEqual(events.block, [])
+      t.equal(watcher.height, 19)
+
+      mock.mine(1)
+
+      return watcher.poll()
+    }).then(() => {
+      t.deepEqual(events.block.map((header) => header.height), [20])
+    })
+  })
+})
+
+test('a reorg lists the blocks detached and attached, then emits the latter', (t) => {
+  return mockDaemon(t, { height: 30 }).then((mock) => {
+    const watcher = daemonClient(mock).watchChain({ fromHeight: 20, autoStart: false })
+    const events = record(watcher)
+
+    return watcher.poll().then(() => {
+      const before = events.block.slice()
+
+      events.block = []
+      mock.reorg(3, 5)
+
+      return watcher.poll().then(() => {
+        t.equal(events.reorg.length, 1)
+
+        const reorg = events.reorg[0]
+
+        t.equal(reorg.height, 26)
+        t.deepEqual(reorg.detached.map((header) => header.hash), before.slice(-3).map((header) => header.hash))
+        t.deepEqual(reorg.attached.map((header) => header.height), [27, 28, 29, 30, 31])
+        t.deepEqual(events.block.map((header) => header.hash), [27, 28, 29, 30, 31].map((height) => mock.block(height).hash))
+        t.equal(watcher.height, 31)
+      })
+    })
+  })
+})
+
+test('a reorg deeper than every block held rescans below them instead of failing', (t) => {
+  return mockDaemon(t, { height: 60 }).then((mock) => {
+    const client = daemonClient(mock)
+    var armed = false
+    var asked = 0
+
+    /* Replaces the chain again while the first reorg looks up its blocks, so
+       that it ends without attaching any and keeps nothing */
+    const moving = {
+      height: (callOpts) => client.height(callOpts),
+      lastBlockHeader: (callOpts) => client.lastBlockHeader(callOpts),
+      blockHeaderByHeight: (height, callOpts) => {
+        if (armed && height === 52 && ++asked === 2) mock.reorg(20)
+
+        return client.blockHeaderByHeight(height, callOpts)
+      }
+    }
+
+    const watcher = new ChainWatcher(moving, { fromHeight: 40, maxDepth: 3, autoStart: false })
+    const events = record(watcher)
+
+    return watcher.poll().then(() => {
+      armed = true
+      mock.reorg(8)
+
+      return watcher.poll()
+    }).then(() => {
+      t.equal(events.reorg.length, 1)
+      t.equal(events.reorg[0].height, 51)
+      t.deepEqual(events.reorg[0].attached, [], 'the chain moved during the lookup')
+
+      return watcher.poll()
+    }).then(() => {
+      t.deepEqual(events.error, [], 'no error')
+      t.equal(events.reorg.length, 2)
+      t.equal(events.reorg[1].height, 48, 'maxDepth blocks below the last block emitted')
+      t.deepEqual(events.reorg[1].attached.map((header) => header.hash), mock.blocks.slice(49).map((block) => block.hash))
+      t.equal(watcher.height, mock.tip.height)
+    })
+  })
+})
+
+test('a height that does not move is reported as stalled, once', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const watcher = daemonClient(mock).watchChain({ stallTimeout: 30, autoStart: false })
+    const events = record(watcher)
+
+    return watcher.poll().then(() => delay(40)).then(() => watcher.poll()).then(() => watcher.poll()).then(() => {
+      t.equal(events.stalled.length, 1)
+      t.equal(events.stalled[0].height, 19)
+      t.ok(events.stalled[0].duration >= 30)
+      t.equal(events.stalled[0].error, undefined)
+
+      mock.mine(1)
+
+      return watcher.poll().then(() => delay(40)).then(() => watcher.poll())
+    }).then(() => {
+      t.equal(events.stalled.length, 2, 'a new block resets the stall')
+    })
+  })
+})
+
+test('a daemon that cannot be reached is reported as stalled, with or without an error listener', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const client = daemonClient(mock, { retry: false, timeout: 1000 })
+    const silent = client.watchChain({ stallTimeout: 30, autoStart: false })
+    const listened = client.watchChain({ stallTimeout: 30, autoStart: false })
+    const stalls = []
+    const errors = []
+
+    silent.on('stalled', (stall) => stalls.push(stall))
+    listened.on('error', (err) => errors.push(err))
+
+    return mock.stop().then(() => Promise.all([silent.poll(), listened.poll()])).then(() => {
+      t.equal(errors.length, 1, 'the error is emitted when listened to')
+      t.deepEqual(stalls, [], 'not stalled yet')
+
+      return delay(40)
+    }).then(() => silent.poll()).then(() => {
+      t.equal(stalls.length, 1, 'polling failures without a listener surface as a stall')
+      t.equal(stalls[0].height, -1)
+      t.ok(stalls[0].error instanceof Error, 'the stall carries the last error')
+    })
+  })
+})
+
+test('start polls on an interval until stopped', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const watcher = daemonClient(mock).watchChain({ interval: 10 })
+    const events = record(watcher)
+
+    t.equal(watcher.running, true)
+
+    return delay(30).then(() => {
+      mock.mine(2)
+      return delay(60)
+    }).then(() => {
+      watcher.stop()
+
+      t.equal(watcher.running, false)
+      t.deepEqual(events.block.map((header) => header.height), [20, 21])
+
+      mock.mine(1)
+      return delay(40)
+    }).then(() => {
+      t.equal(events.block.length, 2, 'nothing after stop')
+    })
+  })
+})
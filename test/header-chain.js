@@ -0,0 +1,186 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('tape')
+const { HeaderChain, JsonFileStore, MemoryStore } = require('..')
+const { daemonClient, mockDaemon } = require('./helpers')
+
+/* The headers of the blocks of a mock daemon, between two heights */
+const headers = (mock, from, to) => mock.blocks.slice(from, to + 1).map((block) => {
+  return { height: block.height, hash: block.hash, prevHash: block.prevHash }
+})
+
+test('checkpointHeights counts down by one, then doubles the step, and ends at genesis', (t) => {
+  t.deepEqual(HeaderChain.checkpointHeights(20), [20, 19, 18, 17, 16, 15, 14, 13, 12, 11, 10, 8, 4, 0])
+  t.deepEqual(HeaderChain.checkpointHeights(3), [3, 2, 1, 0])
+  t.deepEqual(HeaderChain.checkpointHeights(0), [0])
+  t.deepEqual(HeaderChain.checkpointHeights(-1), [])
+  t.end()
+})
+
+test('add links headers and stops at the first one that does not', (t) => {
+  return mockDaemon(t, { height: 30 }).then((mock) => {
+    const chain = new HeaderChain()
+
+    t.deepEqual(chain.add(headers(mock, 0, 19)), { added: 20 })
+    t.equal(chain.height, 19)
+    t.equal(chain.genesisHash, mock.block(0).hash)
+    t.deepEqual(chain.tip, { height: 19, hash: mock.block(19).hash })
+    t.deepEqual(chain.add(headers(mock, 15, 24)), { added: 5 }, 'headers already held are skipped')
+
+    const stranger = { height: 25, hash: 'f'.repeat(64), prevHash: 'e'.repeat(64) }
+    const result = chain.add([stranger].concat(headers(mock, 26, 29)))
+
+    t.equal(result.added, 0)
+    t.deepEqual(result.fork, { height: 25, hash: stranger.hash })
+    t.equal(chain.height, 24)
+
+    const replaced = { height: 24, hash: 'f'.repeat(64), prevHash: mock.block(23).hash }
+
+    t.deepEqual(chain.add(replaced).fork, { height: 24, hash: replaced.hash, ancestor: { height: 23, hash: mock.block(23).hash } })
+    t.throws(() => chain.add({ hash: 'f'.repeat(64) }), /height and a hash/)
+  })
+})
+
+test('rewind removes the headers above a height', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const chain = new HeaderChain()
+
+    chain.add(headers(mock, 0, 9))
+
+    t.equal(chain.rewind(6), 3)
+    t.equal(chain.height, 6)
+    t.equal(chain.hashAt(7), undefined)
+    t.equal(chain.rewind(-1), 7)
+    t.equal(chain.size, 0)
+    t.equal(chain.tip, undefined)
+  })
+})
+
+test('checkpoints hold the hashes at the checkpoint heights, pruned or not', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const full = new HeaderChain()
+    const pruned = new HeaderChain({ maxHeaders: 5 })
+    const expected = HeaderChain.checkpointHeights(99).map((height) => mock.block(height).hash)
+
+    full.add(headers(mock, 0, 99))
+    pruned.add(headers(mock, 0, 99))
+
+    t.deepEqual(full.checkpoints(), expected)
+    t.deepEqual(pruned.checkpoints(), expected)
+    t.ok(pruned.size < full.size, 'pruning dropped headers')
+    t.equal(pruned.hashAt(50), undefined)
+  })
+})
+
+test('a chain started above genesis uses the genesis hash it was given', (t) => {
+  return mockDaemon(t, { height: 50 }).then((mock) => {
+    const chain = new HeaderChain({ genesisHash: mock.block(0).hash })
+
+    chain.add(headers(mock, 40, 49))
+
+    const checkpoints = chain.checkpoints()
+
+    t.equal(checkpoints[0], mock.block(49).hash)
+    t.equal(checkpoints[checkpoints.length - 1], mock.block(0).hash)
+    t.equal(checkpoints[checkpoints.length - 2], mock.block(40).hash, 'heights below the chain use its lowest header')
+  })
+})
+
+test('commonAncestor finds the highest block the daemon still has after a reorg', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const chain = new HeaderChain()
+    const client = daemonClient(mock)
+
+    chain.add(headers(mock, 0, 99))
+    mock.reorg(7, 9)
+
+    return chain.commonAncestor(client).then((ancestor) => {
+      t.deepEqual(ancestor, { height: 92, hash: mock.block(92).hash })
+      t.notEqual(chain.hashAt(93), mock.block(93).hash)
+    })
+  })
+})
+
+test('commonAncestor resolves with undefined when no header is on the chain of the daemon', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const chain = new HeaderChain()
+
+    chain.add({ height: 5, hash: 'f'.repeat(64) })
+
+    return chain.commonAncestor(daemonClient(mock)).then((ancestor) => {
+      t.equal(ancestor, undefined)
+    })
+  })
+})
+
+test('a chain saved to a MemoryStore loads back, and restore replaces the headers', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const store = new MemoryStore()
+    const chain = new HeaderChain({ store: store })
+
+    chain.add(headers(mock, 0, 19))
+
+    return chain.save().then(() => new HeaderChain({ store: store }).load()).then((loaded) => {
+      t.deepEqual(loaded.toJSON(), chain.toJSON())
+      t.deepEqual(loaded.checkpoints(), chain.checkpoints())
+
+      loaded.restore({ headers: headers(mock, 10, 12).reverse() })
+
+      t.equal(loaded.size, 3)
+      t.equal(loaded.height, 12)
+      t.equal(loaded.genesisHash, mock.block(0).hash, 'keeps the genesis hash when the state has none')
+    })
+  })
+})
+
+test('load and save reject without a store', (t) => {
+  const chain = new HeaderChain()
+
+  return Promise.all([chain.load(), chain.save()].map((promise) => promise.then(() => undefined, (err) => err))).then((errors) => {
+    errors.forEach((err) => t.ok(/No store/.test(err.message)))
+  })
+})
+
+test('JsonFileStore writes the file in one step and reads it back', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'header-chain-'))
+  const file = path.join(directory, 'chain.json')
+  const store = new JsonFileStore({ path: file })
+
+  t.teardown(() => {
+    fs.readdirSync(directory).forEach((name) => fs.unlinkSync(path.join(directory, name)))
+    fs.rmdirSync(directory)
+  })
+
+  t.throws(() => new JsonFileStore(), /path/)
+
+  return store.load().then((document) => {
+    t.equal(document, undefined, 'nothing before the first save')
+
+    return mockDaemon(t, { height: 10 })
+  }).then((mock) => {
+    const chain = new HeaderChain({ store: store })
+
+    chain.add(headers(mock, 0, 9))
+
+    return chain.save().then(() => {
+      t.deepEqual(fs.readdirSync(directory), ['chain.json'], 'no temporary file is left')
+
+      return new HeaderChain({ store: store }).load()
+    }).then((loaded) => {
+      t.deepEqual(loaded.toJSON(), chain.toJSON())
+
+      fs.writeFileSync(file, '{')
+
+      return store.load().then(() => t.fail('loaded invalid JSON'), (err) => {
+        t.ok(/does not hold valid JSON/.test(err.message))
+      })
+    })
+  })
+})
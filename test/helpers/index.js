@@ -0,0 +1,172 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* global AbortController */
+
+const EventEmitter = require('events')
+const { MockDaemon, MockWalletAPI } = require('../../mock')
+const { XTCASHnetwork, WalletAPI } = require('../..')
+
+/**
+ * Starts a mock daemon that is stopped once the test has ended
+ * @param {Object} t - the tape test
+ * @param {Object} [opts] - the MockDaemon options
+ * @returns {Promise<MockDaemon>} resolves with the started mock
+ */
+function mockDaemon (t, opts) {
+  const mock = new MockDaemon(opts)
+
+  t.teardown(() => mock.stop())
+
+  return mock.start().then(() => mock)
+}
+
+/**
+ * Starts a mock wallet-api that is stopped once the test has ended
+ * @param {Object} t - the tape test
+ * @param {Object} [opts] - the MockWalletAPI options
+ * @returns {Promise<MockWalletAPI>} resolves with the started mock
+ */
+function mockWallet (t, opts) {
+  const mock = new MockWalletAPI(opts)
+
+  t.teardown(() => mock.stop())
+
+  return mock.start().then(() => mock)
+}
+
+/**
+ * Builds a XTCASHnetwork client talking to the mock, without retry delays
+ * @param {MockDaemon} mock - the mock daemon
+ * @param {Object} [opts] - XTCASHnetwork options to override
+ * @returns {XTCASHnetwork} the client
+ */
+function daemonClient (mock, opts) {
+  return new XTCASHnetwork(Object.assign({
+    host: '127.0.0.1',
+    port: mock.port,
+    retry: { minDelay: 1, maxDelay: 5 }
+  }, opts))
+}
+
+/**
+ * Builds a WalletAPI client talking to the mock
+ * @param {MockWalletAPI} mock - the mock wallet-api
+ * @param {Object} [opts] - WalletAPI options to override
+ * @returns {WalletAPI} the client
+ */
+function walletClient (mock, opts) {
+  return new WalletAPI(Object.assign({
+    host: '127.0.0.1',
+    port: mock.port,
+    password: mock.password
+  }, opts))
+}
+
+/**
+ * Builds an AbortController, or a stand-in where the runtime has none
+ * @returns {AbortController} the controller
+ */
+function abortController () {
+  if (typeof AbortController === 'function') return new AbortController()
+
+  const events = new EventEmitter()
+  const signal = {
+    aborted: false,
+    addEventListener: (name, listener) => events.on(name, listener),
+    removeEventListener: (name, listener) => events.removeListener(name, listener)
+  }
+
+  return {
+    signal: signal,
+    abort: () => {
+      if (signal.aborted) return
+      signal.aborted = true
+      events.emit('abort')
+    }
+  }
+}
+
+/**
+ * Resolves once the emitter has emitted the event
+ * @param {EventEmitter} emitter - the emitter
+ * @param {string} event - the event name
+ * @param {number} [timeout=5000] - how long to wait before rejecting
+ * @returns {Promise<*>} resolves with the first argument of the event
+ */
+function once (emitter, event, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.removeListener(event, listener)
+      reject(new Error('Timed out waiting for ' + event))
+    }, timeout || 5000)
+
+    const listener = (value) => {
+      clearTimeout(timer)
+      resolve(value)
+    }
+
+    emitter.once(event, listener)
+  })
+}
+
+/**
+ * Reads an async iterator through next(), without for await
+ * @param {AsyncIterator} iterator - the iterator
+ * @param {number} [limit=Infinity] - how many values to read before calling return()
+ * @param {function} [onValue] - called with (value, index) for every value read
+ * @returns {Promise<Array>} resolves with the values read
+ */
+function collect (iterator, limit, onValue) {
+  const values = []
+  limit = limit || Infinity
+
+  const read = () => {
+    if (values.length >= limit) return Promise.resolve(iterator.return()).then(() => values)
+
+    return iterator.next().then((result) => {
+      if (result.done) return values
+
+      values.push(result.value)
+      if (onValue) onValue(result.value, values.length - 1)
+      return read()
+    })
+  }
+
+  return read()
+}
+
+/**
+ * Resolves after the given time
+ * @param {number} ms - how long to wait in milliseconds
+ * @returns {Promise} resolves once the time has passed
+ */
+function delay (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Expects the promise to reject
+ * @param {Promise} promise - the promise
+ * @returns {Promise<Error>} resolves with the error, rejects if the promise resolved
+ */
+function rejects (promise) {
+  return promise.then(() => {
+    throw new Error('Expected the promise to reject')
+  }, (err) => err)
+}
+
+module.exports = {
+  abortController,
+  collect,
+  daemonClient,
+  delay,
+  mockDaemon,
+  mockWallet,
+  once,
+  rejects,
+  walletClient
+}
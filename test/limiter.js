@@ -0,0 +1,117 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { AbortError, Limiter, QueueFullError } = require('..')
+const { abortController, daemonClient, delay, mockDaemon, rejects } = require('./helpers')
+
+/* A task that records its name and stays in flight until released */
+function gate () {
+  var release
+  const done = new Promise((resolve) => { release = resolve })
+
+  return { done: done, release: () => release() }
+}
+
+test('concurrency caps the tasks in flight', (t) => {
+  const limiter = new Limiter({ concurrency: 2 })
+  var running = 0
+  var peak = 0
+
+  const task = () => {
+    running++
+    peak = Math.max(peak, running)
+    return delay(10).then(() => { running-- })
+  }
+
+  return Promise.all([1, 2, 3, 4, 5].map(() => limiter.schedule(task))).then(() => {
+    t.equal(peak, 2)
+  })
+})
+
+test('high priority tasks skip ahead of the queue', (t) => {
+  const limiter = new Limiter({ concurrency: 1 })
+  const blocker = gate()
+  const order = []
+  const record = (name) => () => { order.push(name) }
+
+  const all = [
+    limiter.schedule(() => blocker.done),
+    limiter.schedule(record('first')),
+    limiter.schedule(record('second')),
+    limiter.schedule(record('urgent'), { priority: 'high' })
+  ]
+
+  t.equal(limiter.pending, 3)
+  blocker.release()
+
+  return Promise.all(all).then(() => {
+    t.deepEqual(order, ['urgent', 'first', 'second'])
+  })
+})
+
+test('a full queue rejects with a QueueFullError', (t) => {
+  const limiter = new Limiter({ concurrency: 1, maxQueue: 1 })
+  const blocker = gate()
+
+  const running = limiter.schedule(() => blocker.done)
+  const queued = limiter.schedule(() => 'queued')
+
+  return rejects(limiter.schedule(() => 'rejected')).then((err) => {
+    t.ok(err instanceof QueueFullError)
+    blocker.release()
+    return Promise.all([running, queued])
+  }).then((results) => {
+    t.equal(results[1], 'queued')
+  })
+})
+
+test('aborting removes a task from the queue', (t) => {
+  const limiter = new Limiter({ concurrency: 1 })
+  const blocker = gate()
+  const controller = abortController()
+  var ran = false
+
+  const running = limiter.schedule(() => blocker.done)
+  const queued = rejects(limiter.schedule(() => { ran = true }, { signal: controller.signal }))
+
+  controller.abort()
+
+  return queued.then((err) => {
+    t.ok(err instanceof AbortError)
+    t.equal(limiter.pending, 0)
+    blocker.release()
+    return running
+  }).then(() => {
+    t.equal(ran, false)
+  })
+})
+
+test('rate spaces out the task starts', (t) => {
+  const limiter = new Limiter({ rate: 20, burst: 1 })
+  const starts = []
+
+  return Promise.all([1, 2, 3].map(() => limiter.schedule(() => { starts.push(Date.now()) }))).then(() => {
+    t.ok(starts[2] - starts[0] >= 80, 'three starts at 20 per second take at least 100ms, less timer slack')
+  })
+})
+
+test('the client sends its priority methods through the high lane', (t) => {
+  return mockDaemon(t).then((mock) => {
+    const daemon = daemonClient(mock, { limit: { concurrency: 1 } })
+    const order = []
+
+    mock.inject({ path: '/info', latency: 50, times: 1 })
+
+    return Promise.all([
+      daemon.info(),
+      daemon.height().then(() => order.push('height')),
+      daemon.sendRawTransaction('00').catch(() => {}).then(() => order.push('sendRawTransaction'))
+    ]).then(() => {
+      t.deepEqual(order, ['sendRawTransaction', 'height'])
+    })
+  })
+})
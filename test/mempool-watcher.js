@@ -0,0 +1,126 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { daemonClient, delay, mockDaemon } = require('./helpers')
+
+/* Records the events of a watcher */
+function record (watcher) {
+  const events = { added: [], removed: [], confirmed: [], error: [] }
+
+  Object.keys(events).forEach((name) => watcher.on(name, (tx) => events[name].push((tx.hash) ? tx.hash : tx)))
+
+  return events
+}
+
+test('added, removed and confirmed follow the transactions through the pool', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const watcher = daemonClient(mock).watchMempool({ autoStart: false })
+    const events = record(watcher)
+    const first = mock.addTransaction()
+    var second, dropped
+
+    return watcher.poll().then(() => {
+      t.deepEqual(events.added, [first], 'the pool found on the first poll is added')
+      t.equal(watcher.tailBlockHash, mock.tip.hash)
+
+      second = mock.addTransaction()
+      dropped = mock.addTransaction()
+
+      return watcher.poll()
+    }).then(() => {
+      t.deepEqual(events.added, [first, second, dropped])
+      t.deepEqual(watcher.snapshot().map((tx) => tx.hash), [first, second, dropped])
+      t.equal(watcher.size, 3)
+
+      mock.dropTransaction(dropped)
+
+      return watcher.poll()
+    }).then(() => {
+      t.deepEqual(events.removed, [dropped])
+      t.deepEqual(events.confirmed, [], 'a dropped transaction is not confirmed')
+
+      mock.mine(1)
+
+      return watcher.poll()
+    }).then(() => {
+      t.deepEqual(events.removed.slice(1).sort(), [first, second].sort())
+      t.deepEqual(events.confirmed.sort(), [first, second].sort())
+      t.equal(watcher.size, 0)
+      t.equal(watcher.tailBlockHash, mock.tip.hash, 'resynced against the new top of the chain')
+      t.deepEqual(events.error, [])
+    })
+  })
+})
+
+test('a tail block that left the chain resyncs the whole pool', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const watcher = daemonClient(mock).watchMempool({ autoStart: false })
+    const events = record(watcher)
+    const mined = mock.addTransaction()
+    var tail, pending
+
+    return watcher.poll().then(() => {
+      tail = watcher.tailBlockHash
+
+      mock.reorg(2)
+      pending = mock.addTransaction()
+
+      return watcher.poll()
+    }).then(() => {
+      t.notEqual(watcher.tailBlockHash, tail)
+      t.equal(watcher.tailBlockHash, mock.tip.hash)
+      t.deepEqual(events.added, [mined, pending])
+      t.deepEqual(events.removed, [mined])
+      t.deepEqual(events.confirmed, [mined], 'mined into the fork')
+      t.deepEqual(watcher.snapshot().map((tx) => tx.hash), [pending])
+    })
+  })
+})
+
+test('a failed poll is emitted as an error and the next one carries on', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const watcher = daemonClient(mock, { retry: false }).watchMempool({ autoStart: false })
+    const events = record(watcher)
+
+    return watcher.poll().then(() => {
+      const hash = mock.addTransaction()
+
+      mock.inject({ path: /.*/, status: 503, times: 1 })
+
+      return watcher.poll().then(() => {
+        t.equal(events.error.length, 1)
+        t.deepEqual(events.added, [])
+
+        return watcher.poll()
+      }).then(() => {
+        t.deepEqual(events.added, [hash])
+      })
+    })
+  })
+})
+
+test('start polls on an interval until stopped', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const watcher = daemonClient(mock).watchMempool({ interval: 10 })
+    const events = record(watcher)
+    const hash = mock.addTransaction()
+
+    t.equal(watcher.running, true)
+
+    return delay(50).then(() => {
+      watcher.stop()
+
+      t.equal(watcher.running, false)
+      t.deepEqual(events.added, [hash])
+
+      mock.addTransaction()
+      return delay(40)
+    }).then(() => {
+      t.equal(events.added.length, 1, 'nothing after stop')
+    })
+  })
+})
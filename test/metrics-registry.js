@@ -0,0 +1,108 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const http = require('http')
+const test = require('tape')
+const { MetricsRegistry } = require('..')
+const { daemonClient, mockDaemon, mockWallet, rejects, walletClient } = require('./helpers')
+
+/* Reads the value of a series from the text exposition */
+function sample (text, name, labels) {
+  const line = text.split('\n').find((line) => line.indexOf(name + '{' + labels + '}') === 0)
+
+  return (line) ? Number(line.split(' ').pop()) : undefined
+}
+
+test('calls, errors, retries and bytes are counted per method and endpoint', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const daemon = daemonClient(mock)
+
+    mock.inject({ path: '/info', status: 503, times: 1 })
+    mock.inject({ path: '/height', status: 404 })
+
+    return daemon.info().then(() => rejects(daemon.height())).then(() => {
+      const text = daemon.metrics()
+
+      t.equal(sample(text, 'traaittcash_rpc_requests_total', 'method="info",endpoint="/info"'), 1)
+      t.equal(sample(text, 'traaittcash_rpc_request_retries_total', 'method="info",endpoint="/info"'), 1)
+      t.equal(sample(text, 'traaittcash_rpc_request_errors_total', 'method="height",endpoint="/height",error="NotFoundError"'), 1)
+      t.equal(sample(text, 'traaittcash_rpc_request_duration_seconds_count', 'method="info",endpoint="/info"'), 1)
+      t.ok(sample(text, 'traaittcash_rpc_response_bytes_total', 'method="info",endpoint="/info"') > 0)
+      t.equal(sample(text, 'traaittcash_rpc_daemon_height', 'daemon="127.0.0.1:' + mock.port + '"'), 20)
+    })
+  })
+})
+
+test('wallet-api paths are collapsed so that addresses do not create series', (t) => {
+  return mockWallet(t).then((mock) => {
+    const wallet = walletClient(mock)
+
+    return wallet.addresses().then((addresses) => wallet.balance(addresses[0])).then(() => {
+      const text = wallet.metrics()
+
+      t.equal(sample(text, 'traaittcash_rpc_requests_total', 'method="balance",endpoint="/balance/:param"'), 1)
+    })
+  })
+})
+
+test('the histogram buckets are cumulative', (t) => {
+  const registry = new MetricsRegistry({ buckets: [0.1, 1] })
+
+  registry.observeCall('info', '/info', 50)
+  registry.observeCall('info', '/info', 500)
+  registry.observeCall('info', '/info', 5000)
+
+  const text = registry.render()
+  const bucket = (le) => sample(text, 'traaittcash_rpc_request_duration_seconds_bucket', 'method="info",endpoint="/info",le="' + le + '"')
+
+  t.deepEqual([bucket('0.1'), bucket('1'), bucket('+Inf')], [1, 2, 3])
+  t.equal(sample(text, 'traaittcash_rpc_request_duration_seconds_sum', 'method="info",endpoint="/info"'), 5.55)
+  t.end()
+})
+
+test('a registry shared by clients collects the calls of both', (t) => {
+  return Promise.all([mockDaemon(t), mockDaemon(t)]).then((mocks) => {
+    const registry = new MetricsRegistry({ prefix: 'shared_' })
+    const daemons = mocks.map((mock) => daemonClient(mock, { metrics: registry }))
+
+    return Promise.all(daemons.map((daemon) => daemon.info())).then(() => {
+      t.equal(sample(registry.render(), 'shared_requests_total', 'method="info",endpoint="/info"'), 2)
+      t.equal(daemons[0].metrics(), daemons[1].metrics())
+    })
+  })
+})
+
+test('metrics: false collects nothing', (t) => {
+  const daemon = daemonClient({ port: 1 }, { metrics: false })
+
+  t.equal(daemon.metrics(), '')
+  t.throws(() => daemon.metricsHandler(), /disabled/)
+  t.end()
+})
+
+test('the handler serves the text exposition', (t) => {
+  const registry = new MetricsRegistry()
+  const server = http.createServer(registry.handler())
+
+  registry.observeCall('info', '/info', 10)
+  t.teardown(() => new Promise((resolve) => server.close(resolve)))
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve)).then(() => {
+    return new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: server.address().port, path: '/metrics', agent: false }, (res) => {
+        var body = ''
+
+        res.setEncoding('utf8')
+        res.on('data', (chunk) => { body += chunk })
+        res.on('end', () => resolve({ res: res, body: body }))
+      }).on('error', reject)
+    })
+  }).then((result) => {
+    t.equal(result.res.statusCode, 200)
+    t.equal(result.res.headers['content-type'], MetricsRegistry.CONTENT_TYPE)
+    t.equal(result.body, registry.render())
+  })
+})
@@ -0,0 +1,88 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { HttpStatusError, UnauthorizedError, WalletNotOpenError } = require('..')
+const { daemonClient, mockDaemon, mockWallet, rejects, walletClient } = require('./helpers')
+
+test('MockDaemon mines blocks and reports them', (t) => {
+  return mockDaemon(t, { height: 5 }).then((mock) => {
+    const daemon = daemonClient(mock)
+    const hash = mock.addTransaction({})
+
+    mock.mine(2)
+
+    return Promise.all([daemon.height(), daemon.transaction(hash), daemon.lastBlockHeader()]).then((results) => {
+      t.equal(results[0].height, 7)
+      t.equal(results[1].block.height, 5, 'the pool went into the first block mined')
+      t.equal(results[2].hash, mock.tip.hash)
+    })
+  })
+})
+
+test('MockDaemon reorganizes the top of the chain', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const before = mock.block(8).hash
+
+    mock.reorg(2, 3)
+
+    t.equal(mock.tip.height, 10, 'two blocks replaced by three')
+    t.notEqual(mock.block(8).hash, before)
+    t.equal(mock.block(8).prevHash, mock.block(7).hash, 'the fork links to the common block')
+    t.end()
+  })
+})
+
+test('MockServer faults answer with the status and body, for the given number of requests', (t) => {
+  return mockDaemon(t).then((mock) => {
+    const daemon = daemonClient(mock, { retry: false })
+
+    mock.inject({ path: '/info', status: 500, body: { errorMessage: 'Internal error' }, times: 1 })
+
+    return rejects(daemon.info()).then((err) => {
+      t.ok(err instanceof HttpStatusError)
+      t.deepEqual(err.body, { errorMessage: 'Internal error' })
+      return daemon.info()
+    }).then((info) => {
+      t.equal(info.height, 1, 'the fault is used up')
+    })
+  })
+})
+
+test('MockWalletAPI checks the API key', (t) => {
+  return mockWallet(t, { password: 'secret' }).then((mock) => {
+    return rejects(walletClient(mock, { password: 'wrong' }).status()).then((err) => {
+      t.ok(err instanceof UnauthorizedError)
+      return walletClient(mock).status()
+    }).then((status) => {
+      t.equal(status.walletBlockCount, 1)
+    })
+  })
+})
+
+test('MockWalletAPI answers 403 while no wallet is open', (t) => {
+  return mockWallet(t, { open: false }).then((mock) => {
+    return rejects(walletClient(mock).addresses()).then((err) => {
+      t.ok(err instanceof WalletNotOpenError)
+    })
+  })
+})
+
+test('MockWalletAPI tracks the funds received', (t) => {
+  return mockWallet(t, { height: 100 }).then((mock) => {
+    const wallet = walletClient(mock, { amountMode: 'string' })
+
+    return wallet.addresses().then((addresses) => {
+      mock.receive(addresses[0], 29000000)
+      mock.receive(addresses[0], 1000, { unconfirmed: true })
+
+      return wallet.balance(addresses[0])
+    }).then((balance) => {
+      t.equal(balance.unlocked, '0.29')
+      t.equal(balance.locked, '0.00001')
+    })
+  })
+})
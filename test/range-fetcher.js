@@ -0,0 +1,170 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { AbortError, RpcError } = require('..')
+const { abortController, collect, daemonClient, delay, mockDaemon, rejects } = require('./helpers')
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (value, index) => from + index)
+
+/* Counts the calls of a method in flight, keeping the highest count seen */
+function inFlight (client, method) {
+  const counter = { current: 0, max: 0 }
+
+  client.use((context, next) => {
+    if (context.method !== method) return next()
+
+    counter.current++
+    counter.max = Math.max(counter.max, counter.current)
+
+    const done = () => { counter.current-- }
+
+    return next().then((response) => {
+      done()
+      return response
+    }, (err) => {
+      done()
+      throw err
+    })
+  })
+
+  return counter
+}
+
+test('blockHeadersRange yields the headers in height order', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const fetcher = daemonClient(mock).blockHeadersRange(10, 60)
+
+    t.equal(fetcher.total, 51)
+
+    return fetcher.toArray().then((headers) => {
+      t.deepEqual(headers.map((header) => header.height), range(10, 60))
+      t.deepEqual(headers.map((header) => header.hash), range(10, 60).map((height) => mock.block(height).hash))
+      t.equal(fetcher.completed, 51)
+    })
+  })
+})
+
+test('no more calls than the concurrency are in flight, even when answers come out of order', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const client = daemonClient(mock)
+    const counter = inFlight(client, 'blockHeaderByHash')
+
+    mock.inject({ method: 'getblockheaderbyhash', latency: 20, times: 3 })
+
+    return client.blockHeadersRange(0, 39, { concurrency: 3 }).toArray().then((headers) => {
+      t.deepEqual(headers.map((header) => header.height), range(0, 39))
+      t.equal(counter.max, 3)
+    })
+  })
+})
+
+test('calls are only made ahead of the results consumed as far as the concurrency allows', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const fetcher = daemonClient(mock).blockHeadersRange(0, 99, { concurrency: 2 })
+    const sent = () => mock.requests.filter((request) => request.body && request.body.method === 'getblockheaderbyhash').length
+
+    return collect(fetcher, 5).then(() => delay(20)).then(() => {
+      t.ok(sent() <= 7, sent() + ' calls for 5 results')
+    })
+  })
+})
+
+test('onProgress reports every height fetched', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const progress = []
+
+    return daemonClient(mock).blockHeadersRange(5, 9, { onProgress: (completed, total) => progress.push([completed, total]) }).toArray().then(() => {
+      t.deepEqual(progress, [[1, 5], [2, 5], [3, 5], [4, 5], [5, 5]])
+    })
+  })
+})
+
+test('short headers are read from one block list per 30 heights', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const lists = () => mock.requests.filter((request) => request.body && request.body.method === 'f_blocks_list_json').length
+
+    return daemonClient(mock).blockHeadersRange(0, 89, { short: true }).toArray().then((headers) => {
+      t.deepEqual(headers.map((header) => header.height), range(0, 89))
+      t.equal(headers[45].hash, mock.block(45).hash)
+      t.equal(lists(), 3)
+      t.equal(mock.requests.length, 3, 'nothing else is requested')
+    })
+  })
+})
+
+test('full headers are looked up by the hashes of the block lists', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const sent = (method) => mock.requests.filter((request) => request.body && request.body.method === method).length
+
+    return daemonClient(mock).blockHeadersRange(0, 59).toArray().then((headers) => {
+      t.deepEqual(headers.map((header) => header.height), range(0, 59))
+      t.equal(headers[45].prev_hash, mock.block(44).hash, 'the fields the short headers lack are there')
+      t.equal(sent('f_blocks_list_json'), 2)
+      t.equal(sent('getblockheaderbyhash'), 60)
+      t.equal(sent('getblockheaderbyheight'), 0)
+    })
+  })
+})
+
+test('blocksRange yields the block summaries by the hashes of the block lists', (t) => {
+  return mockDaemon(t, { height: 50 }).then((mock) => {
+    return daemonClient(mock).blocksRange(20, 35).toArray().then((blocks) => {
+      t.deepEqual(blocks.map((block) => block.hash), range(20, 35).map((height) => mock.block(height).hash))
+      t.equal(blocks[0].height, 20)
+    })
+  })
+})
+
+test('a failed height rejects in its turn and ends the fetcher', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const fetcher = daemonClient(mock).blockHeadersRange(5, 12)
+
+    return rejects(fetcher.toArray()).then((err) => {
+      t.ok(err instanceof RpcError, 'heights above the top fail')
+      t.equal(fetcher.completed, 5, 'the heights below the top are looked up by height instead')
+
+      return fetcher.next()
+    }).then((result) => {
+      t.equal(result.done, true)
+    })
+  })
+})
+
+test('return() ends the fetcher and aborting the signal rejects the pending next()', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const client = daemonClient(mock)
+    const fetcher = client.blockHeadersRange(0, 99)
+
+    return fetcher.next().then(() => fetcher.return()).then((result) => {
+      t.equal(result.done, true)
+
+      return fetcher.next()
+    }).then((result) => {
+      t.equal(result.done, true, 'done after return()')
+
+      const controller = abortController()
+      const aborted = client.blockHeadersRange(0, 99, { signal: controller.signal })
+
+      mock.inject({ method: 'getblockheaderbyhash', latency: 1000 })
+      setTimeout(() => controller.abort(), 20)
+
+      return rejects(aborted.next())
+    }).then((err) => {
+      t.ok(err instanceof AbortError)
+    })
+  })
+})
+
+test('the range must be made of heights in order', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const client = daemonClient(mock)
+
+    t.throws(() => client.blockHeadersRange(5, 4), /start height/)
+    t.throws(() => client.blockHeadersRange(-1, 4), /start height/)
+    t.throws(() => client.blocksRange(1.5, 4), /start height/)
+  })
+})
@@ -0,0 +1,102 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { daemonClient, mockDaemon } = require('./helpers')
+
+const jsonRpc = (mock) => mock.requests.filter((request) => request.path === '/json_rpc').length
+
+test('responses about buried blocks are answered from the cache', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const daemon = daemonClient(mock, { cache: { confirmations: 10 } })
+
+    return daemon.blockHeaderByHeight(10).then((first) => {
+      return daemon.blockHeaderByHeight(10).then((second) => {
+        t.deepEqual(second, first)
+        t.equal(jsonRpc(mock), 1, 'the second call is not sent')
+
+        const stats = daemon.cache.stats()
+        t.equal(stats.hits, 1)
+        t.equal(stats.misses, 1)
+        t.equal(stats.tip, 99)
+      })
+    })
+  })
+})
+
+test('cached blocks report their depth below the current tip', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const daemon = daemonClient(mock, { cache: { confirmations: 10 } })
+    const hash = mock.block(10).hash
+
+    return Promise.all([daemon.blockHeaderByHeight(10), daemon.block(hash)]).then((results) => {
+      t.equal(results[0].depth, 89)
+      t.equal(results[1].depth, 89)
+
+      mock.mine(5)
+
+      return daemon.height()
+    }).then(() => {
+      return Promise.all([daemon.blockHeaderByHeight(10), daemon.block(hash)])
+    }).then((results) => {
+      t.equal(daemon.cache.stats().hits, 2, 'both are answered from the cache')
+      t.equal(results[0].depth, 94, 'the header depth follows the tip')
+      t.equal(results[1].depth, 94, 'the block depth follows the tip')
+      t.equal(daemon.cache.stats().tip, 104, 'the cached depth does not move the tip')
+    })
+  })
+})
+
+test('responses about blocks without enough confirmations are not cached', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const daemon = daemonClient(mock, { cache: { confirmations: 10 } })
+
+    return daemon.blockHeaderByHeight(95).then(() => daemon.blockHeaderByHeight(95)).then(() => {
+      t.equal(jsonRpc(mock), 2)
+      t.equal(daemon.cache.stats().hits, 0)
+    })
+  })
+})
+
+test('invalidate drops the entries at or above the height', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const daemon = daemonClient(mock, { cache: { confirmations: 10 } })
+
+    return Promise.all([daemon.blockHeaderByHeight(10), daemon.blockHeaderByHeight(50)]).then(() => {
+      return daemon.cache.invalidate(20)
+    }).then((removed) => {
+      t.equal(removed, 1)
+      return Promise.all([daemon.blockHeaderByHeight(10), daemon.blockHeaderByHeight(50)])
+    }).then(() => {
+      t.equal(jsonRpc(mock), 3, 'only the invalidated height is sent again')
+      return daemon.cache.invalidate()
+    }).then((removed) => {
+      t.equal(removed, 2, 'without a height every entry goes')
+    })
+  })
+})
+
+test('cache: false skips the cache per call', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const daemon = daemonClient(mock, { cache: { confirmations: 10 } })
+
+    return daemon.blockHeaderByHeight(10).then(() => daemon.blockHeaderByHeight(10, { cache: false })).then(() => {
+      t.equal(jsonRpc(mock), 2)
+    })
+  })
+})
+
+test('output indexes are never cached', (t) => {
+  return mockDaemon(t, { height: 100 }).then((mock) => {
+    const daemon = daemonClient(mock, { cache: { confirmations: 10 } })
+    const hash = mock.block(10).coinbase.hash
+    const sent = () => mock.requests.filter((request) => request.path === '/get_o_indexes').length
+
+    return daemon.globalIndexes(hash).then(() => daemon.globalIndexes(hash)).then(() => {
+      t.equal(sent(), 2)
+    })
+  })
+})
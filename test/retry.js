@@ -0,0 +1,81 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { HttpStatusError, RetryPolicy } = require('..')
+const { daemonClient, mockDaemon, rejects } = require('./helpers')
+
+const requests = (mock, path) => mock.requests.filter((request) => request.path === path).length
+
+test('RetryPolicy delays grow by the factor up to maxDelay', (t) => {
+  const policy = new RetryPolicy({ minDelay: 100, maxDelay: 500, factor: 2, jitter: 0 })
+
+  t.deepEqual([1, 2, 3, 4].map((attempt) => policy.delay(attempt)), [100, 200, 400, 500])
+  t.end()
+})
+
+test('RetryPolicy jitter only ever shortens the delay', (t) => {
+  const policy = new RetryPolicy({ minDelay: 100, jitter: 0.5 })
+
+  for (var i = 0; i < 50; i++) {
+    const delay = policy.delay(1)
+    t.ok(delay >= 50 && delay <= 100, 'delay ' + delay + ' is within the jitter')
+  }
+  t.end()
+})
+
+test('RetryPolicy retries the configured errors until maxAttempts', (t) => {
+  const policy = new RetryPolicy({ maxAttempts: 3 })
+
+  t.ok(policy.shouldRetry({ statusCode: 503 }, 1))
+  t.ok(policy.shouldRetry({ code: 'ECONNRESET' }, 2))
+  t.notOk(policy.shouldRetry({ statusCode: 503 }, 3), 'stops at maxAttempts')
+  t.notOk(policy.shouldRetry({ statusCode: 400 }, 1), 'client errors are not retried')
+  t.ok(new RetryPolicy({ retryOn: () => true }).shouldRetry(new Error('any'), 1), 'retryOn overrides the checks')
+  t.end()
+})
+
+test('read-only calls are retried through transient failures', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    mock.inject({ path: '/info', status: 503, times: 2 })
+
+    return daemonClient(mock).info().then((info) => {
+      t.equal(info.height, 10)
+      t.equal(requests(mock, '/info'), 3, 'two failures and a success')
+    })
+  })
+})
+
+test('retries give up after maxAttempts with the last error', (t) => {
+  return mockDaemon(t).then((mock) => {
+    mock.inject({ path: '/height', status: 503 })
+
+    return rejects(daemonClient(mock).height()).then((err) => {
+      t.ok(err instanceof HttpStatusError)
+      t.equal(err.statusCode, 503)
+      t.equal(requests(mock, '/height'), 3)
+    })
+  })
+})
+
+test('calls that are not read-only are not retried unless asked to', (t) => {
+  return mockDaemon(t).then((mock) => {
+    const daemon = daemonClient(mock)
+
+    mock.inject({ path: '/sendrawtransaction', status: 503, times: 1 })
+
+    return rejects(daemon.sendRawTransaction('00')).then((err) => {
+      t.equal(err.statusCode, 503)
+      t.equal(requests(mock, '/sendrawtransaction'), 1)
+
+      mock.inject({ path: '/height', status: 503, times: 1 })
+
+      return rejects(daemon.height({ retry: false }))
+    }).then((err) => {
+      t.equal(err.statusCode, 503, 'retry: false opts out per call')
+    })
+  })
+})
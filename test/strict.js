@@ -0,0 +1,140 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { ResponseValidationError } = require('..')
+const { daemonClient, mockDaemon, mockWallet, rejects, walletClient } = require('./helpers')
+
+test('strict mode accepts the documented results', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    const daemon = daemonClient(mock, { strict: true })
+
+    return Promise.all([daemon.info(), daemon.blockHeaderByHeight(5), daemon.block(mock.block(5).hash)]).then((results) => {
+      t.equal(results[0].height, 20)
+      t.equal(results[1].height, 5)
+      t.equal(results[2].height, 5)
+    })
+  })
+})
+
+test('strict mode rejects a result of the wrong type with where it was found', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    mock.inject({ path: '/height', status: 200, body: { status: 'OK', height: 'twenty', network_height: 20 } })
+
+    return rejects(daemonClient(mock, { strict: true }).height()).then((err) => {
+      t.ok(err instanceof ResponseValidationError)
+      t.equal(err.method, 'height')
+      t.ok(/height/.test(err.path), 'the path names the field')
+      t.equal(err.expected, 'number')
+      t.equal(err.actual, 'string')
+    })
+  })
+})
+
+test('without strict mode the result is handed back as is', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    mock.inject({ path: '/height', status: 200, body: { status: 'OK', height: 'twenty', network_height: 20 } })
+
+    return daemonClient(mock).height().then((result) => {
+      t.equal(result.height, 'twenty')
+    })
+  })
+})
+
+test('strict mode checks WalletAPI results too', (t) => {
+  return mockWallet(t).then((mock) => {
+    mock.inject({ path: '/status', status: 200, body: { walletBlockCount: '1' } })
+
+    return rejects(walletClient(mock, { strict: true }).status()).then((err) => {
+      t.ok(err instanceof ResponseValidationError)
+      t.equal(err.method, 'status')
+    })
+  })
+})
+
+test('strict mode checks the pool changes before they are unwrapped', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    mock.inject({ path: '/get_pool_changes_lite', status: 200, body: { deletedTxsIds: [], isTailBlockActual: true, status: 'OK' } })
+
+    return rejects(daemonClient(mock, { strict: true }).poolChanges(mock.tip.hash, [])).then((err) => {
+      t.ok(err instanceof ResponseValidationError)
+      t.equal(err.method, 'poolChanges')
+      t.equal(err.path, 'response.addedTxs')
+      t.equal(err.expected, 'XTCASHnetwork.TransactionPrefixInfo[]')
+      t.equal(err.actual, 'undefined')
+    })
+  })
+})
+
+test('strict mode checks the raw blocks before they are unwrapped', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    mock.inject({ path: '/getblocks', status: 200, body: { 'response.current_height': 20, 'response.start_height': 0, 'response.status': 'OK' } })
+
+    return rejects(daemonClient(mock, { strict: true }).rawBlocks([mock.block(0).hash])).then((err) => {
+      t.ok(err instanceof ResponseValidationError)
+      t.equal(err.method, 'rawBlocks')
+      t.equal(err.path, 'response[\'response.blocks\']')
+      t.equal(err.expected, 'XTCASHnetwork.RawBlock[]')
+      t.equal(err.actual, 'undefined')
+    })
+  })
+})
+
+test('strict mode checks the JSON-RPC result before it is unwrapped', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    mock.inject({ method: 'getblockheaderbyheight', status: 200, body: { jsonrpc: '2.0', result: { status: 'OK' } } })
+
+    return rejects(daemonClient(mock, { strict: true }).blockHeaderByHeight(5)).then((err) => {
+      t.ok(err instanceof ResponseValidationError)
+      t.equal(err.path, 'response.result.block_header')
+      t.equal(err.expected, 'XTCASHnetwork.BlockHeader')
+      t.equal(err.actual, 'undefined')
+    })
+  })
+})
+
+test('strict mode leaves JSON-RPC errors to be reported as such', (t) => {
+  return mockDaemon(t, { height: 20 }).then((mock) => {
+    mock.inject({ method: 'getblockheaderbyheight', status: 200, body: { jsonrpc: '2.0', error: { code: -2, message: 'Too big height' } } })
+
+    return rejects(daemonClient(mock, { strict: true }).blockHeaderByHeight(5)).then((err) => {
+      t.notOk(err instanceof ResponseValidationError)
+      t.equal(err.code, -2)
+    })
+  })
+})
+
+test('strict mode checks WalletAPI amounts before they are converted', (t) => {
+  return mockWallet(t).then((mock) => {
+    const wallet = walletClient(mock, { strict: true })
+    const transaction = {
+      hash: 'a'.repeat(64),
+      isCoinbaseTransaction: false,
+      paymentID: '',
+      unlockTime: 0,
+      transfers: [{ address: 'TRTL', amount: 100 }]
+    }
+
+    mock.inject({ path: /^\/transactions\/hash\//, status: 200, times: 1, body: { transaction: transaction } })
+
+    return rejects(wallet.transactionByHash(transaction.hash)).then((err) => {
+      t.ok(err instanceof ResponseValidationError)
+      t.equal(err.method, 'transactionByHash')
+      t.equal(err.path, 'response.transaction.fee')
+      t.equal(err.expected, 'number')
+      t.equal(err.actual, 'undefined')
+
+      mock.inject({ path: /^\/transactions\/hash\//, status: 200, times: 1, body: { transaction: Object.assign({}, transaction, { fee: 10, transfers: undefined }) } })
+
+      return rejects(wallet.transactionByHash(transaction.hash))
+    }).then((err) => {
+      t.ok(err instanceof ResponseValidationError)
+      t.equal(err.path, 'response.transaction.transfers')
+      t.equal(err.expected, 'WalletAPI.TransferBody[]')
+      t.equal(err.actual, 'undefined')
+    })
+  })
+})
@@ -0,0 +1,215 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+/* global BigInt */
+
+const test = require('tape')
+const { SupplyCalculator } = require('..')
+const { daemonClient, mockDaemon, rejects } = require('./helpers')
+
+const HAS_BIGINT = typeof BigInt === 'function'
+
+/* A chain following the CryptoNote emission formula with a 2^64 - 1 money
+   supply, whose supply passes Number.MAX_SAFE_INTEGER after 128 blocks.
+   It answers the calls SupplyCalculator makes, like XTCASHnetwork. */
+function emissionChain (length, opts) {
+  opts = opts || {}
+
+  const moneySupply = BigInt('18446744073709551615')
+  const blocks = []
+  var generated = BigInt(0)
+
+  for (var height = 0; height < length; height++) {
+    const baseReward = (moneySupply - generated) >> BigInt(18)
+
+    generated += baseReward
+
+    blocks.push({
+      hash: 'hash' + height,
+      height: height,
+      timestamp: 1546300800 + height * 30,
+      baseReward: Number(baseReward),
+      reward: Number(baseReward) + 10,
+      totalFeeAmount: 10,
+      penalty: 0,
+      alreadyGeneratedCoins: (opts.numbers) ? Number(generated) : generated.toString()
+    })
+  }
+
+  const header = (block) => Promise.resolve({ height: block.height, hash: block.hash })
+
+  return {
+    blocks: blocks,
+    lastBlockHeader: () => header(blocks[blocks.length - 1]),
+    blockHeaderByHeight: (height) => header(blocks[height]),
+    blockShortHeaders: (height) => Promise.resolve(blocks.slice(Math.max(0, height - 29), height + 1).reverse()),
+    block: (hash) => Promise.resolve(blocks.find((block) => block.hash === hash))
+  }
+}
+
+/* Formats atomic units with 8 decimal places, the way string mode does */
+function coins (atomic) {
+  const digits = atomic.toString().padStart(9, '0')
+  const fraction = digits.slice(-8).replace(/0+$/, '')
+
+  return digits.slice(0, -8) + ((fraction) ? '.' + fraction : '')
+}
+
+test('supplyAt reports the supply of a block in every amountMode', (t) => {
+  return mockDaemon(t, { height: 20, reward: 2900000000 }).then((mock) => {
+    const modes = ['number', 'string'].concat((HAS_BIGINT) ? ['bigint'] : [])
+
+    return Promise.all(modes.map((mode) => new SupplyCalculator(daemonClient(mock), { amountMode: mode }).supplyAt(9))).then((results) => {
+      t.deepEqual(results.map((result) => result.height), modes.map(() => 9))
+      t.equal(results[0].supply, 290)
+      t.equal(results[0].baseReward, 29)
+      t.equal(results[1].supply, '290')
+      if (HAS_BIGINT) t.equal(results[2].supply, BigInt(29000000000))
+
+      return new SupplyCalculator(daemonClient(mock)).supplyAt()
+    }).then((result) => {
+      t.equal(result.height, 19, 'defaults to the top of the chain')
+    })
+  })
+})
+
+test('emission sums up a range of blocks and daily compares it with a full day', (t) => {
+  return mockDaemon(t, { height: 10, reward: 2900000000 }).then((mock) => {
+    const supply = new SupplyCalculator(daemonClient(mock), { amountMode: 'string' })
+
+    mock.addTransaction({ fee: 50 })
+    mock.addTransaction({ fee: 70 })
+    mock.mine(5)
+
+    return supply.emission(10, 14).then((result) => {
+      t.deepEqual(result, {
+        fromHeight: 10,
+        toHeight: 14,
+        blocks: 5,
+        emitted: '145',
+        rewards: '145.0000012',
+        fees: '0.0000012',
+        burned: '0',
+        supply: '435'
+      })
+
+      return supply.daily(0, 14)
+    }).then((days) => {
+      t.equal(days.length, 1)
+      t.equal(days[0].day, '2019-01-01')
+      t.equal(days[0].blocks, 15)
+      t.equal(days[0].expectedBlocks, 2880)
+      t.equal(days[0].expected, '83520')
+    })
+  })
+})
+
+test('a base reward that does not decrease has no money supply and projects linearly', (t) => {
+  return mockDaemon(t, { height: 20, reward: 2900000000 }).then((mock) => {
+    const supply = new SupplyCalculator(daemonClient(mock))
+
+    return supply.model().then((model) => {
+      t.equal(model.moneySupply, undefined)
+      t.equal(model.emissionSpeedFactor, undefined)
+      t.equal(model.supply, 580)
+
+      return supply.project({ days: 2 })
+    }).then((points) => {
+      t.deepEqual(points.map((point) => point.supply), [580 + 2880 * 29, 580 + 5760 * 29])
+      t.deepEqual(points.map((point) => point.height), [19 + 2880, 19 + 5760])
+      t.equal(points[1].baseReward, 29)
+    })
+  })
+})
+
+test('bigint mode computes supplies above Number.MAX_SAFE_INTEGER exactly', { skip: !HAS_BIGINT }, (t) => {
+  const chain = emissionChain(200)
+  const supply = new SupplyCalculator(chain, { amountMode: 'bigint' })
+  const generated = (height) => BigInt(chain.blocks[height].alreadyGeneratedCoins)
+
+  t.ok(generated(199) > BigInt(Number.MAX_SAFE_INTEGER))
+
+  return supply.supplyAt(199).then((result) => {
+    t.equal(result.supply, generated(199))
+
+    return supply.emission(100, 199)
+  }).then((result) => {
+    t.equal(result.emitted, generated(199) - generated(99))
+    t.equal(result.supply, generated(199))
+    t.equal(result.fees, BigInt(1000))
+    t.equal(result.rewards, generated(199) - generated(99) + BigInt(1000))
+
+    return supply.model()
+  }).then((model) => {
+    const moneySupply = BigInt('18446744073709551615')
+    const step = BigInt(262144)
+
+    t.equal(model.emissionSpeedFactor, 18)
+    t.ok(model.moneySupply > moneySupply - step && model.moneySupply < moneySupply + step, 'the money supply is found within 2^factor coins')
+
+    return supply.project({ days: 1 }).then((points) => {
+      var projected = model.supply
+
+      for (var i = 0; i < 2880; i++) projected += (model.moneySupply - projected) / step
+
+      t.equal(points[0].supply, projected)
+    })
+  })
+})
+
+test('string mode returns the exact decimal string of supplies above Number.MAX_SAFE_INTEGER', { skip: !HAS_BIGINT }, (t) => {
+  const chain = emissionChain(200)
+  const supply = new SupplyCalculator(chain, { amountMode: 'string' })
+
+  return supply.emission(0, 199).then((result) => {
+    t.equal(result.supply, coins(chain.blocks[199].alreadyGeneratedCoins))
+    t.equal(result.emitted, result.supply)
+    t.notEqual(result.supply, coins(BigInt(Math.round(Number(chain.blocks[199].alreadyGeneratedCoins)))), 'a Number would have rounded it')
+  })
+})
+
+test('amounts sent as Numbers above Number.MAX_SAFE_INTEGER are refused outside of number mode', { skip: !HAS_BIGINT }, (t) => {
+  const chain = emissionChain(200, { numbers: true })
+
+  return rejects(new SupplyCalculator(chain, { amountMode: 'bigint' }).supplyAt(199)).then((err) => {
+    t.ok(/MAX_SAFE_INTEGER/.test(err.message))
+
+    return new SupplyCalculator(chain).supplyAt(199)
+  }).then((result) => {
+    t.equal(typeof result.supply, 'number', 'number mode approximates')
+  })
+})
+
+test('string mode without BigInt refuses amounts above Number.MAX_SAFE_INTEGER', { skip: !HAS_BIGINT }, (t) => {
+  const chain = emissionChain(200)
+  const saved = global.BigInt
+  var supply
+
+  delete global.BigInt
+
+  try {
+    supply = new SupplyCalculator(chain, { amountMode: 'string' })
+  } finally {
+    global.BigInt = saved
+  }
+
+  return supply.supplyAt(100).then((result) => {
+    t.equal(result.supply, coins(chain.blocks[100].alreadyGeneratedCoins), 'exact below the limit')
+
+    return rejects(supply.supplyAt(199))
+  }).then((err) => {
+    t.ok(/MAX_SAFE_INTEGER/.test(err.message))
+
+    return rejects(supply.emission(100, 199))
+  }).then((err) => {
+    t.ok(/MAX_SAFE_INTEGER/.test(err.message))
+  })
+})
+
+test('amountMode must be known', (t) => {
+  t.throws(() => new SupplyCalculator({}, { amountMode: 'float' }), /amountMode/)
+  t.end()
+})
@@ -0,0 +1,167 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { AbortError, ConnectionError, TransactionDroppedError } = require('..')
+const { abortController, daemonClient, delay, mockDaemon, rejects } = require('./helpers')
+
+test('a transaction goes from unknown to pool, block and confirmed', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const hash = mock.addTransaction()
+    const tracker = daemonClient(mock).trackTransactions([hash], { confirmations: 3, autoStart: false })
+    const states = []
+    const changes = []
+
+    tracker.on('change', (status) => changes.push(status.confirmations))
+    ;['pool', 'block', 'confirmed'].forEach((state) => tracker.on(state, (status) => states.push(status.state)))
+
+    t.equal(tracker.status(hash).state, 'unknown')
+
+    return tracker.poll().then(() => {
+      t.equal(tracker.status(hash).state, 'pool')
+
+      mock.mine(1)
+
+      return tracker.poll()
+    }).then(() => {
+      t.deepEqual(tracker.status(hash), Object.assign({}, tracker.status(hash), { state: 'block', previousState: 'pool', height: 10, confirmations: 1 }))
+
+      mock.mine(2)
+
+      return tracker.poll()
+    }).then(() => {
+      t.equal(tracker.status(hash).state, 'confirmed')
+      t.equal(tracker.status(hash).confirmations, 3)
+      t.deepEqual(states, ['pool', 'block', 'confirmed'])
+      t.deepEqual(changes, [0, 1, 3])
+      t.deepEqual(tracker.statuses().map((status) => status.hash), [hash])
+    })
+  })
+})
+
+test('the confirmations follow a transaction into another block after a reorg', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const hash = mock.addTransaction()
+
+    mock.mine(3)
+
+    const tracker = daemonClient(mock).trackTransactions([hash], { autoStart: false })
+
+    return tracker.poll().then(() => {
+      t.equal(tracker.status(hash).height, 10)
+      t.equal(tracker.status(hash).confirmations, 3)
+
+      mock.reorg(4, 6)
+
+      return tracker.poll()
+    }).then(() => {
+      t.equal(mock.transaction(hash).block.height, 9, 'mined again lower down')
+      t.equal(tracker.status(hash).height, 9)
+      t.equal(tracker.status(hash).confirmations, 6)
+    })
+  })
+})
+
+test('the block heights are not looked up again while the top of the chain stays the same', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const hash = mock.addTransaction()
+
+    mock.mine(1)
+
+    const tracker = daemonClient(mock).trackTransactions([hash], { autoStart: false })
+    const lookups = () => mock.requests.filter((request) => request.body && request.body.method === 'f_transaction_json').length
+
+    return tracker.poll().then(() => {
+      const first = lookups()
+
+      return tracker.poll().then(() => {
+        t.ok(first > 0)
+        t.equal(lookups(), first)
+      })
+    })
+  })
+})
+
+test('a transaction unknown for longer than the timeout is dropped', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const tracker = daemonClient(mock).trackTransactions([], { timeout: 20, autoStart: false })
+    const waiting = rejects(tracker.waitForConfirmations('f'.repeat(64)))
+
+    return tracker.poll().then(() => delay(30)).then(() => tracker.poll()).then(() => waiting).then((err) => {
+      t.ok(err instanceof TransactionDroppedError)
+      t.equal(tracker.status('f'.repeat(64)).state, 'dropped')
+
+      return rejects(tracker.waitForConfirmations('f'.repeat(64)))
+    }).then((err) => {
+      t.ok(err instanceof TransactionDroppedError, 'rejects at once when already dropped')
+    })
+  })
+})
+
+test('waitForConfirmations rejects with the last error once maxFailures polls failed', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const hash = mock.addTransaction()
+    const tracker = daemonClient(mock, { retry: false }).trackTransactions([], { maxFailures: 2, autoStart: false })
+    const errors = []
+    var settled = false
+
+    tracker.on('error', (err) => errors.push(err))
+
+    const waiting = rejects(tracker.waitForConfirmations(hash)).then((err) => {
+      settled = true
+      return err
+    })
+
+    return mock.stop().then(() => tracker.poll()).then(() => delay(10)).then(() => {
+      t.equal(settled, false, 'one failure is not enough')
+
+      return tracker.poll()
+    }).then(() => waiting).then((err) => {
+      t.ok(err instanceof ConnectionError)
+      t.equal(errors.length, 2)
+      t.equal(tracker.status(hash).state, 'unknown', 'the transaction is still tracked')
+    })
+  })
+})
+
+test('XTCASHnetwork.waitForConfirmations settles while the daemon cannot be reached', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const daemon = daemonClient(mock, { retry: false })
+
+    return mock.stop().then(() => rejects(daemon.waitForConfirmations('f'.repeat(64), 1, { interval: 5, maxFailures: 3 }))).then((err) => {
+      t.ok(err instanceof ConnectionError)
+    })
+  })
+})
+
+test('waitForConfirmations stops waiting when the signal is aborted', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const daemon = daemonClient(mock)
+    const hash = mock.addTransaction()
+    const controller = abortController()
+    const tracker = daemon.trackTransactions([hash], { autoStart: false })
+    const waiting = rejects(tracker.waitForConfirmations(hash, 1, { signal: controller.signal }))
+
+    controller.abort()
+
+    return waiting.then((err) => {
+      t.ok(err instanceof AbortError)
+
+      return rejects(tracker.waitForConfirmations(hash, 1, { signal: controller.signal }))
+    }).then((err) => {
+      t.ok(err instanceof AbortError, 'rejects at once when already aborted')
+
+      const other = abortController()
+      const waiting = rejects(daemon.waitForConfirmations(hash, 5, { interval: 5, signal: other.signal }))
+
+      setTimeout(() => other.abort(), 20)
+
+      return waiting
+    }).then((err) => {
+      t.ok(err instanceof AbortError)
+    })
+  })
+})
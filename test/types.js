@@ -0,0 +1,160 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const test = require('tape')
+const ts = require('typescript')
+
+const ROOT = path.join(__dirname, '..')
+const DECLARATIONS = path.join(ROOT, 'index.d.ts')
+
+/* Counts the parameters of a list, skipping the commas nested in a type */
+function countParams (list) {
+  if (list.trim().length === 0) return 0
+
+  var depth = 0
+  var count = 1
+
+  for (var i = 0; i < list.length; i++) {
+    const char = list[i]
+
+    if ('(<{['.indexOf(char) !== -1) depth++
+    if (')>}]'.indexOf(char) !== -1 && list[i - 1] !== '=') depth--
+    if (char === ',' && depth === 0) count++
+  }
+
+  return count
+}
+
+/* Reads the members of every class declared in index.d.ts */
+function declaredClasses () {
+  const classes = {}
+  var current
+
+  fs.readFileSync(DECLARATIONS).toString().split('\n').forEach((line) => {
+    const start = /^(?:export )?declare class (\w+)/.exec(line)
+
+    if (start) {
+      current = classes[start[1]] = { methods: {}, statics: {}, getters: [], constructorParams: undefined }
+      return
+    }
+
+    if (!current) return
+    if (line === '}') {
+      current = undefined
+      return
+    }
+
+    var match = /^ {2}constructor \((.*)\)$/.exec(line)
+    if (match) {
+      current.constructorParams = countParams(match[1])
+      return
+    }
+
+    match = /^ {2}(static )?(\w+) \((.*)\): .+$/.exec(line)
+    if (match) {
+      (match[1] ? current.statics : current.methods)[match[2]] = countParams(match[3])
+      return
+    }
+
+    match = /^ {2}(static )?readonly (\w+)\b/.exec(line)
+    if (match && !match[1]) current.getters.push(match[2])
+  })
+
+  return classes
+}
+
+/* Collects every class the package defines, by name */
+function runtimeClasses () {
+  const classes = {}
+  const collect = (value) => {
+    if (typeof value === 'function' && /^class /.test(Function.prototype.toString.call(value))) {
+      classes[value.name] = value
+      collect(Object.getPrototypeOf(value))
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach((key) => collect(value[key]))
+    }
+  }
+
+  collect(require('..'))
+  collect(require('../mock'))
+  fs.readdirSync(path.join(ROOT, 'lib')).filter((file) => /\.js$/.test(file)).forEach((file) => {
+    collect(require(path.join(ROOT, 'lib', file)))
+  })
+
+  return classes
+}
+
+const declared = declaredClasses()
+const runtime = runtimeClasses()
+
+test('every class exported by index.js is declared', (t) => {
+  const exported = require('..')
+
+  Object.keys(exported).filter((name) => typeof exported[name] === 'function').forEach((name) => {
+    t.ok(declared[name], name + ' is declared')
+  })
+  t.end()
+})
+
+Object.keys(declared).filter((name) => name !== 'EventEmitter').forEach((name) => {
+  test('the declaration of ' + name + ' matches the class', (t) => {
+    const Class = runtime[name]
+    const declaration = declared[name]
+
+    t.ok(Class, name + ' exists')
+    if (!Class) return t.end()
+
+    if (declaration.constructorParams !== undefined) {
+      t.equal(declaration.constructorParams, Class.length, 'constructor takes ' + Class.length + ' arguments')
+    }
+
+    Object.getOwnPropertyNames(Class.prototype).forEach((member) => {
+      const descriptor = Object.getOwnPropertyDescriptor(Class.prototype, member)
+      if (member === 'constructor' || member[0] === '_') return
+
+      if (descriptor.get) {
+        t.ok(declaration.getters.indexOf(member) !== -1, 'getter ' + member + ' is declared')
+      } else if (typeof descriptor.value === 'function') {
+        t.equal(declaration.methods[member], descriptor.value.length, member + '() is declared with ' + descriptor.value.length + ' arguments')
+      }
+    })
+
+    Object.keys(declaration.methods).forEach((member) => {
+      t.equal(typeof Class.prototype[member], 'function', member + '() exists')
+    })
+
+    Object.keys(declaration.statics).forEach((member) => {
+      t.equal(typeof Class[member], 'function', 'static ' + member + '() exists')
+      t.equal(declaration.statics[member], Class[member].length, 'static ' + member + '() takes ' + Class[member].length + ' arguments')
+    })
+
+    t.end()
+  })
+})
+
+test('index.d.ts compiles along with code using it', (t) => {
+  const program = ts.createProgram([DECLARATIONS, path.join(__dirname, 'types', 'usage.ts')], {
+    strict: true,
+    noEmit: true,
+    target: ts.ScriptTarget.ES2018,
+    module: ts.ModuleKind.CommonJS,
+    lib: ['lib.es2018.d.ts', 'lib.es2020.bigint.d.ts'],
+    types: []
+  })
+
+  const diagnostics = ts.getPreEmitDiagnostics(program).map((diagnostic) => {
+    const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+    if (!diagnostic.file) return message
+
+    const position = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start)
+    return path.relative(ROOT, diagnostic.file.fileName) + ':' + (position.line + 1) + ' ' + message
+  })
+
+  t.deepEqual(diagnostics, [], 'no type errors')
+  t.end()
+})
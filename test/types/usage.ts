@@ -0,0 +1,67 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+/* Compiled, not run, by test/types.js against index.d.ts */
+
+import {
+  AbortError,
+  ChainStats,
+  HeaderChain,
+  MemoryStore,
+  ResponseCache,
+  RPCClientError,
+  SupplyCalculator,
+  TimeoutError,
+  WalletAPI,
+  XTCASHnetwork,
+  XTCASHnetworkPool
+} from '../..'
+
+const daemon = new XTCASHnetwork({ host: '127.0.0.1', port: 14486, cache: { confirmations: 5 }, limit: { rate: 5 }, strict: true })
+
+daemon.height({ retry: false }).then((height) => height.network_height)
+daemon.blocksDetailed({ blockHashes: [] }).then((response: XTCASHnetwork.BlocksDetailedResponse) => response.blocks.map((block) => block.hash))
+daemon.batch({ batchSize: 10 }).blockHeaderByHeight(1).blockCount().execute().then((results) => results.filter((entry) => entry.success))
+daemon.use((context: any, next: () => Promise<any>) => next())
+
+const pool = new XTCASHnetworkPool({ nodes: [{ host: 'a' }, { host: 'b', port: 14486 }], autoStart: false })
+const healthy: boolean = pool.status()[0].healthy
+
+const cache: ResponseCache | undefined = (daemon.cache instanceof ResponseCache) ? daemon.cache : undefined
+
+const wallet = new WalletAPI({ password: 'password', amountMode: 'string' })
+wallet.balance().then((balance: WalletAPI.Balance) => balance.unlocked)
+
+const chain = new HeaderChain({ maxHeaders: 100, store: new MemoryStore() })
+const heights: number[] = HeaderChain.checkpointHeights(1000)
+chain.commonAncestor(daemon).then((height) => height)
+
+new ChainStats(daemon, { fees: true }).range(1, 100).then((stats) => stats.blockTime.median)
+new SupplyCalculator(daemon, { amountMode: 'bigint' }).supplyAt().then((supply) => supply.supply)
+
+const watcher = daemon.watchChain({ interval: 1000, autoStart: false })
+watcher.on('block', (header: XTCASHnetwork.BlockHeader) => header.hash)
+watcher.stop()
+
+const tracker = daemon.trackTransactions(['hash'], { autoStart: false })
+tracker.waitForConfirmations('hash', 10).then((status) => status.state)
+
+const error: RPCClientError = new TimeoutError('timed out', { timeout: 5 })
+const aborted: boolean = error instanceof AbortError
+
+async function stream (): Promise<string[]> {
+  const seen: string[] = []
+
+  for await (const block of daemon.streamBlocks({ fromHeight: 5 })) {
+    seen.push(block.hash)
+  }
+
+  for await (const header of daemon.blockHeadersRange(1, 10)) {
+    seen.push(String(header.height))
+  }
+
+  return seen
+}
+
+export { healthy, cache, heights, aborted, stream }
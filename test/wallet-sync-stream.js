@@ -0,0 +1,90 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { AbortError, MemoryStore } = require('..')
+const { abortController, collect, daemonClient, mockDaemon, rejects } = require('./helpers')
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (value, index) => from + index)
+
+test('syncs every block page after page, then reports synced and ends', (t) => {
+  return mockDaemon(t, { height: 250 }).then((mock) => {
+    const stream = daemonClient(mock).syncWalletData()
+    const synced = []
+
+    stream.on('synced', (top) => synced.push(top))
+
+    return collect(stream).then((blocks) => {
+      t.deepEqual(blocks.map((block) => block.blockHeight), range(0, 249))
+      t.equal(blocks[249].blockHash, mock.tip.hash)
+      t.deepEqual(synced, [{ hash: mock.tip.hash, height: 249 }], 'synced is emitted once')
+      t.equal(stream.synced, true)
+      t.equal(stream.height, 249)
+      t.equal(stream.checkpoints()[0], mock.tip.hash)
+    })
+  })
+})
+
+test('starts from startHeight when nothing was stored', (t) => {
+  return mockDaemon(t, { height: 50 }).then((mock) => {
+    return collect(daemonClient(mock).syncWalletData({ startHeight: 40 })).then((blocks) => {
+      t.deepEqual(blocks.map((block) => block.blockHeight), range(40, 49))
+    })
+  })
+})
+
+test('resumes from the checkpoints saved to the state store', (t) => {
+  return mockDaemon(t, { height: 250 }).then((mock) => {
+    const store = new MemoryStore()
+    const client = daemonClient(mock)
+
+    return collect(client.syncWalletData({ stateStore: store }), 150).then((blocks) => {
+      t.equal(blocks[149].blockHeight, 149)
+
+      return store.load()
+    }).then((state) => {
+      t.equal(state.headers[state.headers.length - 1].height, 149, 'return() saved the progress')
+
+      const resumed = client.syncWalletData({ stateStore: store })
+
+      return collect(resumed).then((blocks) => {
+        t.deepEqual(blocks.map((block) => block.blockHeight), range(150, 249))
+        t.equal(resumed.height, 249)
+      })
+    })
+  })
+})
+
+test('a reorg rewinds to the last checkpoint both chains share and yields the new chain', (t) => {
+  return mockDaemon(t, { height: 50 }).then((mock) => {
+    const stream = daemonClient(mock).syncWalletData({ wait: true, pollInterval: 20 })
+    const reorgs = []
+
+    stream.on('reorg', (reorg) => reorgs.push(reorg))
+
+    return collect(stream, 54, (block, index) => {
+      if (index === 49) setTimeout(() => mock.reorg(3, 4), 10)
+    }).then((blocks) => {
+      t.deepEqual(reorgs, [{ height: 47, previousHeight: 49 }])
+      t.deepEqual(blocks.slice(50).map((block) => block.blockHeight), [47, 48, 49, 50])
+      t.deepEqual(blocks.slice(50).map((block) => block.blockHash), range(47, 50).map((height) => mock.block(height).hash))
+      t.equal(stream.checkpoints()[0], mock.tip.hash)
+    })
+  })
+})
+
+test('aborting the signal rejects the pending next()', (t) => {
+  return mockDaemon(t, { height: 10 }).then((mock) => {
+    const controller = abortController()
+    const stream = daemonClient(mock).syncWalletData({ startHeight: 10, wait: true, pollInterval: 10000, signal: controller.signal })
+
+    setTimeout(() => controller.abort(), 20)
+
+    return rejects(stream.next()).then((err) => {
+      t.ok(err instanceof AbortError)
+    })
+  })
+})
@@ -0,0 +1,92 @@
+// Copyright (c) 2018-2019, Brandon Lehmann, The TurtleCoin Developers
+//
+// Please see the included LICENSE file for more information.
+
+'use strict'
+
+const test = require('tape')
+const { HttpStatusError, XTCASHnetworkPool } = require('..')
+const { mockDaemon, rejects } = require('./helpers')
+
+function pool (mocks, opts) {
+  return new XTCASHnetworkPool(Object.assign({
+    nodes: mocks.map((mock) => ({ host: '127.0.0.1', port: mock.port })),
+    autoStart: false
+  }, opts))
+}
+
+function twoDaemons (t) {
+  return Promise.all([mockDaemon(t, { height: 10 }), mockDaemon(t, { height: 10 })])
+}
+
+test('read-only calls fail over to the next node and eject the failing one', (t) => {
+  return twoDaemons(t).then((mocks) => {
+    const daemons = pool(mocks)
+    const failovers = []
+
+    daemons.on('failover', (event) => failovers.push(event))
+    mocks[0].inject({ path: /.*/, status: 503 })
+
+    return daemons.info().then((info) => {
+      t.equal(info.height, 10)
+      t.equal(failovers.length, 1)
+      t.equal(failovers[0].from, '127.0.0.1:' + mocks[0].port)
+      t.equal(failovers[0].to, '127.0.0.1:' + mocks[1].port)
+
+      const status = daemons.status()
+      t.equal(status[0].healthy, false, 'the failing node is ejected')
+      t.equal(status[1].served, 1)
+
+      return daemons.height()
+    }).then(() => {
+      t.equal(mocks[0].requests.length, 1, 'the ejected node sits out')
+    })
+  })
+})
+
+test('calls that are not read-only do not fail over', (t) => {
+  return twoDaemons(t).then((mocks) => {
+    mocks[0].inject({ path: /.*/, status: 503 })
+
+    return rejects(pool(mocks).sendRawTransaction('00')).then((err) => {
+      t.ok(err instanceof HttpStatusError)
+      t.equal(mocks[1].requests.length, 0)
+    })
+  })
+})
+
+test('answers with a status below 500 do not fail over', (t) => {
+  return twoDaemons(t).then((mocks) => {
+    const daemons = pool(mocks)
+
+    mocks[0].inject({ path: '/info', status: 404 })
+
+    return rejects(daemons.info()).then((err) => {
+      t.equal(err.statusCode, 404)
+      t.equal(daemons.status()[0].healthy, true)
+      t.equal(mocks[1].requests.length, 0)
+    })
+  })
+})
+
+test('the call rejects once every node has failed', (t) => {
+  return twoDaemons(t).then((mocks) => {
+    mocks.forEach((mock) => mock.inject({ path: /.*/, status: 503 }))
+
+    return rejects(pool(mocks).info()).then((err) => {
+      t.equal(err.statusCode, 503)
+    })
+  })
+})
+
+test('probes eject nodes lagging behind the network', (t) => {
+  return Promise.all([mockDaemon(t, { height: 10 }), mockDaemon(t, { height: 10, networkHeight: 50 })]).then((mocks) => {
+    const daemons = pool(mocks, { maxHeightLag: 5 })
+
+    return daemons.probe().then((status) => {
+      t.equal(status[0].healthy, true)
+      t.equal(status[1].healthy, false)
+      t.ok(status[1].reason)
+    })
+  })
+})
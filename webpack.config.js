@@ -1,17 +1,72 @@
 'use strict'
 
-module.exports = {
+const ConcatSource = require('webpack-sources').ConcatSource
+const TerserPlugin = require('terser-webpack-plugin')
+const exported = Object.keys(require('./index'))
+
+/* webpack 4 cannot emit an ES module, so the ESM build is emitted as a
+   plain variable and the exports are appended once it has been minified */
+class ModuleExportsPlugin {
+  apply (compiler) {
+    compiler.hooks.compilation.tap('ModuleExportsPlugin', (compilation) => {
+      compilation.hooks.afterOptimizeChunkAssets.tap('ModuleExportsPlugin', (chunks) => {
+        chunks.forEach((chunk) => {
+          chunk.files.forEach((file) => {
+            compilation.assets[file] = new ConcatSource(
+              compilation.assets[file],
+              '\nexport default traaittCASHRPC;\n',
+              'export const { ' + exported.join(', ') + ' } = traaittCASHRPC;\n'
+            )
+          })
+        })
+      })
+    })
+  }
+}
+
+/* The browser field of package.json swaps HttpTransport for FetchTransport,
+   so neither bundle carries the Node http stack */
+const common = {
   mode: 'production',
   entry: './index.js',
-  output: {
-    filename: 'traaittCASHRPC.js',
-    library: 'traaittCASHRPC',
-    libraryTarget: 'umd'
-  },
+  target: 'web',
+  /* Stubs for the Node modules that dependencies may reach for */
   node: {
     fs: 'empty',
     tls: 'empty',
     net: 'empty'
   },
-  target: 'web'
+  optimization: {
+    /* The error names and the response schemas of strict mode are looked
+       up by class name, so those must survive minification */
+    minimizer: [
+      /* The cache keys are md4 hashes, see hashFunction below */
+      new TerserPlugin({ cache: false, terserOptions: { keep_classnames: true } })
+    ]
+  }
 }
+
+module.exports = [
+  Object.assign({}, common, {
+    output: {
+      filename: 'traaittCASHRPC.js',
+      library: 'traaittCASHRPC',
+      libraryTarget: 'umd',
+      /* webpack 4 hashes with md4 by default, which the OpenSSL of
+         NodeJS 17 and later no longer provides */
+      hashFunction: 'sha256',
+      globalObject: 'this'
+    }
+  }),
+  Object.assign({}, common, {
+    output: {
+      filename: 'traaittCASHRPC.mjs',
+      library: 'traaittCASHRPC',
+      libraryTarget: 'var',
+      hashFunction: 'sha256'
+    },
+    plugins: [
+      new ModuleExportsPlugin()
+    ]
+  })
+]